@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+/**
+ * Cliente de línea de comandos de PyRock
+ * Se conecta por WebSocket a un servidor en marcha, ejecuta un comando y sale con
+ * código 0 si terminó bien, 1 si el comando falló y 2 si los argumentos no son válidos.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PyRockClient, isErrorReply } = require('../lib/client');
+
+const USAGE = `Uso: pyrock [opciones] <comando> [argumentos]
+
+Comandos:
+  navigate <url>              Navegar a una URL
+  click <x> <y>               Click en unas coordenadas (--button left|right|middle)
+  type <texto>                Escribir texto ("-" lo lee de la entrada estándar)
+  key <tecla>                 Pulsar una tecla (--modifiers Control,Shift)
+  screenshot                  Guardar un screenshot en el servidor
+  init                        Reiniciar la sesión con la página inicial
+  status                      Estado del navegador y de la sesión
+  run <archivo>               Ejecutar un script mostrando su progreso (--var nombre=valor)
+  frame <archivo>             Guardar el frame actual (.jpg o .webp; "-" lo escribe en la salida estándar)
+  send <json>                 Enviar cualquier comando, p. ej. '{"type":"get_title"}'
+                              ("-" lee un comando JSON por línea de la entrada estándar)
+
+Opciones:
+  --url <url>                 Servidor (PYROCK_URL, por defecto ws://localhost:3000)
+  --token <token>             Token de acceso (PYROCK_TOKEN)
+  --session <id>              Unirse a una sesión existente en lugar de abrir una nueva (PYROCK_SESSION)
+  --timeout <ms>              Espera máxima de cada respuesta (por defecto 60000, 0 = sin límite)
+  --json                      Imprimir las respuestas completas en JSON, una por línea
+  -h, --help                  Mostrar esta ayuda`;
+
+// Opciones que llevan valor (el resto son indicadores)
+const VALUE_OPTIONS = ['url', 'token', 'session', 'timeout', 'button', 'modifiers', 'var', 'quality'];
+const FLAG_OPTIONS = ['json', 'help'];
+
+const HELP_HINT = 'Use pyrock --help para ver los comandos y opciones';
+
+const FRAME_FORMATS = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.webp': 'webp'
+};
+
+/**
+ * Error en los argumentos: sale con código 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Separar opciones (--nombre valor, --nombre=valor) y argumentos posicionales.
+ * --var puede repetirse.
+ */
+function parseArgs(argv) {
+    const options = { var: [] };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.includes(name)) {
+            throw new UsageError(`Opción desconocida: --${name}`);
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new UsageError(`Falta el valor de --${name}`);
+        }
+        if (name === 'var') {
+            options.var.push(value);
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+function parseNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number)) {
+        throw new UsageError(`${name} debe ser un número`);
+    }
+    return number;
+}
+
+/**
+ * Variables de --var nombre=valor para run_script
+ */
+function parseVariables(list) {
+    const variables = {};
+    for (const item of list) {
+        const separator = item.indexOf('=');
+        if (separator <= 0) {
+            throw new UsageError(`Variable no válida: ${item} (use --var nombre=valor)`);
+        }
+        variables[item.slice(0, separator)] = item.slice(separator + 1);
+    }
+    return variables;
+}
+
+function readInput(file, stdin) {
+    if (file !== '-') {
+        return fs.promises.readFile(file, 'utf8');
+    }
+    return new Promise((resolve, reject) => {
+        let content = '';
+        stdin.setEncoding('utf8');
+        stdin.on('data', (chunk) => {
+            content += chunk;
+        });
+        stdin.on('end', () => resolve(content));
+        stdin.on('error', reject);
+    });
+}
+
+/**
+ * Mensaje del comando a partir de los argumentos (navigate, click, type, key, screenshot, init, status)
+ */
+async function buildCommand(command, args, options, io) {
+    switch (command) {
+        case 'navigate':
+            if (!args[0]) {
+                throw new UsageError('Uso: pyrock navigate <url>');
+            }
+            return { type: 'navigate', url: args[0] };
+
+        case 'click':
+            return {
+                type: 'click',
+                x: parseNumber(args[0], 'x'),
+                y: parseNumber(args[1], 'y'),
+                ...(options.button ? { button: options.button } : {})
+            };
+
+        case 'type':
+            if (args.length === 0) {
+                throw new UsageError('Uso: pyrock type <texto>');
+            }
+            return {
+                type: 'type',
+                // Sin el salto de línea final de echo
+                text: args[0] === '-' ? (await readInput('-', io.stdin)).replace(/\r?\n$/, '') : args.join(' ')
+            };
+
+        case 'key':
+            if (!args[0]) {
+                throw new UsageError('Uso: pyrock key <tecla>');
+            }
+            return {
+                type: 'key',
+                key: args[0],
+                ...(options.modifiers ? { modifiers: options.modifiers.split(',') } : {})
+            };
+
+        case 'screenshot':
+        case 'init':
+        case 'status':
+            return { type: command };
+
+        default:
+            throw new UsageError(`Comando desconocido: ${command}`);
+    }
+}
+
+/**
+ * Salida de los comandos: mensajes legibles o JSON por línea con --json
+ */
+function createPrinter(io, json) {
+    return {
+        reply(message) {
+            const stream = isErrorReply(message) ? io.stderr : io.stdout;
+            if (json) {
+                stream.write(`${JSON.stringify(message)}\n`);
+            } else if (isErrorReply(message)) {
+                stream.write(`Error: ${message.message}\n`);
+            } else {
+                stream.write(`${message.message || JSON.stringify(message)}\n`);
+            }
+        },
+        info(text, message) {
+            io.stdout.write(json ? `${JSON.stringify(message)}\n` : `${text}\n`);
+        },
+        error(text, message = null) {
+            io.stderr.write(json && message ? `${JSON.stringify(message)}\n` : `Error: ${text}\n`);
+        }
+    };
+}
+
+/**
+ * Enviar comandos en orden hasta el primero que falle
+ */
+async function runCommands(client, commands, print) {
+    for (const data of commands) {
+        const reply = await client.request(data);
+        print.reply(reply);
+        if (isErrorReply(reply)) {
+            return 1;
+        }
+    }
+    return 0;
+}
+
+function parseJsonCommand(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`JSON no válido: ${error.message}`);
+    }
+    if (!data || typeof data.type !== 'string') {
+        throw new UsageError('El comando debe ser un objeto JSON con "type"');
+    }
+    return data;
+}
+
+/**
+ * Texto de un paso del script, p. ej. "[3] línea 5: ClickAt(100, 200)"
+ */
+function formatStep({ step, line, file, command, args }) {
+    const location = file ? `${file}:${line}` : `línea ${line}`;
+    return `[${step}] ${location}: ${command}(${args.map((arg) => JSON.stringify(arg)).join(', ')})`;
+}
+
+/**
+ * Enviar un script y mostrar su progreso hasta que termine. Ctrl+C lo detiene en el servidor.
+ */
+function runScript(client, script, variables, print) {
+    return new Promise((resolve) => {
+        let requestId = null;
+        let stopping = false;
+
+        const onSigint = () => {
+            if (stopping) {
+                return;
+            }
+            stopping = true;
+            client.send({ type: 'stop_script' });
+        };
+
+        const finish = (code) => {
+            client.off('message', onMessage);
+            client.off('close', onClose);
+            process.off('SIGINT', onSigint);
+            resolve(code);
+        };
+
+        const onClose = () => {
+            print.error('Conexión cerrada antes de terminar el script');
+            finish(1);
+        };
+
+        const onMessage = (message) => {
+            switch (message.type) {
+                case 'script_started':
+                    print.info(message.message, message);
+                    break;
+                case 'script_step':
+                    print.info(formatStep(message), message);
+                    break;
+                case 'script_variable':
+                    print.info(`  ${message.name} = ${JSON.stringify(message.value)}`, message);
+                    break;
+                case 'script_paused':
+                case 'script_resumed':
+                    print.info(`${message.message} (línea ${message.line})`, message);
+                    break;
+                case 'script_finished':
+                    print.info(`${message.message} (${message.steps} pasos)`, message);
+                    finish(0);
+                    break;
+                case 'script_stopped':
+                    print.error(`${message.message} en la línea ${message.line}`, message);
+                    finish(1);
+                    break;
+                case 'script_error':
+                    print.error(message.message, message);
+                    finish(1);
+                    break;
+                case 'error':
+                    // Rechazo del propio run_script (p. ej. ya hay otro script en la sesión)
+                    if (message.requestId === requestId) {
+                        print.reply(message);
+                        finish(1);
+                    }
+                    break;
+            }
+        };
+
+        client.on('message', onMessage);
+        client.on('close', onClose);
+        process.on('SIGINT', onSigint);
+        requestId = client.send({ type: 'run_script', script, variables });
+    });
+}
+
+/**
+ * Suscribirse a los frames de la sesión, guardar el primero y cancelar la suscripción
+ */
+async function saveFrame(client, output, options, io, print) {
+    const extension = output === '-' ? '.jpg' : path.extname(output).toLowerCase();
+    const format = FRAME_FORMATS[extension];
+    if (!format) {
+        throw new UsageError('El frame se guarda como .jpg o .webp');
+    }
+
+    // El servidor envía el último frame en cuanto se suscribe el cliente, a veces antes de responder
+    let timer = null;
+    const frame = new Promise((resolve, reject) => {
+        client.once('frame', resolve);
+        if (client.timeout > 0) {
+            timer = setTimeout(() => reject(new Error(`Ningún frame recibido en ${client.timeout} ms`)), client.timeout);
+        }
+    });
+    // Si la suscripción falla, nadie espera ya el frame
+    frame.catch(() => {});
+
+    try {
+        const reply = await client.request({
+            type: 'subscribe_frames',
+            format,
+            ...(options.quality ? { quality: parseNumber(options.quality, 'La calidad') } : {})
+        });
+        if (isErrorReply(reply)) {
+            print.reply(reply);
+            return 1;
+        }
+
+        const buffer = await frame;
+        if (output === '-') {
+            io.stdout.write(buffer);
+        } else {
+            await fs.promises.writeFile(output, buffer);
+            print.info(`Frame guardado en ${output} (${buffer.length} bytes)`, { type: 'frame_saved', file: output, format, size: buffer.length });
+        }
+        await client.request({ type: 'unsubscribe_frames' });
+        return 0;
+    } finally {
+        clearTimeout(timer);
+        client.removeAllListeners('frame');
+    }
+}
+
+/**
+ * Ejecutar la línea de comandos. Devuelve el código de salida.
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr, stdin: process.stdin, env: process.env }) {
+    const env = io.env || {};
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n${HELP_HINT}\n`);
+        return 2;
+    }
+
+    const { command, args, options } = parsed;
+    if (options.help || !command) {
+        (options.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+
+    const print = createPrinter(io, options.json);
+    let client = null;
+
+    try {
+        // Los argumentos se comprueban antes de conectar
+        let task;
+        if (command === 'run') {
+            if (!args[0]) {
+                throw new UsageError('Uso: pyrock run <archivo>');
+            }
+            const variables = parseVariables(options.var);
+            const script = await readInput(args[0], io.stdin);
+            task = () => runScript(client, script, variables, print);
+        } else if (command === 'frame') {
+            if (!args[0]) {
+                throw new UsageError('Uso: pyrock frame <archivo>');
+            }
+            task = () => saveFrame(client, args[0], options, io, print);
+        } else if (command === 'send') {
+            if (!args[0]) {
+                throw new UsageError('Uso: pyrock send <json>');
+            }
+            const commands = args[0] === '-'
+                ? (await readInput('-', io.stdin)).split(/\r?\n/).filter((line) => line.trim()).map(parseJsonCommand)
+                : [parseJsonCommand(args[0])];
+            task = () => runCommands(client, commands, print);
+        } else {
+            const data = await buildCommand(command, args, options, io);
+            task = () => runCommands(client, [data], print);
+        }
+
+        client = new PyRockClient({
+            url: options.url || env.PYROCK_URL || 'ws://localhost:3000',
+            token: options.token || env.PYROCK_TOKEN || null,
+            sessionId: options.session || env.PYROCK_SESSION || null,
+            timeout: options.timeout !== undefined ? parseNumber(options.timeout, '--timeout') : 60000
+        });
+        // Los errores de la conexión ya abierta terminan en 'close'
+        client.on('error', () => {});
+        await client.connect();
+
+        return await task();
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.stderr.write(`${error.message}\n${HELP_HINT}\n`);
+            return 2;
+        }
+        print.error(error.message);
+        return 1;
+    } finally {
+        if (client) {
+            client.close();
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,277 @@
+/**
+ * API REST de PyRock
+ * Expone los mismos comandos que el WebSocket para clientes sin conexión persistente
+ */
+
+const express = require('express');
+const { log: sharedLog } = require('./logger');
+
+/**
+ * Crear el router de /api
+ * @param {object} options
+ * @param {Function} options.executeCommand - Ejecuta un comando sobre una sesión
+ * @param {Function} options.resolveSession - Obtiene la sesión destino de la petición
+ * @param {Function} options.authorize - Lanza un error 403 si la petición no puede ejecutar el comando
+ * @param {number} [options.maxUploadSize] - Tamaño máximo del cuerpo binario de POST /upload (bytes)
+ * @param {object} options.baselines - Referencias de la regresión visual (BaselineStore)
+ * @param {object} [options.log] - Logger de la instancia del servidor (ver createLogger)
+ */
+function createApiRouter({ executeCommand, resolveSession, authorize, maxUploadSize = 10 * 1024 * 1024, baselines, log = sharedLog }) {
+    const router = express.Router();
+
+    // JSON con margen para los archivos en base64 de POST /upload
+    router.use(express.json({ limit: Math.ceil(maxUploadSize * 4 / 3) + 1024 }));
+
+    /**
+     * Ejecutar un comando y responder con su código HTTP
+     */
+    const runCommand = (type, getParams = () => ({})) => async (req, res) => {
+        try {
+            authorize(req, type);
+            const session = resolveSession(req);
+            const requestId = req.get('X-Request-Id');
+            if (requestId) {
+                res.set('X-Request-Id', requestId);
+            }
+            // Tiempo máximo del comando en la cola de la sesión (ms)
+            const timeoutHeader = req.get('X-Command-Timeout');
+            const commandTimeout = timeoutHeader === undefined ? undefined : Number(timeoutHeader);
+
+            const result = await executeCommand({ ...getParams(req), type, commandTimeout }, session, { requestId, identity: req.identity });
+            if (result.commandId) {
+                res.set('X-Command-Id', result.commandId);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            sendError(res, type, error);
+        }
+    };
+
+    const sendError = (res, type, error) => {
+        log.warning(`Comando ${type} rechazado (API): ${error.message}`, { category: 'command' });
+        if (error.commandId) {
+            res.set('X-Command-Id', error.commandId);
+        }
+        res.status(error.statusCode || 500).json({
+            type: 'error',
+            message: error.message,
+            ...(error.cancelled ? { cancelled: true } : {})
+        });
+    };
+
+    const elementParams = (req) => ({
+        selector: req.body.selector,
+        timeout: req.body.timeout,
+        visible: req.body.visible,
+        clear: req.body.clear,
+        text: req.body.text,
+        value: req.body.value
+    });
+
+    const mouseParams = (req) => ({
+        x: req.body.x,
+        y: req.body.y,
+        button: req.body.button,
+        steps: req.body.steps,
+        path: req.body.path,
+        deltaX: req.body.deltaX,
+        deltaY: req.body.deltaY
+    });
+
+    const imageParams = (req) => ({
+        template: req.body.template,
+        image: req.body.image,
+        timeout: req.body.timeout,
+        confidence: req.body.confidence,
+        button: req.body.button,
+        clickCount: req.body.clickCount
+    });
+
+    router.get('/status', runCommand('status'));
+    router.get('/config', runCommand('get_config'));
+    router.get('/logs', runCommand('get_logs', (req) => ({
+        level: req.query.level,
+        category: req.query.category,
+        session: req.query.session,
+        since: req.query.since,
+        until: req.query.until,
+        offset: req.query.offset,
+        limit: req.query.limit
+    })));
+    router.get('/queue', runCommand('get_queue'));
+    router.delete('/queue/:commandId', runCommand('cancel_command', (req) => ({ commandId: req.params.commandId })));
+    router.post('/restart', runCommand('restart'));
+    router.post('/init', runCommand('init'));
+    router.post('/screenshot', runCommand('screenshot'));
+    router.post('/navigate', runCommand('navigate', (req) => ({ url: req.body.url })));
+    router.post('/click', runCommand('click', (req) => ({
+        x: req.body.x,
+        y: req.body.y,
+        button: req.body.button,
+        clickCount: req.body.clickCount
+    })));
+    router.post('/type', runCommand('type', (req) => ({ text: req.body.text })));
+    router.post('/key', runCommand('key', (req) => ({ key: req.body.key, modifiers: req.body.modifiers })));
+    router.post('/mouse/move', runCommand('mouse_move', mouseParams));
+    router.post('/mouse/down', runCommand('mouse_down', mouseParams));
+    router.post('/mouse/up', runCommand('mouse_up', mouseParams));
+    router.post('/mouse/drag', runCommand('drag', mouseParams));
+    router.post('/mouse/wheel', runCommand('wheel', mouseParams));
+    router.post('/keyboard/down', runCommand('key_down', (req) => ({ key: req.body.key })));
+    router.post('/keyboard/up', runCommand('key_up', (req) => ({ key: req.body.key })));
+    router.post('/element/click', runCommand('click_element', elementParams));
+    router.post('/element/type', runCommand('type_into', elementParams));
+    router.post('/element/select', runCommand('select_option', elementParams));
+    router.post('/element/hover', runCommand('hover', elementParams));
+    router.post('/element/scroll', runCommand('scroll_into_view', elementParams));
+    router.post('/element/wait', runCommand('wait_for_selector', elementParams));
+    router.post('/image/wait', runCommand('wait_for_image', imageParams));
+    router.post('/image/click', runCommand('click_image', imageParams));
+    router.post('/image/exists', runCommand('image_exists', imageParams));
+    router.get('/page/title', runCommand('get_title'));
+    router.get('/page/url', runCommand('get_url'));
+    router.get('/page/html', runCommand('get_html', (req) => ({ selector: req.query.selector })));
+    router.get('/page/text', runCommand('get_text', (req) => ({ selector: req.query.selector })));
+    router.get('/page/links', runCommand('get_links', (req) => ({ selector: req.query.selector })));
+    router.get('/page/table', runCommand('get_table', (req) => ({ selector: req.query.selector })));
+    router.post('/page/evaluate', runCommand('evaluate', (req) => ({ expression: req.body.expression })));
+    router.post('/recording/start', runCommand('start_recording'));
+    router.post('/recording/stop', runCommand('stop_recording'));
+    router.get('/recording', runCommand('export_recording', (req) => ({ format: req.query.format })));
+    router.post('/session/configure', runCommand('configure_session', (req) => ({
+        profile: req.body.profile,
+        autoRestore: req.body.autoRestore,
+        followPopups: req.body.followPopups
+    })));
+    router.get('/jobs', runCommand('list_jobs'));
+    router.post('/jobs', runCommand('create_job', (req) => ({ job: req.body })));
+    router.get('/jobs/:jobId', runCommand('get_job', (req) => ({ jobId: req.params.jobId })));
+    router.post('/jobs/:jobId/pause', runCommand('pause_job', (req) => ({ jobId: req.params.jobId })));
+    router.post('/jobs/:jobId/resume', runCommand('resume_job', (req) => ({ jobId: req.params.jobId })));
+    router.post('/jobs/:jobId/run', runCommand('run_job', (req) => ({ jobId: req.params.jobId })));
+    router.delete('/jobs/:jobId', runCommand('delete_job', (req) => ({ jobId: req.params.jobId })));
+    router.get('/tabs', runCommand('list_tabs'));
+    router.post('/tabs', runCommand('open_tab', (req) => ({ url: req.body.url })));
+    router.post('/tabs/:tabId/activate', runCommand('switch_tab', (req) => ({ tabId: Number(req.params.tabId) })));
+    router.delete('/tabs/:tabId', runCommand('close_tab', (req) => ({ tabId: Number(req.params.tabId) })));
+    router.get('/profiles', runCommand('list_profiles'));
+    router.get('/state', runCommand('export_state', (req) => ({ origin: req.query.origin })));
+    router.get('/downloads', runCommand('list_downloads'));
+    router.get('/downloads/:name', async (req, res) => {
+        try {
+            authorize(req, 'get_download');
+            const file = await resolveSession(req).files.resolve(req.params.name);
+            res.download(file.path, file.name);
+        } catch (error) {
+            sendError(res, 'get_download', error);
+        }
+    });
+    router.get('/network/rules', runCommand('list_network_rules'));
+    router.put('/network/rules', runCommand('set_network_rules', (req) => ({ rules: req.body.rules })));
+    router.post('/network/rules', runCommand('add_network_rule', (req) => ({ rule: req.body })));
+    router.delete('/network/rules/:ruleId', runCommand('remove_network_rule', (req) => ({ ruleId: req.params.ruleId })));
+    router.post('/har/start', runCommand('start_har', (req) => ({ includeContent: req.body.includeContent })));
+    router.post('/har/stop', runCommand('stop_har'));
+    // El HAR se descarga como archivo para abrirlo en las herramientas de desarrollo del navegador
+    router.get('/har', async (req, res) => {
+        try {
+            authorize(req, 'export_har');
+            const session = resolveSession(req);
+            const result = await executeCommand({ type: 'export_har' }, session);
+            res.attachment(`pyrock-${session.id}.har`).json(result.body.har);
+        } catch (error) {
+            sendError(res, 'export_har', error);
+        }
+    });
+    router.delete('/downloads/:name', runCommand('delete_download', (req) => ({ name: req.params.name })));
+    // Cuerpo binario (curl --data-binary @archivo) o JSON con el contenido en base64
+    router.post('/upload', express.raw({ type: (req) => !req.is('json'), limit: maxUploadSize }),
+        runCommand('upload_file', (req) => ({
+            selector: req.query.selector || req.body.selector,
+            name: req.query.name || req.body.name,
+            content: Buffer.isBuffer(req.body) ? req.body : req.body.content,
+            timeout: req.body.timeout
+        })));
+    router.post('/state', runCommand('import_state', (req) => ({ state: req.body.state })));
+    router.get('/webhooks', runCommand('list_webhooks'));
+    router.post('/webhooks', runCommand('create_webhook', (req) => ({ webhook: req.body })));
+    router.get('/webhooks/deliveries', runCommand('list_webhook_deliveries', (req) => ({
+        webhookId: req.query.webhookId,
+        limit: req.query.limit
+    })));
+    router.delete('/webhooks/:webhookId', runCommand('delete_webhook', (req) => ({ webhookId: req.params.webhookId })));
+    router.post('/webhooks/:webhookId/test', runCommand('test_webhook', (req) => ({ webhookId: req.params.webhookId })));
+
+    const captureParams = (req) => ({
+        format: req.body.format,
+        quality: req.body.quality,
+        fullPage: req.body.fullPage,
+        selector: req.body.selector,
+        clip: req.body.clip,
+        timeout: req.body.timeout
+    });
+
+    // La imagen se descarga tal cual salvo con "encoding": "base64", que devuelve el JSON del comando
+    router.post('/screenshots/capture', async (req, res) => {
+        try {
+            authorize(req, 'capture_screenshot');
+            const result = await executeCommand({ ...captureParams(req), type: 'capture_screenshot' }, resolveSession(req));
+            if (result.commandId) {
+                res.set('X-Command-Id', result.commandId);
+            }
+            if (req.body.encoding === 'base64') {
+                res.status(result.status).json(result.body);
+                return;
+            }
+            res.type(result.body.mimeType)
+                .attachment(`captura.${result.body.format}`)
+                .send(Buffer.from(result.body.data, 'base64'));
+        } catch (error) {
+            sendError(res, 'capture_screenshot', error);
+        }
+    });
+    router.get('/baselines', runCommand('list_baselines'));
+    router.post('/baselines/:name/compare', runCommand('compare_screenshot', (req) => ({
+        ...captureParams(req),
+        name: req.params.name,
+        threshold: req.body.threshold,
+        pixelThreshold: req.body.pixelThreshold,
+        update: req.body.update
+    })));
+    // Imagen de referencia, última captura comparada (actual) o diferencias (diff)
+    router.get('/baselines/:name/:kind?', (req, res) => {
+        try {
+            authorize(req, 'get_baseline');
+            res.type('png').sendFile(baselines.resolve(req.params.name, req.params.kind || 'baseline'));
+        } catch (error) {
+            sendError(res, 'get_baseline', error);
+        }
+    });
+    router.delete('/baselines/:name', runCommand('delete_baseline', (req) => ({ name: req.params.name })));
+
+    // JSON mal formado y rutas inexistentes también responden en JSON
+    router.use((req, res) => {
+        res.status(404).json({
+            type: 'error',
+            message: `Ruta no encontrada: ${req.method} ${req.originalUrl}`
+        });
+    });
+
+    const BODY_ERRORS = {
+        'entity.parse.failed': 'JSON inválido',
+        'entity.too.large': `Cuerpo de la petición demasiado grande (máximo ${maxUploadSize} bytes de archivo)`
+    };
+
+    router.use((error, req, res, next) => {
+        res.status(error.status || 500).json({
+            type: 'error',
+            message: BODY_ERRORS[error.type] || error.message
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiRouter
+};
@@ -0,0 +1,271 @@
+/**
+ * Autenticación por token y permisos por rol
+ * Roles: viewer (ver frames y estado) < operator (controlar el navegador) < admin (init/restart, webhooks)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { CommandError } = require('./errors');
+const { log: sharedLog } = require('./logger');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Rol mínimo para cada comando (WebSocket y API REST)
+ */
+const COMMAND_ROLES = {
+    status: 'viewer',
+    subscribe_frames: 'viewer',
+    unsubscribe_frames: 'viewer',
+    screenshot: 'operator',
+    navigate: 'operator',
+    click: 'operator',
+    type: 'operator',
+    key: 'operator',
+    double_click: 'operator',
+    right_click: 'operator',
+    mouse_move: 'operator',
+    mouse_down: 'operator',
+    mouse_up: 'operator',
+    drag: 'operator',
+    wheel: 'operator',
+    key_down: 'operator',
+    key_up: 'operator',
+    click_element: 'operator',
+    type_into: 'operator',
+    select_option: 'operator',
+    hover: 'operator',
+    scroll_into_view: 'operator',
+    wait_for_selector: 'operator',
+    wait_for_image: 'operator',
+    click_image: 'operator',
+    image_exists: 'operator',
+    get_title: 'operator',
+    get_url: 'operator',
+    get_html: 'operator',
+    get_text: 'operator',
+    get_links: 'operator',
+    get_table: 'operator',
+    evaluate: 'operator',
+    run_script: 'operator',
+    pause_script: 'operator',
+    resume_script: 'operator',
+    stop_script: 'operator',
+    start_recording: 'operator',
+    stop_recording: 'operator',
+    export_recording: 'operator',
+    replay_recording: 'operator',
+    get_config: 'operator',
+    get_logs: 'operator',
+    get_queue: 'operator',
+    cancel_command: 'operator',
+    subscribe_logs: 'operator',
+    unsubscribe_logs: 'operator',
+    create_job: 'operator',
+    list_jobs: 'operator',
+    get_job: 'operator',
+    pause_job: 'operator',
+    resume_job: 'operator',
+    delete_job: 'operator',
+    run_job: 'operator',
+    list_tabs: 'operator',
+    open_tab: 'operator',
+    switch_tab: 'operator',
+    close_tab: 'operator',
+    configure_session: 'operator',
+    list_profiles: 'operator',
+    list_downloads: 'operator',
+    get_download: 'operator',
+    delete_download: 'operator',
+    upload_file: 'operator',
+    list_network_rules: 'operator',
+    set_network_rules: 'operator',
+    add_network_rule: 'operator',
+    remove_network_rule: 'operator',
+    start_har: 'operator',
+    stop_har: 'operator',
+    export_har: 'operator',
+    capture_screenshot: 'operator',
+    compare_screenshot: 'operator',
+    list_baselines: 'operator',
+    get_baseline: 'operator',
+    delete_baseline: 'operator',
+    export_state: 'operator',
+    import_state: 'operator',
+    list_webhooks: 'admin',
+    create_webhook: 'admin',
+    delete_webhook: 'admin',
+    test_webhook: 'admin',
+    list_webhook_deliveries: 'admin',
+    init: 'admin',
+    restart: 'admin'
+};
+
+// Identidad usada cuando no hay tokens configurados (comportamiento sin autenticación)
+const ANONYMOUS = { name: 'anonymous', role: 'admin' };
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Leer la lista "token:rol[:nombre],token:rol" de una variable de entorno.
+ * El token puede contener ":": el rol es el penúltimo campo si le sigue un
+ * nombre, o el último si no.
+ */
+function parseTokenList(value) {
+    return value.split(',').map((item) => item.trim()).filter(Boolean).map((item, index) => {
+        const fields = item.split(':');
+        const last = fields.length - 1;
+        if (fields.length >= 3 && ROLES.includes(fields[last - 1])) {
+            return { token: fields.slice(0, last - 1).join(':'), role: fields[last - 1], name: fields[last] };
+        }
+        if (fields.length >= 2 && ROLES.includes(fields[last])) {
+            return { token: fields.slice(0, last).join(':'), role: fields[last] };
+        }
+        throw new Error(`Token ${index + 1}: se esperaba token:rol[:nombre] con un rol válido (${ROLES.join(', ')})`);
+    });
+}
+
+/**
+ * Tokens válidos y comprobación de permisos
+ */
+class TokenAuth {
+    /**
+     * @param {object[]} [entries] - Tokens: { token, role, name }
+     * @param {object} [options]
+     * @param {object} [options.log] - Logger de la instancia del servidor (ver createLogger)
+     */
+    constructor(entries = [], { log = sharedLog } = {}) {
+        this.tokens = new Map();
+        this.log = log;
+
+        entries.forEach((entry, index) => {
+            if (!entry.token) {
+                throw new Error(`Token ${index + 1}: falta el valor del token`);
+            }
+            if (!ROLES.includes(entry.role)) {
+                throw new Error(`Token ${index + 1}: rol no válido "${entry.role}" (use ${ROLES.join(', ')})`);
+            }
+            this.tokens.set(hashToken(entry.token).toString('hex'), {
+                name: entry.name || `${entry.role}-${index + 1}`,
+                role: entry.role
+            });
+        });
+    }
+
+    /**
+     * Cargar tokens de AUTH_TOKENS ("token:rol[:nombre],...") y/o AUTH_TOKENS_FILE
+     * (JSON: [{ "token": "...", "role": "operator", "name": "ci" }])
+     */
+    static fromEnvironment(env = process.env, options = {}) {
+        const entries = [];
+
+        if (env.AUTH_TOKENS) {
+            entries.push(...parseTokenList(env.AUTH_TOKENS));
+        }
+
+        if (env.AUTH_TOKENS_FILE) {
+            let fileEntries;
+            try {
+                fileEntries = JSON.parse(fs.readFileSync(env.AUTH_TOKENS_FILE, 'utf8'));
+            } catch (error) {
+                throw new Error(`No se pudo leer AUTH_TOKENS_FILE (${env.AUTH_TOKENS_FILE}): ${error.message}`);
+            }
+            if (!Array.isArray(fileEntries)) {
+                throw new Error('AUTH_TOKENS_FILE debe contener una lista de tokens');
+            }
+            entries.push(...fileEntries);
+        }
+
+        return new TokenAuth(entries, options);
+    }
+
+    isEnabled() {
+        return this.tokens.size > 0;
+    }
+
+    /**
+     * Token de la petición: cabecera Authorization: Bearer o parámetro ?token=
+     * (los navegadores no pueden enviar cabeceras al abrir un WebSocket)
+     */
+    extractToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    }
+
+    /**
+     * Identidad ({ name, role }) de la petición, o null si el token falta o no es válido
+     */
+    authenticate(req) {
+        if (!this.isEnabled()) {
+            return ANONYMOUS;
+        }
+
+        const token = this.extractToken(req);
+        if (!token) {
+            return null;
+        }
+
+        // Comparar hashes de longitud fija en tiempo constante
+        const hash = hashToken(token);
+        for (const [key, identity] of this.tokens) {
+            if (crypto.timingSafeEqual(hash, Buffer.from(key, 'hex'))) {
+                return identity;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Comprobar si una identidad puede ejecutar un comando
+     */
+    can(identity, command) {
+        // Los comandos desconocidos se rechazan después como "Comando no reconocido"
+        if (!COMMAND_ROLES[command]) {
+            return true;
+        }
+        const required = COMMAND_ROLES[command];
+        return ROLES.indexOf(identity.role) >= ROLES.indexOf(required);
+    }
+
+    /**
+     * Lanzar CommandError 403 si la identidad no puede ejecutar el comando
+     */
+    authorize(identity, command, source) {
+        if (!this.can(identity, command)) {
+            this.log.warning(`Acceso denegado: ${identity.name} (${identity.role}) intentó "${command}" desde ${source}`);
+            throw new CommandError(`Permiso denegado: "${command}" requiere rol ${COMMAND_ROLES[command]}`, 403);
+        }
+    }
+
+    /**
+     * Middleware de Express: rechaza con 401 las peticiones sin token válido
+     */
+    middleware() {
+        return (req, res, next) => {
+            const identity = this.authenticate(req);
+            if (!identity) {
+                this.log.warning(`Petición HTTP rechazada: token ausente o inválido (${req.method} ${req.path} desde ${req.ip})`);
+                res.status(401).json({
+                    type: 'error',
+                    message: 'Autenticación requerida'
+                });
+                return;
+            }
+            req.identity = identity;
+            next();
+        };
+    }
+}
+
+module.exports = {
+    TokenAuth,
+    ROLES,
+    COMMAND_ROLES
+};
@@ -0,0 +1,176 @@
+/**
+ * Cliente WebSocket de PyRock para Node (lo usa bin/pyrock.js)
+ * Relaciona cada respuesta con su petición por requestId y reenvía el resto de mensajes como eventos.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+/**
+ * Respuesta de error de un comando: { type: 'error' } o cualquier tipo *_error
+ */
+function isErrorReply(message) {
+    return typeof message.type === 'string' && (message.type === 'error' || message.type.endsWith('_error'));
+}
+
+class PyRockClient extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.url - URL del servidor (ws://, wss://, http:// o https://)
+     * @param {string} [options.token] - Token de acceso (se envía como Authorization: Bearer)
+     * @param {string} [options.sessionId] - Sesión existente a la que unirse al conectar (por defecto, una nueva)
+     * @param {number} [options.timeout] - Espera máxima de cada respuesta (ms, 0 = sin límite)
+     */
+    constructor({ url, token = null, sessionId = null, timeout = 60000 }) {
+        super();
+        this.url = url.replace(/^http/, 'ws');
+        this.token = token;
+        this.sessionId = sessionId;
+        this.timeout = timeout;
+        this.ws = null;
+        this.role = null;
+        this.nextRequestId = 1;
+        // Peticiones sin respuesta por requestId
+        this.pending = new Map();
+    }
+
+    /**
+     * Conectar y esperar al mensaje de bienvenida del servidor
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const headers = {
+                ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+                ...(this.sessionId ? { 'X-Session-Id': this.sessionId } : {})
+            };
+            const ws = new WebSocket(this.url, { headers });
+            this.ws = ws;
+            let connected = false;
+
+            ws.on('unexpected-response', (req, res) => {
+                reject(new Error(`El servidor rechazó la conexión: HTTP ${res.statusCode} ${res.statusMessage}`));
+                ws.terminate();
+            });
+
+            ws.on('error', (error) => {
+                if (!connected) {
+                    reject(new Error(`No se pudo conectar a ${this.url}: ${error.message}`));
+                    return;
+                }
+                this.emit('error', error);
+            });
+
+            ws.on('message', (raw, isBinary) => {
+                if (isBinary) {
+                    this.emit('frame', raw);
+                    return;
+                }
+
+                let message;
+                try {
+                    message = JSON.parse(raw);
+                    if (message === null || typeof message !== 'object') {
+                        throw new Error('no es un objeto JSON');
+                    }
+                } catch (error) {
+                    const invalid = new Error(`Mensaje no válido del servidor: ${error.message}`);
+                    if (!connected) {
+                        reject(invalid);
+                        ws.terminate();
+                        return;
+                    }
+                    this.emit('error', invalid);
+                    return;
+                }
+
+                if (!connected) {
+                    // El primer mensaje es el estado inicial, o un error si no hay sesiones libres
+                    if (message.type === 'error') {
+                        reject(new Error(message.message));
+                        return;
+                    }
+                    connected = true;
+                    this.role = message.role;
+                    this.sessionId = message.sessionId;
+                    resolve(message);
+                    return;
+                }
+                this._handleMessage(message);
+            });
+
+            ws.on('close', () => {
+                const error = new Error('Conexión cerrada por el servidor');
+                if (!connected) {
+                    reject(error);
+                }
+                for (const { fail } of this.pending.values()) {
+                    fail(error);
+                }
+                this.pending.clear();
+                this.emit('close');
+            });
+        });
+    }
+
+    /**
+     * Enviar un comando sin esperar respuesta. Devuelve su requestId.
+     */
+    send(data) {
+        const requestId = this.nextRequestId++;
+        this.ws.send(JSON.stringify({ sessionId: this.sessionId, ...data, requestId }));
+        return requestId;
+    }
+
+    /**
+     * Enviar un comando y esperar su respuesta (los avisos command_queued se emiten como 'queued')
+     */
+    request(data) {
+        return new Promise((resolve, reject) => {
+            const requestId = this.send(data);
+            let timer = null;
+            if (this.timeout > 0) {
+                timer = setTimeout(() => {
+                    this.pending.delete(requestId);
+                    reject(new Error(`Sin respuesta a ${data.type} en ${this.timeout} ms`));
+                }, this.timeout);
+            }
+
+            this.pending.set(requestId, {
+                done: (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                },
+                fail: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    close() {
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    _handleMessage(message) {
+        const pending = message.requestId !== undefined && this.pending.get(message.requestId);
+        if (!pending) {
+            this.emit('message', message);
+            return;
+        }
+
+        if (message.type === 'command_queued') {
+            this.emit('queued', message);
+            return;
+        }
+        this.pending.delete(message.requestId);
+        pending.done(message);
+    }
+}
+
+module.exports = {
+    PyRockClient,
+    isErrorReply
+};
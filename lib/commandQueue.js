@@ -0,0 +1,213 @@
+/**
+ * Cola de comandos de una sesión
+ * Los comandos se ejecutan de uno en uno para que dos clientes no actúen a la vez
+ * sobre la misma página. Cada comando tiene un id, un tiempo máximo y se puede cancelar.
+ */
+
+const { CommandError } = require('./errors');
+
+const DEFAULT_TIMEOUT = 60000;
+const MAX_TIMEOUT = 10 * 60 * 1000;
+const MAX_DEPTH = 100;
+const STUCK_TIMEOUT = 30000;
+
+class CommandQueue {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Tiempo máximo por comando (ms) si el comando no indica otro
+     * @param {number} [options.maxDepth] - Comandos en cola (incluido el que se ejecuta) antes de rechazar nuevos
+     * @param {number} [options.stuckTimeout] - Espera máxima (ms) a que termine un comando cancelado o sin tiempo
+     * @param {Function} [options.onStuck] - Se llama con la entrada si no terminó en stuckTimeout; la cola sigue sin ella
+     */
+    constructor({ timeout = DEFAULT_TIMEOUT, maxDepth = MAX_DEPTH, stuckTimeout = STUCK_TIMEOUT, onStuck = () => {} } = {}) {
+        this.timeout = timeout;
+        this.maxDepth = maxDepth;
+        this.stuckTimeout = stuckTimeout;
+        this.onStuck = onStuck;
+        this.pending = [];
+        this.current = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Comandos esperando más el que está en ejecución
+     */
+    get depth() {
+        return this.pending.length + (this.current ? 1 : 0);
+    }
+
+    /**
+     * Añadir un comando. fn recibe un AbortSignal que se activa si se cancela o agota su tiempo.
+     * Devuelve la entrada: id, position (comandos por delante) y promise con el resultado.
+     */
+    enqueue(fn, { type = null, requestId = null, timeout } = {}) {
+        if (this.depth >= this.maxDepth) {
+            throw new CommandError(`Cola de comandos llena (${this.maxDepth} comandos pendientes)`, 429);
+        }
+
+        const entry = {
+            id: String(this.nextId++),
+            type,
+            requestId,
+            timeout: resolveTimeout(timeout, this.timeout),
+            state: 'queued',
+            position: this.depth,
+            enqueuedAt: Date.now(),
+            startedAt: null,
+            fn,
+            controller: new AbortController(),
+            timer: null,
+            stuckTimer: null,
+            settled: false
+        };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        this.pending.push(entry);
+        this._next();
+        return entry;
+    }
+
+    /**
+     * Cancelar un comando en cola o en ejecución. Devuelve su descripción anterior a la cancelación.
+     */
+    cancel(id) {
+        const entry = this.current && this.current.id === String(id)
+            ? this.current
+            : this.pending.find((candidate) => candidate.id === String(id));
+        if (!entry) {
+            throw new CommandError(`Comando no encontrado en la cola: ${id}`, 404);
+        }
+
+        const description = describe(entry);
+        this._abort(entry, cancelledError(entry, 'Comando cancelado'));
+        return description;
+    }
+
+    /**
+     * Cancelar todos los comandos (al cerrar la sesión: no se espera al que se ejecuta)
+     */
+    clear(reason = 'Cola vaciada') {
+        for (const entry of [...this.pending, ...(this.current ? [this.current] : [])]) {
+            this._abort(entry, cancelledError(entry, reason));
+            clearTimeout(entry.stuckTimer);
+        }
+    }
+
+    list() {
+        return [...(this.current ? [this.current] : []), ...this.pending].map(describe);
+    }
+
+    _next() {
+        if (this.current || this.pending.length === 0) {
+            return;
+        }
+
+        const entry = this.pending.shift();
+        this.current = entry;
+        entry.state = 'running';
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => {
+            const error = new CommandError(`Tiempo agotado: ${entry.type || 'el comando'} superó ${entry.timeout} ms`, 504);
+            error.commandId = entry.id;
+            this._abort(entry, error);
+        }, entry.timeout);
+
+        Promise.resolve()
+            .then(() => entry.fn(entry.controller.signal))
+            .then((result) => this._settle(entry, null, result), (error) => this._settle(entry, error))
+            .finally(() => {
+                // Aunque se haya cancelado o agotado su tiempo, el siguiente comando
+                // no empieza hasta que este termina de verdad (o hasta stuckTimeout)
+                clearTimeout(entry.stuckTimer);
+                if (this.current === entry) {
+                    this.current = null;
+                    this._next();
+                }
+            });
+    }
+
+    /**
+     * Dejar de esperar a un comando abortado que no termina, para no bloquear la cola
+     */
+    _release(entry) {
+        if (this.current !== entry) {
+            return;
+        }
+        this.current = null;
+        this.onStuck(entry);
+        this._next();
+    }
+
+    _abort(entry, error) {
+        if (entry.settled) {
+            return;
+        }
+        entry.controller.abort(error);
+        this._settle(entry, error);
+
+        // El que está en ejecución sigue ocupando la cola hasta que fn responda a la señal
+        if (entry === this.current) {
+            entry.stuckTimer = setTimeout(() => this._release(entry), this.stuckTimeout);
+            return;
+        }
+        const index = this.pending.indexOf(entry);
+        if (index !== -1) {
+            this.pending.splice(index, 1);
+        }
+    }
+
+    _settle(entry, error, result) {
+        if (entry.settled) {
+            return;
+        }
+        entry.settled = true;
+        clearTimeout(entry.timer);
+        if (error) {
+            if (error.commandId === undefined && typeof error === 'object') {
+                error.commandId = entry.id;
+            }
+            entry.reject(error);
+        } else {
+            entry.resolve(result);
+        }
+    }
+}
+
+function resolveTimeout(timeout, fallback) {
+    if (timeout === undefined || timeout === null) {
+        return fallback;
+    }
+    if (!Number.isInteger(timeout) || timeout <= 0 || timeout > MAX_TIMEOUT) {
+        throw new CommandError(`"commandTimeout" debe ser un número entero de milisegundos entre 1 y ${MAX_TIMEOUT}`);
+    }
+    return timeout;
+}
+
+function cancelledError(entry, message) {
+    const error = new CommandError(message, 409);
+    error.commandId = entry.id;
+    error.cancelled = true;
+    return error;
+}
+
+function describe(entry) {
+    return {
+        id: entry.id,
+        type: entry.type,
+        requestId: entry.requestId,
+        state: entry.state,
+        timeout: entry.timeout,
+        enqueuedAt: new Date(entry.enqueuedAt).toISOString(),
+        startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null
+    };
+}
+
+module.exports = {
+    CommandQueue,
+    DEFAULT_TIMEOUT,
+    MAX_TIMEOUT,
+    STUCK_TIMEOUT
+};
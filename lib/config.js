@@ -0,0 +1,262 @@
+/**
+ * Configuración del navegador
+ * Valores por defecto < archivo JSON (CONFIG_FILE o pyrock.config.json) < variables de entorno.
+ * Los valores inválidos se acumulan y se informan todos juntos en el arranque.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'pyrock.config.json');
+
+const DEFAULTS = {
+    headless: true,
+    args: [],
+    disableWebSecurity: false,
+    proxy: null,
+    userAgent: null,
+    locale: null,
+    timezone: null,
+    viewport: {
+        width: 1280,
+        height: 720,
+        deviceScaleFactor: 1
+    },
+    startUrl: 'https://example.com/',
+    navigationTimeout: 30000,
+    followPopups: false,
+    allowEvaluate: true,
+    recoveryMaxAttempts: 5,
+    recoveryBaseDelay: 1000,
+    recoveryMaxDelay: 30000,
+    recoveryQueueTimeout: 30000,
+    restoreLastUrl: false
+};
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+
+/**
+ * Variables de entorno: nombre → [ruta en la configuración, conversor]
+ */
+const ENV_OVERRIDES = {
+    BROWSER_HEADLESS: ['headless', parseBoolean],
+    BROWSER_ARGS: ['args', (value) => value.split(/\s+/).filter(Boolean)],
+    BROWSER_DISABLE_WEB_SECURITY: ['disableWebSecurity', parseBoolean],
+    BROWSER_PROXY: ['proxy', String],
+    BROWSER_USER_AGENT: ['userAgent', String],
+    BROWSER_LOCALE: ['locale', String],
+    BROWSER_TIMEZONE: ['timezone', String],
+    VIEWPORT_WIDTH: ['viewport.width', Number],
+    VIEWPORT_HEIGHT: ['viewport.height', Number],
+    DEVICE_SCALE_FACTOR: ['viewport.deviceScaleFactor', Number],
+    START_URL: ['startUrl', String],
+    NAVIGATION_TIMEOUT: ['navigationTimeout', Number],
+    BROWSER_FOLLOW_POPUPS: ['followPopups', parseBoolean],
+    ALLOW_EVALUATE: ['allowEvaluate', parseBoolean],
+    BROWSER_RECOVERY_MAX_ATTEMPTS: ['recoveryMaxAttempts', Number],
+    BROWSER_RECOVERY_BASE_DELAY: ['recoveryBaseDelay', Number],
+    BROWSER_RECOVERY_MAX_DELAY: ['recoveryMaxDelay', Number],
+    BROWSER_RECOVERY_QUEUE_TIMEOUT: ['recoveryQueueTimeout', Number],
+    BROWSER_RESTORE_LAST_URL: ['restoreLastUrl', parseBoolean]
+};
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Configuración inválida:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function parseBoolean(value) {
+    const normalized = value.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) {
+        return true;
+    }
+    if (['false', '0', 'no'].includes(normalized)) {
+        return false;
+    }
+    return value;
+}
+
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) {
+        node = node[key];
+    }
+    node[last] = value;
+}
+
+function readConfigFile(filePath, errors) {
+    try {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            errors.push(`${filePath}: se esperaba un objeto JSON`);
+            return {};
+        }
+        return parsed;
+    } catch (error) {
+        errors.push(error.code === 'ENOENT'
+            ? `No existe el archivo de configuración: ${filePath}`
+            : `${filePath}: ${error.message}`);
+        return {};
+    }
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function validate(config, errors) {
+    for (const key of Object.keys(config)) {
+        if (!(key in DEFAULTS)) {
+            errors.push(`Opción desconocida: "${key}"`);
+        }
+    }
+
+    for (const key of ['headless', 'disableWebSecurity', 'followPopups', 'allowEvaluate', 'restoreLastUrl']) {
+        if (typeof config[key] !== 'boolean') {
+            errors.push(`"${key}" debe ser true o false`);
+        }
+    }
+
+    if (!Array.isArray(config.args) || config.args.some((arg) => typeof arg !== 'string' || !arg.startsWith('--'))) {
+        errors.push('"args" debe ser una lista de opciones de Chromium que empiecen por "--"');
+    }
+
+    if (config.proxy !== null) {
+        let protocol = null;
+        try {
+            protocol = new URL(config.proxy).protocol;
+        } catch (error) {
+            // se informa abajo
+        }
+        if (!PROXY_PROTOCOLS.includes(protocol)) {
+            errors.push(`"proxy" debe ser una URL ${PROXY_PROTOCOLS.map((p) => p.slice(0, -1)).join('/')}: ${config.proxy}`);
+        }
+    }
+
+    if (config.userAgent !== null && (typeof config.userAgent !== 'string' || !config.userAgent.trim())) {
+        errors.push('"userAgent" debe ser un texto no vacío');
+    }
+
+    if (config.locale !== null) {
+        try {
+            Intl.getCanonicalLocales(config.locale);
+        } catch (error) {
+            errors.push(`"locale" no es un idioma válido: ${config.locale}`);
+        }
+    }
+
+    if (config.timezone !== null) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+        } catch (error) {
+            errors.push(`"timezone" no es una zona horaria válida: ${config.timezone}`);
+        }
+    }
+
+    const viewport = config.viewport;
+    for (const key of Object.keys(viewport)) {
+        if (!(key in DEFAULTS.viewport)) {
+            errors.push(`Opción desconocida: "viewport.${key}"`);
+        }
+    }
+    if (!isPositiveInteger(viewport.width) || viewport.width > 7680) {
+        errors.push('"viewport.width" debe ser un entero entre 1 y 7680');
+    }
+    if (!isPositiveInteger(viewport.height) || viewport.height > 4320) {
+        errors.push('"viewport.height" debe ser un entero entre 1 y 4320');
+    }
+    if (typeof viewport.deviceScaleFactor !== 'number' || !(viewport.deviceScaleFactor > 0 && viewport.deviceScaleFactor <= 4)) {
+        errors.push('"viewport.deviceScaleFactor" debe ser un número mayor que 0 y menor o igual que 4');
+    }
+
+    try {
+        const { protocol } = new URL(config.startUrl);
+        if (!['http:', 'https:', 'about:'].includes(protocol)) {
+            throw new Error('protocolo no soportado');
+        }
+    } catch (error) {
+        errors.push(`"startUrl" debe ser una URL http(s) o about:blank: ${config.startUrl}`);
+    }
+
+    if (!isPositiveInteger(config.navigationTimeout)) {
+        errors.push('"navigationTimeout" debe ser un número entero de milisegundos mayor que 0');
+    }
+
+    if (!isPositiveInteger(config.recoveryMaxAttempts)) {
+        errors.push('"recoveryMaxAttempts" debe ser un número entero mayor que 0');
+    }
+    for (const key of ['recoveryBaseDelay', 'recoveryMaxDelay']) {
+        if (!isPositiveInteger(config[key])) {
+            errors.push(`"${key}" debe ser un número entero de milisegundos mayor que 0`);
+        }
+    }
+    if (!Number.isInteger(config.recoveryQueueTimeout) || config.recoveryQueueTimeout < 0) {
+        errors.push('"recoveryQueueTimeout" debe ser un número entero de milisegundos (0 rechaza los comandos durante la recuperación)');
+    }
+}
+
+/**
+ * Cargar y validar la configuración. Lanza ConfigError con todos los problemas encontrados.
+ * @param {object} [env] - Variables de entorno (process.env por defecto)
+ */
+function loadConfig(env = process.env) {
+    const errors = [];
+    const config = JSON.parse(JSON.stringify(DEFAULTS));
+    let source = null;
+
+    const filePath = env.CONFIG_FILE || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    if (filePath) {
+        source = path.resolve(filePath);
+        const fileConfig = readConfigFile(source, errors);
+        for (const [key, value] of Object.entries(fileConfig)) {
+            if (key !== 'viewport') {
+                config[key] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                config.viewport = { ...config.viewport, ...value };
+            } else {
+                errors.push('"viewport" debe ser un objeto { width, height, deviceScaleFactor }');
+            }
+        }
+    }
+
+    for (const [name, [keyPath, convert]] of Object.entries(ENV_OVERRIDES)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(config, keyPath, convert(env[name]));
+        }
+    }
+
+    validate(config, errors);
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return { ...config, source };
+}
+
+/**
+ * Configuración para mostrar en la API (sin credenciales del proxy)
+ */
+function describeConfig(config) {
+    let proxy = config.proxy;
+    if (proxy) {
+        const url = new URL(proxy);
+        if (url.username || url.password) {
+            url.username = '***';
+            url.password = '';
+            proxy = url.toString();
+        }
+    }
+    return { ...config, proxy };
+}
+
+module.exports = {
+    ConfigError,
+    DEFAULTS,
+    loadConfig,
+    describeConfig
+};
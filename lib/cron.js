@@ -0,0 +1,157 @@
+/**
+ * Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana)
+ *
+ * Cada campo admite "*", números, rangos "1-5", pasos "*\/15" o "10-50/10"
+ * y listas "1,15,30". El día de la semana va de 0 a 7 (0 y 7 son domingo).
+ * También se aceptan @hourly, @daily, @weekly, @monthly y @yearly.
+ * Las horas se interpretan en la zona horaria del servidor.
+ */
+
+const { CommandError } = require('./errors');
+
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'día del mes', min: 1, max: 31 },
+    { name: 'mes', min: 1, max: 12 },
+    { name: 'día de la semana', min: 0, max: 7 }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// Límite de búsqueda: una expresión como "0 0 31 2 *" nunca se cumple
+const MAX_SEARCH_YEARS = 5;
+
+function parseNumber(value, field, expression) {
+    if (!/^\d+$/.test(value)) {
+        throw new CommandError(`Expresión cron no válida "${expression}": ${field.name} "${value}" no es un número`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new CommandError(`Expresión cron no válida "${expression}": ${field.name} debe estar entre ${field.min} y ${field.max}`);
+    }
+    return number;
+}
+
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 }, expression);
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseNumber(from, field, expression);
+            end = parseNumber(to, field, expression);
+            if (start > end) {
+                throw new CommandError(`Expresión cron no válida "${expression}": rango ${range} invertido`);
+            }
+        } else {
+            start = parseNumber(range, field, expression);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Expresión cron ya analizada
+ */
+class CronExpression {
+    constructor(expression) {
+        this.source = expression;
+
+        const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+        const parts = normalized.split(/\s+/);
+        if (parts.length !== 5) {
+            throw new CommandError(`Expresión cron no válida "${expression}": se esperaban 5 campos`);
+        }
+
+        [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+            parts.map((part, index) => parseField(part, FIELDS[index], expression));
+
+        // 7 también es domingo
+        if (this.weekdays.has(7)) {
+            this.weekdays.add(0);
+        }
+
+        // Como en cron: si se restringen día del mes y día de la semana basta con que se cumpla uno
+        this.anyDay = parts[2] === '*';
+        this.anyWeekday = parts[4] === '*';
+    }
+
+    _matchesDay(date) {
+        const dayMatches = this.days.has(date.getDate());
+        const weekdayMatches = this.weekdays.has(date.getDay());
+
+        if (this.anyDay || this.anyWeekday) {
+            return dayMatches && weekdayMatches;
+        }
+        return dayMatches || weekdayMatches;
+    }
+
+    /**
+     * Siguiente instante (en ms) estrictamente posterior a `after` que cumple la expresión
+     */
+    next(after) {
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(after);
+        limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+        while (date <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0);
+                continue;
+            }
+            if (!this._matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0);
+                continue;
+            }
+            if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0);
+                continue;
+            }
+            if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1);
+                continue;
+            }
+            return date.getTime();
+        }
+
+        return null;
+    }
+}
+
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new CommandError('La expresión cron debe ser un texto');
+    }
+    return new CronExpression(expression);
+}
+
+module.exports = {
+    CronExpression,
+    parseCron
+};
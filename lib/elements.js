@@ -0,0 +1,225 @@
+/**
+ * Acciones sobre elementos de la página por selector CSS, XPath o texto visible
+ *
+ * Formatos de selector:
+ *   "#submit"              CSS (por defecto)
+ *   "//button[1]"          XPath (también "xpath=//button[1]")
+ *   "text=Enviar"          Texto visible (también "text/Enviar")
+ */
+
+const { CommandError } = require('./errors');
+
+// Espera por defecto a que aparezca un elemento antes de actuar sobre él
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Convertir el selector del usuario al formato de Puppeteer (xpath/..., text/...)
+ */
+function toPuppeteerSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) {
+        throw new CommandError('Selector requerido');
+    }
+
+    const value = selector.trim();
+    if (value.startsWith('xpath=')) {
+        return `xpath/${value.slice(6)}`;
+    }
+    if (value.startsWith('text=')) {
+        return `text/${value.slice(5)}`;
+    }
+    if (value.startsWith('//') || value.startsWith('(//')) {
+        return `xpath/${value}`;
+    }
+    return value;
+}
+
+function resolveTimeout(timeout) {
+    if (timeout === undefined || timeout === null) {
+        return DEFAULT_TIMEOUT;
+    }
+    if (typeof timeout !== 'number' || timeout < 0) {
+        throw new CommandError('El timeout debe ser un número de milisegundos');
+    }
+    return timeout;
+}
+
+/**
+ * Traducir los errores de waitForSelector a mensajes claros
+ */
+function selectorError(error, selector, notFoundMessage) {
+    if (error.name === 'TimeoutError') {
+        return new CommandError(notFoundMessage, 404);
+    }
+    if (/Invalid selector|is not a valid selector|Failed to execute/.test(error.message)) {
+        return new CommandError(`Selector no válido: ${selector}`);
+    }
+    return error;
+}
+
+/**
+ * Buscar un elemento esperando hasta timeout ms.
+ * Lanza CommandError 404 si no existe y 422 si existe pero no es visible.
+ */
+async function findElement(page, selector, { timeout, visible = true } = {}) {
+    const query = toPuppeteerSelector(selector);
+    const waitTime = resolveTimeout(timeout);
+
+    let element;
+    try {
+        element = await page.waitForSelector(query, { timeout: waitTime });
+    } catch (error) {
+        throw selectorError(error, selector, `Elemento no encontrado: ${selector} (esperado ${waitTime} ms)`);
+    }
+
+    if (!element) {
+        throw new CommandError(`Elemento no encontrado: ${selector}`, 404);
+    }
+
+    if (visible && !(await element.isVisible())) {
+        await element.dispose();
+        throw new CommandError(`Elemento no visible: ${selector}`, 422);
+    }
+
+    return element;
+}
+
+/**
+ * Ejecutar una función con el elemento y liberar el handle al terminar
+ */
+async function withElement(page, selector, options, fn) {
+    const element = await findElement(page, selector, options);
+    try {
+        return await fn(element);
+    } finally {
+        await element.dispose().catch(() => {});
+    }
+}
+
+async function clickElement(page, selector, options = {}) {
+    await withElement(page, selector, options, (element) => element.click());
+}
+
+/**
+ * Escribir en un elemento; con clear: true se borra antes su contenido
+ */
+async function typeIntoElement(page, selector, text, options = {}) {
+    await withElement(page, selector, options, async (element) => {
+        if (options.clear) {
+            await element.click({ clickCount: 3 });
+            await page.keyboard.press('Backspace');
+        } else {
+            await element.focus();
+        }
+        await element.type(text);
+    });
+}
+
+/**
+ * Seleccionar opciones de un <select> por valor. Devuelve los valores seleccionados.
+ */
+async function selectOption(page, selector, values, options = {}) {
+    const list = Array.isArray(values) ? values : [values];
+
+    return withElement(page, selector, options, async (element) => {
+        const tagName = await element.evaluate((el) => el.tagName);
+        if (tagName !== 'SELECT') {
+            throw new CommandError(`El elemento ${selector} no es un <select>`, 422);
+        }
+
+        const selected = await element.select(...list.map(String));
+        if (selected.length === 0) {
+            throw new CommandError(`Ninguna opción de ${selector} coincide con: ${list.join(', ')}`, 404);
+        }
+        return selected;
+    });
+}
+
+async function hoverElement(page, selector, options = {}) {
+    await withElement(page, selector, options, (element) => element.hover());
+}
+
+/**
+ * Desplazar la página hasta el elemento (no exige que sea visible antes)
+ */
+async function scrollIntoView(page, selector, options = {}) {
+    await withElement(page, selector, { ...options, visible: false }, (element) => element.scrollIntoView());
+}
+
+/**
+ * Asignar archivos a un <input type="file">. No se exige que sea visible:
+ * muchas páginas ocultan el input y muestran un botón propio.
+ */
+async function uploadFiles(page, selector, filePaths, options = {}) {
+    await withElement(page, selector, { ...options, visible: false }, async (element) => {
+        const isFileInput = await element.evaluate((el) => el.tagName === 'INPUT' && el.type === 'file');
+        if (!isFileInput) {
+            throw new CommandError(`El elemento ${selector} no es un <input type="file">`, 422);
+        }
+        await element.uploadFile(...filePaths);
+    });
+}
+
+/**
+ * Esperar a que un elemento aparezca (y sea visible salvo visible: false)
+ */
+async function waitForElement(page, selector, { timeout, visible = true } = {}) {
+    const query = toPuppeteerSelector(selector);
+    const waitTime = resolveTimeout(timeout);
+    const state = visible ? 'visible' : 'presente';
+
+    try {
+        const element = await page.waitForSelector(query, { timeout: waitTime, visible });
+        if (element) {
+            await element.dispose();
+        }
+    } catch (error) {
+        throw selectorError(error, selector, `El elemento ${selector} no estuvo ${state} en ${waitTime} ms`);
+    }
+}
+
+/**
+ * Consultar el estado actual sin esperar (condiciones de los scripts)
+ */
+async function queryElement(page, selector, fn) {
+    let element;
+    try {
+        element = await page.$(toPuppeteerSelector(selector));
+    } catch (error) {
+        throw selectorError(error, selector, `Elemento no encontrado: ${selector}`);
+    }
+    if (!element) {
+        return null;
+    }
+    try {
+        return await fn(element);
+    } finally {
+        await element.dispose().catch(() => {});
+    }
+}
+
+async function elementExists(page, selector) {
+    return (await queryElement(page, selector, () => true)) === true;
+}
+
+/**
+ * Texto visible de un elemento, o null si no existe
+ */
+async function getElementText(page, selector) {
+    return queryElement(page, selector, (element) => element.evaluate((el) => el.innerText || el.textContent || ''));
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    toPuppeteerSelector,
+    findElement,
+    withElement,
+    clickElement,
+    typeIntoElement,
+    selectOption,
+    hoverElement,
+    scrollIntoView,
+    uploadFiles,
+    waitForElement,
+    elementExists,
+    getElementText
+};
@@ -0,0 +1,18 @@
+/**
+ * Errores compartidos entre WebSocket y API REST
+ */
+
+/**
+ * Error de un comando con el código HTTP que le corresponde
+ */
+class CommandError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CommandError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = {
+    CommandError
+};
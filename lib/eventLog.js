@@ -0,0 +1,188 @@
+/**
+ * Registro de eventos estructurado
+ * Guarda los últimos eventos en memoria (buffer circular), los añade opcionalmente
+ * a un archivo JSONL y avisa de cada evento nuevo para retransmitirlo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { CommandError } = require('./errors');
+const { print } = require('./logger');
+
+const LEVELS = ['info', 'success', 'warning', 'error'];
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+class EventLog extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.capacity] - Eventos guardados en memoria
+     * @param {string} [options.filePath] - Archivo JSONL donde se añaden los eventos
+     * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+     */
+    constructor({ capacity = 1000, filePath = null, now = () => Date.now() } = {}) {
+        super();
+        this.capacity = capacity;
+        this.now = now;
+        this.buffer = new Array(capacity);
+        this.start = 0;
+        this.size = 0;
+        this.nextId = 1;
+        this.stream = null;
+
+        if (filePath) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+            // Un fallo del archivo no debe tirar el servidor: se sigue registrando en memoria
+            this.stream.on('error', (error) => {
+                print(`❌ No se pudo escribir el registro de eventos: ${error.message}`);
+                this.stream = null;
+            });
+        }
+    }
+
+    /**
+     * Añadir un evento. Devuelve la entrada registrada.
+     */
+    record({ level = 'info', category = 'server', sessionId = null, message, data }) {
+        const entry = {
+            id: this.nextId++,
+            timestamp: new Date(this.now()).toISOString(),
+            level: LEVELS.includes(level) ? level : 'info',
+            category,
+            sessionId,
+            message: String(message),
+            ...(data !== undefined ? { data } : {})
+        };
+
+        if (this.size < this.capacity) {
+            this.buffer[(this.start + this.size) % this.capacity] = entry;
+            this.size++;
+        } else {
+            // Lleno: se sobrescribe el más antiguo
+            this.buffer[this.start] = entry;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        if (this.stream) {
+            this.stream.write(`${JSON.stringify(entry)}\n`);
+        }
+
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    /**
+     * Eventos en memoria, del más antiguo al más reciente
+     */
+    entries() {
+        const list = [];
+        for (let i = 0; i < this.size; i++) {
+            list.push(this.buffer[(this.start + i) % this.capacity]);
+        }
+        return list;
+    }
+
+    /**
+     * Buscar eventos (los más recientes primero) con filtros ya validados por parseQuery
+     */
+    query({ levels = null, categories = null, sessionId = null, since = null, until = null, offset = 0, limit = DEFAULT_QUERY_LIMIT } = {}) {
+        const matches = this.entries()
+            .filter((entry) => matchesFilter(entry, { levels, categories, sessionId }))
+            .filter((entry) => {
+                const time = Date.parse(entry.timestamp);
+                return (since === null || time >= since) && (until === null || time <= until);
+            })
+            .reverse();
+
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            entries: matches.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Cerrar el archivo esperando a que se escriban los eventos pendientes
+     */
+    close() {
+        return new Promise((resolve) => {
+            if (!this.stream) {
+                resolve();
+                return;
+            }
+            this.stream.end(resolve);
+            this.stream = null;
+        });
+    }
+}
+
+/**
+ * Comprobar un evento contra los filtros de nivel, categoría y sesión
+ */
+function matchesFilter(entry, { levels = null, categories = null, sessionId = null }) {
+    return (!levels || levels.includes(entry.level)) &&
+        (!categories || categories.includes(entry.category)) &&
+        (!sessionId || entry.sessionId === sessionId);
+}
+
+function parseList(value, name, allowed = null) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+    const invalid = allowed ? list.filter((item) => !allowed.includes(item)) : [];
+    if (invalid.length > 0) {
+        throw new CommandError(`"${name}" no válido: ${invalid.join(', ')} (use ${allowed.join(', ')})`);
+    }
+    return list.length > 0 ? list : null;
+}
+
+function parseTime(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new CommandError(`"${name}" debe ser una fecha ISO o milisegundos desde 1970`);
+    }
+    return time;
+}
+
+function parseInteger(value, name, { min, max, fallback }) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new CommandError(`"${name}" debe ser un entero entre ${min} y ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Validar los filtros de una consulta (level=warning,error&since=...&limit=50...)
+ */
+function parseQuery(params = {}) {
+    return {
+        levels: parseList(params.level, 'level', LEVELS),
+        categories: parseList(params.category, 'category'),
+        sessionId: params.session ? String(params.session) : null,
+        since: parseTime(params.since, 'since'),
+        until: parseTime(params.until, 'until'),
+        offset: parseInteger(params.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 }),
+        limit: parseInteger(params.limit, 'limit', { min: 1, max: MAX_QUERY_LIMIT, fallback: DEFAULT_QUERY_LIMIT })
+    };
+}
+
+module.exports = {
+    EventLog,
+    LEVELS,
+    matchesFilter,
+    parseQuery
+};
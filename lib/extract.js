@@ -0,0 +1,155 @@
+/**
+ * Lectura de datos de la página: título, URL, HTML, texto, enlaces, tablas
+ * y evaluación de expresiones JavaScript
+ */
+
+const { CommandError } = require('./errors');
+const { withElement } = require('./elements');
+
+// Límites de evaluate para que una expresión no bloquee ni inunde el servidor
+const MAX_EXPRESSION_LENGTH = 10000;
+const MAX_RESULT_SIZE = 1024 * 1024;
+const EVALUATE_TIMEOUT = 10000;
+
+// Las lecturas no exigen que el elemento sea visible
+const READ_OPTIONS = { visible: false };
+
+async function getTitle(page) {
+    return page.title();
+}
+
+function getUrl(page) {
+    return page.url();
+}
+
+/**
+ * outerHTML de un elemento, o el HTML completo del documento sin selector
+ */
+async function getHtml(page, selector, options = {}) {
+    if (!selector) {
+        return page.content();
+    }
+    return withElement(page, selector, { ...READ_OPTIONS, ...options },
+        (element) => element.evaluate((node) => node.outerHTML));
+}
+
+/**
+ * innerText de un elemento, o el texto visible de toda la página sin selector
+ */
+async function getText(page, selector, options = {}) {
+    if (!selector) {
+        return page.evaluate(() => document.body ? document.body.innerText : '');
+    }
+    return withElement(page, selector, { ...READ_OPTIONS, ...options },
+        (element) => element.evaluate((node) => node.innerText ?? node.textContent));
+}
+
+/**
+ * Enlaces (texto y URL absoluta) dentro de un elemento o de toda la página
+ */
+async function getLinks(page, selector, options = {}) {
+    const collect = (root) => Array.from(root.querySelectorAll('a[href]')).map((link) => ({
+        text: (link.innerText || link.textContent || '').trim(),
+        href: link.href
+    }));
+
+    return withElement(page, selector || 'html', { ...READ_OPTIONS, ...options }, (element) => element.evaluate(collect));
+}
+
+/**
+ * Filas de una tabla HTML como objetos { cabecera: valor }.
+ * Las cabeceras se toman de <thead> o de una primera fila con <th>;
+ * sin cabeceras las columnas se llaman col1, col2...
+ */
+async function getTable(page, selector, options = {}) {
+    if (!selector) {
+        throw new CommandError('Selector de la tabla requerido');
+    }
+
+    const table = await withElement(page, selector, { ...READ_OPTIONS, ...options }, (element) => element.evaluate((node) => {
+        if (node.tagName !== 'TABLE') {
+            return null;
+        }
+        const cellText = (cell) => (cell.innerText ?? cell.textContent).trim();
+        const rows = Array.from(node.rows);
+
+        let headerRow = node.tHead && node.tHead.rows.length > 0 ? node.tHead.rows[node.tHead.rows.length - 1] : null;
+        if (!headerRow && rows.length > 0 && rows[0].querySelector('th') && !rows[0].querySelector('td')) {
+            headerRow = rows[0];
+        }
+
+        return {
+            headers: headerRow ? Array.from(headerRow.cells).map(cellText) : null,
+            rows: rows
+                .filter((row) => row !== headerRow && !(node.tHead && node.tHead.contains(row)))
+                .map((row) => Array.from(row.cells).map(cellText))
+        };
+    }));
+
+    if (!table) {
+        throw new CommandError(`El elemento ${selector} no es una tabla`, 422);
+    }
+
+    const width = Math.max(table.headers ? table.headers.length : 0, ...table.rows.map((row) => row.length));
+    const keys = uniqueKeys(Array.from({ length: width }, (_, index) =>
+        (table.headers && table.headers[index]) || `col${index + 1}`));
+
+    return table.rows.map((row) => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? null])));
+}
+
+/**
+ * Cabeceras repetidas: "Precio", "Precio_2", ...
+ */
+function uniqueKeys(keys) {
+    const seen = new Map();
+    return keys.map((key) => {
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        return count === 1 ? key : `${key}_${count}`;
+    });
+}
+
+/**
+ * Evaluar una expresión en la página y devolver su valor serializado como JSON
+ */
+async function evaluate(page, expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new CommandError('Expresión requerida');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new CommandError(`La expresión supera el máximo de ${MAX_EXPRESSION_LENGTH} caracteres`);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new CommandError(`La expresión no terminó en ${EVALUATE_TIMEOUT} ms`, 504)), EVALUATE_TIMEOUT);
+    });
+
+    let value;
+    try {
+        value = await Promise.race([page.evaluate(expression), timeout]);
+    } catch (error) {
+        if (error instanceof CommandError) {
+            throw error;
+        }
+        throw new CommandError(`Error evaluando la expresión: ${error.message}`, 422);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const size = JSON.stringify(value === undefined ? null : value).length;
+    if (size > MAX_RESULT_SIZE) {
+        throw new CommandError(`El resultado ocupa ${size} bytes (máximo ${MAX_RESULT_SIZE})`, 413);
+    }
+    return value === undefined ? null : value;
+}
+
+module.exports = {
+    getTitle,
+    getUrl,
+    getHtml,
+    getText,
+    getLinks,
+    getTable,
+    evaluate
+};
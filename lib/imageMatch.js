@@ -0,0 +1,412 @@
+/**
+ * Búsqueda de una imagen de referencia en la pantalla (template matching)
+ *
+ * La coincidencia se mide con correlación cruzada normalizada sobre la imagen en
+ * escala de grises: 1 es idéntica y es insensible a cambios uniformes de brillo.
+ * Para que sea rápida se busca primero en una versión reducida de la captura
+ * (con la plantilla reducida desde cada desfase posible, para no perder
+ * coincidencias que no caen en la rejilla) y después se afinan los mejores
+ * candidatos a tamaño real.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CommandError } = require('./errors');
+const png = require('./png');
+
+// Confianza mínima (0-1) para dar la imagen por encontrada
+const DEFAULT_CONFIDENCE = 0.9;
+// Espera por defecto de WaitForImage y ClickImage
+const DEFAULT_TIMEOUT = 10000;
+const POLL_INTERVAL = 250;
+
+// La búsqueda reducida usa plantillas de al menos 8 píxeles de lado y reduce como mucho 4 veces
+const MIN_COARSE_SIZE = 8;
+const MAX_FACTOR = 4;
+// Candidatos por desfase de la búsqueda reducida que se afinan a tamaño real
+const CANDIDATES = 3;
+// Varianza por píxel por debajo de la cual una zona se considera de un solo color
+const FLAT_VARIANCE = 4;
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+function grayscale({ width, height, data }) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0, j = 0; i < gray.length; i++, j += 4) {
+        gray[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+    }
+    return { width, height, data: gray };
+}
+
+/**
+ * Reducir una imagen en grises promediando bloques de factor x factor píxeles,
+ * empezando en (offsetX, offsetY)
+ */
+function downscale(image, factor, offsetX = 0, offsetY = 0) {
+    const width = Math.floor((image.width - offsetX) / factor);
+    const height = Math.floor((image.height - offsetY) / factor);
+    const data = new Float32Array(width * height);
+    const area = factor * factor;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let dy = 0; dy < factor; dy++) {
+                const row = (offsetY + y * factor + dy) * image.width + offsetX + x * factor;
+                for (let dx = 0; dx < factor; dx++) {
+                    sum += image.data[row + dx];
+                }
+            }
+            data[y * width + x] = sum / area;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Tablas de sumas acumuladas (valores y cuadrados) para calcular la media y la
+ * varianza de cualquier rectángulo en tiempo constante
+ */
+function integralImages({ width, height, data }) {
+    const stride = width + 1;
+    const sum = new Float64Array(stride * (height + 1));
+    const squares = new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        let rowSquares = 0;
+        for (let x = 0; x < width; x++) {
+            const value = data[y * width + x];
+            rowSum += value;
+            rowSquares += value * value;
+            const index = (y + 1) * stride + x + 1;
+            sum[index] = sum[index - stride] + rowSum;
+            squares[index] = squares[index - stride] + rowSquares;
+        }
+    }
+    return { stride, sum, squares };
+}
+
+function boxSum(table, stride, x, y, width, height) {
+    return table[(y + height) * stride + x + width] - table[y * stride + x + width] -
+        table[(y + height) * stride + x] + table[y * stride + x];
+}
+
+/**
+ * Plantilla centrada en su media: la correlación solo necesita su energía (suma de cuadrados)
+ */
+function prepareTemplate(image) {
+    const count = image.width * image.height;
+    let mean = 0;
+    for (const value of image.data) {
+        mean += value;
+    }
+    mean /= count;
+
+    const centered = new Float32Array(count);
+    let energy = 0;
+    for (let i = 0; i < count; i++) {
+        centered[i] = image.data[i] - mean;
+        energy += centered[i] * centered[i];
+    }
+    return { width: image.width, height: image.height, centered, mean, energy };
+}
+
+/**
+ * Correlación normalizada de la plantilla con la zona de la pantalla que empieza en (x, y)
+ */
+function correlation(screen, integral, template, x, y) {
+    const { width, height } = template;
+    const count = width * height;
+    const sum = boxSum(integral.sum, integral.stride, x, y, width, height);
+    const variance = boxSum(integral.squares, integral.stride, x, y, width, height) - (sum * sum) / count;
+
+    // Plantilla de un solo color: basta con que la zona sea lisa y del mismo color medio
+    if (template.energy < FLAT_VARIANCE * count) {
+        return variance < FLAT_VARIANCE * count ? 1 - Math.abs(sum / count - template.mean) / 255 : 0;
+    }
+    if (variance < FLAT_VARIANCE * count) {
+        return 0;
+    }
+
+    let cross = 0;
+    for (let ty = 0; ty < height; ty++) {
+        const row = (y + ty) * screen.width + x;
+        const templateRow = ty * width;
+        for (let tx = 0; tx < width; tx++) {
+            cross += screen.data[row + tx] * template.centered[templateRow + tx];
+        }
+    }
+    return cross / Math.sqrt(variance * template.energy);
+}
+
+/**
+ * Mejores posiciones de una búsqueda completa, separadas entre sí al menos media plantilla
+ */
+function scan(screen, template, count) {
+    const integral = integralImages(screen);
+    const columns = screen.width - template.width + 1;
+    const rows = screen.height - template.height + 1;
+    const scores = new Float32Array(columns * rows);
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < columns; x++) {
+            scores[y * columns + x] = correlation(screen, integral, template, x, y);
+        }
+    }
+
+    const best = [];
+    const radiusX = Math.max(1, template.width >> 1);
+    const radiusY = Math.max(1, template.height >> 1);
+    while (best.length < count) {
+        let index = -1;
+        for (let i = 0; i < scores.length; i++) {
+            if (scores[i] !== -Infinity && (index === -1 || scores[i] > scores[index])) {
+                index = i;
+            }
+        }
+        if (index === -1) {
+            break;
+        }
+
+        const x = index % columns;
+        const y = Math.floor(index / columns);
+        best.push({ x, y, confidence: scores[index] });
+        for (let sy = Math.max(0, y - radiusY); sy <= Math.min(rows - 1, y + radiusY); sy++) {
+            for (let sx = Math.max(0, x - radiusX); sx <= Math.min(columns - 1, x + radiusX); sx++) {
+                scores[sy * columns + sx] = -Infinity;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Buscar la plantilla en la pantalla (imágenes RGBA de png.decode).
+ * Devuelve la mejor coincidencia en píxeles de la imagen: { x, y, width, height, confidence }.
+ */
+function findImage(screen, template) {
+    if (template.width > screen.width || template.height > screen.height) {
+        throw new CommandError(`La imagen (${template.width}x${template.height}) es más grande que la pantalla ` +
+            `(${screen.width}x${screen.height})`, 422);
+    }
+
+    const screenGray = grayscale(screen);
+    const templateGray = grayscale(template);
+    const factor = Math.max(1, Math.min(MAX_FACTOR,
+        Math.floor(Math.min(template.width, template.height) / MIN_COARSE_SIZE)));
+
+    if (factor === 1) {
+        const [best] = scan(screenGray, prepareTemplate(templateGray), 1);
+        return describeMatch(best, template);
+    }
+
+    // Una coincidencia en (x, y) cae en la rejilla reducida si la plantilla se reduce
+    // empezando en el desfase (x mod factor, y mod factor) contado hacia atrás
+    const coarseScreen = downscale(screenGray, factor);
+    const candidates = [];
+    for (let offsetY = 0; offsetY < factor; offsetY++) {
+        for (let offsetX = 0; offsetX < factor; offsetX++) {
+            const coarseTemplate = prepareTemplate(downscale(templateGray, factor, offsetX, offsetY));
+            for (const candidate of scan(coarseScreen, coarseTemplate, CANDIDATES)) {
+                candidates.push({ x: candidate.x * factor - offsetX, y: candidate.y * factor - offsetY });
+            }
+        }
+    }
+
+    // Afinar alrededor de cada candidato a tamaño real
+    const integral = integralImages(screenGray);
+    const prepared = prepareTemplate(templateGray);
+    const maxX = screen.width - template.width;
+    const maxY = screen.height - template.height;
+    let best = null;
+    for (const candidate of candidates) {
+        for (let y = Math.max(0, candidate.y - 1); y <= Math.min(maxY, candidate.y + 1); y++) {
+            for (let x = Math.max(0, candidate.x - 1); x <= Math.min(maxX, candidate.x + 1); x++) {
+                const confidence = correlation(screenGray, integral, prepared, x, y);
+                if (!best || confidence > best.confidence) {
+                    best = { x, y, confidence };
+                }
+            }
+        }
+    }
+    return describeMatch(best, template);
+}
+
+function describeMatch({ x, y, confidence }, template) {
+    return {
+        x,
+        y,
+        width: template.width,
+        height: template.height,
+        confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 1000) / 1000
+    };
+}
+
+function resolveOptions({ timeout, confidence } = {}, defaultTimeout) {
+    if (timeout !== undefined && timeout !== null && (typeof timeout !== 'number' || timeout < 0)) {
+        throw new CommandError('El timeout debe ser un número de milisegundos');
+    }
+    if (confidence !== undefined && confidence !== null &&
+        (typeof confidence !== 'number' || confidence <= 0 || confidence > 1)) {
+        throw new CommandError('"confidence" debe ser un número mayor que 0 y menor o igual que 1');
+    }
+    return {
+        timeout: timeout === undefined || timeout === null ? defaultTimeout : timeout,
+        confidence: confidence === undefined || confidence === null ? DEFAULT_CONFIDENCE : confidence
+    };
+}
+
+/**
+ * Capturar la pantalla y buscar la imagen hasta encontrarla o agotar timeout ms.
+ * Las coordenadas se devuelven en píxeles CSS (las de ClickAt) y incluyen el centro.
+ */
+async function locateImage(page, template, options = {}, defaultTimeout = DEFAULT_TIMEOUT) {
+    const { timeout, confidence } = resolveOptions(options, defaultTimeout);
+    const viewport = page.viewport();
+    const scale = (viewport && viewport.deviceScaleFactor) || 1;
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+        const screen = png.decode(Buffer.from(await page.screenshot({ type: 'png' })));
+        const match = findImage(screen, template);
+
+        if (match.confidence >= confidence || Date.now() >= deadline) {
+            const x = Math.round(match.x / scale);
+            const y = Math.round(match.y / scale);
+            const width = Math.round(match.width / scale);
+            const height = Math.round(match.height / scale);
+            return {
+                found: match.confidence >= confidence,
+                confidence: match.confidence,
+                minConfidence: confidence,
+                x,
+                y,
+                width,
+                height,
+                center: { x: x + Math.round(width / 2), y: y + Math.round(height / 2) }
+            };
+        }
+        await new Promise((resolve) => setTimeout(resolve, Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now()))));
+    }
+}
+
+/**
+ * Esperar a que la imagen aparezca. Lanza CommandError 404 si no aparece a tiempo.
+ */
+async function waitForImage(page, template, options = {}) {
+    const { timeout } = resolveOptions(options, DEFAULT_TIMEOUT);
+    const match = await locateImage(page, template, options);
+    if (!match.found) {
+        const label = template.name ? `La imagen ${template.name}` : 'La imagen';
+        throw new CommandError(`${label} no apareció en pantalla en ${timeout} ms ` +
+            `(mejor coincidencia: ${match.confidence}, mínima: ${match.minConfidence})`, 404);
+    }
+    return match;
+}
+
+/**
+ * Esperar a la imagen y hacer click en su centro
+ */
+async function clickImage(page, template, options = {}) {
+    const match = await waitForImage(page, template, options);
+    await page.mouse.click(match.center.x, match.center.y, {
+        button: options.button || 'left',
+        clickCount: options.clickCount || 1
+    });
+    return match;
+}
+
+/**
+ * Comprobar si la imagen está en pantalla ahora mismo (sin esperar salvo que se indique timeout)
+ */
+function imageExists(page, template, options = {}) {
+    return locateImage(page, template, options, 0);
+}
+
+/**
+ * Imágenes de referencia guardadas como PNG en un directorio (TEMPLATES_DIR)
+ */
+class TemplateStore {
+    /**
+     * @param {object} options
+     * @param {string} options.directory - Directorio de las imágenes de referencia
+     */
+    constructor({ directory }) {
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Leer y decodificar una imagen por nombre ("boton" o "boton.png")
+     */
+    load(name) {
+        const baseName = typeof name === 'string' ? name.replace(/\.png$/i, '') : '';
+        if (!NAME_PATTERN.test(baseName)) {
+            throw new CommandError('El nombre de la imagen solo puede tener letras, números, "_" y "-" (máximo 100)');
+        }
+
+        let content;
+        try {
+            content = fs.readFileSync(path.join(this.directory, `${baseName}.png`));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new CommandError(`Imagen no encontrada: ${baseName}.png`, 404);
+            }
+            throw error;
+        }
+        return { ...decodeTemplate(content, `${baseName}.png`), name: baseName };
+    }
+
+    /**
+     * Imagen de un comando: "template" (nombre en el directorio) o "image" (PNG en base64)
+     */
+    fromCommand(data) {
+        if (typeof data.image === 'string' && data.image) {
+            return decodeTemplate(Buffer.from(data.image, 'base64'), 'La imagen');
+        }
+        if (data.template !== undefined) {
+            return this.load(data.template);
+        }
+        throw new CommandError('Indique la imagen a buscar: "template" (nombre de la imagen) o "image" (PNG en base64)');
+    }
+
+    list() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return names
+            .filter((file) => /\.png$/i.test(file) && NAME_PATTERN.test(file.slice(0, -4)))
+            .map((file) => file.slice(0, -4))
+            .sort();
+    }
+}
+
+function decodeTemplate(content, label) {
+    let image;
+    try {
+        image = png.decode(content);
+    } catch (error) {
+        throw new CommandError(`${label} no es un PNG válido: ${error.message}`);
+    }
+    if (image.width === 0 || image.height === 0) {
+        throw new CommandError(`${label} está vacía`);
+    }
+    return image;
+}
+
+module.exports = {
+    DEFAULT_CONFIDENCE,
+    DEFAULT_TIMEOUT,
+    findImage,
+    locateImage,
+    waitForImage,
+    clickImage,
+    imageExists,
+    TemplateStore
+};
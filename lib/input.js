@@ -0,0 +1,153 @@
+/**
+ * Modelo de entrada de ratón y teclado sobre una página de Puppeteer
+ * (botones, doble click, arrastre, rueda y combinaciones con modificadores)
+ */
+
+const { CommandError } = require('./errors');
+
+const BUTTONS = ['left', 'right', 'middle'];
+
+// Alias aceptados para las teclas modificadoras
+const MODIFIERS = {
+    control: 'Control',
+    ctrl: 'Control',
+    shift: 'Shift',
+    alt: 'Alt',
+    option: 'Alt',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta'
+};
+
+function validateButton(button = 'left') {
+    if (!BUTTONS.includes(button)) {
+        throw new CommandError(`Botón no válido: ${button} (use ${BUTTONS.join(', ')})`);
+    }
+    return button;
+}
+
+function validatePoint(point, name = 'punto') {
+    if (!point || typeof point.x !== 'number' || typeof point.y !== 'number' ||
+        !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        throw new CommandError(`El ${name} debe tener coordenadas x, y numéricas`);
+    }
+    return { x: point.x, y: point.y };
+}
+
+function normalizeModifier(name) {
+    const modifier = MODIFIERS[String(name).toLowerCase()];
+    if (!modifier) {
+        throw new CommandError(`Modificador no válido: ${name} (use Control, Shift, Alt o Meta)`);
+    }
+    return modifier;
+}
+
+/**
+ * Separar una combinación "Control+Shift+T" en modificadores y tecla principal.
+ * "Control++" pulsa la tecla "+" con Control.
+ */
+function parseKeyChord(chord, extraModifiers = []) {
+    if (typeof chord !== 'string' || !chord) {
+        throw new CommandError('Tecla requerida');
+    }
+
+    let key = chord;
+    let modifierNames = [];
+
+    if (chord.length > 1 && chord.includes('+')) {
+        const endsWithPlus = chord.endsWith('++');
+        const parts = (endsWithPlus ? chord.slice(0, -2) : chord).split('+');
+        key = endsWithPlus ? '+' : parts.pop();
+        modifierNames = parts;
+
+        if (!key || modifierNames.some((part) => !part)) {
+            throw new CommandError(`Combinación de teclas no válida: ${chord}`);
+        }
+    }
+
+    const modifiers = [...modifierNames, ...extraModifiers].map(normalizeModifier);
+    return { key, modifiers: Array.from(new Set(modifiers)) };
+}
+
+/**
+ * Pulsar una tecla o combinación, soltando siempre los modificadores
+ */
+async function pressChord(page, chord, extraModifiers = []) {
+    const { key, modifiers } = parseKeyChord(chord, extraModifiers);
+    const pressed = [];
+
+    try {
+        for (const modifier of modifiers) {
+            await page.keyboard.down(modifier);
+            pressed.push(modifier);
+        }
+        await page.keyboard.press(key);
+    } finally {
+        for (const modifier of pressed.reverse()) {
+            await page.keyboard.up(modifier).catch(() => {});
+        }
+    }
+}
+
+async function mouseMove(page, point, { steps = 1 } = {}) {
+    const { x, y } = validatePoint(point);
+    await page.mouse.move(x, y, { steps });
+}
+
+/**
+ * Pulsar o soltar un botón, moviendo antes el ratón si se indican coordenadas
+ */
+async function mouseButton(page, action, { x, y, button } = {}) {
+    const validButton = validateButton(button);
+    if (x !== undefined || y !== undefined) {
+        await mouseMove(page, { x, y });
+    }
+    await page.mouse[action]({ button: validButton });
+}
+
+/**
+ * Arrastrar con el botón pulsado siguiendo una lista de puntos
+ */
+async function drag(page, path, { button, steps = 5 } = {}) {
+    if (!Array.isArray(path) || path.length < 2) {
+        throw new CommandError('El arrastre necesita al menos dos puntos en "path"');
+    }
+
+    const points = path.map((point, index) => validatePoint(point, `punto ${index + 1}`));
+    const validButton = validateButton(button);
+
+    await page.mouse.move(points[0].x, points[0].y);
+    await page.mouse.down({ button: validButton });
+    try {
+        for (const point of points.slice(1)) {
+            await page.mouse.move(point.x, point.y, { steps });
+        }
+    } finally {
+        await page.mouse.up({ button: validButton });
+    }
+}
+
+/**
+ * Girar la rueda del ratón, opcionalmente sobre una posición concreta
+ */
+async function wheel(page, { x, y, deltaX = 0, deltaY = 0 } = {}) {
+    if (typeof deltaX !== 'number' || typeof deltaY !== 'number') {
+        throw new CommandError('deltaX y deltaY deben ser números');
+    }
+    if (x !== undefined || y !== undefined) {
+        await mouseMove(page, { x, y });
+    }
+    await page.mouse.wheel({ deltaX, deltaY });
+}
+
+module.exports = {
+    BUTTONS,
+    validateButton,
+    validatePoint,
+    parseKeyChord,
+    pressChord,
+    mouseMove,
+    mouseButton,
+    drag,
+    wheel
+};
@@ -0,0 +1,274 @@
+/**
+ * Ciclo de vida del navegador compartido
+ *
+ * Estados:
+ *   starting   - primer arranque en curso
+ *   ready      - navegador disponible
+ *   degraded   - disponible, pero alguna verificación de salud ha fallado
+ *   recovering - relanzando el navegador (reintentos con espera exponencial)
+ *   failed     - se agotaron los intentos; solo un init/restart manual lo vuelve a intentar
+ *   stopped    - servidor cerrándose
+ *
+ * Todas las vías de recuperación (desconexión, monitoreo de salud, errores de sesión,
+ * reinicio manual) pasan por recover(), que no lanza una segunda recuperación si ya hay una en curso.
+ */
+
+const { EventEmitter } = require('events');
+const { CommandError } = require('./errors');
+
+const STATES = ['starting', 'ready', 'degraded', 'recovering', 'failed', 'stopped'];
+
+class BrowserLifecycle extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {Function} options.launch - Lanza un navegador nuevo (Promise<Browser>)
+     * @param {number} [options.maxAttempts] - Intentos de arranque antes de pasar a failed
+     * @param {number} [options.baseDelay] - Espera tras el primer intento fallido (ms); se duplica en cada intento
+     * @param {number} [options.maxDelay] - Espera máxima entre intentos (ms)
+     * @param {number} [options.degradedThreshold] - Verificaciones fallidas seguidas que provocan la recuperación
+     * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+     */
+    constructor({ launch, maxAttempts = 5, baseDelay = 1000, maxDelay = 30000, degradedThreshold = 2, now = () => Date.now() }) {
+        super();
+        this.launch = launch;
+        this.now = now;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.degradedThreshold = degradedThreshold;
+
+        this.state = 'starting';
+        this.attempt = 0;
+        this.browser = null;
+        this.startedAt = null;
+        this.lastError = null;
+        this.healthFailures = 0;
+        this.waiters = [];
+        // Cada recuperación tiene su generación; una más reciente cancela la anterior
+        this.generation = 0;
+        this.running = null;
+        this.retryTimer = null;
+        this.wakeRetry = null;
+    }
+
+    isReady() {
+        return Boolean(this.browser) && (this.state === 'ready' || this.state === 'degraded');
+    }
+
+    /**
+     * Primer arranque
+     */
+    start() {
+        return this._run('start', 'starting');
+    }
+
+    /**
+     * Relanzar el navegador. Si ya hay un arranque o una recuperación en curso se espera a esa.
+     * Devuelve true si el navegador queda listo.
+     */
+    recover(reason) {
+        if (this.running) {
+            return this.running;
+        }
+        return this._run(reason, 'recovering');
+    }
+
+    /**
+     * Resultado de una verificación de salud
+     */
+    reportHealth(healthy, detail = null) {
+        if (!this.isReady()) {
+            return;
+        }
+
+        if (healthy) {
+            this.healthFailures = 0;
+            if (this.state === 'degraded') {
+                this._setState('ready', { reason: 'health' });
+            }
+            return;
+        }
+
+        this.healthFailures++;
+        if (this.healthFailures >= this.degradedThreshold) {
+            this.recover('watchdog');
+        } else {
+            this._setState('degraded', { reason: 'health', error: detail });
+        }
+    }
+
+    /**
+     * Esperar a que el navegador esté disponible (cola de comandos durante la recuperación).
+     * Con timeout 0 se rechaza de inmediato si no lo está.
+     */
+    whenReady(timeout) {
+        if (this.isReady()) {
+            return Promise.resolve(this.browser);
+        }
+        if (this.state === 'failed' || this.state === 'stopped' || timeout === 0) {
+            return Promise.reject(this._unavailableError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter((item) => item !== waiter);
+                reject(new CommandError(`El navegador no estuvo disponible en ${timeout} ms (estado: ${this.state})`, 503));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Cerrar el navegador sin recuperarlo (cierre del servidor)
+     */
+    async stop() {
+        this.generation++;
+        this._cancelRetry();
+        this._setState('stopped', { reason: 'shutdown' });
+        this._settleWaiters();
+        await this._dispose();
+    }
+
+    toJSON() {
+        return {
+            state: this.state,
+            attempt: this.attempt || 0,
+            maxAttempts: this.maxAttempts,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+
+    _run(reason, initialState) {
+        const generation = ++this.generation;
+        this._cancelRetry();
+
+        this.running = this._attempts(reason, initialState, generation).finally(() => {
+            if (this.generation === generation) {
+                this.running = null;
+            }
+        });
+        return this.running;
+    }
+
+    async _attempts(reason, initialState, generation) {
+        this.attempt = 0;
+        this._setState(initialState, { reason });
+        await this._dispose();
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            if (generation !== this.generation) {
+                return false;
+            }
+            this.attempt = attempt;
+
+            try {
+                const browser = await this.launch();
+                if (generation !== this.generation) {
+                    // Otra recuperación (o el cierre) empezó mientras se lanzaba
+                    await browser.close().catch(() => {});
+                    return false;
+                }
+
+                this._adopt(browser);
+                this.lastError = null;
+                this.healthFailures = 0;
+                this._setState('ready', { reason, attempt, restarted: initialState !== 'starting' });
+                this.attempt = 0;
+                this._settleWaiters();
+                return true;
+            } catch (error) {
+                this.lastError = error.message;
+                if (attempt === this.maxAttempts) {
+                    break;
+                }
+
+                const delay = Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+                this._setState(this.state, { reason, attempt, error: error.message, nextRetryIn: delay });
+                await new Promise((resolve) => {
+                    this.retryTimer = setTimeout(resolve, delay);
+                    this.wakeRetry = resolve;
+                });
+            }
+        }
+
+        if (generation !== this.generation) {
+            return false;
+        }
+        this._setState('failed', { reason, attempt: this.attempt, error: this.lastError });
+        this._settleWaiters();
+        return false;
+    }
+
+    _adopt(browser) {
+        this.browser = browser;
+        this.startedAt = this.now();
+        browser.once('disconnected', () => {
+            // Los cierres propios (_dispose) ya han soltado la referencia y no provocan recuperación
+            if (this.browser === browser) {
+                this.browser = null;
+                this.startedAt = null;
+                this.emit('lost', browser);
+                this.recover('disconnect');
+            }
+        });
+    }
+
+    async _dispose() {
+        const browser = this.browser;
+        this.browser = null;
+        this.startedAt = null;
+        if (browser) {
+            this.emit('lost', browser);
+            await browser.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Despertar la espera entre intentos para que el bucle anterior vea que se ha cancelado
+     */
+    _cancelRetry() {
+        clearTimeout(this.retryTimer);
+        if (this.wakeRetry) {
+            this.wakeRetry();
+            this.wakeRetry = null;
+        }
+    }
+
+    _setState(state, details = {}) {
+        const previous = this.state;
+        this.state = state;
+        this.emit('state', {
+            state,
+            previous,
+            maxAttempts: this.maxAttempts,
+            ...details
+        });
+    }
+
+    _unavailableError() {
+        if (this.state === 'failed') {
+            return new CommandError(`Navegador no disponible: la recuperación falló tras ${this.maxAttempts} intentos (${this.lastError})`, 503);
+        }
+        return new CommandError(`Navegador no disponible (estado: ${this.state})`, 503);
+    }
+
+    _settleWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            if (this.isReady()) {
+                waiter.resolve(this.browser);
+            } else {
+                waiter.reject(this._unavailableError());
+            }
+        }
+    }
+}
+
+module.exports = {
+    BrowserLifecycle,
+    STATES
+};
@@ -0,0 +1,56 @@
+/**
+ * Logger simple compartido por el servidor y sus módulos
+ * Además de imprimir en consola, cada mensaje se envía al registro de eventos
+ * de su logger (si tiene uno) con el contexto opcional { category, sessionId, data }.
+ * Cada instancia del servidor crea su propio logger con createLogger; los módulos
+ * que no reciben uno usan log, que solo imprime.
+ */
+
+let output = (line) => console.log(line);
+
+/**
+ * Crear un logger que envía también cada mensaje a sink (p. ej. EventLog#record)
+ */
+function createLogger({ sink = null } = {}) {
+    const write = (level, prefix, msg, context = {}) => {
+        if (output) {
+            output(`${prefix}${msg}`);
+        }
+        if (sink) {
+            sink({ ...context, level, message: msg });
+        }
+    };
+
+    return {
+        info: (msg, context) => write('info', 'ℹ️  ', msg, context),
+        success: (msg, context) => write('success', '✅ ', msg, context),
+        warning: (msg, context) => write('warning', '⚠️  ', msg, context),
+        error: (msg, context) => write('error', '❌ ', msg, context)
+    };
+}
+
+const log = createLogger();
+
+/**
+ * Imprimir una línea sin enviarla al registro de eventos
+ * (para los fallos del propio registro)
+ */
+function print(line) {
+    if (output) {
+        output(line);
+    }
+}
+
+/**
+ * Cambiar dónde se imprimen los mensajes (null = no imprimir, p. ej. en las pruebas)
+ */
+function setLogOutput(fn) {
+    output = fn;
+}
+
+module.exports = {
+    log,
+    createLogger,
+    print,
+    setLogOutput
+};
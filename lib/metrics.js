@@ -0,0 +1,244 @@
+/**
+ * Métricas en formato de texto de Prometheus
+ * Contadores, gauges e histogramas con etiquetas, sin dependencias externas.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Base de las métricas: valores por combinación de etiquetas
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    _key(labels = {}) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Etiqueta desconocida en ${this.name}: ${name}`);
+            }
+        }
+        return JSON.stringify(this.labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+    }
+
+    _labels(key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+        // Sin etiquetas la serie existe desde el principio (0), útil para las alertas
+        if (this.labelNames.length === 0) {
+            this.inc({}, 0);
+        }
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this._key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    get(labels = {}) {
+        return this.values.get(this._key(labels)) || 0;
+    }
+
+    lines() {
+        return Array.from(this.values, ([key, value]) => `${this.name}${formatLabels(this._labels(key))} ${formatValue(value)}`);
+    }
+}
+
+/**
+ * Gauge: se fija con set() o se calcula al exportar con collect()
+ */
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.values.set(this._key(labels), value);
+    }
+
+    async lines() {
+        if (this.collect) {
+            this.values.clear();
+            await this.collect(this);
+        }
+        return Array.from(this.values, ([key, value]) => `${this.name}${formatLabels(this._labels(key))} ${formatValue(value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this._key(labels);
+        let data = this.values.get(key);
+        if (!data) {
+            data = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, data);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                data.counts[index]++;
+            }
+        });
+        data.sum += value;
+        data.count++;
+    }
+
+    /**
+     * Medir la duración (en segundos) de una función asíncrona
+     */
+    async time(labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    lines() {
+        const lines = [];
+        for (const [key, data] of this.values) {
+            const labels = this._labels(key);
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${data.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${data.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(data.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${data.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Conjunto de métricas que se exportan juntas en /metrics
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Métrica duplicada: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = [], collect = null) {
+        return this._register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Texto de exposición de Prometheus (versión 0.0.4)
+     */
+    async render() {
+        const output = [];
+        for (const metric of this.metrics.values()) {
+            const lines = await metric.lines();
+            output.push(...metric.header(), ...lines);
+        }
+        return `${output.join('\n')}\n`;
+    }
+}
+
+/**
+ * Memoria residente (bytes) de un proceso y todos sus descendientes, leída de /proc.
+ * Chromium reparte el trabajo en varios procesos hijos (renderers, GPU...).
+ * Devuelve null fuera de Linux o si el proceso ya no existe.
+ */
+function processTreeMemory(rootPid) {
+    let entries;
+    try {
+        entries = fs.readdirSync('/proc').filter((name) => /^\d+$/.test(name));
+    } catch (error) {
+        return null;
+    }
+
+    const children = new Map();
+    const rss = new Map();
+    for (const pid of entries) {
+        try {
+            const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+            // El nombre del proceso va entre paréntesis y puede contener espacios
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const ppid = Number(fields[1]);
+            if (!children.has(ppid)) {
+                children.set(ppid, []);
+            }
+            children.get(ppid).push(Number(pid));
+            rss.set(Number(pid), Number(fields[21]));
+        } catch (error) {
+            // El proceso terminó mientras se recorría /proc
+        }
+    }
+
+    if (!rss.has(rootPid)) {
+        return null;
+    }
+
+    const pageSize = 4096;
+    let total = 0;
+    const pending = [rootPid];
+    while (pending.length > 0) {
+        const pid = pending.pop();
+        total += (rss.get(pid) || 0) * pageSize;
+        pending.push(...(children.get(pid) || []));
+    }
+    return total;
+}
+
+module.exports = {
+    MetricsRegistry,
+    processTreeMemory
+};
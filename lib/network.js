@@ -0,0 +1,542 @@
+/**
+ * Red de una sesión: reglas de interceptación y grabación del tráfico en HAR
+ *
+ * Reglas (se evalúan en orden sobre cada petición):
+ *   { "action": "block", "url": "*doubleclick.net*" }
+ *   { "action": "block", "resourceTypes": ["image", "font"] }
+ *   { "action": "headers", "url": "staging.example.com", "headers": { "Authorization": "Bearer ..." } }
+ *   { "action": "mock", "url": "/\/api\/users$/", "response": { "status": 200, "fixture": "users.json" } }
+ *
+ * "url" es una expresión regular entre barras (/.../i) o un texto que puede aparecer en
+ * cualquier parte de la URL, con * como comodín. La primera regla block o mock que coincide
+ * decide la respuesta; las reglas headers se acumulan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CommandError } = require('./errors');
+const { version } = require('../package.json');
+
+const RULE_ACTIONS = ['block', 'headers', 'mock'];
+
+const RESOURCE_TYPES = [
+    'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+    'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport',
+    'preflight', 'other'
+];
+
+const MAX_RULES = 200;
+const MAX_HAR_ENTRIES = 5000;
+// Los cuerpos más grandes se omiten del HAR aunque se pida includeContent
+const MAX_HAR_CONTENT = 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif'
+};
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+class SessionNetwork {
+    /**
+     * @param {object} options
+     * @param {string} options.fixturesDir - Directorio de los archivos de las respuestas simuladas
+     */
+    constructor({ fixturesDir }) {
+        this.fixturesDir = fixturesDir;
+        this.rules = [];
+        this.nextRuleId = 1;
+        this.pages = new Set();
+        this.har = null;
+        this.lastHar = null;
+    }
+
+    /**
+     * Aplicar las reglas y la grabación HAR a una pestaña nueva
+     */
+    async attach(page) {
+        this.pages.add(page);
+        page.once('close', () => this.pages.delete(page));
+
+        page.on('request', (request) => {
+            this._recordRequest(request);
+            this._intercept(request);
+        });
+        page.on('requestfinished', (request) => {
+            this._recordFinished(request).catch(() => {});
+        });
+        page.on('requestfailed', (request) => {
+            this._recordFinished(request, request.failure() ? request.failure().errorText : 'desconocido').catch(() => {});
+        });
+
+        if (this.rules.length > 0) {
+            await page.setRequestInterception(true);
+        }
+    }
+
+    /**
+     * Olvidar las pestañas (el contexto de la sesión se cerró o se perdió)
+     */
+    detachAll() {
+        this.pages.clear();
+    }
+
+    listRules() {
+        return this.rules.map(describeRule);
+    }
+
+    /**
+     * Sustituir todas las reglas
+     */
+    async setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new CommandError('"rules" debe ser una lista de reglas');
+        }
+        if (rules.length > MAX_RULES) {
+            throw new CommandError(`Demasiadas reglas (máximo ${MAX_RULES})`);
+        }
+
+        const compiled = rules.map((rule, index) => this._compileRule(rule, `regla ${index + 1}`));
+        compiled.forEach((rule) => {
+            rule.id = String(this.nextRuleId++);
+        });
+        this.rules = compiled;
+        await this._syncInterception();
+        return this.listRules();
+    }
+
+    async addRule(rule) {
+        if (this.rules.length >= MAX_RULES) {
+            throw new CommandError(`Demasiadas reglas (máximo ${MAX_RULES})`);
+        }
+
+        const compiled = this._compileRule(rule, 'regla');
+        compiled.id = String(this.nextRuleId++);
+        this.rules.push(compiled);
+        await this._syncInterception();
+        return describeRule(compiled);
+    }
+
+    async removeRule(id) {
+        const rule = this.rules.find((candidate) => candidate.id === String(id));
+        if (!rule) {
+            throw new CommandError(`Regla no encontrada: ${id}`, 404);
+        }
+        this.rules = this.rules.filter((candidate) => candidate !== rule);
+        await this._syncInterception();
+        return describeRule(rule);
+    }
+
+    /**
+     * Empezar a grabar el tráfico (descarta la grabación anterior)
+     */
+    startHar({ includeContent = false } = {}) {
+        if (this.har) {
+            throw new CommandError('Ya se está grabando el tráfico de la sesión', 409);
+        }
+        if (typeof includeContent !== 'boolean') {
+            throw new CommandError('"includeContent" debe ser true o false');
+        }
+        this.har = {
+            startedAt: Date.now(),
+            includeContent,
+            pending: new Map(),
+            entries: [],
+            dropped: 0
+        };
+        this.lastHar = null;
+    }
+
+    stopHar() {
+        if (!this.har) {
+            throw new CommandError('No se está grabando el tráfico de la sesión', 409);
+        }
+        const har = this.har;
+        har.pending.clear();
+        this.har = null;
+        this.lastHar = har;
+        return { entries: har.entries.length, dropped: har.dropped };
+    }
+
+    isRecordingHar() {
+        return Boolean(this.har);
+    }
+
+    /**
+     * Tráfico grabado en formato HAR 1.2 (grabación en curso o la última terminada)
+     */
+    exportHar() {
+        const har = this.har || this.lastHar;
+        if (!har) {
+            throw new CommandError('No hay tráfico grabado: use start_har primero', 404);
+        }
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'PyRock', version },
+                pages: [],
+                entries: [...har.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+                ...(har.dropped > 0 ? { comment: `${har.dropped} peticiones omitidas (máximo ${MAX_HAR_ENTRIES})` } : {})
+            }
+        };
+    }
+
+    _compileRule(rule, position) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new CommandError(`${capitalize(position)} no válida: debe ser un objeto`);
+        }
+        if (!RULE_ACTIONS.includes(rule.action)) {
+            throw new CommandError(`${capitalize(position)}: "action" debe ser ${RULE_ACTIONS.join(', ')}`);
+        }
+        if (rule.url === undefined && rule.resourceTypes === undefined) {
+            throw new CommandError(`${capitalize(position)}: indique "url", "resourceTypes" o ambos`);
+        }
+
+        const compiled = {
+            action: rule.action,
+            url: null,
+            matcher: null,
+            resourceTypes: null,
+            headers: null,
+            response: null,
+            hits: 0
+        };
+
+        if (rule.url !== undefined) {
+            if (typeof rule.url !== 'string' || !rule.url) {
+                throw new CommandError(`${capitalize(position)}: "url" debe ser un texto`);
+            }
+            compiled.url = rule.url;
+            compiled.matcher = compilePattern(rule.url);
+        }
+
+        if (rule.resourceTypes !== undefined) {
+            const invalid = Array.isArray(rule.resourceTypes)
+                ? rule.resourceTypes.filter((type) => !RESOURCE_TYPES.includes(type))
+                : [rule.resourceTypes];
+            if (invalid.length > 0 || rule.resourceTypes.length === 0) {
+                throw new CommandError(`${capitalize(position)}: "resourceTypes" no válido (use ${RESOURCE_TYPES.join(', ')})`);
+            }
+            compiled.resourceTypes = [...rule.resourceTypes];
+        }
+
+        if (rule.action === 'headers') {
+            compiled.headers = validateHeaders(rule.headers, `${position}: "headers"`);
+            if (Object.keys(compiled.headers).length === 0) {
+                throw new CommandError(`${capitalize(position)}: "headers" no puede estar vacío`);
+            }
+        }
+
+        if (rule.action === 'mock') {
+            compiled.response = this._compileResponse(rule.response || {}, position);
+        }
+
+        return compiled;
+    }
+
+    _compileResponse(response, position) {
+        const status = response.status === undefined ? 200 : response.status;
+        if (!Number.isInteger(status) || status < 100 || status > 599) {
+            throw new CommandError(`${capitalize(position)}: "response.status" debe ser un código HTTP`);
+        }
+        if (response.body !== undefined && response.fixture !== undefined) {
+            throw new CommandError(`${capitalize(position)}: use "response.body" o "response.fixture", no ambos`);
+        }
+        if (response.body !== undefined && typeof response.body !== 'string') {
+            throw new CommandError(`${capitalize(position)}: "response.body" debe ser un texto`);
+        }
+
+        let fixturePath = null;
+        if (response.fixture !== undefined) {
+            fixturePath = this._resolveFixture(response.fixture, position);
+        }
+
+        return {
+            status,
+            headers: validateHeaders(response.headers, `${position}: "response.headers"`),
+            contentType: response.contentType ||
+                (fixturePath && CONTENT_TYPES[path.extname(fixturePath).toLowerCase()]) ||
+                'text/plain; charset=utf-8',
+            body: response.body === undefined ? null : response.body,
+            fixture: response.fixture === undefined ? null : response.fixture,
+            fixturePath
+        };
+    }
+
+    _resolveFixture(name, position) {
+        const root = path.resolve(this.fixturesDir);
+        const filePath = typeof name === 'string' && name ? path.resolve(root, name) : null;
+        if (!filePath || !filePath.startsWith(root + path.sep)) {
+            throw new CommandError(`${capitalize(position)}: "response.fixture" debe ser un archivo dentro del directorio de fixtures`);
+        }
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            throw new CommandError(`${capitalize(position)}: fixture no encontrado: ${name}`, 404);
+        }
+        return filePath;
+    }
+
+    /**
+     * Activar la interceptación solo mientras hay reglas: con ella el navegador no usa su caché
+     */
+    async _syncInterception() {
+        const enabled = this.rules.length > 0;
+        for (const page of this.pages) {
+            if (!page.isClosed()) {
+                await page.setRequestInterception(enabled).catch(() => {});
+            }
+        }
+    }
+
+    async _intercept(request) {
+        const { action } = request.interceptResolutionState();
+        if (action === 'disabled' || action === 'already-handled') {
+            return;
+        }
+
+        const url = request.url();
+        const resourceType = request.resourceType();
+        const matching = this.rules.filter((rule) => ruleMatches(rule, url, resourceType));
+        const decisive = matching.find((rule) => rule.action !== 'headers');
+
+        try {
+            if (decisive && decisive.action === 'block') {
+                decisive.hits++;
+                await request.abort('blockedbyclient');
+                return;
+            }
+            if (decisive && decisive.action === 'mock') {
+                decisive.hits++;
+                await request.respond(await mockResponse(decisive.response));
+                return;
+            }
+
+            const headerRules = matching.filter((rule) => rule.action === 'headers');
+            if (headerRules.length === 0) {
+                await request.continue();
+                return;
+            }
+            headerRules.forEach((rule) => rule.hits++);
+            await request.continue({
+                headers: Object.assign({}, request.headers(), ...headerRules.map((rule) => rule.headers))
+            });
+        } catch (error) {
+            // La petición ya no existe (pestaña cerrada o navegación cancelada)
+        }
+    }
+
+    _recordRequest(request) {
+        if (this.har) {
+            this.har.pending.set(request, Date.now());
+        }
+    }
+
+    async _recordFinished(request, error = null) {
+        const har = this.har;
+        if (!har || !har.pending.has(request)) {
+            return;
+        }
+        const startedAt = har.pending.get(request);
+        har.pending.delete(request);
+
+        if (har.entries.length >= MAX_HAR_ENTRIES) {
+            har.dropped++;
+            return;
+        }
+
+        const response = error ? null : request.response();
+        let content = null;
+        if (response && har.includeContent) {
+            content = await response.buffer().catch(() => null);
+        }
+        har.entries.push(harEntry({ request, response, startedAt, finishedAt: Date.now(), content, error }));
+    }
+}
+
+/**
+ * Expresión regular de un patrón de URL: /regex/flags o texto con * como comodín
+ */
+function compilePattern(pattern) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2]);
+        } catch (error) {
+            throw new CommandError(`Expresión regular no válida: ${pattern}`);
+        }
+    }
+    return new RegExp(pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'));
+}
+
+function ruleMatches(rule, url, resourceType) {
+    return (!rule.matcher || rule.matcher.test(url)) &&
+        (!rule.resourceTypes || rule.resourceTypes.includes(resourceType));
+}
+
+function validateHeaders(headers, name) {
+    if (headers === undefined) {
+        return {};
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new CommandError(`${capitalize(name)} debe ser un objeto { nombre: valor }`);
+    }
+    for (const [header, value] of Object.entries(headers)) {
+        if (!HEADER_NAME.test(header) || typeof value !== 'string') {
+            throw new CommandError(`${capitalize(name)}: cabecera no válida: ${header}`);
+        }
+    }
+    return { ...headers };
+}
+
+async function mockResponse(response) {
+    let body = response.body || '';
+    if (response.fixturePath) {
+        try {
+            body = await fs.promises.readFile(response.fixturePath);
+        } catch (error) {
+            return { status: 500, contentType: 'text/plain; charset=utf-8', body: `Fixture no disponible: ${response.fixture}` };
+        }
+    }
+    return {
+        status: response.status,
+        headers: response.headers,
+        contentType: response.contentType,
+        body
+    };
+}
+
+function describeRule(rule) {
+    const response = rule.response && {
+        status: rule.response.status,
+        headers: rule.response.headers,
+        contentType: rule.response.contentType,
+        ...(rule.response.fixture ? { fixture: rule.response.fixture } : { body: rule.response.body })
+    };
+    return {
+        id: rule.id,
+        action: rule.action,
+        ...(rule.url ? { url: rule.url } : {}),
+        ...(rule.resourceTypes ? { resourceTypes: rule.resourceTypes } : {}),
+        ...(rule.headers ? { headers: rule.headers } : {}),
+        ...(response ? { response } : {}),
+        hits: rule.hits
+    };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function harHeaders(headers) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function harQueryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Duración entre dos marcas de ResourceTiming de CDP (-1 si no aplica)
+ */
+function span(start, end) {
+    return start >= 0 && end >= 0 ? Math.max(0, end - start) : -1;
+}
+
+function harEntry({ request, response, startedAt, finishedAt, content, error }) {
+    const time = finishedAt - startedAt;
+    const postData = request.postData();
+    const requestHeaders = request.headers();
+
+    const entry = {
+        startedDateTime: new Date(startedAt).toISOString(),
+        time,
+        request: {
+            method: request.method(),
+            url: request.url(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: harHeaders(requestHeaders),
+            queryString: harQueryString(request.url()),
+            ...(postData !== undefined ? { postData: { mimeType: requestHeaders['content-type'] || '', text: postData } } : {}),
+            headersSize: -1,
+            bodySize: postData ? Buffer.byteLength(postData) : 0
+        },
+        response: {
+            status: 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _resourceType: request.resourceType()
+    };
+
+    if (error) {
+        entry.response._error = error;
+        return entry;
+    }
+    if (!response) {
+        return entry;
+    }
+
+    const headers = response.headers();
+    const size = content ? content.length : Number(headers['content-length']) || 0;
+    entry.response = {
+        ...entry.response,
+        status: response.status(),
+        statusText: response.statusText(),
+        headers: harHeaders(headers),
+        content: {
+            size,
+            mimeType: headers['content-type'] || 'x-unknown',
+            ...(content && content.length <= MAX_HAR_CONTENT ? { text: content.toString('base64'), encoding: 'base64' } : {}),
+            ...(content && content.length > MAX_HAR_CONTENT ? { comment: 'Contenido omitido por tamaño' } : {})
+        },
+        redirectURL: headers.location || '',
+        bodySize: size
+    };
+
+    const remote = response.remoteAddress();
+    if (remote && remote.ip) {
+        entry.serverIPAddress = remote.ip;
+    }
+
+    const timing = response.timing();
+    if (timing) {
+        entry.timings = {
+            blocked: -1,
+            dns: span(timing.dnsStart, timing.dnsEnd),
+            connect: span(timing.connectStart, timing.connectEnd),
+            ssl: span(timing.sslStart, timing.sslEnd),
+            send: Math.max(0, timing.sendEnd - timing.sendStart),
+            wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+            receive: Math.max(0, time - timing.receiveHeadersEnd)
+        };
+    }
+    return entry;
+}
+
+module.exports = {
+    SessionNetwork,
+    RESOURCE_TYPES,
+    compilePattern
+};
@@ -0,0 +1,196 @@
+/**
+ * Lectura y escritura de PNG sin dependencias externas (zlib de Node)
+ * Suficiente para las capturas de Chromium: 8 bits por canal, sin entrelazado.
+ * Las imágenes se manejan como { width, height, data } con data en RGBA (4 bytes por píxel).
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Canales por tipo de color: 0 gris, 2 RGB, 3 paleta, 4 gris + alfa, 6 RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Decodificar un PNG. Lanza un error si el formato no está soportado.
+ */
+function decode(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < SIGNATURE.length || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+        throw new Error('No es un archivo PNG');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const chunks = [];
+
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) {
+        throw new Error('PNG sin cabecera IHDR');
+    }
+    const channels = CHANNELS[header.colorType];
+    if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+        throw new Error(`PNG no soportado (profundidad ${header.bitDepth}, tipo de color ${header.colorType}, entrelazado ${header.interlace})`);
+    }
+    if (header.colorType === 3 && !palette) {
+        throw new Error('PNG con paleta sin chunk PLTE');
+    }
+
+    const { width, height } = header;
+    const raw = unfilter(zlib.inflateSync(Buffer.concat(chunks)), width, height, channels);
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+        const out = i * 4;
+        switch (header.colorType) {
+            case 0:
+                data[out] = data[out + 1] = data[out + 2] = raw[j];
+                data[out + 3] = 255;
+                break;
+            case 2:
+                data[out] = raw[j];
+                data[out + 1] = raw[j + 1];
+                data[out + 2] = raw[j + 2];
+                data[out + 3] = 255;
+                break;
+            case 3:
+                data[out] = palette[raw[j] * 3];
+                data[out + 1] = palette[raw[j] * 3 + 1];
+                data[out + 2] = palette[raw[j] * 3 + 2];
+                data[out + 3] = transparency && raw[j] < transparency.length ? transparency[raw[j]] : 255;
+                break;
+            case 4:
+                data[out] = data[out + 1] = data[out + 2] = raw[j];
+                data[out + 3] = raw[j + 1];
+                break;
+            default:
+                raw.copy(data, out, j, j + 4);
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Deshacer los filtros por fila de PNG (None, Sub, Up, Average, Paeth)
+ */
+function unfilter(input, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    if (input.length < (stride + 1) * height) {
+        throw new Error('Datos de imagen PNG incompletos');
+    }
+
+    const output = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = input[y * (stride + 1)];
+        const source = y * (stride + 1) + 1;
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bytesPerPixel ? output[row + x - bytesPerPixel] : 0;
+            const up = y > 0 ? output[previous + x] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? output[previous + x - bytesPerPixel] : 0;
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: predictor = paeth(left, up, upLeft); break;
+                default: throw new Error(`Filtro PNG desconocido: ${filter}`);
+            }
+            output[row + x] = (input[source + x] + predictor) & 0xff;
+        }
+    }
+    return output;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Codificar una imagen RGBA como PNG (sin filtros por fila, basta para las imágenes que genera el servidor)
+ */
+function encode({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    decode,
+    encode
+};
@@ -0,0 +1,79 @@
+/**
+ * Perfiles de navegador persistentes en disco
+ * Cada perfil guarda su userDataDir de Chromium y el último estado capturado.
+ *
+ *   profiles/<nombre>/chrome       userDataDir (cookies, historial, caché...)
+ *   profiles/<nombre>/state.json   cookies, localStorage y URL para la restauración automática
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CommandError } = require('./errors');
+
+const PROFILE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+class ProfileStore {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+    }
+
+    validateName(name) {
+        if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+            throw new CommandError('Nombre de perfil no válido: use letras, números, "-" o "_" (máximo 64)');
+        }
+        return name;
+    }
+
+    /**
+     * Directorio de datos de Chromium del perfil (se crea si no existe)
+     */
+    getUserDataDir(name) {
+        const dir = path.join(this.baseDir, this.validateName(name), 'chrome');
+        fs.mkdirSync(dir, { recursive: true });
+        return dir;
+    }
+
+    list() {
+        if (!fs.existsSync(this.baseDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.baseDir, { withFileTypes: true })
+            .filter((entry) => entry.isDirectory() && PROFILE_NAME.test(entry.name))
+            .map((entry) => {
+                const statePath = this._statePath(entry.name);
+                const hasState = fs.existsSync(statePath);
+                return {
+                    name: entry.name,
+                    hasState,
+                    stateSavedAt: hasState ? fs.statSync(statePath).mtime.toISOString() : null
+                };
+            });
+    }
+
+    loadState(name) {
+        const statePath = this._statePath(this.validateName(name));
+        if (!fs.existsSync(statePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    }
+
+    saveState(name, state) {
+        const statePath = this._statePath(this.validateName(name));
+        fs.mkdirSync(path.dirname(statePath), { recursive: true });
+
+        // Escribir en un archivo temporal y renombrar para no dejar JSON a medias si el proceso muere
+        const tempPath = `${statePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tempPath, statePath);
+    }
+
+    _statePath(name) {
+        return path.join(this.baseDir, name, 'state.json');
+    }
+}
+
+module.exports = {
+    ProfileStore
+};
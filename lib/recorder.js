@@ -0,0 +1,235 @@
+/**
+ * Grabación de acciones de un operador para reproducirlas o exportarlas como script
+ */
+
+const { CommandError } = require('./errors');
+
+const RECORDABLE_TYPES = ['click', 'type', 'key', 'navigate'];
+// double_click y right_click se graban como click con su botón y número de clicks
+const CLICK_COMMANDS = ['click', 'double_click', 'right_click'];
+const BUTTONS = ['left', 'right', 'middle'];
+
+/**
+ * Escapar un texto como cadena del lenguaje de scripts ("" = comilla literal,
+ * $${ = ${ literal, para que la reproducción no lo tome por una variable)
+ */
+function quote(text) {
+    return `"${String(text).replace(/"/g, '""').replace(/\$\{/g, () => '$${')}"`;
+}
+
+/**
+ * Validar una grabación recibida de un cliente (formato JSON de Recorder#toJSON)
+ */
+function validateRecording(recording) {
+    if (!recording || typeof recording !== 'object' || !Array.isArray(recording.actions)) {
+        throw new CommandError('Grabación no válida: se esperaba un objeto con la lista "actions"');
+    }
+
+    recording.actions.forEach((action, index) => {
+        const position = `acción ${index + 1}`;
+        if (!RECORDABLE_TYPES.includes(action.type)) {
+            throw new CommandError(`Grabación no válida (${position}): tipo desconocido "${action.type}"`);
+        }
+        if (typeof action.delay !== 'number' || action.delay < 0) {
+            throw new CommandError(`Grabación no válida (${position}): "delay" debe ser un número positivo`);
+        }
+        if (action.type === 'click' && (typeof action.x !== 'number' || typeof action.y !== 'number')) {
+            throw new CommandError(`Grabación no válida (${position}): click requiere x, y numéricos`);
+        }
+        if (action.type === 'click' && action.button !== undefined && !BUTTONS.includes(action.button)) {
+            throw new CommandError(`Grabación no válida (${position}): "button" debe ser ${BUTTONS.join(', ')}`);
+        }
+        if (action.type === 'click' && action.clickCount !== undefined && !(Number.isInteger(action.clickCount) && action.clickCount > 0)) {
+            throw new CommandError(`Grabación no válida (${position}): "clickCount" debe ser un entero positivo`);
+        }
+        if (action.type === 'type' && typeof action.text !== 'string') {
+            throw new CommandError(`Grabación no válida (${position}): type requiere "text"`);
+        }
+        if (action.type === 'key' && typeof action.key !== 'string') {
+            throw new CommandError(`Grabación no válida (${position}): key requiere "key"`);
+        }
+        if (action.type === 'key' && action.modifiers !== undefined &&
+            !(Array.isArray(action.modifiers) && action.modifiers.every((modifier) => typeof modifier === 'string'))) {
+            throw new CommandError(`Grabación no válida (${position}): "modifiers" debe ser una lista de teclas`);
+        }
+        if (action.type === 'navigate' && typeof action.target !== 'string') {
+            throw new CommandError(`Grabación no válida (${position}): navigate requiere "target"`);
+        }
+    });
+
+    return recording;
+}
+
+/**
+ * Sentencias de un click grabado. Los que no tienen sentencia propia (botón central,
+ * triple click...) se reproducen moviendo el ratón y pulsando el botón las veces grabadas.
+ */
+function clickLines({ x, y, button = 'left', clickCount = 1 }) {
+    if (button === 'left' && clickCount === 1) {
+        return [`ClickAt(${x}, ${y})`];
+    }
+    if (button === 'left' && clickCount === 2) {
+        return [`DoubleClickAt(${x}, ${y})`];
+    }
+    if (button === 'right' && clickCount === 1) {
+        return [`RightClickAt(${x}, ${y})`];
+    }
+
+    const lines = [`MouseMove(${x}, ${y})`];
+    for (let i = 0; i < clickCount; i++) {
+        lines.push(`MouseDown(${quote(button)})`, `MouseUp(${quote(button)})`);
+    }
+    return lines;
+}
+
+/**
+ * Convertir una grabación al lenguaje de simple_script.txt.
+ * Antes de cada acción se comprueba la URL en la que se grabó (ExpectUrl),
+ * así la reproducción falla limpiamente si la página no es la misma.
+ */
+function recordingToScript(recording) {
+    validateRecording(recording);
+
+    const lines = [`# Grabación de PyRock - ${recording.startedAt || new Date().toISOString()}`];
+    let expectedUrl = null;
+
+    for (const action of recording.actions) {
+        const delay = Math.round(action.delay);
+        if (delay > 0) {
+            lines.push(`Sleep(${delay})`);
+        }
+
+        if (action.url && action.url !== expectedUrl) {
+            lines.push(`ExpectUrl(${quote(action.url)})`);
+            expectedUrl = action.url;
+        }
+
+        switch (action.type) {
+            case 'click':
+                lines.push(...clickLines(action));
+                break;
+
+            case 'type':
+                // Una cadena no puede ocupar varias líneas: los saltos se envían como Enter
+                action.text.split(/\r?\n/).forEach((part, index) => {
+                    if (index > 0) {
+                        lines.push('Key("Enter")');
+                    }
+                    if (part) {
+                        lines.push(`Send(${quote(part)})`);
+                    }
+                });
+                break;
+
+            case 'key':
+                // Las combinaciones se escriben como Key("Control+T")
+                lines.push(`Key(${quote([...(action.modifiers || []), action.key].join('+'))})`);
+                break;
+
+            case 'navigate':
+                lines.push(`Navigate(${quote(action.target)})`);
+                break;
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Grabador de las acciones con éxito de una sesión y del tiempo entre ellas
+ */
+class Recorder {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+     */
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.recording = null;
+        this.active = false;
+        this._lastActionAt = 0;
+    }
+
+    isRecording() {
+        return this.active;
+    }
+
+    start(startUrl) {
+        const startedAt = this.now();
+        this.recording = {
+            version: 1,
+            startedAt: new Date(startedAt).toISOString(),
+            stoppedAt: null,
+            startUrl: startUrl || null,
+            actions: []
+        };
+        this.active = true;
+        this._lastActionAt = startedAt;
+    }
+
+    stop() {
+        if (!this.active) {
+            return false;
+        }
+        this.active = false;
+        this.recording.stoppedAt = new Date(this.now()).toISOString();
+        return true;
+    }
+
+    /**
+     * Añadir un comando ejecutado con éxito, con la URL de la página
+     * en el momento de ejecutarlo
+     */
+    record(command, url) {
+        const isClick = CLICK_COMMANDS.includes(command.type);
+        if (!this.active || (!isClick && !RECORDABLE_TYPES.includes(command.type))) {
+            return;
+        }
+
+        const action = { type: isClick ? 'click' : command.type };
+        switch (action.type) {
+            case 'click':
+                action.x = command.x;
+                action.y = command.y;
+                action.button = command.type === 'right_click' ? 'right' : (command.button || 'left');
+                action.clickCount = command.type === 'double_click' ? 2 : (command.clickCount || 1);
+                break;
+            case 'type':
+                action.text = command.text;
+                break;
+            case 'key':
+                action.key = command.key;
+                if (Array.isArray(command.modifiers) && command.modifiers.length > 0) {
+                    action.modifiers = command.modifiers;
+                }
+                break;
+            case 'navigate':
+                action.target = command.url;
+                break;
+        }
+
+        const now = this.now();
+        action.delay = now - this._lastActionAt;
+        action.url = url || null;
+        this.recording.actions.push(action);
+        this._lastActionAt = now;
+    }
+
+    hasRecording() {
+        return this.recording !== null;
+    }
+
+    toJSON() {
+        return this.recording;
+    }
+
+    toScript() {
+        return recordingToScript(this.recording);
+    }
+}
+
+module.exports = {
+    Recorder,
+    recordingToScript,
+    validateRecording
+};
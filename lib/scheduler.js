@@ -0,0 +1,293 @@
+/**
+ * Planificador de tareas periódicas
+ * Cada tarea ejecuta un script o una lista de comandos sobre una sesión,
+ * según una expresión cron o un intervalo fijo. Las tareas y su historial
+ * se guardan en un archivo JSON para sobrevivir a reinicios del servidor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CommandError } = require('./errors');
+const { parseCron } = require('./cron');
+const { log: sharedLog } = require('./logger');
+const { validateVariables } = require('./script/variables');
+
+const MIN_INTERVAL = 1000;
+
+/**
+ * Validar y normalizar la definición de una tarea recibida por la API
+ */
+function validateJobDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new CommandError('Definición de tarea no válida: se esperaba un objeto');
+    }
+
+    const { name, cron, interval, script, commands, sessionId, variables } = definition;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        throw new CommandError('"name" debe ser un texto no vacío');
+    }
+
+    if ((cron === undefined) === (interval === undefined)) {
+        throw new CommandError('Indique "cron" o "interval" (solo uno de los dos)');
+    }
+    if (cron !== undefined && parseCron(cron).next(Date.now()) === null) {
+        throw new CommandError(`La expresión cron "${cron}" nunca se cumple`);
+    }
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < MIN_INTERVAL)) {
+        throw new CommandError(`"interval" debe ser un número entero de milisegundos (mínimo ${MIN_INTERVAL})`);
+    }
+
+    if ((script === undefined) === (commands === undefined)) {
+        throw new CommandError('Indique "script" o "commands" (solo uno de los dos)');
+    }
+    if (script !== undefined && (typeof script !== 'string' || !script.trim())) {
+        throw new CommandError('"script" debe ser el texto del script');
+    }
+    if (commands !== undefined) {
+        if (!Array.isArray(commands) || commands.length === 0) {
+            throw new CommandError('"commands" debe ser una lista de comandos no vacía');
+        }
+        commands.forEach((command, index) => {
+            if (!command || typeof command !== 'object' || typeof command.type !== 'string') {
+                throw new CommandError(`Comando ${index + 1} no válido: falta "type"`);
+            }
+        });
+    }
+
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !sessionId)) {
+        throw new CommandError('"sessionId" debe ser un texto');
+    }
+    if (variables !== undefined && script === undefined) {
+        throw new CommandError('"variables" solo se admite en tareas con "script"');
+    }
+
+    return {
+        name: name ? name.trim() : null,
+        cron: cron === undefined ? null : cron.trim(),
+        interval: interval === undefined ? null : interval,
+        script: script === undefined ? null : script,
+        commands: commands === undefined ? null : commands,
+        variables: validateVariables(variables),
+        sessionId: sessionId || null
+    };
+}
+
+/**
+ * Planificador con protección contra ejecuciones solapadas
+ */
+class JobScheduler {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Archivo JSON donde se guardan tareas e historial
+     * @param {Function} options.runJob - Ejecuta una tarea; devuelve un resumen o lanza un error
+     * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+     * @param {number} [options.historyLimit] - Ejecuciones guardadas por tarea
+     * @param {number} [options.tickInterval] - Cada cuánto se comprueban las tareas pendientes
+     * @param {object} [options.log] - Logger de la instancia del servidor (ver createLogger)
+     */
+    constructor({ filePath, runJob, now = () => Date.now(), historyLimit = 50, tickInterval = 1000, log = sharedLog }) {
+        this.filePath = filePath;
+        this.runJob = runJob;
+        this.now = now;
+        this.historyLimit = historyLimit;
+        this.tickInterval = tickInterval;
+        this.log = log;
+        this.jobs = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Cargar las tareas guardadas. Las ejecuciones que estaban en curso
+     * cuando se detuvo el servidor quedan marcadas como interrumpidas.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`No se pudo leer el archivo de tareas ${this.filePath}: ${error.message}`);
+        }
+
+        for (const job of saved.jobs || []) {
+            for (const run of job.history) {
+                if (run.status === 'running') {
+                    run.status = 'interrupted';
+                    run.error = 'El servidor se detuvo durante la ejecución';
+                }
+            }
+            job.running = false;
+            job.nextRunAt = job.paused ? null : this._nextRun(job, this.now());
+            this.jobs.set(job.id, job);
+        }
+
+        this.log.info(`${this.jobs.size} tareas programadas cargadas`);
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this._tick(), this.tickInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    create(definition) {
+        const job = {
+            id: crypto.randomBytes(4).toString('hex'),
+            ...validateJobDefinition(definition),
+            paused: false,
+            running: false,
+            createdAt: new Date(this.now()).toISOString(),
+            nextRunAt: null,
+            history: []
+        };
+        job.nextRunAt = this._nextRun(job, this.now());
+
+        this.jobs.set(job.id, job);
+        this._save();
+        this.log.info(`Tarea ${job.id} creada (${job.cron ? `cron "${job.cron}"` : `cada ${job.interval} ms`})`);
+        return job;
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new CommandError(`Tarea no encontrada: ${id}`, 404);
+        }
+        return job;
+    }
+
+    list() {
+        return Array.from(this.jobs.values());
+    }
+
+    /**
+     * Representación para la API (el historial completo solo si se pide)
+     */
+    describe(job, { history = false } = {}) {
+        const { history: runs, nextRunAt, ...fields } = job;
+        return {
+            ...fields,
+            nextRunAt: nextRunAt === null ? null : new Date(nextRunAt).toISOString(),
+            lastRun: runs[0] || null,
+            ...(history ? { history: runs } : {})
+        };
+    }
+
+    pause(id) {
+        const job = this.get(id);
+        job.paused = true;
+        job.nextRunAt = null;
+        this._save();
+        return job;
+    }
+
+    resume(id) {
+        const job = this.get(id);
+        job.paused = false;
+        job.nextRunAt = this._nextRun(job, this.now());
+        this._save();
+        return job;
+    }
+
+    remove(id) {
+        const job = this.get(id);
+        this.jobs.delete(id);
+        this._save();
+        this.log.info(`Tarea ${id} eliminada`);
+        return job;
+    }
+
+    /**
+     * Ejecutar una tarea fuera de su horario. Devuelve la entrada del historial.
+     */
+    runNow(id) {
+        return this._execute(this.get(id), 'manual');
+    }
+
+    _nextRun(job, after) {
+        return job.cron ? parseCron(job.cron).next(after) : after + job.interval;
+    }
+
+    _tick() {
+        const now = this.now();
+        for (const job of this.jobs.values()) {
+            if (!job.paused && job.nextRunAt !== null && job.nextRunAt <= now) {
+                job.nextRunAt = this._nextRun(job, now);
+                this._execute(job, 'schedule');
+            }
+        }
+    }
+
+    async _execute(job, trigger) {
+        const run = {
+            startedAt: new Date(this.now()).toISOString(),
+            endedAt: null,
+            trigger,
+            status: 'running',
+            error: null,
+            result: null
+        };
+
+        // Si la ejecución anterior no ha terminado se registra el salto y no se solapa
+        if (job.running) {
+            this.log.warning(`Tarea ${job.id} omitida: la ejecución anterior sigue en curso`, { category: 'job', data: { jobId: job.id } });
+            const skipped = { ...run, endedAt: run.startedAt, status: 'skipped', error: 'La ejecución anterior sigue en curso' };
+            this._addRun(job, skipped);
+            this._save();
+            return skipped;
+        }
+
+        job.running = true;
+        this._addRun(job, run);
+        this._save();
+
+        try {
+            run.result = await this.runJob(job);
+            run.status = 'success';
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            this.log.error(`Tarea ${job.id} fallida: ${error.message}`, { category: 'job', data: { jobId: job.id } });
+        } finally {
+            run.endedAt = new Date(this.now()).toISOString();
+            job.running = false;
+            this._save();
+        }
+
+        return run;
+    }
+
+    _addRun(job, run) {
+        job.history.unshift(run);
+        job.history.length = Math.min(job.history.length, this.historyLimit);
+    }
+
+    _save() {
+        // Escribir en un archivo temporal y renombrar para no dejar JSON a medias
+        const jobs = this.list().map(({ running, ...job }) => job);
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify({ jobs }, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log.error(`No se pudieron guardar las tareas programadas: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    JobScheduler,
+    validateJobDefinition
+};
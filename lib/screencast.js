@@ -0,0 +1,273 @@
+/**
+ * Transmisión de frames en vivo por WebSocket con el screencast de Chrome (CDP)
+ * Solo captura mientras haya clientes suscritos a la sesión.
+ */
+
+const WebSocket = require('ws');
+const { CommandError } = require('./errors');
+const { log: sharedLog } = require('./logger');
+
+const DEFAULT_OPTIONS = {
+    format: 'jpeg',
+    quality: 60,
+    maxFps: 10,
+    scale: 1
+};
+
+// Bytes pendientes de envío a partir de los cuales un cliente se considera saturado
+const MAX_BUFFERED_BYTES = 512 * 1024;
+// Espera máxima para confirmar un frame mientras todos los clientes están saturados
+const MAX_BACKPRESSURE_WAIT = 1000;
+
+/**
+ * Validar y normalizar las opciones de transmisión enviadas por el cliente
+ */
+function normalizeOptions(options = {}) {
+    const normalized = { ...DEFAULT_OPTIONS };
+
+    if (options.format !== undefined) {
+        if (!['jpeg', 'webp'].includes(options.format)) {
+            throw new CommandError('Formato no válido: use "jpeg" o "webp"');
+        }
+        normalized.format = options.format;
+    }
+
+    if (options.quality !== undefined) {
+        if (!Number.isInteger(options.quality) || options.quality < 1 || options.quality > 100) {
+            throw new CommandError('La calidad debe ser un entero entre 1 y 100');
+        }
+        normalized.quality = options.quality;
+    }
+
+    if (options.maxFps !== undefined) {
+        if (typeof options.maxFps !== 'number' || options.maxFps <= 0 || options.maxFps > 60) {
+            throw new CommandError('maxFps debe estar entre 0 y 60');
+        }
+        normalized.maxFps = options.maxFps;
+    }
+
+    if (options.scale !== undefined) {
+        if (typeof options.scale !== 'number' || options.scale < 0.1 || options.scale > 1) {
+            throw new CommandError('La escala debe estar entre 0.1 y 1');
+        }
+        normalized.scale = options.scale;
+    }
+
+    return normalized;
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Screencast de una sesión. Los frames se envían como mensajes binarios
+ * con la imagen tal cual (JPEG o WebP según las opciones).
+ */
+class Screencast {
+    /**
+     * @param {string} sessionId - Sesión a la que pertenece (solo para logs)
+     * @param {Function} getPage - Devuelve la página actual de la sesión
+     * @param {object} [log] - Logger de la instancia del servidor (ver createLogger)
+     */
+    constructor(sessionId, getPage, log = sharedLog) {
+        this.sessionId = sessionId;
+        this.getPage = getPage;
+        this.log = log;
+        this.options = { ...DEFAULT_OPTIONS };
+        this.subscribers = new Set();
+        this.client = null;
+        this.lastFrame = null;
+        this.lastFrameAt = 0;
+
+        // Se incrementa en cada arranque/parada para descartar capturas de un arranque anterior
+        this._generation = 0;
+    }
+
+    isRunning() {
+        return this.client !== null;
+    }
+
+    /**
+     * Suscribir un cliente. Si cambian las opciones la captura se reinicia con ellas.
+     */
+    async subscribe(ws, options) {
+        const normalized = normalizeOptions(options);
+        const optionsChanged = JSON.stringify(normalized) !== JSON.stringify(this.options);
+
+        this.options = normalized;
+        this.subscribers.add(ws);
+
+        if (!this.isRunning() || optionsChanged) {
+            this.lastFrame = null;
+            try {
+                await this.attach(await this.getPage());
+            } catch (error) {
+                this.subscribers.delete(ws);
+                throw error;
+            }
+        } else if (this.lastFrame) {
+            // La página puede estar estática: enviar el último frame para no esperar a un cambio
+            this._sendFrame(ws, this.lastFrame);
+        }
+
+        this.log.info(`Cliente suscrito a frames de la sesión ${this.sessionId} (${this.subscribers.size} suscriptores)`);
+        return this.options;
+    }
+
+    /**
+     * Cancelar la suscripción; sin suscriptores la captura se detiene por completo
+     */
+    async unsubscribe(ws) {
+        if (!this.subscribers.delete(ws)) {
+            return false;
+        }
+
+        if (this.subscribers.size === 0) {
+            await this.stop();
+            this.log.info(`Transmisión de frames detenida en la sesión ${this.sessionId} (sin suscriptores)`);
+        }
+        return true;
+    }
+
+    /**
+     * Empezar a capturar en una página (también tras recrearse la página de la sesión)
+     */
+    async attach(page) {
+        await this.stop();
+
+        if (this.subscribers.size === 0) {
+            return;
+        }
+
+        const generation = ++this._generation;
+        const client = await page.createCDPSession();
+        this.client = client;
+
+        const viewport = page.viewport() || { width: 1280, height: 720 };
+        const { format, quality, scale } = this.options;
+
+        if (format === 'jpeg') {
+            client.on('Page.screencastFrame', (frame) => {
+                this._handleScreencastFrame(client, generation, frame);
+            });
+
+            await client.send('Page.startScreencast', {
+                format,
+                quality,
+                maxWidth: Math.round(viewport.width * scale),
+                maxHeight: Math.round(viewport.height * scale)
+            });
+        } else {
+            // El screencast de Chrome solo emite JPEG/PNG: WebP se captura en bucle
+            this._captureLoop(client, generation, {
+                format,
+                quality,
+                clip: { x: 0, y: 0, width: viewport.width, height: viewport.height, scale }
+            });
+        }
+    }
+
+    async stop() {
+        this._generation++;
+        const client = this.client;
+        this.client = null;
+
+        if (client) {
+            try {
+                await client.send('Page.stopScreencast');
+                await client.detach();
+            } catch (error) {
+                // La página ya no existe; no hay nada que detener
+            }
+        }
+    }
+
+    async _handleScreencastFrame(client, generation, frame) {
+        if (generation !== this._generation) {
+            return;
+        }
+
+        this._broadcast(Buffer.from(frame.data, 'base64'));
+
+        // Chrome no envía el siguiente frame hasta recibir el ack: retrasarlo limita los FPS
+        await this._waitForNextFrame();
+
+        if (generation !== this._generation) {
+            return;
+        }
+        try {
+            await client.send('Page.screencastFrameAck', { sessionId: frame.sessionId });
+        } catch (error) {
+            this.log.warning(`Screencast interrumpido en la sesión ${this.sessionId}: ${error.message}`);
+        }
+    }
+
+    async _captureLoop(client, generation, params) {
+        while (generation === this._generation) {
+            try {
+                const { data } = await client.send('Page.captureScreenshot', params);
+                if (generation !== this._generation) {
+                    return;
+                }
+                this._broadcast(Buffer.from(data, 'base64'));
+            } catch (error) {
+                if (generation === this._generation) {
+                    this.log.warning(`Captura de frames interrumpida en la sesión ${this.sessionId}: ${error.message}`);
+                    this.client = null;
+                }
+                return;
+            }
+
+            await this._waitForNextFrame();
+        }
+    }
+
+    /**
+     * Esperar lo que exige maxFps y, además, mientras todos los suscriptores
+     * tengan el buffer lleno (hasta MAX_BACKPRESSURE_WAIT)
+     */
+    async _waitForNextFrame() {
+        const interval = 1000 / this.options.maxFps;
+        await wait(Math.max(0, this.lastFrameAt + interval - Date.now()));
+
+        const start = Date.now();
+        while (this._allCongested() && Date.now() - start < MAX_BACKPRESSURE_WAIT) {
+            await wait(50);
+        }
+    }
+
+    _allCongested() {
+        if (this.subscribers.size === 0) {
+            return false;
+        }
+        for (const ws of this.subscribers) {
+            if (ws.bufferedAmount <= MAX_BUFFERED_BYTES) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _broadcast(buffer) {
+        this.lastFrame = buffer;
+        this.lastFrameAt = Date.now();
+
+        for (const ws of this.subscribers) {
+            this._sendFrame(ws, buffer);
+        }
+    }
+
+    _sendFrame(ws, buffer) {
+        // Descartar el frame para clientes lentos en lugar de acumular memoria
+        if (ws.readyState !== WebSocket.OPEN || ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+            return;
+        }
+        ws.send(buffer, { binary: true });
+    }
+}
+
+module.exports = {
+    Screencast,
+    DEFAULT_OPTIONS
+};
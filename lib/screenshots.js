@@ -0,0 +1,89 @@
+/**
+ * Capturas de pantalla bajo demanda: página completa, un elemento o una región,
+ * en PNG, JPEG o WebP
+ */
+
+const { CommandError } = require('./errors');
+const elements = require('./elements');
+
+const FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+/**
+ * Validar las opciones de captura recibidas del cliente
+ */
+function parseScreenshotOptions(data = {}) {
+    const format = data.format === undefined ? 'png' : data.format;
+    if (!FORMATS[format]) {
+        throw new CommandError(`Formato no válido: ${format} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    if (data.quality !== undefined) {
+        if (format === 'png') {
+            throw new CommandError('"quality" solo se aplica a jpeg y webp');
+        }
+        if (!Number.isInteger(data.quality) || data.quality < 0 || data.quality > 100) {
+            throw new CommandError('"quality" debe ser un entero entre 0 y 100');
+        }
+    }
+
+    const targets = ['fullPage', 'selector', 'clip'].filter((key) => data[key] !== undefined && data[key] !== false);
+    if (targets.length > 1) {
+        throw new CommandError(`Indique solo una de estas opciones: ${targets.join(', ')}`);
+    }
+
+    if (data.fullPage !== undefined && typeof data.fullPage !== 'boolean') {
+        throw new CommandError('"fullPage" debe ser true o false');
+    }
+    if (data.selector !== undefined) {
+        elements.toPuppeteerSelector(data.selector);
+    }
+
+    let clip = null;
+    if (data.clip !== undefined) {
+        clip = data.clip;
+        const valid = clip && typeof clip === 'object' &&
+            ['x', 'y'].every((key) => Number.isFinite(clip[key]) && clip[key] >= 0) &&
+            ['width', 'height'].every((key) => Number.isFinite(clip[key]) && clip[key] > 0);
+        if (!valid) {
+            throw new CommandError('"clip" debe ser { x, y, width, height } con valores positivos');
+        }
+        clip = { x: clip.x, y: clip.y, width: clip.width, height: clip.height };
+    }
+
+    return {
+        format,
+        quality: data.quality,
+        fullPage: data.fullPage === true,
+        selector: data.selector,
+        clip
+    };
+}
+
+/**
+ * Capturar con opciones ya validadas. Devuelve la imagen en un Buffer.
+ */
+async function captureScreenshot(page, { format = 'png', quality, fullPage = false, selector, clip } = {}) {
+    const options = {
+        type: format,
+        ...(quality !== undefined ? { quality } : {})
+    };
+
+    if (selector) {
+        return elements.withElement(page, selector, {}, (element) => element.screenshot(options));
+    }
+    return page.screenshot({
+        ...options,
+        fullPage,
+        ...(clip ? { clip } : {})
+    });
+}
+
+module.exports = {
+    FORMATS,
+    parseScreenshotOptions,
+    captureScreenshot
+};
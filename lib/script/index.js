@@ -0,0 +1,14 @@
+/**
+ * Lenguaje de scripts de PyRock (ClickAt, Sleep, Send, Key, Loop, If, Assert...)
+ */
+
+const { parseScript, ScriptParseError } = require('./parser');
+const { ScriptRunner, ScriptRuntimeError, ScriptAssertionError } = require('./runner');
+
+module.exports = {
+    parseScript,
+    ScriptParseError,
+    ScriptRunner,
+    ScriptRuntimeError,
+    ScriptAssertionError
+};
@@ -0,0 +1,407 @@
+/**
+ * Parser del lenguaje de scripts de PyRock
+ * Formato: ClickAt(x, y), Sleep(ms), Send("texto"), Key("Tecla"), Navigate("url"),
+ * ExpectUrl("url"), ratón y teclado (DoubleClickAt, Drag, Scroll, KeyDown, ...),
+ * acciones por selector (ClickOn("#id"), TypeInto(...), ...),
+ * lectura de datos en variables (GetText("#precio", "precio"), ...),
+ * Set("variable", valor), Loop(n) ... EndLoop(),
+ * If("condición", ...) ... Else() ... EndIf(), WaitUntil(...), Assert(...),
+ * CompareScreenshot("nombre") para la regresión visual,
+ * búsqueda de imágenes en pantalla (WaitForImage("boton"), ClickImage(...), ImageExists(...)),
+ * Include("nombre") para reutilizar otros scripts
+ *
+ * Los textos pueden usar variables guardadas antes: Send("Total: ${precio}").
+ * Para escribir ${ tal cual se duplica el $: Send("echo $${HOME}")
+ *
+ * Los comentarios empiezan por # o // y pueden ocupar una línea entera o ir al
+ * final de una sentencia; dentro de las cadenas son texto normal.
+ */
+
+/**
+ * Error de análisis con la lista de errores por línea
+ */
+class ScriptParseError extends Error {
+    constructor(errors) {
+        super(errors.map((e) => `Línea ${e.line}: ${e.message}`).join('\n'));
+        this.name = 'ScriptParseError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Comandos reconocidos (clave en minúsculas) y tipos de sus argumentos.
+ * Un tipo terminado en "?" es opcional y solo puede ir al final.
+ * "variable" es el nombre (entre comillas) de la variable donde se guarda un valor
+ * y "value" admite texto o número. Las sentencias con "condition" reciben una
+ * condición (ver CONDITIONS) seguida de sus argumentos y de un extra opcional.
+ */
+const COMMANDS = {
+    clickat: { name: 'ClickAt', args: ['number', 'number'] },
+    sleep: { name: 'Sleep', args: ['number'] },
+    send: { name: 'Send', args: ['string'] },
+    key: { name: 'Key', args: ['string'] },
+    navigate: { name: 'Navigate', args: ['string'] },
+    expecturl: { name: 'ExpectUrl', args: ['string'] },
+    doubleclickat: { name: 'DoubleClickAt', args: ['number', 'number'] },
+    rightclickat: { name: 'RightClickAt', args: ['number', 'number'] },
+    mousemove: { name: 'MouseMove', args: ['number', 'number'] },
+    mousedown: { name: 'MouseDown', args: ['string?'] },
+    mouseup: { name: 'MouseUp', args: ['string?'] },
+    drag: { name: 'Drag', args: ['number', 'number', 'number', 'number'] },
+    scroll: { name: 'Scroll', args: ['number', 'number'] },
+    keydown: { name: 'KeyDown', args: ['string'] },
+    keyup: { name: 'KeyUp', args: ['string'] },
+    clickon: { name: 'ClickOn', args: ['string'] },
+    typeinto: { name: 'TypeInto', args: ['string', 'string'] },
+    selectoption: { name: 'SelectOption', args: ['string', 'string'] },
+    hover: { name: 'Hover', args: ['string'] },
+    scrollintoview: { name: 'ScrollIntoView', args: ['string'] },
+    waitforselector: { name: 'WaitForSelector', args: ['string', 'number?'] },
+    gettitle: { name: 'GetTitle', args: ['variable'] },
+    geturl: { name: 'GetUrl', args: ['variable'] },
+    gettext: { name: 'GetText', args: ['string', 'variable'] },
+    gethtml: { name: 'GetHtml', args: ['string', 'variable'] },
+    getlinks: { name: 'GetLinks', args: ['string', 'variable'] },
+    gettable: { name: 'GetTable', args: ['string', 'variable'] },
+    evaluate: { name: 'Evaluate', args: ['string', 'variable'] },
+    comparescreenshot: { name: 'CompareScreenshot', args: ['string', 'number?'] },
+    waitforimage: { name: 'WaitForImage', args: ['string', 'number?', 'number?'] },
+    clickimage: { name: 'ClickImage', args: ['string', 'number?', 'number?'] },
+    imageexists: { name: 'ImageExists', args: ['string', 'variable'] },
+    set: { name: 'Set', args: ['variable', 'value'] },
+    loop: { name: 'Loop', args: ['number'], opens: 'EndLoop' },
+    endloop: { name: 'EndLoop', args: [], closes: 'Loop' },
+    if: { name: 'If', condition: true, opens: 'EndIf' },
+    else: { name: 'Else', args: [], continues: 'If' },
+    endif: { name: 'EndIf', args: [], closes: 'If' },
+    waituntil: { name: 'WaitUntil', condition: true, extra: 'number' },
+    assert: { name: 'Assert', condition: true, extra: 'string' },
+    include: { name: 'Include', args: ['string'] }
+};
+
+/**
+ * Condiciones de If, WaitUntil y Assert con su número de argumentos.
+ * Se pueden negar con el prefijo "not": If("not exists", "#error")
+ */
+const CONDITIONS = {
+    exists: { args: 1, usage: 'exists", "selector' },
+    url: { args: 1, usage: 'url", "texto o /regex/' },
+    text: { args: 2, usage: 'text", "selector", "texto' },
+    equals: { args: 2, usage: 'equals", "valor", "valor' },
+    image: { args: 1, usage: 'image", "nombre' }
+};
+
+// Profundidad máxima de Include anidados
+const MAX_INCLUDE_DEPTH = 10;
+
+const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Separar la lista de argumentos de una llamada en números y cadenas.
+ * Las cadenas van entre comillas dobles; "" representa una comilla literal
+ * y las barras invertidas se conservan tal cual (rutas de Windows).
+ */
+function parseArguments(source) {
+    const args = [];
+    let i = 0;
+
+    const skipSpaces = () => {
+        while (i < source.length && /\s/.test(source[i])) i++;
+    };
+
+    skipSpaces();
+    if (i >= source.length) {
+        return args;
+    }
+
+    while (i < source.length) {
+        skipSpaces();
+
+        if (source[i] === '"') {
+            let value = '';
+            let closed = false;
+            i++;
+            while (i < source.length) {
+                if (source[i] === '"') {
+                    if (source[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                        continue;
+                    }
+                    closed = true;
+                    i++;
+                    break;
+                }
+                value += source[i++];
+            }
+            if (!closed) {
+                throw new Error('Cadena sin cerrar');
+            }
+            args.push(value);
+        } else {
+            const match = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+            if (!match) {
+                const rest = source.slice(i).split(',')[0].trim();
+                throw new Error(`Argumento no válido: ${rest} (los textos deben ir entre comillas)`);
+            }
+            args.push(Number(match[0]));
+            i += match[0].length;
+        }
+
+        skipSpaces();
+        if (i >= source.length) {
+            break;
+        }
+        if (source[i] !== ',') {
+            throw new Error(`Se esperaba "," y se encontró "${source[i]}"`);
+        }
+        i++;
+        skipSpaces();
+        if (i >= source.length) {
+            throw new Error('Falta un argumento después de ","');
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Quitar el comentario (# o //) del final de una línea, sin tocar los que
+ * están dentro de una cadena: ClickOn("#submit") # enviar -> ClickOn("#submit")
+ */
+function stripComment(text) {
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        // "" dentro de una cadena cierra y vuelve a abrir, así que basta alternar
+        if (text[i] === '"') {
+            inString = !inString;
+        } else if (!inString && (text[i] === '#' || text.startsWith('//', i))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text;
+}
+
+/**
+ * Validar número y tipo de argumentos de un comando
+ */
+function validateArguments(spec, args) {
+    const required = spec.args.filter((type) => !type.endsWith('?')).length;
+    const total = spec.args.length;
+
+    if (args.length < required || args.length > total) {
+        const expected = required === total ? `${total}` : `entre ${required} y ${total}`;
+        throw new Error(`${spec.name} espera ${expected} argumento(s) y recibió ${args.length}`);
+    }
+
+    args.forEach((value, index) => {
+        const type = spec.args[index].replace('?', '');
+        if (type === 'value') {
+            return;
+        }
+        if (type === 'variable') {
+            if (typeof value !== 'string' || !VARIABLE_NAME.test(value)) {
+                throw new Error(`${spec.name}: el argumento ${index + 1} debe ser un nombre de variable entre comillas (letras, números y _)`);
+            }
+            return;
+        }
+
+        const actual = typeof value;
+        if (actual !== type) {
+            const expected = type === 'number' ? 'un número' : 'un texto entre comillas';
+            throw new Error(`${spec.name}: el argumento ${index + 1} debe ser ${expected}`);
+        }
+    });
+
+    if (spec.name === 'Sleep' && args[0] < 0) {
+        throw new Error('Sleep no admite tiempos negativos');
+    }
+
+    if (spec.name === 'Loop' && (!Number.isInteger(args[0]) || args[0] < -1)) {
+        throw new Error('Loop espera un entero mayor o igual que 0, o -1 para repetir sin fin');
+    }
+}
+
+/**
+ * Separar condición, argumentos y extra opcional (timeout de WaitUntil, mensaje de Assert)
+ */
+function parseCondition(spec, args) {
+    const [rawKind, ...rest] = args;
+    if (typeof rawKind !== 'string') {
+        throw new Error(`${spec.name} espera una condición entre comillas: ${Object.keys(CONDITIONS).join(', ')}`);
+    }
+
+    const negate = /^not\s+/i.test(rawKind.trim());
+    const kind = rawKind.trim().replace(/^not\s+/i, '').toLowerCase();
+    const condition = CONDITIONS[kind];
+    if (!condition) {
+        throw new Error(`${spec.name}: condición desconocida "${rawKind}" (use ${Object.keys(CONDITIONS).join(', ')})`);
+    }
+
+    const conditionArgs = rest.slice(0, condition.args);
+    const extras = rest.slice(condition.args);
+    const validArgs = conditionArgs.length === condition.args && conditionArgs.every((value) => typeof value === 'string');
+    const validExtras = extras.length === 0 || (extras.length === 1 && typeof extras[0] === spec.extra);
+
+    if (!validArgs || !validExtras) {
+        const extra = spec.extra === 'number' ? ', timeout' : spec.extra === 'string' ? ', "mensaje"' : '';
+        throw new Error(`Uso: ${spec.name}("${condition.usage}"${extra})`);
+    }
+
+    if (spec.extra === 'number' && extras.length > 0 && extras[0] < 0) {
+        throw new Error(`${spec.name} no admite tiempos negativos`);
+    }
+
+    return { kind, negate, args: conditionArgs, extra: extras[0] };
+}
+
+/**
+ * Analizar un script completo y devolver su árbol de sentencias.
+ * Lanza ScriptParseError con todos los errores encontrados.
+ *
+ * Opciones:
+ *   resolveInclude(nombre) - devuelve el texto del script incluido (sin ella Include no está disponible)
+ *   file - nombre del script que se analiza (para los errores y los pasos de los incluidos)
+ */
+function parseScript(source, options = {}) {
+    return parseProgram(source, { ...options, includeStack: [] });
+}
+
+function parseProgram(source, options) {
+    const { resolveInclude = null, file = null, includeStack } = options;
+    const errors = [];
+    const program = { type: 'Program', body: [] };
+    // Cada bloque abierto guarda la sentencia y la lista donde se añaden las siguientes
+    const stack = [{ node: program, body: program.body }];
+    const lines = String(source).split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+        const line = index + 1;
+        const text = stripComment(rawLine.trim());
+
+        // Líneas vacías y comentarios
+        if (!text) {
+            return;
+        }
+
+        const call = /^([A-Za-z_]\w*)\s*\((.*)\)$/.exec(text);
+        if (!call) {
+            errors.push({ line, message: `Sentencia no válida: ${text}` });
+            return;
+        }
+
+        const spec = COMMANDS[call[1].toLowerCase()];
+        if (!spec) {
+            errors.push({ line, message: `Comando no reconocido: ${call[1]}` });
+            return;
+        }
+
+        let args;
+        let condition = null;
+        try {
+            args = parseArguments(call[2]);
+            if (spec.condition) {
+                condition = parseCondition(spec, args);
+            } else {
+                validateArguments(spec, args);
+            }
+        } catch (error) {
+            errors.push({ line, message: error.message });
+            return;
+        }
+
+        const current = stack[stack.length - 1];
+
+        if (spec.closes) {
+            if (current.node.type !== spec.closes) {
+                errors.push({ line, message: `${spec.name} sin ${spec.closes} correspondiente` });
+                return;
+            }
+            stack.pop();
+            return;
+        }
+
+        if (spec.continues) {
+            if (current.node.type !== spec.continues || current.node.orelse) {
+                errors.push({ line, message: `${spec.name} sin ${spec.continues} correspondiente` });
+                return;
+            }
+            current.node.orelse = [];
+            current.body = current.node.orelse;
+            return;
+        }
+
+        const statement = { type: spec.name, args, line };
+        if (file) {
+            statement.file = file;
+        }
+        if (condition) {
+            statement.condition = condition;
+        }
+
+        if (spec.name === 'Include') {
+            try {
+                statement.body = parseInclude(args[0], options);
+            } catch (error) {
+                errors.push({ line, message: error.message });
+                return;
+            }
+        }
+
+        if (spec.opens) {
+            statement.body = [];
+            current.body.push(statement);
+            stack.push({ node: statement, body: statement.body });
+            return;
+        }
+
+        current.body.push(statement);
+    });
+
+    // Bloques que quedaron abiertos al final del script
+    for (let i = stack.length - 1; i > 0; i--) {
+        const block = stack[i].node;
+        errors.push({ line: block.line, message: `${block.type} sin ${COMMANDS[block.type.toLowerCase()].opens}` });
+    }
+
+    if (errors.length > 0) {
+        errors.sort((a, b) => a.line - b.line);
+        throw new ScriptParseError(errors);
+    }
+
+    return program;
+}
+
+/**
+ * Analizar un script incluido y devolver sus sentencias
+ */
+function parseInclude(name, options) {
+    const { resolveInclude, includeStack } = options;
+
+    if (!resolveInclude) {
+        throw new Error('Include no está disponible en este contexto');
+    }
+    if (includeStack.includes(name)) {
+        throw new Error(`Include circular: ${[...includeStack, name].join(' → ')}`);
+    }
+    if (includeStack.length >= MAX_INCLUDE_DEPTH) {
+        throw new Error(`Demasiados Include anidados (máximo ${MAX_INCLUDE_DEPTH})`);
+    }
+
+    const source = resolveInclude(name);
+    try {
+        return parseProgram(source, { ...options, file: name, includeStack: [...includeStack, name] }).body;
+    } catch (error) {
+        if (error instanceof ScriptParseError) {
+            throw new Error(`Include("${name}"): ${error.errors.map((e) => `línea ${e.line}: ${e.message}`).join('; ')}`);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    parseScript,
+    ScriptParseError,
+    COMMANDS,
+    CONDITIONS
+};
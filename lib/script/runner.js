@@ -0,0 +1,451 @@
+/**
+ * Intérprete de scripts de PyRock
+ * Ejecuta el árbol generado por parseScript sobre las acciones del navegador
+ */
+
+const { EventEmitter } = require('events');
+const { COMMANDS } = require('./parser');
+
+/**
+ * Error de ejecución asociado a una línea del script
+ */
+class ScriptRuntimeError extends Error {
+    constructor(line, message) {
+        super(`Línea ${line}: ${message}`);
+        this.name = 'ScriptRuntimeError';
+        this.line = line;
+    }
+}
+
+/**
+ * Assert no cumplido: se distingue de otros fallos para poder avisar de ello
+ */
+class ScriptAssertionError extends ScriptRuntimeError {
+    constructor(line, message) {
+        super(line, message);
+        this.name = 'ScriptAssertionError';
+        this.assertion = true;
+    }
+}
+
+/**
+ * Acciones del navegador asociadas a cada sentencia.
+ * Cada acción devuelve true/false igual que clickAt, typeText y pressKey,
+ * o lanza un error con el motivo del fallo.
+ */
+const EXECUTORS = {
+    ClickAt: (actions, [x, y]) => actions.clickAt(x, y),
+    Send: (actions, [text]) => actions.typeText(text),
+    Key: (actions, [key]) => actions.pressKey(key),
+    DoubleClickAt: (actions, [x, y]) => actions.doubleClickAt(x, y),
+    RightClickAt: (actions, [x, y]) => actions.rightClickAt(x, y),
+    MouseMove: (actions, [x, y]) => actions.mouseMove(x, y),
+    MouseDown: (actions, [button = 'left']) => actions.mouseDown(button),
+    MouseUp: (actions, [button = 'left']) => actions.mouseUp(button),
+    Drag: (actions, [x1, y1, x2, y2]) => actions.drag([{ x: x1, y: y1 }, { x: x2, y: y2 }]),
+    Scroll: (actions, [deltaX, deltaY]) => actions.wheel(deltaX, deltaY),
+    KeyDown: (actions, [key]) => actions.keyDown(key),
+    KeyUp: (actions, [key]) => actions.keyUp(key),
+    Navigate: async (actions, [url]) => {
+        await actions.navigate(url);
+        return true;
+    },
+    ClickOn: (actions, [selector]) => actions.clickElement(selector),
+    TypeInto: (actions, [selector, text]) => actions.typeIntoElement(selector, text),
+    SelectOption: (actions, [selector, value]) => actions.selectOption(selector, value),
+    Hover: (actions, [selector]) => actions.hoverElement(selector),
+    ScrollIntoView: (actions, [selector]) => actions.scrollIntoView(selector),
+    WaitForSelector: (actions, [selector, timeout]) => actions.waitForElement(selector, timeout),
+    WaitForImage: (actions, [name, timeout, confidence]) => actions.waitForImage(name, timeout, confidence),
+    ClickImage: (actions, [name, timeout, confidence]) => actions.clickImage(name, timeout, confidence),
+    ExpectUrl: async (actions, [expected]) => {
+        const actual = await actions.getUrl();
+        if (stripHash(actual) !== stripHash(expected)) {
+            throw new Error(`la URL actual (${actual}) no coincide con la esperada (${expected})`);
+        }
+        return true;
+    }
+};
+
+/**
+ * Lecturas de la página cuyo resultado se guarda en la variable
+ * indicada en el último argumento
+ */
+const EXTRACTORS = {
+    GetTitle: (actions) => actions.getTitle(),
+    GetUrl: (actions) => actions.getUrl(),
+    GetText: (actions, [selector]) => actions.getText(selector),
+    GetHtml: (actions, [selector]) => actions.getHtml(selector),
+    GetLinks: (actions, [selector]) => actions.getLinks(selector),
+    GetTable: (actions, [selector]) => actions.getTable(selector),
+    Evaluate: (actions, [expression]) => actions.evaluate(expression),
+    ImageExists: (actions, [name]) => actions.imageExists(name)
+};
+
+// ${nombre}, o $${ para escribir ${ sin sustituir
+const VARIABLE_REFERENCE = /\$\$\{|\$\{([A-Za-z_]\w*)\}/g;
+
+// WaitUntil: espera por defecto y frecuencia de comprobación
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const WAIT_POLL_INTERVAL = 250;
+
+/**
+ * Comprobar una URL contra un texto (contiene) o una expresión regular /.../flags
+ */
+function matchesPattern(value, pattern) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (!regex) {
+        return value.includes(pattern);
+    }
+    try {
+        return new RegExp(regex[1], regex[2]).test(value);
+    } catch (error) {
+        throw new Error(`expresión regular no válida: ${pattern}`);
+    }
+}
+
+function describeCondition({ kind, negate, args }) {
+    return `${negate ? 'not ' : ''}${kind}(${args.map((arg) => JSON.stringify(arg)).join(', ')})`;
+}
+
+/**
+ * Comparar URLs sin el fragmento (#...), que no implica una página distinta
+ */
+function stripHash(url) {
+    return String(url || '').split('#')[0];
+}
+
+/**
+ * Ejecución de un script con control de pausa, reanudación y parada.
+ *
+ * Eventos: 'start', 'step', 'variable', 'pause', 'resume', 'finish', 'stop', 'fail'
+ *
+ * Opciones: speed - multiplicador de velocidad de los Sleep (2 = el doble de rápido)
+ *           variables - valores iniciales de las variables del script
+ */
+class ScriptRunner extends EventEmitter {
+    constructor(program, actions, { speed = 1, variables = {} } = {}) {
+        super();
+        this.program = program;
+        this.actions = actions;
+        this.speed = speed;
+        this.variables = new Map(Object.entries(variables));
+        this.state = 'idle';
+        this.steps = 0;
+        this.currentLine = null;
+
+        this._stopRequested = false;
+        this._pauseWaiter = null;
+        this._sleepTimer = null;
+        this._sleepResolve = null;
+    }
+
+    /**
+     * Ejecutar el script completo. Nunca rechaza: el resultado se
+     * comunica con eventos y con el estado final devuelto.
+     */
+    async run() {
+        if (this.state !== 'idle') {
+            throw new Error('El script ya fue ejecutado');
+        }
+
+        this.state = 'running';
+        this.emit('start');
+
+        try {
+            await this._executeBlock(this.program.body);
+
+            if (this._stopRequested) {
+                this.state = 'stopped';
+                this.emit('stop', { line: this.currentLine, steps: this.steps });
+            } else {
+                this.state = 'finished';
+                this.emit('finish', { steps: this.steps });
+            }
+        } catch (error) {
+            this.state = 'failed';
+            this.emit('fail', error);
+        }
+
+        return this.state;
+    }
+
+    pause() {
+        if (this.state !== 'running') {
+            return false;
+        }
+        this.state = 'paused';
+        this._pauseWaiter = createDeferred();
+        this.emit('pause', { line: this.currentLine });
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') {
+            return false;
+        }
+        this.state = 'running';
+        this._releasePause();
+        this.emit('resume', { line: this.currentLine });
+        return true;
+    }
+
+    stop() {
+        if (this.state !== 'running' && this.state !== 'paused') {
+            return false;
+        }
+        this._stopRequested = true;
+        this.state = 'running';
+        this._releasePause();
+
+        // Interrumpir el Sleep en curso para no esperar a que termine
+        if (this._sleepTimer) {
+            clearTimeout(this._sleepTimer);
+            this._sleepTimer = null;
+            this._sleepResolve();
+        }
+        return true;
+    }
+
+    isActive() {
+        return this.state === 'running' || this.state === 'paused';
+    }
+
+    async _executeBlock(statements) {
+        for (const statement of statements) {
+            if (this._pauseWaiter) {
+                await this._pauseWaiter.promise;
+            }
+            if (this._stopRequested) {
+                return;
+            }
+            await this._executeStatement(statement);
+            if (this._stopRequested) {
+                return;
+            }
+        }
+    }
+
+    async _executeStatement(statement) {
+        this.currentLine = statement.line;
+
+        if (statement.type === 'Include') {
+            await this._executeBlock(statement.body);
+            return;
+        }
+
+        if (statement.type === 'Loop') {
+            const count = statement.args[0];
+            for (let iteration = 0; count === -1 || iteration < count; iteration++) {
+                await this._executeBlock(statement.body);
+                if (this._stopRequested) {
+                    return;
+                }
+                // Ceder el event loop para que un Loop(-1) vacío no bloquee el servidor
+                await new Promise((resolve) => setImmediate(resolve));
+            }
+            return;
+        }
+
+        const args = this._resolveArguments(statement);
+
+        this.steps++;
+        this.emit('step', {
+            step: this.steps,
+            line: statement.line,
+            ...(statement.file ? { file: statement.file } : {}),
+            command: statement.type,
+            args
+        });
+
+        if (statement.type === 'Sleep') {
+            await this._sleep(args[0] / this.speed);
+            return;
+        }
+
+        if (statement.type === 'Set') {
+            this._setVariable(args[0], args[1], statement.line);
+            return;
+        }
+
+        if (statement.condition) {
+            await this._executeConditional(statement);
+            return;
+        }
+
+        if (statement.type === 'CompareScreenshot') {
+            await this._compareScreenshot(statement, args);
+            return;
+        }
+
+        const extractor = EXTRACTORS[statement.type];
+        if (extractor) {
+            const name = args[args.length - 1];
+            let value;
+            try {
+                value = await extractor(this.actions, args.slice(0, -1));
+            } catch (error) {
+                throw new ScriptRuntimeError(statement.line, `${statement.type} falló: ${error.message}`);
+            }
+            this._setVariable(name, value, statement.line);
+            return;
+        }
+
+        const executor = EXECUTORS[statement.type];
+        if (!executor) {
+            throw new ScriptRuntimeError(statement.line, `Comando sin implementación: ${statement.type}`);
+        }
+
+        let ok;
+        try {
+            ok = await executor(this.actions, args);
+        } catch (error) {
+            throw new ScriptRuntimeError(statement.line, `${statement.type} falló: ${error.message}`);
+        }
+
+        if (ok === false) {
+            throw new ScriptRuntimeError(statement.line, `${statement.type} falló`);
+        }
+    }
+
+    _setVariable(name, value, line) {
+        this.variables.set(name, value);
+        this.emit('variable', { name, value, line });
+    }
+
+    /**
+     * Sustituir ${nombre} en los argumentos de texto (salvo nombres de variable) por su valor
+     * y $${ por ${
+     */
+    _resolveArguments(statement) {
+        const spec = COMMANDS[statement.type.toLowerCase()];
+        return statement.args.map((value, index) => {
+            const isVariableName = spec.args && spec.args[index] && spec.args[index].startsWith('variable');
+            return typeof value === 'string' && !isVariableName
+                ? this._interpolate(value, statement.line)
+                : value;
+        });
+    }
+
+    _interpolate(text, line) {
+        return text.replace(VARIABLE_REFERENCE, (match, name) => {
+            if (match === '$${') {
+                return '${';
+            }
+            if (!this.variables.has(name)) {
+                throw new ScriptRuntimeError(line, `Variable no definida: ${name}`);
+            }
+            const variable = this.variables.get(name);
+            return typeof variable === 'string' ? variable : JSON.stringify(variable);
+        });
+    }
+
+    /**
+     * If, WaitUntil y Assert
+     */
+    async _executeConditional(statement) {
+        const { line } = statement;
+        const condition = {
+            ...statement.condition,
+            args: statement.condition.args.map((arg) => this._interpolate(arg, line))
+        };
+        const extra = typeof statement.condition.extra === 'string'
+            ? this._interpolate(statement.condition.extra, line)
+            : statement.condition.extra;
+
+        if (statement.type === 'If') {
+            const branch = await this._checkCondition(condition, statement) ? statement.body : statement.orelse;
+            if (branch) {
+                await this._executeBlock(branch);
+            }
+            return;
+        }
+
+        if (statement.type === 'Assert') {
+            if (!(await this._checkCondition(condition, statement))) {
+                throw new ScriptAssertionError(line, extra || `Assert falló: ${describeCondition(condition)}`);
+            }
+            return;
+        }
+
+        // WaitUntil: comprobar periódicamente hasta que se cumpla o se agote el tiempo
+        const timeout = extra === undefined ? DEFAULT_WAIT_TIMEOUT : extra;
+        const deadline = Date.now() + timeout;
+        while (!(await this._checkCondition(condition, statement))) {
+            if (this._stopRequested) {
+                return;
+            }
+            if (Date.now() >= deadline) {
+                throw new ScriptRuntimeError(line, `WaitUntil: ${describeCondition(condition)} no se cumplió en ${timeout} ms`);
+            }
+            await this._sleep(WAIT_POLL_INTERVAL);
+        }
+    }
+
+    /**
+     * CompareScreenshot: una diferencia por encima del umbral falla como un Assert
+     */
+    async _compareScreenshot(statement, [name, threshold]) {
+        let result;
+        try {
+            result = await this.actions.compareScreenshot(name, threshold);
+        } catch (error) {
+            throw new ScriptRuntimeError(statement.line, `${statement.type} falló: ${error.message}`);
+        }
+        if (!result.passed) {
+            throw new ScriptAssertionError(statement.line,
+                `CompareScreenshot falló: ${name} difiere un ${result.mismatch}% de la referencia (máximo ${result.threshold}%)`);
+        }
+    }
+
+    async _checkCondition({ kind, negate, args }, statement) {
+        let result;
+        try {
+            if (kind === 'exists') {
+                result = await this.actions.elementExists(args[0]);
+            } else if (kind === 'url') {
+                result = matchesPattern(await this.actions.getUrl(), args[0]);
+            } else if (kind === 'image') {
+                result = await this.actions.imageExists(args[0]);
+            } else if (kind === 'text') {
+                const text = await this.actions.getElementText(args[0]);
+                result = text !== null && text.includes(args[1]);
+            } else {
+                result = args[0] === args[1];
+            }
+        } catch (error) {
+            throw new ScriptRuntimeError(statement.line, `${statement.type} falló: ${error.message}`);
+        }
+        return negate ? !result : result;
+    }
+
+    _sleep(ms) {
+        return new Promise((resolve) => {
+            this._sleepResolve = resolve;
+            this._sleepTimer = setTimeout(() => {
+                this._sleepTimer = null;
+                resolve();
+            }, ms);
+        });
+    }
+
+    _releasePause() {
+        if (this._pauseWaiter) {
+            const waiter = this._pauseWaiter;
+            this._pauseWaiter = null;
+            waiter.resolve();
+        }
+    }
+}
+
+function createDeferred() {
+    let resolve;
+    const promise = new Promise((res) => { resolve = res; });
+    return { promise, resolve };
+}
+
+module.exports = {
+    ScriptRunner,
+    ScriptRuntimeError,
+    ScriptAssertionError
+};
@@ -0,0 +1,47 @@
+/**
+ * Variables iniciales de los scripts: del entorno (PYROCK_VAR_<NOMBRE>)
+ * y de la petición que lanza el script o de la definición de la tarea
+ */
+
+const { CommandError } = require('../errors');
+
+const ENV_PREFIX = 'PYROCK_VAR_';
+const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Validar un objeto { nombre: valor } con valores de texto, número o booleano
+ */
+function validateVariables(variables) {
+    if (variables === undefined || variables === null) {
+        return {};
+    }
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new CommandError('"variables" debe ser un objeto { nombre: valor }');
+    }
+    for (const [name, value] of Object.entries(variables)) {
+        if (!VARIABLE_NAME.test(name)) {
+            throw new CommandError(`Nombre de variable no válido: ${name}`);
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new CommandError(`La variable ${name} debe ser un texto, un número o un booleano`);
+        }
+    }
+    return { ...variables };
+}
+
+function variablesFromEnv(env = process.env) {
+    const variables = {};
+    for (const [key, value] of Object.entries(env)) {
+        const name = key.slice(ENV_PREFIX.length);
+        if (key.startsWith(ENV_PREFIX) && VARIABLE_NAME.test(name)) {
+            variables[name] = value;
+        }
+    }
+    return variables;
+}
+
+module.exports = {
+    ENV_PREFIX,
+    validateVariables,
+    variablesFromEnv
+};
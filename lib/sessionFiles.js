@@ -0,0 +1,276 @@
+/**
+ * Archivos de una sesión: descargas del navegador y archivos subidos por el cliente
+ *
+ * Cada sesión tiene su directorio (<raíz>/<sessionId>/):
+ *   .partial/   descargas en curso (Chromium las nombra con su guid)
+ *   downloads/  descargas terminadas, con el nombre que sugirió el servidor web
+ *   uploads/    archivos recibidos para asignarlos a un <input type="file">
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { CommandError } = require('./errors');
+
+const DEFAULT_MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+class SessionFiles extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.directory - Directorio propio de la sesión
+     * @param {number} [options.maxUploadSize] - Tamaño máximo de un archivo subido (bytes)
+     */
+    constructor({ directory, maxUploadSize = DEFAULT_MAX_UPLOAD_SIZE }) {
+        super();
+        this.directory = directory;
+        this.maxUploadSize = maxUploadSize;
+        this.partialDir = path.join(directory, '.partial');
+        this.downloadsDir = path.join(directory, 'downloads');
+        this.uploadsDir = path.join(directory, 'uploads');
+        // Descargas en curso por guid de Chromium
+        this.active = new Map();
+        // Sesión CDP de cada pestaña vigilada
+        this.clients = new WeakMap();
+    }
+
+    /**
+     * Enviar las descargas de la pestaña al directorio de la sesión y seguir su progreso.
+     * El comportamiento se fija para todo el contexto, pero los eventos llegan a la sesión CDP
+     * de cada pestaña: las descargas se identifican por guid para no anunciarlas dos veces.
+     * Chromium olvida el comportamiento al cerrarse la pestaña que lo fijó, así que se vuelve
+     * a llamar sobre otra pestaña abierta (reutilizando su sesión CDP).
+     */
+    async watch(page) {
+        await fs.promises.mkdir(this.partialDir, { recursive: true });
+
+        let client = this.clients.get(page);
+        if (!client) {
+            client = await page.createCDPSession();
+            client.on('Browser.downloadWillBegin', (event) => this._onBegin(event));
+            client.on('Browser.downloadProgress', (event) => {
+                this._onProgress(event).catch((error) => this.emit('error', error));
+            });
+            this.clients.set(page, client);
+        }
+
+        await client.send('Browser.setDownloadBehavior', {
+            behavior: 'allowAndName',
+            downloadPath: this.partialDir,
+            eventsEnabled: true,
+            browserContextId: page.browserContext().id
+        });
+    }
+
+    /**
+     * Descargas terminadas (las más recientes primero) y descargas en curso
+     */
+    async list() {
+        let names = [];
+        try {
+            names = await fs.promises.readdir(this.downloadsDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const files = [];
+        for (const name of names) {
+            const stats = await fs.promises.stat(path.join(this.downloadsDir, name)).catch(() => null);
+            if (stats && stats.isFile()) {
+                files.push({ name, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+            }
+        }
+        files.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+
+        return {
+            files,
+            active: Array.from(this.active.values(), describeDownload)
+        };
+    }
+
+    /**
+     * Ruta de una descarga terminada. Lanza CommandError 404 si no existe.
+     */
+    async resolve(name) {
+        if (typeof name !== 'string' || !name || path.basename(name) !== name || name.startsWith('.')) {
+            throw new CommandError(`Nombre de archivo no válido: ${name}`);
+        }
+
+        const filePath = path.join(this.downloadsDir, name);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (!stats || !stats.isFile()) {
+            throw new CommandError(`Descarga no encontrada: ${name}`, 404);
+        }
+        return { name, path: filePath, size: stats.size };
+    }
+
+    async remove(name) {
+        const file = await this.resolve(name);
+        await fs.promises.unlink(file.path);
+        return file;
+    }
+
+    /**
+     * Guardar un archivo recibido del cliente. Devuelve la ruta donde quedó.
+     */
+    async saveUpload(name, content) {
+        if (content.length > this.maxUploadSize) {
+            throw new CommandError(`El archivo supera el tamaño máximo de subida (${this.maxUploadSize} bytes)`, 413);
+        }
+
+        await fs.promises.mkdir(this.uploadsDir, { recursive: true });
+        const filePath = path.join(this.uploadsDir, await uniqueName(this.uploadsDir, sanitizeFileName(name, 'archivo')));
+        await fs.promises.writeFile(filePath, content);
+        return filePath;
+    }
+
+    /**
+     * Borrar todos los archivos de la sesión (al cerrarla)
+     */
+    async destroy() {
+        this.active.clear();
+        await fs.promises.rm(this.directory, { recursive: true, force: true });
+    }
+
+    _onBegin({ guid, url, suggestedFilename }) {
+        if (this.active.has(guid)) {
+            return;
+        }
+
+        const download = {
+            id: guid,
+            url,
+            fileName: sanitizeFileName(suggestedFilename, 'descarga'),
+            state: 'inProgress',
+            receivedBytes: 0,
+            totalBytes: 0,
+            startedAt: Date.now()
+        };
+        this.active.set(guid, download);
+        this.emit('started', describeDownload(download));
+    }
+
+    async _onProgress({ guid, receivedBytes, totalBytes, state }) {
+        const download = this.active.get(guid);
+        if (!download || download.state !== 'inProgress') {
+            return;
+        }
+        download.receivedBytes = receivedBytes;
+        download.totalBytes = totalBytes;
+
+        if (state === 'inProgress') {
+            return;
+        }
+
+        // Otras pestañas reciben el mismo evento: solo la primera lo procesa
+        download.state = state;
+        this.active.delete(guid);
+        const partialPath = path.join(this.partialDir, guid);
+
+        if (state === 'canceled') {
+            await fs.promises.rm(partialPath, { force: true });
+            this.emit('finished', describeDownload(download));
+            return;
+        }
+
+        await fs.promises.mkdir(this.downloadsDir, { recursive: true });
+        download.fileName = await uniqueName(this.downloadsDir, download.fileName);
+        await fs.promises.rename(partialPath, path.join(this.downloadsDir, download.fileName));
+        this.emit('finished', describeDownload(download));
+    }
+}
+
+function describeDownload(download) {
+    return {
+        id: download.id,
+        url: download.url,
+        fileName: download.fileName,
+        state: download.state,
+        receivedBytes: download.receivedBytes,
+        totalBytes: download.totalBytes,
+        startedAt: new Date(download.startedAt).toISOString()
+    };
+}
+
+/**
+ * Nombre de archivo seguro: sin rutas, caracteres de control ni reservados
+ */
+function sanitizeFileName(name, fallback) {
+    const clean = path.basename(String(name || ''))
+        .replace(/[\x00-\x1f<>:"/\\|?*]/g, '_')
+        .replace(/^\.+/, '')
+        .trim()
+        .slice(0, 200);
+    return clean || fallback;
+}
+
+/**
+ * Añadir " (n)" al nombre si ya existe un archivo con ese nombre en el directorio
+ */
+async function uniqueName(directory, name) {
+    const { name: base, ext } = path.parse(name);
+    let candidate = name;
+    for (let index = 1; await exists(path.join(directory, candidate)); index++) {
+        candidate = `${base} (${index})${ext}`;
+    }
+    return candidate;
+}
+
+function exists(filePath) {
+    return fs.promises.access(filePath).then(() => true, () => false);
+}
+
+/**
+ * Borrar los archivos con más de maxAge ms en los directorios de todas las sesiones.
+ * Los directorios que quedan vacíos se borran salvo los de las sesiones abiertas (keep),
+ * cuyo .partial tiene que seguir existiendo para Chromium. Devuelve el número de archivos borrados.
+ */
+async function removeOldFiles(rootDir, maxAge, { keep = [], now = Date.now() } = {}) {
+    let removed = 0;
+
+    const sweep = async (directory, removeEmpty) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return true;
+            }
+            throw error;
+        }
+
+        let empty = true;
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                const removable = removeEmpty && !(directory === rootDir && keep.includes(entry.name));
+                if (await sweep(entryPath, removable) && removable) {
+                    await fs.promises.rmdir(entryPath).catch(() => {});
+                } else {
+                    empty = false;
+                }
+                continue;
+            }
+
+            const stats = await fs.promises.stat(entryPath).catch(() => null);
+            if (stats && now - stats.mtimeMs > maxAge) {
+                await fs.promises.rm(entryPath, { force: true });
+                removed++;
+            } else {
+                empty = false;
+            }
+        }
+        return empty;
+    };
+
+    await sweep(rootDir, true);
+    return removed;
+}
+
+module.exports = {
+    SessionFiles,
+    DEFAULT_MAX_UPLOAD_SIZE,
+    sanitizeFileName,
+    removeOldFiles
+};
@@ -0,0 +1,618 @@
+/**
+ * Sesiones de navegador aisladas
+ * Cada sesión tiene su propio contexto incógnito y su propia página
+ * dentro del único proceso de Chromium del servidor. Las sesiones con un
+ * perfil persistente usan en su lugar un Chromium propio con userDataDir.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { CommandError } = require('./errors');
+const { CommandQueue } = require('./commandQueue');
+const { SessionFiles } = require('./sessionFiles');
+const { SessionNetwork } = require('./network');
+const { log: sharedLog } = require('./logger');
+
+/**
+ * Sesión: contexto y página de un cliente WebSocket o API key
+ */
+class Session {
+    constructor(manager, id, owner, identity = null, counted = true) {
+        this.manager = manager;
+        this.id = id;
+        this.owner = owner;
+        // Nombre del token que la creó: solo él (o un admin) puede usarla.
+        // null en las sesiones del propio servidor (tareas programadas).
+        this.identity = identity;
+        // Si cuenta para el límite de sesiones (las de las tareas programadas no)
+        this.counted = counted;
+        this.context = null;
+        this.page = null;
+        this.browser = null;
+        this.tabs = [];
+        this.followPopups = manager.followPopups;
+        this.clients = 0;
+        this.script = null;
+        this.screencast = null;
+        this.recorder = null;
+        this.profile = null;
+        this.autoRestore = manager.autoRestore;
+        this.lastState = null;
+        // Última URL visitada en la pestaña activa (restoreLastUrl)
+        this.lastUrl = null;
+        // Los comandos de todos los clientes de la sesión se ejecutan de uno en uno
+        this.queue = new CommandQueue({
+            timeout: manager.commandTimeout,
+            onStuck: (entry) => this._onStuckCommand(entry)
+        });
+        // Descargas y archivos subidos, en un directorio propio de la sesión
+        this.files = new SessionFiles({
+            directory: path.join(manager.filesDir, encodeURIComponent(id)),
+            maxUploadSize: manager.maxUploadSize
+        });
+        this.files.on('started', (download) => manager.onDownload(this, 'download_started', download));
+        this.files.on('finished', (download) => manager.onDownload(this, 'download_finished', download));
+        this.files.on('error', (error) => manager.log.warning(`Error procesando una descarga (sesión ${id}): ${error.message}`));
+        // Reglas de interceptación y grabación HAR; se aplican a cada pestaña nueva
+        this.network = new SessionNetwork({ fixturesDir: manager.fixturesDir });
+        this.createdAt = manager.now();
+        this.lastActivity = this.createdAt;
+
+        this._opening = null;
+        this._nextTabId = 1;
+        // Pestañas auxiliares (openHelperPage), que no son pestañas de la sesión
+        this._helperPages = new WeakSet();
+        this._helperOpening = Promise.resolve();
+    }
+
+    /**
+     * Registrar actividad para el control de inactividad
+     */
+    touch() {
+        this.lastActivity = this.manager.now();
+    }
+
+    /**
+     * Indica si la página existe y pertenece al navegador actual
+     */
+    hasPage() {
+        if (!this.page || this.page.isClosed()) {
+            return false;
+        }
+        return this.profile
+            ? this.browser.isConnected()
+            : this.browser === this.manager.getBrowser();
+    }
+
+    /**
+     * Cambiar a un perfil persistente (o volver a incógnito con null).
+     * La página actual se cierra y se recrea en el siguiente uso.
+     */
+    async setProfile(name) {
+        if (name === this.profile) {
+            return;
+        }
+        if (name && this.manager.findByProfile(name)) {
+            throw new CommandError(`El perfil ${name} ya está en uso por otra sesión`, 409);
+        }
+
+        await this._closeContext();
+        this.profile = name;
+    }
+
+    /**
+     * Obtener la página de la sesión, creando contexto y página si hace falta
+     * (primer uso, página cerrada o navegador reiniciado)
+     */
+    async getPage() {
+        if (this.hasPage()) {
+            return this.page;
+        }
+
+        if (!this._opening) {
+            this._opening = this._open().finally(() => {
+                this._opening = null;
+            });
+        }
+        return this._opening;
+    }
+
+    async _open() {
+        await this._closeContext();
+
+        const { browser, context, page } = this.profile
+            ? await this._openProfile()
+            : await this._openIncognito();
+
+        this.browser = browser;
+        this.context = context;
+        this._watchTabs(context);
+
+        const tab = this._registerTab(page);
+        await tab.ready;
+        this.page = page;
+
+        await this.manager.setupPage(page, this);
+        this.manager.log.info(`Página creada para la sesión ${this.id}${this.profile ? ` (perfil ${this.profile})` : ''}`);
+        this.manager.onTabsChanged(this, false);
+        return page;
+    }
+
+    async _openIncognito() {
+        const browser = this.manager.getBrowser();
+        if (!browser) {
+            throw new CommandError('Navegador no disponible', 503);
+        }
+
+        const context = await browser.createIncognitoBrowserContext();
+        const page = await context.newPage();
+        return { browser, context, page };
+    }
+
+    async _openProfile() {
+        const profile = this.profile;
+        const browser = await this.manager.launchProfile(profile);
+
+        browser.on('disconnected', () => {
+            if (this.browser !== browser) {
+                return;
+            }
+            this.manager.log.warning(`Navegador del perfil ${profile} desconectado (sesión ${this.id})`);
+            this.invalidate();
+            this.manager.onProfileDisconnected(this);
+        });
+
+        const context = browser.defaultBrowserContext();
+        const pages = await browser.pages();
+        const page = pages[0] || await browser.newPage();
+        return { browser, context, page };
+    }
+
+    /**
+     * Pestañas abiertas con su título y URL
+     */
+    async listTabs() {
+        return Promise.all(this.tabs.map(async (tab) => ({
+            id: tab.id,
+            url: tab.page.url(),
+            title: await tab.page.title().catch(() => ''),
+            active: tab.page === this.page
+        })));
+    }
+
+    /**
+     * Abrir una pestaña nueva en el contexto de la sesión y activarla
+     */
+    async openTab() {
+        await this.getPage();
+
+        const tab = this._registerTab(await this.context.newPage());
+        await tab.ready;
+        this._activate(tab);
+        return tab;
+    }
+
+    /**
+     * Abrir una pestaña auxiliar en el contexto de la sesión (la de storageState para
+     * otro origen): no se registra como pestaña ni se configura, y quien la abre la cierra
+     */
+    openHelperPage() {
+        const opening = this.context.newPage().then((page) => {
+            this._helperPages.add(page);
+            return page;
+        });
+        this._helperOpening = Promise.all([this._helperOpening, opening.catch(() => {})]);
+        return opening;
+    }
+
+    async switchTab(id) {
+        await this.getPage();
+        this._activate(this._getTab(id));
+    }
+
+    /**
+     * Cerrar una pestaña. La sesión siempre conserva al menos una.
+     */
+    async closeTab(id) {
+        await this.getPage();
+
+        const tab = this._getTab(id);
+        if (this.tabs.length === 1) {
+            throw new CommandError('No se puede cerrar la última pestaña de la sesión', 409);
+        }
+
+        this._removeTab(tab);
+        await tab.page.close().catch((error) => {
+            this.manager.log.warning(`Error cerrando la pestaña ${tab.id} de la sesión ${this.id}: ${error.message}`);
+        });
+    }
+
+    get activeTabId() {
+        const active = this.tabs.find((tab) => tab.page === this.page);
+        return active ? active.id : null;
+    }
+
+    _getTab(id) {
+        const tab = this.tabs.find((candidate) => candidate.id === id);
+        if (!tab) {
+            throw new CommandError(`Pestaña no encontrada: ${id}`, 404);
+        }
+        return tab;
+    }
+
+    /**
+     * Registrar las pestañas que abre la propia página (popups, enlaces target=_blank)
+     */
+    _watchTabs(context) {
+        context.on('targetcreated', async (target) => {
+            if (target.type() !== 'page' || this.context !== context) {
+                return;
+            }
+
+            const page = await target.page().catch(() => null);
+            // Una pestaña auxiliar solo se reconoce cuando termina su newPage()
+            await this._helperOpening;
+            if (!page || this._helperPages.has(page) || this.tabs.some((tab) => tab.page === page)) {
+                return;
+            }
+
+            const tab = this._registerTab(page);
+            await tab.ready;
+            if (!this.tabs.includes(tab)) {
+                return; // Se cerró mientras se configuraba
+            }
+
+            this.manager.log.info(`Nueva pestaña ${tab.id} en la sesión ${this.id}`);
+            if (this.followPopups) {
+                this._activate(tab);
+            } else {
+                this.manager.onTabsChanged(this, false);
+            }
+        });
+    }
+
+    _registerTab(page) {
+        const existing = this.tabs.find((tab) => tab.page === page);
+        if (existing) {
+            return existing;
+        }
+
+        const tab = { id: this._nextTabId++, page, ready: null };
+        tab.ready = Promise.resolve(this.manager.configurePage(page, this)).catch((error) => {
+            this.manager.log.warning(`Error configurando la pestaña ${tab.id} de la sesión ${this.id}: ${error.message}`);
+        });
+        this.tabs.push(tab);
+
+        // La página puede cerrarse sola (window.close) o por closeTab
+        page.once('close', () => this._removeTab(tab));
+        return tab;
+    }
+
+    _removeTab(tab) {
+        const index = this.tabs.indexOf(tab);
+        if (index === -1) {
+            return;
+        }
+        this.tabs.splice(index, 1);
+
+        // Las descargas del contexto dejan de funcionar al cerrarse la pestaña que las activó
+        if (this.tabs.length > 0) {
+            this.files.watch(this.tabs[0].page).catch((error) => {
+                this.manager.log.warning(`No se pudieron reactivar las descargas (sesión ${this.id}): ${error.message}`);
+            });
+        }
+
+        if (this.page !== tab.page) {
+            this.manager.onTabsChanged(this, false);
+        } else if (this.tabs.length > 0) {
+            this._activate(this.tabs[this.tabs.length - 1]);
+        } else {
+            // Sin pestañas: la siguiente operación recrea el contexto
+            this.page = null;
+            this.manager.onTabsChanged(this, true);
+        }
+    }
+
+    _activate(tab) {
+        if (this.page === tab.page) {
+            this.manager.onTabsChanged(this, false);
+            return;
+        }
+
+        this.page = tab.page;
+        tab.page.bringToFront().catch(() => {});
+        this.manager.onTabsChanged(this, true);
+    }
+
+    /**
+     * Descartar contexto y página; se recrean en el siguiente uso
+     */
+    async reset() {
+        await this._closeContext();
+    }
+
+    /**
+     * Un comando abortado no terminó: la página queda en un estado desconocido,
+     * así que se cierra y se recrea en el siguiente uso
+     */
+    _onStuckCommand(entry) {
+        this.manager.log.warning(`El comando ${entry.type || entry.id} de la sesión ${this.id} no terminó tras abortarse - recreando su página...`, { category: 'command', sessionId: this.id });
+        this.reset().catch((error) => {
+            this.manager.log.warning(`Error cerrando la página bloqueada de la sesión ${this.id}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Olvidar contexto y página sin cerrarlos (el navegador ya no existe)
+     */
+    invalidate() {
+        this.browser = null;
+        this.context = null;
+        this.page = null;
+        this.tabs = [];
+        this.network.detachAll();
+    }
+
+    async _closeContext() {
+        const { browser, context } = this;
+        const isCurrentBrowser = browser === this.manager.getBrowser();
+        this.invalidate();
+
+        // El Chromium de un perfil se cierra entero para que escriba su userDataDir
+        if (this.profile && browser) {
+            try {
+                await browser.close();
+            } catch (error) {
+                this.manager.log.warning(`Error cerrando el navegador del perfil ${this.profile}: ${error.message}`);
+            }
+            return;
+        }
+
+        if (context && isCurrentBrowser) {
+            try {
+                await context.close();
+            } catch (error) {
+                this.manager.log.warning(`Error cerrando contexto de la sesión ${this.id}: ${error.message}`);
+            }
+        }
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            owner: this.owner,
+            identity: this.identity,
+            url: this.hasPage() ? this.page.url() : null,
+            tabs: this.tabs.length,
+            clients: this.clients,
+            script: this.script ? this.script.state : null,
+            frameSubscribers: this.screencast ? this.screencast.subscribers.size : 0,
+            recording: Boolean(this.recorder && this.recorder.isRecording()),
+            queueDepth: this.queue.depth,
+            networkRules: this.network.rules.length,
+            recordingHar: this.network.isRecordingHar(),
+            profile: this.profile,
+            autoRestore: this.autoRestore,
+            followPopups: this.followPopups,
+            createdAt: new Date(this.createdAt).toISOString(),
+            lastActivity: new Date(this.lastActivity).toISOString()
+        };
+    }
+}
+
+/**
+ * Registro de sesiones con límite máximo y cierre por inactividad
+ */
+class SessionManager {
+    /**
+     * @param {object} options
+     * @param {Function} options.getBrowser - Devuelve el navegador actual o null
+     * @param {Function} options.configurePage - Configura cada pestaña nueva (viewport, user agent, eventos)
+     * @param {Function} options.setupPage - Prepara la primera pestaña de la sesión (página inicial, transmisión)
+     * @param {Function} [options.onTabsChanged] - Se llama al abrir, cerrar o cambiar de pestaña (session, activeChanged)
+     * @param {Function} options.launchProfile - Lanza un Chromium con el userDataDir del perfil indicado
+     * @param {Function} [options.onProfileDisconnected] - Se llama cuando el Chromium de un perfil se cae
+     * @param {boolean} [options.autoRestore] - Valor inicial de la restauración automática de estado
+     * @param {boolean} [options.followPopups] - Valor inicial de activar automáticamente las pestañas nuevas
+     * @param {number} options.maxSessions - Número máximo de sesiones simultáneas
+     * @param {number} options.idleTimeout - Milisegundos sin actividad antes de cerrar una sesión sin clientes
+     * @param {number} [options.commandTimeout] - Tiempo máximo por defecto de cada comando en cola (ms)
+     * @param {string} options.filesDir - Directorio raíz de descargas y subidas; cada sesión usa un subdirectorio
+     * @param {number} [options.maxUploadSize] - Tamaño máximo de un archivo subido (bytes)
+     * @param {Function} [options.onDownload] - Se llama al empezar y al terminar una descarga (session, type, download)
+     * @param {string} options.fixturesDir - Directorio de los archivos de las respuestas simuladas (reglas mock)
+     * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+     * @param {object} [options.log] - Logger de la instancia del servidor (ver createLogger)
+     */
+    constructor({
+        getBrowser,
+        configurePage,
+        setupPage,
+        launchProfile,
+        onTabsChanged = () => {},
+        onProfileDisconnected = () => {},
+        autoRestore = false,
+        followPopups = false,
+        maxSessions = 5,
+        idleTimeout = 10 * 60 * 1000,
+        commandTimeout = undefined,
+        filesDir,
+        maxUploadSize = undefined,
+        onDownload = () => {},
+        fixturesDir,
+        now = () => Date.now(),
+        log = sharedLog
+    }) {
+        this.getBrowser = getBrowser;
+        this.configurePage = configurePage;
+        this.setupPage = setupPage;
+        this.onTabsChanged = onTabsChanged;
+        this.followPopups = followPopups;
+        this.launchProfile = launchProfile;
+        this.onProfileDisconnected = onProfileDisconnected;
+        this.autoRestore = autoRestore;
+        this.maxSessions = maxSessions;
+        this.idleTimeout = idleTimeout;
+        this.commandTimeout = commandTimeout;
+        this.filesDir = filesDir;
+        this.maxUploadSize = maxUploadSize;
+        this.onDownload = onDownload;
+        this.fixturesDir = fixturesDir;
+        this.now = now;
+        this.log = log;
+        this.sessions = new Map();
+        this.sweepInterval = null;
+    }
+
+    /**
+     * Crear una sesión nueva. Lanza CommandError si se alcanzó el límite.
+     * @param {string} owner - Quién la usa: 'websocket', 'job:<id>', 'apikey:<hash>'...
+     * @param {object} [options]
+     * @param {string} [options.id] - Identificador (aleatorio por defecto)
+     * @param {string} [options.identity] - Nombre del token propietario
+     * @param {boolean} [options.counted] - false si no cuenta para maxSessions
+     */
+    create(owner, { id = crypto.randomBytes(4).toString('hex'), identity = null, counted = true } = {}) {
+        if (this.sessions.has(id)) {
+            throw new CommandError(`La sesión ${id} ya existe`, 409);
+        }
+        if (counted && this.isFull()) {
+            throw new CommandError(`Límite de sesiones alcanzado (${this.maxSessions})`, 503);
+        }
+
+        const session = new Session(this, id, owner, identity, counted);
+        this.sessions.set(id, session);
+        this.log.info(`Sesión ${id} creada (${owner})`);
+        return session;
+    }
+
+    get(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            throw new CommandError(`Sesión no encontrada: ${id}`, 404);
+        }
+        return session;
+    }
+
+    /**
+     * Buscar la sesión de un propietario (API key, sesión por defecto) o crearla
+     */
+    getOrCreate(owner, options) {
+        for (const session of this.sessions.values()) {
+            if (session.owner === owner) {
+                return session;
+            }
+        }
+        return this.create(owner, options);
+    }
+
+    list() {
+        return Array.from(this.sessions.values());
+    }
+
+    isFull() {
+        return this.list().filter((session) => session.counted).length >= this.maxSessions;
+    }
+
+    /**
+     * Cerrar la sesión sin uso de owner que lleve más tiempo inactiva, para dejar
+     * sitio a otra. Devuelve false si no hay ninguna que cerrar.
+     */
+    reclaim(owner) {
+        const [oldest] = this.list()
+            .filter((session) => session.owner === owner && this._isUnused(session))
+            .sort((a, b) => a.lastActivity - b.lastActivity);
+        if (!oldest) {
+            return false;
+        }
+
+        this.log.info(`Sesión ${oldest.id} sin clientes - cerrando para abrir otra...`);
+        // close() la quita del mapa antes de esperar a nada
+        this.close(oldest.id).catch((error) => {
+            this.log.warning(`Error cerrando sesión ${oldest.id}: ${error.message}`);
+        });
+        return true;
+    }
+
+    findByProfile(name) {
+        return this.list().find((session) => session.profile === name) || null;
+    }
+
+    async close(id) {
+        const session = this.get(id);
+        this.sessions.delete(id);
+        session.queue.clear(`Sesión ${id} cerrada`);
+
+        if (session.script && session.script.isActive()) {
+            session.script.stop();
+        }
+        if (session.screencast) {
+            await session.screencast.stop();
+        }
+        await session.reset();
+        await session.files.destroy().catch((error) => {
+            this.log.warning(`No se pudieron borrar los archivos de la sesión ${id}: ${error.message}`);
+        });
+        this.log.info(`Sesión ${id} cerrada`);
+    }
+
+    async closeAll() {
+        for (const id of Array.from(this.sessions.keys())) {
+            await this.close(id);
+        }
+    }
+
+    /**
+     * El navegador compartido se cerró o se reinició: sus páginas dejan de existir.
+     * Las sesiones con perfil tienen su propio Chromium y no se ven afectadas.
+     */
+    invalidateAll() {
+        for (const session of this.sessions.values()) {
+            if (!session.profile) {
+                session.invalidate();
+            }
+        }
+    }
+
+    /**
+     * Cerrar periódicamente las sesiones abandonadas
+     */
+    startIdleSweep(interval = 30000) {
+        this.stopIdleSweep();
+
+        this.sweepInterval = setInterval(async () => {
+            const now = this.now();
+            for (const session of this.list()) {
+                const isIdle = now - session.lastActivity > this.idleTimeout;
+
+                if (isIdle && this._isUnused(session)) {
+                    this.log.info(`Sesión ${session.id} inactiva - cerrando...`);
+                    await this.close(session.id).catch((error) => {
+                        this.log.warning(`Error cerrando sesión ${session.id}: ${error.message}`);
+                    });
+                }
+            }
+        }, interval);
+    }
+
+    /**
+     * Sin clientes conectados, script en marcha, transmisión ni comandos pendientes
+     */
+    _isUnused(session) {
+        const isRunningScript = session.script && session.script.isActive();
+        const isWatched = session.screencast && session.screencast.subscribers.size > 0;
+        return session.clients === 0 && !isRunningScript && !isWatched && session.queue.depth === 0;
+    }
+
+    stopIdleSweep() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+}
+
+module.exports = {
+    Session,
+    SessionManager
+};
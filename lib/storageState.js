@@ -0,0 +1,171 @@
+/**
+ * Exportar e importar cookies y localStorage de una página como JSON
+ *
+ * Formato:
+ * {
+ *   "version": 1,
+ *   "url": "https://example.com/panel",
+ *   "origin": "https://example.com",
+ *   "cookies": [{ "name": "sid", "value": "...", "domain": "example.com", ... }],
+ *   "localStorage": { "clave": "valor" },
+ *   "savedAt": "2025-01-01T00:00:00.000Z"
+ * }
+ */
+
+const { CommandError } = require('./errors');
+
+// Campos aceptados por page.setCookie (CookieParam de CDP)
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'secure', 'httpOnly', 'sameSite', 'expires'];
+
+function parseOrigin(value) {
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('protocolo no soportado');
+        }
+        return url.origin;
+    } catch (error) {
+        throw new CommandError(`Origen no válido: ${value}`);
+    }
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+function toCookieParam(cookie) {
+    const param = {};
+    for (const field of COOKIE_FIELDS) {
+        if (cookie[field] !== undefined) {
+            param[field] = cookie[field];
+        }
+    }
+    // Las cookies de sesión llegan con expires = -1
+    if (param.expires !== undefined && param.expires < 0) {
+        delete param.expires;
+    }
+    return param;
+}
+
+/**
+ * Ejecutar fn en una página del origen indicado. Si la página actual no está en ese
+ * origen se abre con openPage una pestaña temporal en el mismo contexto, sirviendo
+ * un documento vacío para no depender de la red.
+ */
+async function withOriginPage(page, origin, fn, openPage = () => page.browserContext().newPage()) {
+    if (originOf(page.url()) === origin) {
+        return fn(page);
+    }
+
+    const tempPage = await openPage();
+    try {
+        await tempPage.setRequestInterception(true);
+        tempPage.on('request', async (request) => {
+            try {
+                if (request.isNavigationRequest() && request.url().startsWith(origin)) {
+                    await request.respond({ status: 200, contentType: 'text/html', body: '<html></html>' });
+                } else {
+                    await request.abort();
+                }
+            } catch (error) {
+                // La pestaña se cerró o la petición ya se resolvió
+            }
+        });
+        await tempPage.goto(`${origin}/`, { waitUntil: 'domcontentloaded' });
+        return await fn(tempPage);
+    } finally {
+        await tempPage.close().catch(() => {});
+    }
+}
+
+/**
+ * Capturar cookies y localStorage. Sin origen se usa el de la página actual y
+ * se incluyen todas las cookies del contexto (útil para logins con varios dominios).
+ * options.openPage abre la pestaña temporal de otro origen (Session#openHelperPage).
+ */
+async function exportState(page, origin = null, { openPage } = {}) {
+    const currentUrl = page.url();
+    const targetOrigin = origin ? parseOrigin(origin) : parseOrigin(currentUrl);
+
+    let cookies;
+    if (origin) {
+        cookies = await page.cookies(targetOrigin);
+    } else {
+        const client = await page.createCDPSession();
+        try {
+            ({ cookies } = await client.send('Network.getAllCookies'));
+        } finally {
+            await client.detach().catch(() => {});
+        }
+    }
+
+    const localStorage = await withOriginPage(page, targetOrigin, (originPage) => originPage.evaluate(() => {
+        const entries = {};
+        for (let i = 0; i < window.localStorage.length; i++) {
+            const key = window.localStorage.key(i);
+            entries[key] = window.localStorage.getItem(key);
+        }
+        return entries;
+    }), openPage);
+
+    return {
+        version: 1,
+        url: currentUrl,
+        origin: targetOrigin,
+        cookies: cookies.map(toCookieParam),
+        localStorage,
+        savedAt: new Date().toISOString()
+    };
+}
+
+function validateState(state) {
+    if (!state || typeof state !== 'object') {
+        throw new CommandError('Estado no válido: se esperaba un objeto JSON');
+    }
+    if (state.cookies !== undefined && !Array.isArray(state.cookies)) {
+        throw new CommandError('Estado no válido: "cookies" debe ser una lista');
+    }
+    if (state.localStorage !== undefined && (typeof state.localStorage !== 'object' || state.localStorage === null)) {
+        throw new CommandError('Estado no válido: "localStorage" debe ser un objeto');
+    }
+    if (state.localStorage && Object.keys(state.localStorage).length > 0 && !state.origin) {
+        throw new CommandError('Estado no válido: "origin" es obligatorio para restaurar localStorage');
+    }
+    return state;
+}
+
+/**
+ * Restaurar cookies y localStorage en el contexto de la página (options como en exportState)
+ */
+async function importState(page, state, { openPage } = {}) {
+    validateState(state);
+
+    const cookies = (state.cookies || []).map(toCookieParam);
+    if (cookies.length > 0) {
+        await page.setCookie(...cookies);
+    }
+
+    const entries = state.localStorage || {};
+    if (Object.keys(entries).length > 0) {
+        await withOriginPage(page, parseOrigin(state.origin), (originPage) => originPage.evaluate((items) => {
+            for (const [key, value] of Object.entries(items)) {
+                window.localStorage.setItem(key, value);
+            }
+        }, entries), openPage);
+    }
+
+    return {
+        cookies: cookies.length,
+        localStorage: Object.keys(entries).length
+    };
+}
+
+module.exports = {
+    exportState,
+    importState,
+    validateState
+};
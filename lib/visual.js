@@ -0,0 +1,222 @@
+/**
+ * Regresión visual: comparación de capturas PNG con una referencia guardada
+ *
+ * Cada captura con nombre tiene en el directorio de referencias:
+ *   <nombre>.png         referencia (baseline)
+ *   <nombre>.actual.png  última captura comparada
+ *   <nombre>.diff.png    imagen de diferencias (píxeles distintos en rojo)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CommandError } = require('./errors');
+const png = require('./png');
+
+// Porcentaje de píxeles distintos permitido antes de dar la comparación por fallida
+const DEFAULT_THRESHOLD = 0.1;
+// Diferencia de color (0-1) a partir de la cual un píxel cuenta como distinto (antialiasing, compresión)
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const KINDS = { baseline: '.png', actual: '.actual.png', diff: '.diff.png' };
+
+/**
+ * Comparar dos imágenes RGBA del mismo tamaño o de tamaños distintos
+ * (lo que solo existe en una de ellas cuenta como distinto)
+ */
+function diffImages(expected, actual, { pixelThreshold = DEFAULT_PIXEL_THRESHOLD } = {}) {
+    const width = Math.max(expected.width, actual.width);
+    const height = Math.max(expected.height, actual.height);
+    const limit = pixelThreshold * 255;
+    const diff = Buffer.alloc(width * height * 4);
+    let mismatchedPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            const inExpected = x < expected.width && y < expected.height;
+            const inActual = x < actual.width && y < actual.height;
+            const a = (y * expected.width + x) * 4;
+            const b = (y * actual.width + x) * 4;
+
+            let different = !inExpected || !inActual;
+            if (!different) {
+                for (let channel = 0; channel < 4; channel++) {
+                    if (Math.abs(expected.data[a + channel] - actual.data[b + channel]) > limit) {
+                        different = true;
+                        break;
+                    }
+                }
+            }
+
+            if (different) {
+                mismatchedPixels++;
+                diff[out] = 255;
+                diff[out + 1] = 0;
+                diff[out + 2] = 0;
+                diff[out + 3] = 255;
+            } else {
+                // Referencia en gris muy claro para situar las diferencias
+                const gray = 0.299 * expected.data[a] + 0.587 * expected.data[a + 1] + 0.114 * expected.data[a + 2];
+                diff[out] = diff[out + 1] = diff[out + 2] = Math.round(255 - (255 - gray) * 0.1);
+                diff[out + 3] = 255;
+            }
+        }
+    }
+
+    const totalPixels = width * height;
+    return {
+        width,
+        height,
+        mismatchedPixels,
+        totalPixels,
+        mismatch: totalPixels === 0 ? 0 : Math.round((mismatchedPixels / totalPixels) * 100 * 1000) / 1000,
+        sizeMismatch: expected.width !== actual.width || expected.height !== actual.height,
+        diff: { width, height, data: diff }
+    };
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new CommandError('El nombre de la captura solo puede tener letras, números, "_" y "-" (máximo 100)');
+    }
+    return name;
+}
+
+function validateThreshold(value, name, fallback, max) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    if (typeof value !== 'number' || value < 0 || value > max) {
+        throw new CommandError(`"${name}" debe ser un número entre 0 y ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Referencias guardadas en disco
+ */
+class BaselineStore {
+    /**
+     * @param {object} options
+     * @param {string} options.directory - Directorio de referencias, capturas y diferencias
+     */
+    constructor({ directory }) {
+        this.directory = path.resolve(directory);
+    }
+
+    filePath(name, kind = 'baseline') {
+        if (!KINDS[kind]) {
+            throw new CommandError(`Tipo de imagen no válido: ${kind} (use ${Object.keys(KINDS).join(', ')})`);
+        }
+        return path.join(this.directory, `${validateName(name)}${KINDS[kind]}`);
+    }
+
+    /**
+     * Ruta de una imagen existente. Lanza CommandError 404 si no existe.
+     */
+    resolve(name, kind = 'baseline') {
+        const filePath = this.filePath(name, kind);
+        if (!fs.existsSync(filePath)) {
+            throw new CommandError(kind === 'baseline'
+                ? `Referencia no encontrada: ${name}`
+                : `No hay imagen "${kind}" para ${name}: compare primero una captura`, 404);
+        }
+        return filePath;
+    }
+
+    list() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return names
+            .filter((file) => file.endsWith('.png') && !file.endsWith('.actual.png') && !file.endsWith('.diff.png'))
+            .map((file) => {
+                const name = file.slice(0, -4);
+                const stats = fs.statSync(path.join(this.directory, file));
+                return {
+                    name,
+                    size: stats.size,
+                    updatedAt: stats.mtime.toISOString(),
+                    hasDiff: fs.existsSync(this.filePath(name, 'diff'))
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    remove(name) {
+        const filePath = this.resolve(name);
+        for (const kind of Object.keys(KINDS)) {
+            fs.rmSync(kind === 'baseline' ? filePath : this.filePath(name, kind), { force: true });
+        }
+    }
+
+    /**
+     * Comparar una captura PNG con su referencia. Si no hay referencia (o update: true)
+     * la captura pasa a ser la referencia y la comparación se da por buena.
+     */
+    compare(name, capture, { threshold, pixelThreshold, update = false } = {}) {
+        validateName(name);
+        const maxMismatch = validateThreshold(threshold, 'threshold', DEFAULT_THRESHOLD, 100);
+        const colorThreshold = validateThreshold(pixelThreshold, 'pixelThreshold', DEFAULT_PIXEL_THRESHOLD, 1);
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        const baselinePath = this.filePath(name);
+
+        if (update || !fs.existsSync(baselinePath)) {
+            const image = png.decode(capture);
+            fs.writeFileSync(baselinePath, capture);
+            fs.rmSync(this.filePath(name, 'actual'), { force: true });
+            fs.rmSync(this.filePath(name, 'diff'), { force: true });
+            return {
+                name,
+                baselineCreated: true,
+                passed: true,
+                mismatch: 0,
+                mismatchedPixels: 0,
+                totalPixels: image.width * image.height,
+                threshold: maxMismatch,
+                width: image.width,
+                height: image.height
+            };
+        }
+
+        let expected;
+        try {
+            expected = png.decode(fs.readFileSync(baselinePath));
+        } catch (error) {
+            throw new CommandError(`Referencia ${name} dañada: ${error.message}`, 500);
+        }
+        const result = diffImages(expected, png.decode(capture), { pixelThreshold: colorThreshold });
+
+        fs.writeFileSync(this.filePath(name, 'actual'), capture);
+        fs.writeFileSync(this.filePath(name, 'diff'), png.encode(result.diff));
+
+        return {
+            name,
+            baselineCreated: false,
+            passed: result.mismatch <= maxMismatch,
+            mismatch: result.mismatch,
+            mismatchedPixels: result.mismatchedPixels,
+            totalPixels: result.totalPixels,
+            threshold: maxMismatch,
+            width: result.width,
+            height: result.height,
+            sizeMismatch: result.sizeMismatch
+        };
+    }
+}
+
+module.exports = {
+    BaselineStore,
+    diffImages,
+    DEFAULT_THRESHOLD,
+    DEFAULT_PIXEL_THRESHOLD
+};
@@ -0,0 +1,370 @@
+/**
+ * Notificaciones salientes (webhooks) de eventos de automatización
+ * Cada webhook recibe por POST un JSON firmado con HMAC-SHA256 (cabecera
+ * X-PyRock-Signature: sha256=<hex> calculada sobre el cuerpo tal cual) con los
+ * eventos a los que está suscrito. Las entregas fallidas se reintentan con espera
+ * exponencial y quedan en un registro en memoria. Los webhooks se guardan en un
+ * archivo JSON para sobrevivir a reinicios del servidor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CommandError } = require('./errors');
+const { log: sharedLog } = require('./logger');
+
+const EVENTS = [
+    'script_finished',
+    'script_failed',
+    'assertion_failed',
+    'navigation_error',
+    'browser_recovered',
+    'browser_recovery_failed'
+];
+
+// Eventos de fallo: son los únicos que pueden llevar la última captura de la sesión
+const FAILURE_EVENTS = ['script_failed', 'assertion_failed', 'navigation_error', 'browser_recovery_failed'];
+
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Validar y normalizar la definición de un webhook recibida por la API
+ */
+function validateWebhookDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new CommandError('Definición de webhook no válida: se esperaba un objeto');
+    }
+
+    const { name, url, events, secret, includeScreenshot } = definition;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        throw new CommandError('"name" debe ser un texto no vacío');
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new CommandError('"url" debe ser una URL completa (http:// o https://)');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new CommandError('"url" debe usar http o https');
+    }
+
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new CommandError('"events" debe ser una lista de eventos no vacía');
+        }
+        const unknown = events.filter((event) => event !== '*' && !EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new CommandError(`Eventos desconocidos: ${unknown.join(', ')} (use ${EVENTS.join(', ')} o "*")`);
+        }
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+        throw new CommandError(`"secret" debe tener al menos ${MIN_SECRET_LENGTH} caracteres`);
+    }
+    if (includeScreenshot !== undefined && typeof includeScreenshot !== 'boolean') {
+        throw new CommandError('"includeScreenshot" debe ser true o false');
+    }
+
+    return {
+        name: name ? name.trim() : null,
+        url: parsed.toString(),
+        events: events === undefined || events.includes('*') ? ['*'] : Array.from(new Set(events)),
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        includeScreenshot: includeScreenshot === true
+    };
+}
+
+/**
+ * Firma del cuerpo de una entrega, para que el receptor compruebe su origen
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+class WebhookManager {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Archivo JSON donde se guardan los webhooks
+     * @param {Function} [options.fetch] - Cliente HTTP compatible con fetch, inyectable para pruebas
+     * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+     * @param {number} [options.maxAttempts] - Intentos por entrega antes de darla por fallida
+     * @param {number} [options.baseDelay] - Espera tras el primer intento fallido (ms); se duplica en cada intento
+     * @param {number} [options.maxDelay] - Espera máxima entre intentos (ms)
+     * @param {number} [options.timeout] - Tiempo máximo de cada petición (ms)
+     * @param {number} [options.logLimit] - Entregas guardadas en el registro
+     * @param {object} [options.log] - Logger de la instancia del servidor (ver createLogger)
+     */
+    constructor({
+        filePath,
+        fetch = globalThis.fetch,
+        now = () => Date.now(),
+        maxAttempts = 5,
+        baseDelay = 1000,
+        maxDelay = 60000,
+        timeout = 10000,
+        logLimit = 200,
+        log = sharedLog
+    }) {
+        this.filePath = filePath;
+        this.fetch = fetch;
+        this.now = now;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.timeout = timeout;
+        this.logLimit = logLimit;
+        this.log = log;
+        this.webhooks = new Map();
+        // Registro de entregas, las más recientes primero
+        this.deliveries = [];
+        // Cuerpos pendientes de entregar y temporizadores de reintento por entrega
+        this.pending = new Map();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`No se pudo leer el archivo de webhooks ${this.filePath}: ${error.message}`);
+        }
+
+        for (const webhook of saved.webhooks || []) {
+            this.webhooks.set(webhook.id, webhook);
+        }
+        this.log.info(`${this.webhooks.size} webhooks cargados`);
+    }
+
+    /**
+     * Cancelar los reintentos pendientes (al cerrar el servidor)
+     */
+    stop() {
+        for (const { timer } of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+    }
+
+    create(definition) {
+        const webhook = {
+            id: crypto.randomBytes(4).toString('hex'),
+            ...validateWebhookDefinition(definition),
+            createdAt: new Date(this.now()).toISOString()
+        };
+
+        this.webhooks.set(webhook.id, webhook);
+        this._save();
+        this.log.info(`Webhook ${webhook.id} creado (${webhook.events.join(', ')})`, { category: 'webhook' });
+        return webhook;
+    }
+
+    get(id) {
+        const webhook = this.webhooks.get(id);
+        if (!webhook) {
+            throw new CommandError(`Webhook no encontrado: ${id}`, 404);
+        }
+        return webhook;
+    }
+
+    list() {
+        return Array.from(this.webhooks.values());
+    }
+
+    /**
+     * Representación para la API: el secreto solo se muestra al crear el webhook
+     */
+    describe(webhook) {
+        const { secret, ...fields } = webhook;
+        return fields;
+    }
+
+    remove(id) {
+        const webhook = this.get(id);
+        this.webhooks.delete(id);
+        this._save();
+        this.log.info(`Webhook ${id} eliminado`, { category: 'webhook' });
+        return webhook;
+    }
+
+    /**
+     * Webhooks suscritos a un evento
+     */
+    subscribers(event) {
+        return this.list().filter((webhook) => webhook.events.includes('*') || webhook.events.includes(event));
+    }
+
+    /**
+     * Si algún suscriptor del evento quiere la captura de pantalla (solo eventos de fallo)
+     */
+    wantsScreenshot(event) {
+        return FAILURE_EVENTS.includes(event) && this.subscribers(event).some((webhook) => webhook.includeScreenshot);
+    }
+
+    /**
+     * Enviar un evento a sus suscriptores. La captura (PNG) solo se adjunta a los
+     * webhooks que la piden. Devuelve las entregas creadas sin esperar a que terminen.
+     */
+    notify(event, data = {}, { screenshot = null } = {}) {
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date(this.now()).toISOString(),
+            data
+        };
+
+        return this.subscribers(event).map((webhook) => {
+            const attachment = screenshot && webhook.includeScreenshot && FAILURE_EVENTS.includes(event)
+                ? { screenshot: { mimeType: 'image/png', data: screenshot.toString('base64') } }
+                : {};
+            const delivery = this._createDelivery(webhook, event, JSON.stringify({ ...payload, ...attachment }));
+            this._attempt(delivery);
+            return delivery;
+        });
+    }
+
+    /**
+     * Enviar un evento "test" a un webhook y esperar al primer intento
+     */
+    async test(id) {
+        const webhook = this.get(id);
+        const body = JSON.stringify({
+            id: crypto.randomUUID(),
+            event: 'test',
+            timestamp: new Date(this.now()).toISOString(),
+            data: { message: 'Prueba de webhook de PyRock' }
+        });
+        const delivery = this._createDelivery(webhook, 'test', body);
+        await this._attempt(delivery);
+        return delivery;
+    }
+
+    /**
+     * Registro de entregas, opcionalmente de un solo webhook
+     */
+    listDeliveries({ webhookId, limit } = {}) {
+        const deliveries = webhookId ? this.deliveries.filter((delivery) => delivery.webhookId === webhookId) : this.deliveries;
+        return deliveries.slice(0, limit || this.logLimit);
+    }
+
+    _createDelivery(webhook, event, body) {
+        const delivery = {
+            id: crypto.randomBytes(6).toString('hex'),
+            webhookId: webhook.id,
+            event,
+            url: webhook.url,
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            createdAt: new Date(this.now()).toISOString(),
+            deliveredAt: null,
+            nextRetryAt: null
+        };
+
+        this.deliveries.unshift(delivery);
+        for (const dropped of this.deliveries.splice(this.logLimit)) {
+            this._forget(dropped.id);
+        }
+        this.pending.set(delivery.id, { body, timer: null });
+        return delivery;
+    }
+
+    async _attempt(delivery) {
+        const pending = this.pending.get(delivery.id);
+        const webhook = this.webhooks.get(delivery.webhookId);
+        if (!pending) {
+            return;
+        }
+        if (!webhook) {
+            this._finish(delivery, 'failed', 'El webhook se eliminó antes de la entrega');
+            return;
+        }
+
+        delivery.attempts++;
+        delivery.nextRetryAt = null;
+        try {
+            const response = await this.fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'PyRock-Webhooks',
+                    'X-PyRock-Event': delivery.event,
+                    'X-PyRock-Delivery': delivery.id,
+                    'X-PyRock-Signature': signPayload(webhook.secret, pending.body)
+                },
+                body: pending.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            delivery.responseStatus = response.status;
+            if (response.ok) {
+                delivery.deliveredAt = new Date(this.now()).toISOString();
+                this._finish(delivery, 'delivered', null);
+                return;
+            }
+            delivery.error = `Respuesta HTTP ${response.status}`;
+        } catch (error) {
+            delivery.responseStatus = null;
+            delivery.error = error.name === 'TimeoutError' ? `Sin respuesta en ${this.timeout} ms` : error.message;
+        }
+
+        if (!this.pending.has(delivery.id)) {
+            return;
+        }
+        if (delivery.attempts >= this.maxAttempts) {
+            this.log.error(`Webhook ${webhook.id}: entrega de ${delivery.event} fallida tras ${delivery.attempts} intentos (${delivery.error})`, {
+                category: 'webhook',
+                data: { webhookId: webhook.id, deliveryId: delivery.id }
+            });
+            this._finish(delivery, 'failed', delivery.error);
+            return;
+        }
+
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (delivery.attempts - 1));
+        delivery.nextRetryAt = new Date(this.now() + delay).toISOString();
+        this.log.warning(`Webhook ${webhook.id}: intento ${delivery.attempts}/${this.maxAttempts} de ${delivery.event} fallido ` +
+            `(${delivery.error}). Reintento en ${delay} ms`, { category: 'webhook', data: { webhookId: webhook.id, deliveryId: delivery.id } });
+        pending.timer = setTimeout(() => this._attempt(delivery), delay);
+    }
+
+    _finish(delivery, status, error) {
+        delivery.status = status;
+        delivery.error = error;
+        delivery.nextRetryAt = null;
+        this._forget(delivery.id);
+    }
+
+    _forget(deliveryId) {
+        const pending = this.pending.get(deliveryId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pending.delete(deliveryId);
+        }
+    }
+
+    _save() {
+        // Escribir en un archivo temporal y renombrar para no dejar JSON a medias
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify({ webhooks: this.list() }, null, 2), { mode: 0o600 });
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log.error(`No se pudieron guardar los webhooks: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    WebhookManager,
+    EVENTS,
+    signPayload,
+    validateWebhookDefinition
+};
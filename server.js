@@ -9,669 +9,2800 @@ const WebSocket = require('ws');
 const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
-
-// Configuración
-const PORT = process.env.PORT || 3000;
-const IS_PRODUCTION = process.env.NODE_ENV === 'production';
-
-// Variables globales
-let browser = null;
-let page = null;
-let isInitialized = false;
-let healthCheckInterval = null;
-let lastHealthCheck = Date.now();
-
-// Logger simple
-const log = {
-    info: (msg) => console.log(`ℹ️  ${msg}`),
-    success: (msg) => console.log(`✅ ${msg}`),
-    warning: (msg) => console.log(`⚠️  ${msg}`),
-    error: (msg) => console.log(`❌ ${msg}`)
-};
+const crypto = require('crypto');
+const { parseScript, ScriptParseError, ScriptRunner } = require('./lib/script');
+const { validateVariables, variablesFromEnv } = require('./lib/script/variables');
+const { CommandError } = require('./lib/errors');
+const { createApiRouter } = require('./lib/api');
+const { SessionManager } = require('./lib/sessions');
+const { Screencast } = require('./lib/screencast');
+const { TokenAuth, COMMAND_ROLES } = require('./lib/auth');
+const { Recorder, recordingToScript } = require('./lib/recorder');
+const { ProfileStore } = require('./lib/profiles');
+const storageState = require('./lib/storageState');
+const { loadConfig, describeConfig } = require('./lib/config');
+const { JobScheduler } = require('./lib/scheduler');
+const { BrowserLifecycle, STATES: BROWSER_STATES } = require('./lib/lifecycle');
+const elements = require('./lib/elements');
+const input = require('./lib/input');
+const extract = require('./lib/extract');
+const { MetricsRegistry, processTreeMemory } = require('./lib/metrics');
+const { EventLog, matchesFilter, parseQuery: parseLogQuery } = require('./lib/eventLog');
+const { removeOldFiles } = require('./lib/sessionFiles');
+const screenshots = require('./lib/screenshots');
+const { BaselineStore } = require('./lib/visual');
+const imageMatch = require('./lib/imageMatch');
+const { WebhookManager } = require('./lib/webhooks');
+const { MAX_TIMEOUT: MAX_COMMAND_TIMEOUT } = require('./lib/commandQueue');
+const { log: sharedLog, createLogger } = require('./lib/logger');
 
 /**
- * Configuración mínima de Puppeteer para máxima estabilidad
- * Ejecuta siempre en segundo plano (headless)
+ * Crear una instancia del servidor sin arrancarla (ver start y stop)
+ *
+ * @param {object} [options]
+ * @param {number} [options.port] - Puerto HTTP (0 = uno libre); por defecto PORT o 3000
+ * @param {Function} [options.launchBrowser] - Lanza un navegador con las opciones de Puppeteer (Promise<Browser>)
+ * @param {Function} [options.now] - Reloj (ms), inyectable para pruebas
+ * @param {object} [options.env] - Variables de entorno (process.env por defecto)
  */
-function getBrowserConfig() {
-    return {
-        headless: 'new', // Siempre en segundo plano, sin ventana visible
-        args: [
+function createServer({
+    port = undefined,
+    launchBrowser = (options) => puppeteer.launch(options),
+    now = () => Date.now(),
+    env = process.env
+} = {}) {
+    // Configuración
+    const PORT = port !== undefined ? port : (env.PORT || 3000);
+    const IS_PRODUCTION = env.NODE_ENV === 'production';
+    const MAX_SESSIONS = parseInt(env.MAX_SESSIONS, 10) || 5;
+    const SESSION_IDLE_TIMEOUT = parseInt(env.SESSION_IDLE_TIMEOUT, 10) || 10 * 60 * 1000;
+    const COMMAND_TIMEOUT = parseInt(env.COMMAND_TIMEOUT, 10) || 60 * 1000;
+    const FILES_DIR = env.FILES_DIR || path.join(__dirname, 'data', 'files');
+    const MAX_UPLOAD_SIZE = parseInt(env.MAX_UPLOAD_SIZE, 10) || 10 * 1024 * 1024;
+    const FILES_MAX_AGE = parseInt(env.FILES_MAX_AGE, 10) || 24 * 60 * 60 * 1000;
+    const FILES_CLEANUP_INTERVAL = 60 * 60 * 1000; // Frecuencia máxima de la limpieza de archivos antiguos
+    const FIXTURES_DIR = env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+    const SCREENSHOTS_DIR = env.SCREENSHOTS_DIR || path.join(__dirname, 'public', 'screenshots');
+    const BASELINES_DIR = env.BASELINES_DIR || path.join(__dirname, 'data', 'baselines');
+    const TEMPLATES_DIR = env.TEMPLATES_DIR || path.join(__dirname, 'templates');
+    const PROFILES_DIR = env.PROFILES_DIR || path.join(__dirname, 'profiles');
+    const AUTO_RESTORE_STATE = env.AUTO_RESTORE_STATE === 'true';
+    const JOBS_FILE = env.JOBS_FILE || path.join(__dirname, 'data', 'jobs.json');
+    const WEBHOOKS_FILE = env.WEBHOOKS_FILE || path.join(__dirname, 'data', 'webhooks.json');
+    const WEBHOOK_TIMEOUT = parseInt(env.WEBHOOK_TIMEOUT, 10) || 10 * 1000;
+    const WEBHOOK_MAX_ATTEMPTS = parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    const SCRIPTS_DIR = env.SCRIPTS_DIR || path.join(__dirname, 'scripts');
+    const EVENT_LOG_SIZE = parseInt(env.EVENT_LOG_SIZE, 10) || 1000;
+    const EVENT_LOG_FILE = env.EVENT_LOG_FILE || null;
+
+    // Registro de eventos: todo lo que pasa por log queda guardado con su nivel y categoría.
+    // Cada instancia tiene su logger, que se pasa a los módulos que registran eventos.
+    const eventLog = new EventLog({ capacity: EVENT_LOG_SIZE, filePath: EVENT_LOG_FILE, now });
+    const log = createLogger({ sink: (entry) => eventLog.record(entry) });
+
+    // Métricas de Prometheus (/metrics); los gauges se calculan al exportar
+    const metrics = new MetricsRegistry();
+    const commandsTotal = metrics.counter('pyrock_commands_total', 'Comandos ejecutados por tipo y código HTTP', ['type', 'status']);
+    const commandDuration = metrics.histogram('pyrock_command_duration_seconds', 'Duración de los comandos por tipo', ['type']);
+    const navigationsTotal = metrics.counter('pyrock_navigations_total', 'Navegaciones por código HTTP de la respuesta ("error" si no hubo respuesta)', ['status']);
+    const screenshotDuration = metrics.histogram('pyrock_screenshot_duration_seconds', 'Duración de las capturas de pantalla', [], [0.05, 0.1, 0.25, 0.5, 1, 2, 5]);
+    const healthCheckFailures = metrics.counter('pyrock_browser_health_check_failures_total', 'Verificaciones de salud del navegador fallidas');
+    const launchFailures = metrics.counter('pyrock_browser_launch_failures_total', 'Intentos de arranque del navegador fallidos');
+    const recoveryAttempts = metrics.counter('pyrock_browser_recovery_attempts_total', 'Recuperaciones del navegador por origen (disconnect, watchdog, session, manual)', ['trigger']);
+    for (const trigger of ['disconnect', 'watchdog', 'session', 'manual']) {
+        recoveryAttempts.inc({ trigger }, 0);
+    }
+    metrics.gauge('pyrock_browser_up', 'Navegador compartido disponible (1) o no (0)', [], (gauge) => {
+        gauge.set({}, isBrowserReady() ? 1 : 0);
+    });
+    metrics.gauge('pyrock_browser_state', 'Estado del ciclo de vida del navegador (1 en el estado actual)', ['state'], (gauge) => {
+        for (const state of BROWSER_STATES) {
+            gauge.set({ state }, lifecycle.state === state ? 1 : 0);
+        }
+    });
+    metrics.gauge('pyrock_browser_uptime_seconds', 'Segundos desde el último arranque del navegador compartido', [], (gauge) => {
+        if (isBrowserReady() && lifecycle.startedAt) {
+            gauge.set({}, (now() - lifecycle.startedAt) / 1000);
+        }
+    });
+    metrics.gauge('pyrock_browser_memory_bytes', 'Memoria residente de los procesos del navegador (Linux)', ['browser'], (gauge) => {
+        const targets = [['shared', lifecycle.browser]];
+        for (const session of sessions.list()) {
+            if (session.profile && session.browser) {
+                targets.push([`profile:${session.profile}`, session.browser]);
+            }
+        }
+        for (const [name, target] of targets) {
+            const pid = target && target.process() && target.process().pid;
+            const bytes = pid ? processTreeMemory(pid) : null;
+            if (bytes !== null) {
+                gauge.set({ browser: name }, bytes);
+            }
+        }
+    });
+    metrics.gauge('pyrock_websocket_clients', 'Clientes WebSocket conectados', [], (gauge) => {
+        gauge.set({}, wss.clients.size);
+    });
+    metrics.gauge('pyrock_sessions', 'Sesiones abiertas', [], (gauge) => {
+        gauge.set({}, sessions.list().length);
+    });
+    metrics.gauge('pyrock_process_uptime_seconds', 'Segundos desde el arranque del servidor', [], (gauge) => {
+        gauge.set({}, process.uptime());
+    });
+    metrics.gauge('pyrock_process_resident_memory_bytes', 'Memoria residente del proceso del servidor', [], (gauge) => {
+        gauge.set({}, process.memoryUsage().rss);
+    });
+
+    // Variables globales
+    let healthCheckInterval = null;
+    let lastHealthCheck = now();
+    let filesCleanupInterval = null;
+
+    // Opciones del navegador (archivo de configuración + variables de entorno)
+    const config = loadConfig(env);
+
+    // Tokens de acceso (sin tokens configurados no se exige autenticación)
+    let auth;
+    try {
+        auth = TokenAuth.fromEnvironment(env, { log });
+    } catch (error) {
+        throw new Error(`Configuración de autenticación inválida: ${error.message}`);
+    }
+
+    // Perfiles persistentes (userDataDir + último estado guardado)
+    const profiles = new ProfileStore(PROFILES_DIR);
+
+    // Referencias de la regresión visual (compartidas por todas las sesiones)
+    const baselines = new BaselineStore({ directory: BASELINES_DIR });
+
+    // Imágenes de referencia para WaitForImage, ClickImage e ImageExists
+    const templates = new imageMatch.TemplateStore({ directory: TEMPLATES_DIR });
+
+    // Sesiones aisladas (contexto incógnito + página) dentro del navegador compartido
+    const sessions = new SessionManager({
+        getBrowser: () => lifecycle.browser,
+        configurePage: configureSessionPage,
+        setupPage: setupSessionPage,
+        onTabsChanged: (session, activeChanged) => {
+            handleTabsChanged(session, activeChanged).catch((error) => {
+                log.warning(`Error notificando pestañas (sesión ${session.id}): ${error.message}`);
+            });
+        },
+        launchProfile: (name) => launchBrowser({
+            ...getBrowserConfig(),
+            userDataDir: profiles.getUserDataDir(name)
+        }),
+        onProfileDisconnected: () => reopenSessions(),
+        autoRestore: AUTO_RESTORE_STATE,
+        followPopups: config.followPopups,
+        maxSessions: MAX_SESSIONS,
+        idleTimeout: SESSION_IDLE_TIMEOUT,
+        commandTimeout: COMMAND_TIMEOUT,
+        filesDir: FILES_DIR,
+        maxUploadSize: MAX_UPLOAD_SIZE,
+        onDownload: handleDownloadEvent,
+        fixturesDir: FIXTURES_DIR,
+        now,
+        log
+    });
+
+    // Navegador compartido: arranque, recuperación con reintentos y estados (ver lib/lifecycle.js)
+    const lifecycle = new BrowserLifecycle({
+        launch: () => launchBrowser(getBrowserConfig()),
+        now,
+        maxAttempts: config.recoveryMaxAttempts,
+        baseDelay: config.recoveryBaseDelay,
+        maxDelay: config.recoveryMaxDelay
+    });
+    lifecycle.on('state', handleLifecycleState);
+    // Los contextos del navegador perdido ya no sirven: cada sesión recrea su página en el siguiente uso
+    lifecycle.on('lost', () => sessions.invalidateAll());
+
+    // Tareas programadas (cron o intervalo) guardadas en disco
+    const scheduler = new JobScheduler({
+        filePath: JOBS_FILE,
+        runJob: runScheduledJob,
+        now,
+        log
+    });
+
+    // Notificaciones salientes de eventos (scripts, navegación, recuperación del navegador)
+    const webhooks = new WebhookManager({
+        filePath: WEBHOOKS_FILE,
+        timeout: WEBHOOK_TIMEOUT,
+        maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+        now,
+        log
+    });
+
+    // Comandos de gestión de tareas: no se pueden usar dentro de una tarea
+    const JOB_COMMANDS = ['create_job', 'list_jobs', 'get_job', 'pause_job', 'resume_job', 'delete_job', 'run_job'];
+
+    // Comandos que no tocan la página: no esperan en la cola de la sesión.
+    // Las tareas tampoco: run_job encola sus propios comandos y se bloquearía esperándose a sí mismo.
+    const UNQUEUED_COMMANDS = [
+        'status', 'get_config', 'get_logs', 'list_profiles', 'get_queue', 'cancel_command',
+        'list_downloads', 'delete_download', 'list_network_rules', 'export_har', 'list_baselines', 'delete_baseline',
+        'list_webhooks', 'create_webhook', 'delete_webhook', 'test_webhook', 'list_webhook_deliveries', ...JOB_COMMANDS
+    ];
+
+    // Acciones de script con su propio timeout (segundo argumento) y margen que se les suma en la cola
+    const WAITING_SCRIPT_ACTIONS = ['waitForElement', 'waitForImage', 'clickImage'];
+    const SCRIPT_WAIT_MARGIN = 5000;
+
+    /**
+     * Opciones de lanzamiento de Puppeteer a partir de la configuración
+     * (flags mínimos para máxima estabilidad más los configurados)
+     */
+    function getBrowserConfig() {
+        const args = [
             '--no-sandbox',
             '--disable-setuid-sandbox',
             '--disable-dev-shm-usage',
             '--disable-gpu',
             '--no-first-run',
-            '--disable-web-security',
             '--disable-background-timer-throttling',
             '--disable-backgrounding-occluded-windows',
             '--disable-renderer-backgrounding'
-        ]
-    };
-}
+        ];
 
-/**
- * Limpiar completamente el navegador (cerrar todas las pestañas)
- */
-async function cleanupBrowser() {
-    try {
-        if (browser) {
-            log.info('Limpiando navegador - cerrando todas las pestañas...');
-            
-            // Obtener todas las páginas abiertas
-            const pages = await browser.pages();
-            
-            // Cerrar todas las páginas excepto la primera (about:blank)
-            for (let i = 1; i < pages.length; i++) {
-                try {
-                    await pages[i].close();
-                } catch (error) {
-                    log.warning(`Error cerrando página ${i}: ${error.message}`);
-                }
+        if (config.disableWebSecurity) {
+            args.push('--disable-web-security');
+        }
+        if (config.proxy) {
+            // Chromium no acepta credenciales en --proxy-server: se envían con page.authenticate
+            const proxy = new URL(config.proxy);
+            args.push(`--proxy-server=${proxy.protocol}//${proxy.host}`);
+        }
+        if (config.locale) {
+            args.push(`--lang=${config.locale}`);
+        }
+
+        return {
+            headless: config.headless ? 'new' : false,
+            defaultViewport: config.viewport,
+            args: [...args, ...config.args]
+        };
+    }
+
+    /**
+     * Cambios de estado del navegador: registro, métricas, monitoreo y aviso a todos los clientes
+     */
+    function handleLifecycleState(event) {
+        const { state, previous, reason, attempt, maxAttempts, nextRetryIn, error } = event;
+        const context = { category: 'browser', data: { state, previous, reason, attempt } };
+
+        if (state === 'recovering' && previous !== 'recovering') {
+            recoveryAttempts.inc({ trigger: reason });
+        }
+        if (error && (nextRetryIn !== undefined || state === 'failed')) {
+            launchFailures.inc();
+        }
+
+        if (state === 'ready') {
+            log.success(previous === 'degraded'
+                ? 'Navegador de nuevo en buen estado'
+                : `Navegador inicializado correctamente${attempt > 1 ? ` (intento ${attempt})` : ''}`, context);
+            if (previous !== 'degraded') {
+                // Reabrir las sesiones que alguien está viendo o que tienen algo que restaurar
+                reopenSessions();
+            }
+            // Los reinicios pedidos por un usuario (init/restart) no son recuperaciones
+            if (previous === 'recovering' && reason !== 'manual') {
+                notifyWebhooks('browser_recovered', { reason: reason || null, attempt: attempt || 1 });
             }
-            
-            // Cerrar el navegador completamente
-            await browser.close();
-            log.info('Navegador limpiado completamente');
+        } else if (state === 'failed') {
+            log.error(`Navegador no disponible tras ${maxAttempts} intentos: ${error}. Use init o restart para reintentar`, context);
+            notifyWebhooks('browser_recovery_failed', { reason: reason || null, attempts: maxAttempts, error: error || null });
+        } else if (nextRetryIn !== undefined) {
+            log.warning(`Intento ${attempt}/${maxAttempts} de arrancar el navegador fallido: ${error}. Reintento en ${nextRetryIn} ms`, context);
+        } else if (state === 'degraded') {
+            log.warning(`Navegador degradado: ${error || 'verificación de salud fallida'}`, context);
+        } else if (state === 'recovering') {
+            log.warning(`Recuperando el navegador (${reason})...`, context);
+        } else if (state === 'starting') {
+            log.info('Inicializando navegador...', context);
+        }
+
+        for (const ws of wss.clients) {
+            sendMessage(ws, {
+                type: 'lifecycle',
+                state,
+                previous,
+                reason,
+                attempt: attempt || null,
+                maxAttempts,
+                nextRetryIn: nextRetryIn === undefined ? null : nextRetryIn,
+                error: error || null
+            });
         }
-    } catch (error) {
-        log.warning(`Error durante limpieza: ${error.message}`);
-    } finally {
-        // Detener monitoreo de salud
-        stopBrowserHealthMonitoring();
-        
-        browser = null;
-        page = null;
-        isInitialized = false;
     }
-}
 
-/**
- * Inicializar navegador con recuperación automática
- */
-async function initBrowser() {
-    try {
-        // Verificar si ya hay una instancia activa
-        if (browser && !browser.process()?.killed) {
-            log.info('Navegador ya está activo, cerrando pestañas adicionales...');
-            
-            // Cerrar pestañas adicionales, mantener solo una
-            const pages = await browser.pages();
-            for (let i = 1; i < pages.length; i++) {
-                try {
-                    await pages[i].close();
-                } catch (error) {
-                    log.warning(`Error cerrando pestaña adicional: ${error.message}`);
+    /**
+     * Descarga empezada o terminada en una sesión: registro y aviso a sus clientes
+     */
+    function handleDownloadEvent(session, type, download) {
+        const context = { category: 'download', sessionId: session.id, data: { id: download.id, url: download.url } };
+        if (type === 'download_started') {
+            log.info(`Descarga iniciada (sesión ${session.id}): ${download.fileName}`, context);
+        } else if (download.state === 'completed') {
+            log.success(`Descarga completada (sesión ${session.id}): ${download.fileName} (${download.receivedBytes} bytes)`, context);
+        } else {
+            log.warning(`Descarga cancelada (sesión ${session.id}): ${download.fileName}`, context);
+        }
+
+        broadcastToSession(session, { type, sessionId: session.id, download });
+    }
+
+    /**
+     * Borrar periódicamente las descargas y subidas antiguas
+     */
+    function startFilesCleanup() {
+        const sweep = async () => {
+            try {
+                const keep = sessions.list().map((session) => path.basename(session.files.directory));
+                const removed = await removeOldFiles(FILES_DIR, FILES_MAX_AGE, { keep });
+                if (removed > 0) {
+                    log.info(`${removed} archivos de descargas y subidas antiguos eliminados`, { category: 'download' });
                 }
+            } catch (error) {
+                log.warning(`Error limpiando archivos antiguos: ${error.message}`, { category: 'download' });
             }
-            
-            // Usar la primera pestaña y navegar a example.com
-            page = pages[0];
-            await page.goto('https://example.com/');
-            await page.setViewport({ width: 1280, height: 720 });
-            
-            isInitialized = true;
-            log.success('Navegador reutilizado - pestañas adicionales cerradas');
-            return true;
+        };
+
+        sweep();
+        filesCleanupInterval = setInterval(sweep, Math.min(FILES_MAX_AGE, FILES_CLEANUP_INTERVAL));
+    }
+
+    function stopFilesCleanup() {
+        clearInterval(filesCleanupInterval);
+        filesCleanupInterval = null;
+    }
+
+    // Nivel del registro de eventos para cada tipo de mensaje de consola
+    const CONSOLE_LEVELS = {
+        error: 'error',
+        assert: 'error',
+        warn: 'warning'
+    };
+
+    /**
+     * Configurar cada pestaña nueva de una sesión (viewport, user agent, idioma, proxy, eventos)
+     */
+    async function configureSessionPage(page, session) {
+        await page.setViewport(config.viewport);
+        page.setDefaultNavigationTimeout(config.navigationTimeout);
+
+        if (config.userAgent) {
+            await page.setUserAgent(config.userAgent);
+        }
+        if (config.locale) {
+            await page.setExtraHTTPHeaders({ 'Accept-Language': config.locale });
+        }
+        if (config.timezone) {
+            await page.emulateTimezone(config.timezone);
+        }
+        if (config.proxy) {
+            const proxy = new URL(config.proxy);
+            if (proxy.username) {
+                await page.authenticate({
+                    username: decodeURIComponent(proxy.username),
+                    password: decodeURIComponent(proxy.password)
+                });
+            }
+        }
+
+        // Reglas de red de la sesión (bloqueo, cabeceras, respuestas simuladas) y grabación HAR
+        await session.network.attach(page);
+
+        // Descargas al directorio de la sesión
+        try {
+            await session.files.watch(page);
+        } catch (error) {
+            log.warning(`No se pudieron activar las descargas (sesión ${session.id}): ${error.message}`, { category: 'download', sessionId: session.id });
         }
 
-        // Limpieza completa del navegador anterior
-        await cleanupBrowser();
-
-        log.info('Inicializando navegador...');
-        
-        browser = await puppeteer.launch(getBrowserConfig());
-        page = await browser.newPage();
-        
-        // Configuración básica
-        await page.setViewport({ width: 1280, height: 720 });
-        await page.goto('https://example.com/');
-        
-        // Eventos de recuperación automática
-        browser.on('disconnected', () => {
-            if (isRecovering) {
-                return; // Ya se está recuperando
-            }
-            
-            log.warning('Navegador desconectado - iniciando recuperación automática...');
-            isRecovering = true;
-            isInitialized = false;
-            browser = null;
-            page = null;
-            
-            // Recuperación automática después de 2 segundos
-            setTimeout(async () => {
-                log.info('Intentando recuperación automática del navegador...');
-                await initBrowser();
-                isRecovering = false;
-            }, 2000);
+        // Última URL de la pestaña activa, para volver a ella tras una recuperación
+        page.on('framenavigated', (frame) => {
+            if (page === session.page && frame === page.mainFrame() && /^https?:/.test(frame.url())) {
+                session.lastUrl = frame.url();
+            }
         });
 
         // Detectar errores de página
+        const context = { category: 'page', sessionId: session.id };
         page.on('error', (error) => {
-            log.error(`Error en página: ${error.message}`);
+            log.error(`Error en página (sesión ${session.id}): ${error.message}`, context);
         });
 
         page.on('pageerror', (error) => {
-            log.error(`Error de página: ${error.message}`);
+            log.error(`Error de página (sesión ${session.id}): ${error.message}`, context);
         });
 
-        isInitialized = true;
-        log.success('Navegador inicializado correctamente');
-        
-        // Iniciar monitoreo de salud
-        startBrowserHealthMonitoring();
-        
-        return true;
-        
-    } catch (error) {
-        log.error(`Error inicializando navegador: ${error.message}`);
-        isInitialized = false;
-        browser = null;
-        page = null;
-        
-        // Reintentar automáticamente después de 5 segundos solo si no se está recuperando
-        if (!isRecovering) {
-            isRecovering = true;
-            setTimeout(async () => {
-                log.info('Reintentando inicialización del navegador...');
-                await initBrowser();
-                isRecovering = false;
-            }, 5000);
-        }
-        
-        return false;
-    }
-}
+        // Consola del navegador y fallos de red: solo al registro de eventos, no a la consola del servidor
+        page.on('console', (message) => {
+            eventLog.record({
+                level: CONSOLE_LEVELS[message.type()] || 'info',
+                category: 'console',
+                sessionId: session.id,
+                message: message.text(),
+                data: { type: message.type(), url: message.location().url || null }
+            });
+        });
 
-/**
- * Verificar si el navegador está activo
- */
-function isBrowserReady() {
-    return browser && page && isInitialized && !browser.process()?.killed;
-}
+        page.on('requestfailed', (request) => {
+            const errorText = request.failure() ? request.failure().errorText : 'desconocido';
+            // Las peticiones canceladas por la propia página (navegación, abort) o bloqueadas por una regla no son fallos
+            if (errorText === 'net::ERR_ABORTED' || errorText === 'net::ERR_BLOCKED_BY_CLIENT') {
+                return;
+            }
+            eventLog.record({
+                level: 'warning',
+                category: 'network',
+                sessionId: session.id,
+                message: `${request.method()} ${request.url()} falló: ${errorText}`,
+                data: { url: request.url(), method: request.method(), resourceType: request.resourceType(), error: errorText }
+            });
+        });
 
-/**
- * Verificar salud del navegador de forma profunda
- */
-async function checkBrowserHealth() {
-    try {
-        if (!browser || !page) {
-            return false;
-        }
+        page.on('response', (response) => {
+            const status = response.status();
+            if (status < 400) {
+                return;
+            }
+            const request = response.request();
+            eventLog.record({
+                level: status >= 500 ? 'error' : 'warning',
+                category: 'network',
+                sessionId: session.id,
+                message: `${request.method()} ${response.url()} respondió ${status}`,
+                data: { url: response.url(), method: request.method(), resourceType: request.resourceType(), status }
+            });
+        });
+    }
 
-        // Verificar si el proceso del navegador sigue vivo
-        if (browser.process()?.killed) {
-            log.warning('Proceso del navegador terminado');
-            return false;
+    /**
+     * Preparar la primera pestaña de una sesión: estado restaurado o página inicial
+     */
+    async function setupSessionPage(page, session) {
+        const restored = await restoreSessionState(page, session);
+        if (!restored) {
+            // Tras una recuperación, volver a la última URL de la sesión si está activado restoreLastUrl
+            const url = config.restoreLastUrl && session.lastUrl ? session.lastUrl : config.startUrl;
+            try {
+                await page.goto(url);
+            } catch (error) {
+                log.warning(`No se pudo cargar ${url} (sesión ${session.id}): ${error.message}`);
+            }
         }
 
-        // Intentar una operación simple para verificar que responde
-        await page.evaluate(() => document.title);
-        
-        lastHealthCheck = Date.now();
-        return true;
-    } catch (error) {
-        log.warning(`Fallo en verificación de salud: ${error.message}`);
-        return false;
+        // Reanudar la transmisión de frames en la página nueva
+        if (session.screencast) {
+            try {
+                await session.screencast.attach(page);
+            } catch (error) {
+                log.warning(`No se pudo reanudar la transmisión (sesión ${session.id}): ${error.message}`);
+            }
+        }
     }
-}
 
-// Variable para evitar múltiples recuperaciones simultáneas
-let isRecovering = false;
-
-/**
- * Iniciar monitoreo automático de salud del navegador
- */
-function startBrowserHealthMonitoring() {
-    // Limpiar monitoreo anterior si existe
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
-    }
-
-    healthCheckInterval = setInterval(async () => {
-        if (!isBrowserReady() || isRecovering) {
-            return; // No hay navegador para monitorear o ya se está recuperando
-        }
-
-        const isHealthy = await checkBrowserHealth();
-        
-        if (!isHealthy && !isRecovering) {
-            log.warning('Navegador no saludable detectado - iniciando recuperación...');
-            isRecovering = true;
-            isInitialized = false;
-            
-            // Intentar recuperación automática
-            setTimeout(async () => {
-                log.info('Iniciando recuperación automática por monitoreo...');
-                await initBrowser();
-                isRecovering = false;
-            }, 1000);
-        }
-    }, 10000); // Verificar cada 10 segundos
-
-    log.info('Monitoreo de salud del navegador iniciado');
-}
+    /**
+     * Avisar a los clientes de la sesión de los cambios de pestañas y mover
+     * la transmisión de frames a la pestaña activa
+     */
+    async function handleTabsChanged(session, activeChanged) {
+        if (activeChanged && session.screencast && session.page) {
+            session.screencast.attach(session.page).catch((error) => {
+                log.warning(`No se pudo mover la transmisión a la pestaña activa (sesión ${session.id}): ${error.message}`);
+            });
+        }
 
-/**
- * Detener monitoreo de salud del navegador
- */
-function stopBrowserHealthMonitoring() {
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
-        healthCheckInterval = null;
-        log.info('Monitoreo de salud del navegador detenido');
+        broadcastToSession(session, {
+            type: 'tabs',
+            sessionId: session.id,
+            activeTabId: session.activeTabId,
+            tabs: await session.listTabs()
+        });
     }
-}
 
-/**
- * Navegar a URL con recuperación automática
- */
-async function navigateToUrl(url) {
-    // Verificar si el navegador está disponible, si no, reinicializarlo
-    if (!isBrowserReady()) {
-        log.warning('Navegador no disponible - reinicializando...');
-        const initSuccess = await initBrowser();
-        if (!initSuccess) {
-            throw new Error('No se pudo reinicializar el navegador');
+    /**
+     * Restaurar cookies, localStorage y URL del último estado guardado de la sesión.
+     * Devuelve false si no hay nada que restaurar o la restauración falla.
+     */
+    async function restoreSessionState(page, session) {
+        if (!session.autoRestore || !session.lastState) {
+            return false;
         }
-    }
 
-    // Validar URL
-    let targetUrl = url.trim();
-    if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
-        targetUrl = 'https://' + targetUrl;
+        try {
+            await storageState.importState(page, session.lastState, { openPage: () => session.openHelperPage() });
+            await page.goto(session.lastState.url);
+            log.success(`Estado restaurado en la sesión ${session.id}: ${session.lastState.url}`);
+            return true;
+        } catch (error) {
+            log.warning(`No se pudo restaurar el estado de la sesión ${session.id}: ${error.message}`);
+            return false;
+        }
     }
 
-    try {
-        new URL(targetUrl);
-    } catch (e) {
-        throw new Error(`URL inválida: ${targetUrl}`);
+    /**
+     * Guardar el estado actual de una sesión con restauración automática
+     * (en memoria y, si usa un perfil, en disco)
+     */
+    async function snapshotSessionState(session) {
+        const url = session.page.url();
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            return;
+        }
+
+        try {
+            session.lastState = await storageState.exportState(session.page, null, { openPage: () => session.openHelperPage() });
+            if (session.profile) {
+                profiles.saveState(session.profile, session.lastState);
+            }
+        } catch (error) {
+            log.warning(`No se pudo guardar el estado de la sesión ${session.id}: ${error.message}`);
+        }
     }
 
-    log.info(`Navegando a: ${targetUrl}`);
+    /**
+     * Recrear la página de las sesiones con suscriptores de frames o con estado por restaurar
+     * (tras reiniciar el navegador o descartar una página que no responde)
+     */
+    function reopenSessions() {
+        for (const session of sessions.list()) {
+            const isWatched = session.screencast && session.screencast.subscribers.size > 0;
+            const hasStateToRestore = (session.autoRestore && session.lastState) ||
+                (config.restoreLastUrl && session.lastUrl);
 
-    try {
-        const response = await page.goto(targetUrl, { 
-            waitUntil: 'domcontentloaded', 
-            timeout: 30000 
-        });
-        
-        if (!response) {
-            throw new Error('No se recibió respuesta del servidor');
+            if ((isWatched || hasStateToRestore) && !session.hasPage()) {
+                getSessionPage(session).catch((error) => {
+                    log.warning(`No se pudo reabrir la sesión ${session.id}: ${error.message}`);
+                });
+            }
         }
+    }
+
+    /**
+     * Verificar si el navegador está activo
+     */
+    function isBrowserReady() {
+        return lifecycle.isReady();
+    }
 
-        if (!response.ok()) {
-            throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
+    /**
+     * Obtener la página de una sesión. Durante una recuperación del navegador el comando
+     * espera (hasta recoveryQueueTimeout) a que vuelva a estar disponible.
+     */
+    async function getSessionPage(session) {
+        if (!session.profile) {
+            await lifecycle.whenReady(config.recoveryQueueTimeout);
         }
+        return session.getPage();
+    }
 
-        const finalUrl = page.url();
-        log.success(`Navegación exitosa a: ${finalUrl}`);
-        
-        return {
-            success: true,
-            url: finalUrl,
-            status: response.status()
-        };
-        
-    } catch (error) {
-        log.error(`Error navegando a ${targetUrl}: ${error.message}`);
-        
-        // Si hay error de navegación, intentar reinicializar el navegador
-        if (error.message.includes('Target closed') || 
+    /**
+     * Detectar errores que indican que la página o el navegador se cerraron
+     */
+    function isSessionError(error) {
+        return error.message.includes('Target closed') ||
             error.message.includes('Session closed') ||
+            error.message.includes('Connection closed') ||
             error.message.includes('Protocol error') ||
-            error.message.includes('detached') || 
-            error.message.includes('closed')) {
-            log.warning('Error de sesión detectado - reinicializando navegador...');
-            await initBrowser();
-        }
-        
-        throw error;
+            error.message.includes('detached');
     }
-}
 
-/**
- * Capturar screenshot y guardar como archivo estático
- */
-async function takeScreenshot() {
-    try {
-        // Verificar si el navegador está disponible, si no, reinicializarlo
-        if (!isBrowserReady()) {
-            log.warning('Navegador no disponible para screenshot - reinicializando...');
-            const initSuccess = await initBrowser();
-            if (!initSuccess) {
-                log.error('No se pudo reinicializar el navegador para screenshot');
-                return false;
-            }
+    /**
+     * Tras un error sobre la página, recuperar la sesión si la página o el navegador se perdieron
+     */
+    async function handleSessionError(session, error, context) {
+        if (!isSessionError(error)) {
+            return;
         }
+        log.warning(`Error de sesión ${context} - recuperando sesión ${session.id}...`, { category: 'browser', sessionId: session.id });
+        await recoverSession(session);
+    }
 
-        const screenshotPath = path.join(__dirname, 'public', 'screenshot.png');
-        
-        await page.screenshot({
-            path: screenshotPath,
-            fullPage: false,
-            type: 'png'
-        });
-        
-        // Log eliminado para evitar spam en consola (se ejecuta cada 1 segundo)
-        return true;
-    } catch (error) {
-        log.error(`Error capturando pantalla: ${error.message}`);
-        
-        // Si hay error de sesión, reinicializar navegador
-        if (error.message.includes('Target closed') || 
-            error.message.includes('Session closed') ||
-            error.message.includes('Protocol error')) {
-            log.warning('Error de sesión en screenshot - reinicializando navegador...');
-            await initBrowser();
+    /**
+     * Recuperar una sesión tras un error de página cerrada: si el navegador compartido
+     * murió se relanza (y las sesiones se reabren al terminar); si no, solo se descarta
+     * la página para que se recree en el siguiente uso
+     */
+    async function recoverSession(session) {
+        const browser = lifecycle.browser;
+        if (!session.profile && (!browser || !browser.isConnected())) {
+            await lifecycle.recover('session');
+            return;
         }
-        
-        return false;
+        await session.reset();
+        reopenSessions();
     }
-}
 
-/**
- * Hacer click en coordenadas específicas con recuperación automática
- */
-async function clickAt(x, y) {
-    try {
-        // Verificar si el navegador está disponible, si no, reinicializarlo
-        if (!isBrowserReady()) {
-            log.warning('Navegador no disponible para click - reinicializando...');
-            const initSuccess = await initBrowser();
-            if (!initSuccess) {
-                throw new Error('No se pudo reinicializar el navegador');
+    /**
+     * Verificar salud del navegador de forma profunda.
+     * Sin página comprueba el proceso; con página comprueba que responde.
+     */
+    async function checkBrowserHealth(page = null) {
+        try {
+            const browser = lifecycle.browser;
+            if (!browser) {
+                return false;
             }
-        }
 
-        await page.mouse.click(x, y);
-        log.info(`Click realizado en (${x}, ${y})`);
-        return true;
-    } catch (error) {
-        log.error(`Error haciendo click: ${error.message}`);
-        
-        // Si hay error de sesión, reinicializar navegador
-        if (error.message.includes('Target closed') || 
-            error.message.includes('Session closed') ||
-            error.message.includes('Protocol error')) {
-            log.warning('Error de sesión en click - reinicializando navegador...');
-            await initBrowser();
-        }
-        
-        return false;
-    }
-}
+            // Verificar si el proceso del navegador sigue vivo
+            if (browser.process()?.killed) {
+                log.warning('Proceso del navegador terminado');
+                healthCheckFailures.inc();
+                return false;
+            }
 
-/**
- * Escribir texto en el elemento activo con recuperación automática
- */
-async function typeText(text) {
-    try {
-        // Verificar si el navegador está disponible, si no, reinicializarlo
-        if (!isBrowserReady()) {
-            log.warning('Navegador no disponible para escribir - reinicializando...');
-            const initSuccess = await initBrowser();
-            if (!initSuccess) {
-                throw new Error('No se pudo reinicializar el navegador');
+            // Intentar una operación simple para verificar que responde
+            if (page) {
+                await page.evaluate(() => document.title);
+            } else {
+                await browser.version();
             }
-        }
 
-        await page.keyboard.type(text);
-        log.info(`Texto escrito: "${text}"`);
-        return true;
-    } catch (error) {
-        log.error(`Error escribiendo texto: ${error.message}`);
-        
-        // Si hay error de sesión, reinicializar navegador
-        if (error.message.includes('Target closed') || 
-            error.message.includes('Session closed') ||
-            error.message.includes('Protocol error')) {
-            log.warning('Error de sesión escribiendo - reinicializando navegador...');
-            await initBrowser();
+            lastHealthCheck = now();
+            return true;
+        } catch (error) {
+            log.warning(`Fallo en verificación de salud: ${error.message}`);
+            healthCheckFailures.inc();
+            return false;
         }
-        
-        return false;
     }
-}
-
-/**
- * Presionar tecla especial con recuperación automática
- */
-async function pressKey(key) {
-    try {
-        // Verificar si el navegador está disponible, si no, reinicializarlo
-        if (!isBrowserReady()) {
-            log.warning('Navegador no disponible para tecla - reinicializando...');
-            const initSuccess = await initBrowser();
-            if (!initSuccess) {
-                throw new Error('No se pudo reinicializar el navegador');
-            }
-        }
 
-        await page.keyboard.press(key);
-        log.info(`Tecla presionada: ${key}`);
-        return true;
-    } catch (error) {
-        log.error(`Error presionando tecla: ${error.message}`);
-        
-        // Si hay error de sesión, reinicializar navegador
-        if (error.message.includes('Target closed') || 
-            error.message.includes('Session closed') ||
-            error.message.includes('Protocol error')) {
-            log.warning('Error de sesión con tecla - reinicializando navegador...');
-            await initBrowser();
+    /**
+     * Iniciar monitoreo automático de salud del navegador
+     */
+    function startBrowserHealthMonitoring() {
+        // Limpiar monitoreo anterior si existe
+        if (healthCheckInterval) {
+            clearInterval(healthCheckInterval);
         }
-        
-        return false;
-    }
-}
 
-// Configurar Express
-const app = express();
-const server = http.createServer(app);
+        healthCheckInterval = setInterval(async () => {
+            if (!isBrowserReady()) {
+                return; // No hay navegador para monitorear o ya se está recuperando
+            }
 
-app.use(express.static(path.join(__dirname, 'public')));
+            // Dos verificaciones fallidas seguidas (degraded → recovering) relanzan el navegador
+            const isHealthy = await checkBrowserHealth();
+            lifecycle.reportHealth(isHealthy);
+            if (!isHealthy) {
+                return;
+            }
 
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+            // Verificar cada sesión y recrear las páginas que no responden
+            for (const session of sessions.list()) {
+                if (!session.hasPage() || !isBrowserReady()) {
+                    continue;
+                }
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        browser: isBrowserReady(),
-        timestamp: new Date().toISOString()
-    });
-});
+                const isPageHealthy = await checkBrowserHealth(session.page);
+                if (!isPageHealthy) {
+                    log.warning(`Sesión ${session.id} no responde - recreando su página...`, { category: 'browser', sessionId: session.id });
+                    await session.reset();
+                    reopenSessions();
+                } else if (session.autoRestore) {
+                    await snapshotSessionState(session);
+                }
+            }
+        }, 10000); // Verificar cada 10 segundos
 
-// Configurar WebSocket
-const wss = new WebSocket.Server({ server });
+        log.info('Monitoreo de salud del navegador iniciado');
+    }
 
-wss.on('connection', (ws) => {
-    log.info('Nueva conexión WebSocket');
+    /**
+     * Detener monitoreo de salud del navegador
+     */
+    function stopBrowserHealthMonitoring() {
+        if (healthCheckInterval) {
+            clearInterval(healthCheckInterval);
+            healthCheckInterval = null;
+            log.info('Monitoreo de salud del navegador detenido');
+        }
+    }
 
-    // Enviar estado inicial
-    ws.send(JSON.stringify({
-        type: 'status',
-        message: 'Conectado a PyRock',
-        browserReady: isBrowserReady()
-    }));
+    /**
+     * Navegar a URL con recuperación automática
+     */
+    async function navigateToUrl(session, url, { signal = null } = {}) {
+        // Validar URL
+        let targetUrl = url.trim();
+        if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
+            targetUrl = 'https://' + targetUrl;
+        }
 
-    ws.on('message', async (message) => {
         try {
-            const data = JSON.parse(message);
-            await handleWebSocketMessage(ws, data);
-        } catch (error) {
-            log.error(`Error procesando mensaje: ${error.message}`);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: error.message
-            }));
+            new URL(targetUrl);
+        } catch (e) {
+            throw new CommandError(`URL inválida: ${targetUrl}`);
         }
-    });
 
-    ws.on('close', () => {
-        log.info('Conexión WebSocket cerrada');
-    });
-
-    ws.on('error', (error) => {
-        log.error(`Error WebSocket: ${error.message}`);
-    });
-});
-
-/**
- * Manejar mensajes WebSocket
- */
-async function handleWebSocketMessage(ws, data) {
-    const { type, url } = data;
+        log.info(`Navegando a: ${targetUrl}`);
 
-    switch (type) {
-        case 'navigate':
-            if (!url) {
-                throw new Error('URL requerida');
+        try {
+            // Obtener la página de la sesión (reinicializa el navegador si no está disponible)
+            const page = await getSessionPage(session);
+            // Si el comando se cancela o agota su tiempo se detiene la carga para liberar la página
+            const stopLoading = () => stopPageLoading(page);
+            if (signal) {
+                signal.addEventListener('abort', stopLoading, { once: true });
             }
-            
+            let response;
             try {
-                const result = await navigateToUrl(url);
-                ws.send(JSON.stringify({
-                    type: 'navigation_success',
-                    message: `Navegación exitosa a: ${result.url}`,
-                    url: result.url
-                }));
-            } catch (error) {
-                ws.send(JSON.stringify({
-                    type: 'navigation_error',
-                    message: `Error navegando: ${error.message}`,
-                    url: url
-                }));
+                response = await page.goto(targetUrl, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: config.navigationTimeout
+                });
+            } finally {
+                if (signal) {
+                    signal.removeEventListener('abort', stopLoading);
+                }
             }
-            break;
 
-        case 'screenshot':
-            const success = await takeScreenshot();
-            ws.send(JSON.stringify({
-                type: success ? 'screenshot_saved' : 'screenshot_error',
-                message: success ? 'Screenshot guardado en /screenshot.png' : 'Error capturando screenshot',
-                url: success ? '/screenshot.png' : null
-            }));
-            break;
+            if (!response) {
+                throw new Error('No se recibió respuesta del servidor');
+            }
+            navigationsTotal.inc({ status: response.status() });
 
-        case 'status':
-            ws.send(JSON.stringify({
-                type: 'status',
-                message: `Estado: ${isBrowserReady() ? 'Listo' : 'No disponible'}`,
-                browserReady: isBrowserReady()
-            }));
-            break;
+            // response.ok() solo acepta 2xx: al volver a una página en caché la respuesta es un 304
+            if (response.status() >= 400) {
+                throw new CommandError(`HTTP ${response.status()}: ${response.statusText()}`, 502);
+            }
 
-        case 'init':
-            const initSuccess = await initBrowser();
-            ws.send(JSON.stringify({
-                type: initSuccess ? 'init_success' : 'init_error',
-                message: initSuccess ? 'Navegador inicializado' : 'Error inicializando navegador',
-                browserReady: isBrowserReady()
-            }));
-            break;
+            const finalUrl = page.url();
+            log.success(`Navegación exitosa a: ${finalUrl}`);
 
-        case 'click':
-            const { x, y } = data;
-            if (x === undefined || y === undefined) {
-                throw new Error('Coordenadas x, y requeridas');
-            }
-            
-            const clickSuccess = await clickAt(x, y);
-            ws.send(JSON.stringify({
-                type: clickSuccess ? 'click_success' : 'click_error',
-                message: clickSuccess ? `Click realizado en (${x}, ${y})` : 'Error realizando click',
-                coordinates: { x, y }
-            }));
-            break;
+            return {
+                success: true,
+                url: finalUrl,
+                status: response.status()
+            };
 
-        case 'type':
-            const { text } = data;
-            if (!text) {
-                throw new Error('Texto requerido');
+        } catch (error) {
+            log.error(`Error navegando a ${targetUrl}: ${error.message}`, { category: 'page', sessionId: session.id });
+            if (!(error instanceof CommandError)) {
+                navigationsTotal.inc({ status: 'error' });
             }
-            
-            const typeSuccess = await typeText(text);
-            ws.send(JSON.stringify({
-                type: typeSuccess ? 'type_success' : 'type_error',
-                message: typeSuccess ? `Texto escrito: "${text}"` : 'Error escribiendo texto',
-                text: text
-            }));
-            break;
 
-        case 'key':
-            const { key } = data;
-            if (!key) {
-                throw new Error('Tecla requerida');
-            }
-            
-            const keySuccess = await pressKey(key);
-            ws.send(JSON.stringify({
-                type: keySuccess ? 'key_success' : 'key_error',
-                message: keySuccess ? `Tecla presionada: ${key}` : 'Error presionando tecla',
-                key: key
-            }));
-            break;
+            // Si la página o el navegador se perdieron, recuperar la sesión
+            await handleSessionError(session, error, 'en navegación');
 
-        default:
-            throw new Error(`Comando no reconocido: ${type}`);
+            throw error;
+        }
     }
-}
-
-/**
- * Screenshots automáticos - guardar archivo estático
- */
-function startAutoScreenshots() {
-    setInterval(async () => {
-        if (!isBrowserReady()) return;
-        await takeScreenshot(); // Solo guarda el archivo, no envía por WebSocket
-    }, 1000); // Cada 1 segundo para actualización fluida
-}
 
-/**
- * Iniciar servidor
- */
-async function startServer() {
-    try {
-        // Inicializar navegador
-        await initBrowser();
-        
-        // Iniciar screenshots automáticos
-        startAutoScreenshots();
-        
+    /**
+     * Detener la carga en curso de una página (equivale al botón de parar del navegador)
+     */
+    async function stopPageLoading(page) {
+        try {
+            const client = await page.createCDPSession();
+            await client.send('Page.stopLoading');
+            await client.detach();
+        } catch (error) {
+            log.warning(`No se pudo detener la carga de la página: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ruta pública del screenshot de una sesión
+     */
+    function getScreenshotUrl(session) {
+        return `/screenshots/${session.id}.png`;
+    }
+
+    /**
+     * Archivo del screenshot de una sesión (servido en getScreenshotUrl)
+     */
+    function getScreenshotPath(session) {
+        return path.join(SCREENSHOTS_DIR, `${session.id}.png`);
+    }
+
+    /**
+     * Capturar screenshot y guardar como archivo estático
+     */
+    async function takeScreenshot(session) {
+        try {
+            // Verificar si el navegador está disponible, si no, reinicializarlo
+            const page = await getSessionPage(session);
+
+            const screenshotPath = getScreenshotPath(session);
+            fs.mkdirSync(path.dirname(screenshotPath), { recursive: true });
+
+            await screenshotDuration.time({}, () => page.screenshot({
+                path: screenshotPath,
+                fullPage: false,
+                type: 'png'
+            }));
+
+            // Log eliminado para evitar spam en consola (se ejecuta cada 1 segundo)
+            return true;
+        } catch (error) {
+            log.error(`Error capturando pantalla: ${error.message}`);
+
+            // Si la página o el navegador se perdieron, recuperar la sesión
+            await handleSessionError(session, error, 'en screenshot');
+
+            return false;
+        }
+    }
+
+    /**
+     * Hacer click en coordenadas específicas con recuperación automática.
+     * Opciones: button ('left', 'right', 'middle') y clickCount (2 = doble click)
+     */
+    async function clickAt(session, x, y, { button = 'left', clickCount = 1 } = {}) {
+        try {
+            // Verificar si el navegador está disponible, si no, reinicializarlo
+            const page = await getSessionPage(session);
+
+            await page.mouse.click(x, y, { button, clickCount });
+            log.info(`Click realizado en (${x}, ${y})${describeClick(button, clickCount)}`);
+            return true;
+        } catch (error) {
+            log.error(`Error haciendo click: ${error.message}`);
+
+            // Si la página o el navegador se perdieron, recuperar la sesión
+            await handleSessionError(session, error, 'en click');
+
+            return false;
+        }
+    }
+
+    /**
+     * Texto adicional del log para clicks que no son un click izquierdo simple
+     */
+    function describeClick(button, clickCount) {
+        const details = [];
+        if (button !== 'left') {
+            details.push(`botón ${button}`);
+        }
+        if (clickCount > 1) {
+            details.push(`${clickCount} clicks`);
+        }
+        return details.length > 0 ? ` (${details.join(', ')})` : '';
+    }
+
+    /**
+     * Escribir texto en el elemento activo con recuperación automática
+     */
+    async function typeText(session, text) {
+        try {
+            // Verificar si el navegador está disponible, si no, reinicializarlo
+            const page = await getSessionPage(session);
+
+            await page.keyboard.type(text);
+            log.info(`Texto escrito: "${text}"`);
+            return true;
+        } catch (error) {
+            log.error(`Error escribiendo texto: ${error.message}`);
+
+            // Si la página o el navegador se perdieron, recuperar la sesión
+            await handleSessionError(session, error, 'escribiendo');
+
+            return false;
+        }
+    }
+
+    /**
+     * Presionar tecla especial o combinación ("Control+Shift+T") con recuperación automática
+     */
+    async function pressKey(session, key, modifiers = []) {
+        try {
+            // Verificar si el navegador está disponible, si no, reinicializarlo
+            const page = await getSessionPage(session);
+
+            await input.pressChord(page, key, modifiers);
+            const chord = [...modifiers, key].join('+');
+            log.info(`Tecla presionada: ${chord}`);
+            return true;
+        } catch (error) {
+            log.error(`Error presionando tecla: ${error.message}`);
+
+            // Si la página o el navegador se perdieron, recuperar la sesión
+            await handleSessionError(session, error, 'con tecla');
+
+            return false;
+        }
+    }
+
+    /**
+     * Enviar un evento a los webhooks suscritos. En los fallos se adjunta, si algún
+     * webhook la pide, la captura de la sesión (nueva si el navegador responde,
+     * si no la última que se guardó).
+     */
+    function notifyWebhooks(event, data, session = null) {
+        if (webhooks.subscribers(event).length === 0) {
+            return;
+        }
+
+        const send = async () => {
+            let screenshot = null;
+            if (session && webhooks.wantsScreenshot(event)) {
+                if (isBrowserReady()) {
+                    await takeScreenshot(session);
+                }
+                const screenshotPath = getScreenshotPath(session);
+                screenshot = await fs.promises.readFile(screenshotPath).catch(() => null);
+            }
+            webhooks.notify(event, { ...(session ? { sessionId: session.id } : {}), ...data }, { screenshot });
+        };
+        send().catch((error) => log.error(`Error enviando el evento ${event} a los webhooks: ${error.message}`, { category: 'webhook' }));
+    }
+
+    /**
+     * Ejecutar una acción sobre la página de una sesión con recuperación automática.
+     * A diferencia de clickAt/typeText, lanza el error para que el cliente vea el motivo
+     * (elemento no encontrado, no visible, botón no válido...).
+     */
+    async function runPageAction(session, description, action, { quiet = false } = {}) {
+        try {
+            // Verificar si el navegador está disponible, si no, reinicializarlo
+            const page = await getSessionPage(session);
+
+            const result = await action(page);
+            if (!quiet) {
+                log.info(description);
+            }
+            return result;
+        } catch (error) {
+            log.error(`Error en acción sobre la página (${description}): ${error.message}`);
+
+            // Si la página o el navegador se perdieron, recuperar la sesión
+            await handleSessionError(session, error, 'en acción sobre la página');
+
+            throw error;
+        }
+    }
+
+    /**
+     * Comandos sobre elementos y de entrada de bajo nivel.
+     * validate: comprobaciones antes de tocar el navegador
+     * run: acción sobre la página
+     * message: texto de la respuesta de éxito
+     * fields: datos del comando que se devuelven en la respuesta
+     * quiet: no registrar en el log los éxitos (eventos de alta frecuencia del ratón)
+     */
+    const selectorFields = (data) => ({ selector: data.selector });
+    const requireKey = (data) => {
+        if (typeof data.key !== 'string' || !data.key) {
+            throw new CommandError('Tecla requerida');
+        }
+    };
+    const validateSelector = (data) => elements.toPuppeteerSelector(data.selector);
+    const imageFields = (data) => ({ template: data.template });
+    const imageLabel = (data) => (data.template ? `la imagen ${data.template}` : 'la imagen');
+
+    const PAGE_COMMANDS = {
+        click_element: {
+            validate: validateSelector,
+            run: (page, data) => elements.clickElement(page, data.selector, data),
+            message: (data) => `Click realizado en ${data.selector}`,
+            fields: selectorFields
+        },
+        type_into: {
+            validate: (data) => {
+                validateSelector(data);
+                if (typeof data.text !== 'string') {
+                    throw new CommandError('Texto requerido');
+                }
+            },
+            run: (page, data) => elements.typeIntoElement(page, data.selector, data.text, data),
+            message: (data) => `Texto escrito en ${data.selector}: "${data.text}"`,
+            fields: selectorFields
+        },
+        select_option: {
+            validate: (data) => {
+                validateSelector(data);
+                if (data.value === undefined) {
+                    throw new CommandError('Valor requerido');
+                }
+            },
+            run: (page, data) => elements.selectOption(page, data.selector, data.value, data),
+            message: (data) => `Opción seleccionada en ${data.selector}`,
+            fields: selectorFields
+        },
+        hover: {
+            validate: validateSelector,
+            run: (page, data) => elements.hoverElement(page, data.selector, data),
+            message: (data) => `Cursor sobre ${data.selector}`,
+            fields: selectorFields
+        },
+        scroll_into_view: {
+            validate: validateSelector,
+            run: (page, data) => elements.scrollIntoView(page, data.selector, data),
+            message: (data) => `Desplazado hasta ${data.selector}`,
+            fields: selectorFields
+        },
+        wait_for_selector: {
+            validate: validateSelector,
+            run: (page, data) => elements.waitForElement(page, data.selector, data),
+            message: (data) => `Elemento disponible: ${data.selector}`,
+            fields: selectorFields
+        },
+        wait_for_image: {
+            run: (page, data) => imageMatch.waitForImage(page, templates.fromCommand(data), data),
+            message: (data) => `Imagen en pantalla: ${imageLabel(data)}`,
+            fields: imageFields
+        },
+        click_image: {
+            validate: (data) => input.validateButton(data.button),
+            run: (page, data) => imageMatch.clickImage(page, templates.fromCommand(data), data),
+            message: (data) => `Click realizado en ${imageLabel(data)}`,
+            fields: imageFields
+        },
+        image_exists: {
+            run: (page, data) => imageMatch.imageExists(page, templates.fromCommand(data), data),
+            message: (data) => `Búsqueda de ${imageLabel(data)}`,
+            fields: imageFields,
+            quiet: true
+        },
+        mouse_move: {
+            validate: (data) => input.validatePoint(data),
+            run: (page, data) => input.mouseMove(page, data, { steps: data.steps }),
+            message: (data) => `Ratón movido a (${data.x}, ${data.y})`,
+            fields: (data) => ({ x: data.x, y: data.y }),
+            quiet: true
+        },
+        mouse_down: {
+            validate: (data) => input.validateButton(data.button),
+            run: (page, data) => input.mouseButton(page, 'down', data),
+            message: (data) => `Botón ${data.button || 'left'} pulsado`,
+            fields: (data) => ({ x: data.x, y: data.y, button: data.button || 'left' }),
+            quiet: true
+        },
+        mouse_up: {
+            validate: (data) => input.validateButton(data.button),
+            run: (page, data) => input.mouseButton(page, 'up', data),
+            message: (data) => `Botón ${data.button || 'left'} soltado`,
+            fields: (data) => ({ x: data.x, y: data.y, button: data.button || 'left' }),
+            quiet: true
+        },
+        drag: {
+            validate: (data) => {
+                input.validateButton(data.button);
+                if (!Array.isArray(data.path) || data.path.length < 2) {
+                    throw new CommandError('El arrastre necesita al menos dos puntos en "path"');
+                }
+                data.path.forEach((point, index) => input.validatePoint(point, `punto ${index + 1}`));
+            },
+            run: (page, data) => input.drag(page, data.path, data),
+            message: (data) => `Arrastre de (${data.path[0].x}, ${data.path[0].y}) a ` +
+                `(${data.path[data.path.length - 1].x}, ${data.path[data.path.length - 1].y})`,
+            fields: (data) => ({ path: data.path })
+        },
+        wheel: {
+            run: (page, data) => input.wheel(page, data),
+            message: (data) => `Rueda desplazada (${data.deltaX || 0}, ${data.deltaY || 0})`,
+            fields: (data) => ({ deltaX: data.deltaX || 0, deltaY: data.deltaY || 0 }),
+            quiet: true
+        },
+        key_down: {
+            validate: requireKey,
+            run: (page, data) => page.keyboard.down(data.key),
+            message: (data) => `Tecla pulsada: ${data.key}`,
+            fields: (data) => ({ key: data.key }),
+            quiet: true
+        },
+        key_up: {
+            validate: requireKey,
+            run: (page, data) => page.keyboard.up(data.key),
+            message: (data) => `Tecla soltada: ${data.key}`,
+            fields: (data) => ({ key: data.key }),
+            quiet: true
+        }
+    };
+
+    /**
+     * Comandos de lectura de la página: responden "<tipo>_result" con el valor leído
+     */
+    const EXTRACT_COMMANDS = {
+        get_title: (page) => extract.getTitle(page),
+        get_url: (page) => extract.getUrl(page),
+        get_html: (page, data) => extract.getHtml(page, data.selector, { timeout: data.timeout }),
+        get_text: (page, data) => extract.getText(page, data.selector, { timeout: data.timeout }),
+        get_links: (page, data) => extract.getLinks(page, data.selector, { timeout: data.timeout }),
+        get_table: (page, data) => extract.getTable(page, data.selector, { timeout: data.timeout }),
+        evaluate: (page, data) => evaluateExpression(page, data.expression)
+    };
+
+    /**
+     * evaluate ejecuta código arbitrario en la página: se puede desactivar con allowEvaluate
+     */
+    function evaluateExpression(page, expression) {
+        if (!config.allowEvaluate) {
+            throw new CommandError('evaluate está desactivado en la configuración (allowEvaluate)', 403);
+        }
+        return extract.evaluate(page, expression);
+    }
+
+    async function runExtractCommand(type, data, session) {
+        const selector = data.selector || null;
+
+        try {
+            const value = await runPageAction(session, `Lectura ${type}${selector ? ` de ${selector}` : ''}`,
+                (page) => EXTRACT_COMMANDS[type](page, data), { quiet: true });
+            return {
+                status: 200,
+                body: {
+                    type: `${type}_result`,
+                    ...(selector ? { selector } : {}),
+                    value
+                }
+            };
+        } catch (error) {
+            return {
+                status: error.statusCode || failureStatus(),
+                body: {
+                    type: `${type}_error`,
+                    message: error.message,
+                    ...(selector ? { selector } : {})
+                }
+            };
+        }
+    }
+
+    /**
+     * Ejecutar un comando de PAGE_COMMANDS y construir la respuesta
+     */
+    async function runPageCommand(type, data, session) {
+        const command = PAGE_COMMANDS[type];
+
+        if (command.validate) {
+            command.validate(data);
+        }
+
+        const message = command.message(data);
+        const fields = command.fields(data);
+
+        try {
+            const result = await runPageAction(session, message, (page) => command.run(page, data), {
+                quiet: command.quiet
+            });
+            return {
+                status: 200,
+                body: {
+                    type: `${type}_success`,
+                    message,
+                    ...fields,
+                    ...(result !== undefined ? { result } : {})
+                }
+            };
+        } catch (error) {
+            return {
+                status: error.statusCode || failureStatus(),
+                body: {
+                    type: `${type}_error`,
+                    message: error.message,
+                    ...fields
+                }
+            };
+        }
+    }
+
+    // Configurar Express
+    const app = express();
+    const server = http.createServer(app);
+
+    app.use('/screenshots', auth.middleware(), express.static(SCREENSHOTS_DIR));
+    app.use(express.static(path.join(__dirname, 'public')));
+    app.use('/api', auth.middleware(), createApiRouter({
+        executeCommand,
+        resolveSession: resolveApiSession,
+        authorize: (req, type) => auth.authorize(req.identity, type, req.ip),
+        maxUploadSize: MAX_UPLOAD_SIZE,
+        baselines,
+        log
+    }));
+
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    });
+
+    app.get('/metrics', auth.middleware(), async (req, res) => {
+        try {
+            res.type('text/plain; version=0.0.4').send(await metrics.render());
+        } catch (error) {
+            res.status(500).type('text/plain').send(`# Error generando métricas: ${error.message}\n`);
+        }
+    });
+
+    app.get('/health', (req, res) => {
+        // Público para los health checks del hosting; las sesiones solo con token válido
+        const identity = auth.authenticate(req);
+
+        res.json({
+            status: 'ok',
+            browser: isBrowserReady(),
+            browserState: lifecycle.state,
+            sessions: identity
+                ? sessions.list().filter((session) => canUseSession(identity, session)).map((session) => session.toJSON())
+                : undefined,
+            maxSessions: MAX_SESSIONS,
+            timestamp: new Date(now()).toISOString()
+        });
+    });
+
+    // Configurar WebSocket
+    const wss = new WebSocket.Server({
+        server,
+        verifyClient: ({ req }, done) => {
+            const identity = auth.authenticate(req);
+            if (!identity) {
+                log.warning(`Conexión WebSocket rechazada: token ausente o inválido (${req.socket.remoteAddress})`);
+                done(false, 401, 'Autenticación requerida');
+                return;
+            }
+            req.identity = identity;
+            done(true);
+        }
+    });
+
+    eventLog.on('entry', broadcastLogEntry);
+
+    wss.on('connection', (ws, req) => {
+        log.info(`Nueva conexión WebSocket (${req.identity.name}, rol ${req.identity.role})`);
+        ws.identity = req.identity;
+        ws.remoteAddress = req.socket.remoteAddress;
+
+        // Con ?sessionId= o X-Session-Id la conexión se une a una sesión existente del
+        // mismo cliente; si no, recibe su propia sesión aislada. Al llegar al límite se
+        // cierra antes la sesión WebSocket sin uso que lleve más tiempo inactiva.
+        const requestedId = req.headers['x-session-id'] || new URL(req.url, 'http://localhost').searchParams.get('sessionId');
+        let session;
+        try {
+            if (requestedId) {
+                session = getClientSession(ws.identity, requestedId);
+            } else {
+                if (sessions.isFull()) {
+                    sessions.reclaim('websocket');
+                }
+                session = sessions.create('websocket', { identity: ws.identity.name });
+            }
+        } catch (error) {
+            log.warning(`Conexión WebSocket rechazada: ${error.message}`);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: error.message
+            }));
+            const isLimit = error.statusCode === 503;
+            ws.close(isLimit ? 1013 : 1008, isLimit ? 'Límite de sesiones alcanzado' : 'Sesión no disponible');
+            return;
+        }
+
+        ws.sessionId = session.id;
+        session.clients++;
+
+        // Enviar estado inicial
+        ws.send(JSON.stringify({
+            type: 'status',
+            message: 'Conectado a PyRock',
+            browserReady: isBrowserReady(),
+            browserState: lifecycle.state,
+            sessionId: session.id,
+            role: ws.identity.role
+        }));
+
+        ws.on('message', (message) => handleClientMessage(ws, message));
+
+        ws.on('close', () => {
+            log.info('Conexión WebSocket cerrada');
+
+            if (ws.screencast) {
+                ws.screencast.unsubscribe(ws).catch(() => {});
+            }
+
+            // La sesión queda abierta hasta que expire por inactividad
+            session.clients--;
+            session.touch();
+        });
+
+        ws.on('error', (error) => {
+            log.error(`Error WebSocket: ${error.message}`);
+        });
+    });
+
+    /**
+     * Procesar un mensaje de un cliente: los errores se le responden como { type: 'error' }
+     */
+    async function handleClientMessage(ws, message) {
+        let data = null;
+        try {
+            data = JSON.parse(message);
+            await handleWebSocketMessage(ws, data);
+        } catch (error) {
+            log.error(`Error procesando mensaje: ${error.message}`, { category: 'command', sessionId: ws.sessionId });
+            sendMessage(ws, withRequestId(data, {
+                type: 'error',
+                message: error.message,
+                ...(error.commandId ? { commandId: error.commandId } : {}),
+                ...(error.cancelled ? { cancelled: true } : {})
+            }));
+        }
+    }
+
+    /**
+     * Enviar mensaje a un cliente solo si la conexión sigue abierta
+     */
+    function sendMessage(ws, data) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(data));
+        }
+    }
+
+    /**
+     * Añadir a una respuesta el requestId del mensaje del cliente, si lo envió
+     */
+    function withRequestId(data, body) {
+        if (!data || data.requestId === undefined) {
+            return body;
+        }
+        return { ...body, requestId: data.requestId };
+    }
+
+    /**
+     * Enviar un evento a los clientes conectados a una sesión o suscritos a sus frames
+     */
+    function broadcastToSession(session, data) {
+        for (const ws of wss.clients) {
+            const isWatching = session.screencast && session.screencast.subscribers.has(ws);
+            if (ws.sessionId === session.id || isWatching) {
+                sendMessage(ws, data);
+            }
+        }
+    }
+
+    /**
+     * Enviar cada evento nuevo a los clientes suscritos al registro con un filtro que lo acepta
+     */
+    function broadcastLogEntry(entry) {
+        for (const ws of wss.clients) {
+            if (ws.logFilter && matchesFilter(entry, ws.logFilter)) {
+                sendMessage(ws, { type: 'log', entry });
+            }
+        }
+    }
+
+    /**
+     * Leer un script de SCRIPTS_DIR para Include("nombre") (la extensión .txt es opcional)
+     */
+    function loadIncludedScript(name) {
+        if (!/^[\w-]+(\.txt)?$/.test(name)) {
+            throw new Error(`Nombre de script no válido: ${name}`);
+        }
+        const filePath = path.join(SCRIPTS_DIR, name.endsWith('.txt') ? name : `${name}.txt`);
+        try {
+            return fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(error.code === 'ENOENT' ? `Script no encontrado: ${name}` : error.message);
+        }
+    }
+
+    function parseUserScript(source) {
+        return parseScript(source, { resolveInclude: loadIncludedScript });
+    }
+
+    /**
+     * Variables iniciales: las del entorno y, por encima, las de la petición o la tarea
+     */
+    function scriptVariables(variables) {
+        return { ...variablesFromEnv(env), ...validateVariables(variables) };
+    }
+
+    /**
+     * Acciones del navegador disponibles para los scripts de una sesión
+     */
+    function createScriptActions(session) {
+        const actions = {
+            clickAt: (x, y) => clickAt(session, x, y),
+            typeText: (text) => typeText(session, text),
+            pressKey: (key) => pressKey(session, key),
+            doubleClickAt: (x, y) => clickAt(session, x, y, { clickCount: 2 }),
+            rightClickAt: (x, y) => clickAt(session, x, y, { button: 'right' }),
+            mouseMove: (x, y) => runPageAction(session, `Ratón movido a (${x}, ${y})`,
+                (page) => input.mouseMove(page, { x, y })),
+            mouseDown: (button) => runPageAction(session, `Botón ${button} pulsado`,
+                (page) => input.mouseButton(page, 'down', { button })),
+            mouseUp: (button) => runPageAction(session, `Botón ${button} soltado`,
+                (page) => input.mouseButton(page, 'up', { button })),
+            drag: (path) => runPageAction(session, `Arrastre de (${path[0].x}, ${path[0].y}) a (${path[1].x}, ${path[1].y})`,
+                (page) => input.drag(page, path)),
+            wheel: (deltaX, deltaY) => runPageAction(session, `Rueda desplazada (${deltaX}, ${deltaY})`,
+                (page) => input.wheel(page, { deltaX, deltaY })),
+            keyDown: (key) => runPageAction(session, `Tecla pulsada: ${key}`,
+                (page) => page.keyboard.down(key)),
+            keyUp: (key) => runPageAction(session, `Tecla soltada: ${key}`,
+                (page) => page.keyboard.up(key)),
+            clickElement: (selector) => runPageAction(session, `Click realizado en ${selector}`,
+                (page) => elements.clickElement(page, selector)),
+            typeIntoElement: (selector, text) => runPageAction(session, `Texto escrito en ${selector}`,
+                (page) => elements.typeIntoElement(page, selector, text)),
+            selectOption: (selector, value) => runPageAction(session, `Opción seleccionada en ${selector}`,
+                (page) => elements.selectOption(page, selector, value)),
+            hoverElement: (selector) => runPageAction(session, `Cursor sobre ${selector}`,
+                (page) => elements.hoverElement(page, selector)),
+            scrollIntoView: (selector) => runPageAction(session, `Desplazado hasta ${selector}`,
+                (page) => elements.scrollIntoView(page, selector)),
+            waitForElement: (selector, timeout) => runPageAction(session, `Elemento disponible: ${selector}`,
+                (page) => elements.waitForElement(page, selector, { timeout })),
+            navigate: (url) => navigateToUrl(session, url),
+            getUrl: async () => (await getSessionPage(session)).url(),
+            elementExists: async (selector) => elements.elementExists(await getSessionPage(session), selector),
+            getElementText: async (selector) => elements.getElementText(await getSessionPage(session), selector),
+            getTitle: () => runPageAction(session, 'Título leído', extract.getTitle, { quiet: true }),
+            getText: (selector) => runPageAction(session, `Texto leído de ${selector}`,
+                (page) => extract.getText(page, selector), { quiet: true }),
+            getHtml: (selector) => runPageAction(session, `HTML leído de ${selector}`,
+                (page) => extract.getHtml(page, selector), { quiet: true }),
+            getLinks: (selector) => runPageAction(session, `Enlaces leídos de ${selector}`,
+                (page) => extract.getLinks(page, selector), { quiet: true }),
+            getTable: (selector) => runPageAction(session, `Tabla leída de ${selector}`,
+                (page) => extract.getTable(page, selector), { quiet: true }),
+            evaluate: (expression) => runPageAction(session, 'Expresión evaluada',
+                (page) => evaluateExpression(page, expression), { quiet: true }),
+            waitForImage: (name, timeout, confidence) => runPageAction(session, `Imagen en pantalla: ${name}`,
+                (page) => imageMatch.waitForImage(page, templates.load(name), { timeout, confidence })),
+            clickImage: (name, timeout, confidence) => runPageAction(session, `Click realizado en la imagen ${name}`,
+                (page) => imageMatch.clickImage(page, templates.load(name), { timeout, confidence })),
+            imageExists: (name) => runPageAction(session, `Búsqueda de la imagen ${name}`,
+                async (page) => (await imageMatch.imageExists(page, templates.load(name))).found, { quiet: true }),
+            compareScreenshot: (name, threshold) => compareScreenshot(session, { name, threshold })
+                .then((result) => result.body)
+        };
+
+        // Cada paso del script espera su turno en la cola de la sesión como cualquier otro comando.
+        // Los que esperan (WaitForSelector, WaitForImage, ClickImage) no se cortan por el tiempo
+        // máximo de la cola antes de agotar el suyo.
+        return Object.fromEntries(Object.entries(actions).map(([name, action]) => [
+            name,
+            (...args) => {
+                const timeout = WAITING_SCRIPT_ACTIONS.includes(name) && typeof args[1] === 'number'
+                    ? Math.min(Math.ceil(args[1]) + SCRIPT_WAIT_MARGIN, MAX_COMMAND_TIMEOUT)
+                    : undefined;
+                return session.queue.enqueue(() => action(...args), { type: `script:${name}`, timeout }).promise;
+            }
+        ]));
+    }
+
+    /**
+     * Ejecutar una tarea programada: su script o su lista de comandos sobre la sesión
+     * indicada o sobre una sesión propia de la tarea. Lanza un error si algo falla.
+     */
+    async function runScheduledJob(job) {
+        const session = job.sessionId
+            ? sessions.get(job.sessionId)
+            : sessions.getOrCreate(`job:${job.id}`, { id: `job-${job.id}`, counted: false });
+        session.touch();
+
+        if (job.commands) {
+            for (const [index, command] of job.commands.entries()) {
+                const result = await executeCommand({ ...command }, session);
+                if (result.status !== 200) {
+                    throw new Error(`Comando ${index + 1} (${command.type}): ${result.body.message}`);
+                }
+            }
+            return { sessionId: session.id, commands: job.commands.length };
+        }
+
+        if (session.script && session.script.isActive()) {
+            throw new Error(`Ya hay un script en ejecución en la sesión ${session.id}`);
+        }
+
+        const runner = new ScriptRunner(parseUserScript(job.script), createScriptActions(session), {
+            variables: scriptVariables(job.variables)
+        });
+        session.script = runner;
+
+        notifyScriptEvents(runner, session, { jobId: job.id });
+
+        let failure = null;
+        runner.on('step', () => session.touch());
+        runner.on('fail', (error) => {
+            failure = error;
+        });
+
+        const state = await runner.run();
+        if (state === 'failed') {
+            throw new Error(failure.line ? `Línea ${failure.line}: ${failure.message}` : failure.message);
+        }
+        if (state === 'stopped') {
+            throw new Error('Script detenido antes de terminar');
+        }
+        return { sessionId: session.id, steps: runner.steps };
+    }
+
+    /**
+     * Comprobar al crear una tarea que su contenido se podrá ejecutar
+     */
+    function validateJobTask(data) {
+        if (typeof data.script === 'string') {
+            try {
+                parseUserScript(data.script);
+            } catch (error) {
+                if (error instanceof ScriptParseError) {
+                    throw new CommandError(`Error de sintaxis en el script:\n${error.message}`);
+                }
+                throw error;
+            }
+        }
+
+        if (Array.isArray(data.commands)) {
+            data.commands.forEach((command, index) => {
+                const type = command && command.type;
+                // Las tareas se ejecutan sin usuario: nada de comandos de administrador ni tareas anidadas
+                if (JOB_COMMANDS.includes(type) || !auth.can({ role: 'operator' }, type)) {
+                    throw new CommandError(`Comando ${index + 1} no permitido en una tarea: ${type}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Avisar a los webhooks del final de un script. Un Assert no cumplido
+     * (o un CompareScreenshot por encima del umbral) se notifica como assertion_failed.
+     */
+    function notifyScriptEvents(runner, session, details = {}) {
+        runner.on('finish', ({ steps }) => {
+            notifyWebhooks('script_finished', { ...details, steps }, session);
+        });
+        runner.on('fail', (error) => {
+            notifyWebhooks(error.assertion ? 'assertion_failed' : 'script_failed', {
+                ...details,
+                message: error.message,
+                line: error.line || null
+            }, session);
+        });
+    }
+
+    /**
+     * Analizar y lanzar un script, enviando el progreso al cliente que lo inició
+     */
+    function startScript(ws, session, source, options = {}) {
+        if (session.script && session.script.isActive()) {
+            throw new Error(`Ya hay un script en ejecución en la sesión ${session.id}`);
+        }
+
+        let program;
+        try {
+            program = parseUserScript(source);
+        } catch (error) {
+            if (error instanceof ScriptParseError) {
+                sendMessage(ws, {
+                    type: 'script_error',
+                    message: `Error de sintaxis en el script:\n${error.message}`,
+                    errors: error.errors
+                });
+                return;
+            }
+            throw error;
+        }
+
+        const runner = new ScriptRunner(program, createScriptActions(session), options);
+        session.script = runner;
+        notifyScriptEvents(runner, session);
+
+        runner.on('start', () => {
+            log.info(`Script iniciado en la sesión ${session.id}`, { category: 'script', sessionId: session.id });
+            sendMessage(ws, { type: 'script_started', message: 'Script iniciado', sessionId: session.id });
+        });
+
+        runner.on('step', (step) => {
+            session.touch();
+            sendMessage(ws, { type: 'script_step', ...step });
+        });
+
+        runner.on('variable', ({ name, value, line }) => {
+            sendMessage(ws, { type: 'script_variable', name, value, line });
+        });
+
+        runner.on('pause', ({ line }) => {
+            log.info(`Script pausado en línea ${line}`);
+            sendMessage(ws, { type: 'script_paused', message: 'Script pausado', line });
+        });
+
+        runner.on('resume', ({ line }) => {
+            log.info('Script reanudado');
+            sendMessage(ws, { type: 'script_resumed', message: 'Script reanudado', line });
+        });
+
+        runner.on('finish', ({ steps }) => {
+            log.success(`Script completado (${steps} pasos)`, { category: 'script', sessionId: session.id });
+            sendMessage(ws, { type: 'script_finished', message: 'Script completado', steps });
+        });
+
+        runner.on('stop', ({ line, steps }) => {
+            log.info(`Script detenido en línea ${line}`, { category: 'script', sessionId: session.id });
+            sendMessage(ws, { type: 'script_stopped', message: 'Script detenido', line, steps });
+        });
+
+        runner.on('fail', (error) => {
+            log.error(`Error en script: ${error.message}`, { category: 'script', sessionId: session.id });
+            sendMessage(ws, {
+                type: 'script_error',
+                message: error.message,
+                line: error.line || null
+            });
+        });
+
+        runner.run();
+    }
+
+    /**
+     * Tipo de comando para las métricas: los desconocidos se agrupan para no crear una serie por cada valor recibido
+     */
+    function commandMetricType(type) {
+        return Object.prototype.hasOwnProperty.call(COMMAND_ROLES, type) ? type : 'unknown';
+    }
+
+    /**
+     * Ejecutar un comando del navegador (compartido por WebSocket y API REST).
+     * Los comandos que usan la página esperan su turno en la cola de la sesión.
+     * Devuelve el código HTTP, la respuesta que se envía al cliente y el id del comando en la cola.
+     *
+     * @param {object} [options]
+     * @param {string} [options.requestId] - Id del cliente para relacionar la respuesta con su petición
+     * @param {Function} [options.onQueued] - Se llama con la entrada de la cola si el comando tiene que esperar
+     */
+    async function executeCommand(data, session, { requestId = null, onQueued = null, identity = null } = {}) {
+        // Una tarea sobre una sesión existente: solo si el cliente puede usar esa sesión
+        if (data.type === 'create_job' && identity && data.job && data.job.sessionId) {
+            getClientSession(identity, data.job.sessionId);
+        }
+        session.touch();
+
+        if (UNQUEUED_COMMANDS.includes(data.type)) {
+            return runCommand(data, session, null);
+        }
+
+        const entry = session.queue.enqueue((signal) => runCommand(data, session, signal), {
+            type: data.type,
+            requestId,
+            timeout: data.commandTimeout
+        });
+        if (entry.position > 0 && onQueued) {
+            onQueued(entry);
+        }
+
+        try {
+            const result = await entry.promise;
+            return { ...result, commandId: entry.id };
+        } catch (error) {
+            // Cancelado o sin tiempo: el comando no llegó a responder por sí mismo
+            if (entry.controller.signal.aborted) {
+                commandsTotal.inc({ type: commandMetricType(data.type), status: error.statusCode });
+                log.warning(`Comando ${data.type} ${error.cancelled ? 'cancelado' : 'interrumpido'}: ${error.message}`, {
+                    category: 'command',
+                    sessionId: session.id,
+                    data: { type: data.type, commandId: entry.id, status: error.statusCode }
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Ejecutar un comando ya fuera de la cola: métricas, registro de fallos y grabación
+     */
+    async function runCommand(data, session, signal) {
+        // URL antes de ejecutar el comando: la grabación la usa para validar la reproducción
+        const urlBefore = session.hasPage() ? session.page.url() : null;
+        const type = commandMetricType(data.type);
+        let result;
+        try {
+            result = await commandDuration.time({ type }, () => dispatchCommand(data, session, signal));
+        } catch (error) {
+            if (!(signal && signal.aborted)) {
+                commandsTotal.inc({ type, status: error.statusCode || 500 });
+            }
+            throw error;
+        }
+        // Si se canceló mientras terminaba, al cliente ya se le respondió con la cancelación
+        if (signal && signal.aborted) {
+            return result;
+        }
+        commandsTotal.inc({ type, status: result.status });
+
+        if (result.status >= 400) {
+            const logResult = result.status >= 500 ? log.error : log.warning;
+            logResult(`Comando ${data.type} fallido (${result.status}): ${result.body.message}`, {
+                category: 'command',
+                sessionId: session.id,
+                data: { type: data.type, status: result.status }
+            });
+        }
+
+        if (result.status === 200 && session.recorder) {
+            session.recorder.record(data, urlBefore);
+        }
+        return result;
+    }
+
+    /**
+     * Ejecutar el comando sobre la sesión sin efectos secundarios de grabación
+     */
+    async function dispatchCommand(data, session, signal = null) {
+        const { type, url } = data;
+
+        switch (type) {
+            case 'navigate':
+                if (!url) {
+                    throw new CommandError('URL requerida');
+                }
+
+                try {
+                    const result = await navigateToUrl(session, url, { signal });
+                    return {
+                        status: 200,
+                        body: {
+                            type: 'navigation_success',
+                            message: `Navegación exitosa a: ${result.url}`,
+                            url: result.url
+                        }
+                    };
+                } catch (error) {
+                    if (!(signal && signal.aborted)) {
+                        notifyWebhooks('navigation_error', { url, message: error.message }, session);
+                    }
+                    return {
+                        status: error.statusCode || (isBrowserReady() ? 502 : 503),
+                        body: {
+                            type: 'navigation_error',
+                            message: `Error navegando: ${error.message}`,
+                            url: url
+                        }
+                    };
+                }
+
+            case 'screenshot':
+                const success = await takeScreenshot(session);
+                const screenshotUrl = getScreenshotUrl(session);
+                return {
+                    status: success ? 200 : failureStatus(),
+                    body: {
+                        type: success ? 'screenshot_saved' : 'screenshot_error',
+                        message: success ? `Screenshot guardado en ${screenshotUrl}` : 'Error capturando screenshot',
+                        url: success ? screenshotUrl : null
+                    }
+                };
+
+            case 'status':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'status',
+                        message: `Estado: ${isBrowserReady() ? 'Listo' : 'No disponible'}`,
+                        browserReady: isBrowserReady(),
+                        browser: lifecycle.toJSON(),
+                        sessionId: session.id
+                    }
+                };
+
+            case 'init':
+                // Reinicia solo la sesión: contexto limpio con la página inicial
+                // (si el navegador no está disponible, también lo arranca)
+                let initSuccess = isBrowserReady() || await lifecycle.recover('manual');
+                if (initSuccess) {
+                    try {
+                        session.lastUrl = null;
+                        await session.reset();
+                        await session.getPage();
+                    } catch (error) {
+                        log.error(`Error inicializando sesión ${session.id}: ${error.message}`);
+                        initSuccess = false;
+                    }
+                }
+                return {
+                    status: initSuccess ? 200 : 503,
+                    body: {
+                        type: initSuccess ? 'init_success' : 'init_error',
+                        message: initSuccess ? 'Navegador inicializado' : 'Error inicializando navegador',
+                        browserReady: isBrowserReady(),
+                        browserState: lifecycle.state
+                    }
+                };
+
+            case 'restart':
+                // A diferencia de 'init', descarta el navegador actual y lanza uno nuevo
+                // (todas las sesiones recrean su página en el siguiente uso)
+                const restartSuccess = await lifecycle.recover('manual');
+                return {
+                    status: restartSuccess ? 200 : 503,
+                    body: {
+                        type: restartSuccess ? 'restart_success' : 'restart_error',
+                        message: restartSuccess ? 'Navegador reiniciado' : `Error reiniciando navegador: ${lifecycle.lastError}`,
+                        browserReady: isBrowserReady(),
+                        browserState: lifecycle.state
+                    }
+                };
+
+            case 'click':
+            case 'double_click':
+            case 'right_click':
+                const { x, y } = data;
+                if (x === undefined || y === undefined) {
+                    throw new CommandError('Coordenadas x, y requeridas');
+                }
+                if (typeof x !== 'number' || typeof y !== 'number' || !Number.isFinite(x) || !Number.isFinite(y)) {
+                    throw new CommandError('Las coordenadas x, y deben ser números');
+                }
+
+                const button = input.validateButton(type === 'right_click' ? 'right' : data.button);
+                const clickCount = type === 'double_click' ? 2 : (data.clickCount || 1);
+                if (!Number.isInteger(clickCount) || clickCount < 1 || clickCount > 3) {
+                    throw new CommandError('clickCount debe ser 1, 2 o 3');
+                }
+
+                const clickSuccess = await clickAt(session, x, y, { button, clickCount });
+                return {
+                    status: clickSuccess ? 200 : failureStatus(),
+                    body: {
+                        type: clickSuccess ? `${type}_success` : `${type}_error`,
+                        message: clickSuccess ? `Click realizado en (${x}, ${y})${describeClick(button, clickCount)}` : 'Error realizando click',
+                        coordinates: { x, y }
+                    }
+                };
+
+            case 'type':
+                const { text } = data;
+                if (!text) {
+                    throw new CommandError('Texto requerido');
+                }
+
+                const typeSuccess = await typeText(session, text);
+                return {
+                    status: typeSuccess ? 200 : failureStatus(),
+                    body: {
+                        type: typeSuccess ? 'type_success' : 'type_error',
+                        message: typeSuccess ? `Texto escrito: "${text}"` : 'Error escribiendo texto',
+                        text: text
+                    }
+                };
+
+            case 'key':
+                const { key } = data;
+                if (!key) {
+                    throw new CommandError('Tecla requerida');
+                }
+
+                const modifiers = data.modifiers || [];
+                if (!Array.isArray(modifiers)) {
+                    throw new CommandError('modifiers debe ser una lista de teclas modificadoras');
+                }
+                input.parseKeyChord(key, modifiers); // Valida la combinación antes de ejecutarla
+
+                const keySuccess = await pressKey(session, key, modifiers);
+                return {
+                    status: keySuccess ? 200 : failureStatus(),
+                    body: {
+                        type: keySuccess ? 'key_success' : 'key_error',
+                        message: keySuccess ? `Tecla presionada: ${[...modifiers, key].join('+')}` : 'Error presionando tecla',
+                        key: key
+                    }
+                };
+
+            case 'click_element':
+            case 'type_into':
+            case 'select_option':
+            case 'hover':
+            case 'scroll_into_view':
+            case 'wait_for_selector':
+            case 'wait_for_image':
+            case 'click_image':
+            case 'image_exists':
+            case 'mouse_move':
+            case 'mouse_down':
+            case 'mouse_up':
+            case 'drag':
+            case 'wheel':
+            case 'key_down':
+            case 'key_up':
+                return runPageCommand(type, data, session);
+
+            case 'get_title':
+            case 'get_url':
+            case 'get_html':
+            case 'get_text':
+            case 'get_links':
+            case 'get_table':
+            case 'evaluate':
+                return runExtractCommand(type, data, session);
+
+            case 'start_recording':
+                if (!session.recorder) {
+                    session.recorder = new Recorder({ now });
+                }
+                if (session.recorder.isRecording()) {
+                    throw new CommandError('Ya hay una grabación en curso', 409);
+                }
+
+                session.recorder.start(session.hasPage() ? session.page.url() : null);
+                log.info(`Grabación iniciada en la sesión ${session.id}`);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'recording_started',
+                        message: 'Grabación iniciada',
+                        sessionId: session.id
+                    }
+                };
+
+            case 'stop_recording':
+                if (!session.recorder || !session.recorder.stop()) {
+                    throw new CommandError('No hay una grabación en curso', 409);
+                }
+
+                const actionCount = session.recorder.toJSON().actions.length;
+                log.info(`Grabación detenida en la sesión ${session.id} (${actionCount} acciones)`);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'recording_stopped',
+                        message: `Grabación detenida (${actionCount} acciones)`,
+                        actions: actionCount
+                    }
+                };
+
+            case 'export_recording':
+                const format = data.format || 'script';
+                if (!['script', 'json'].includes(format)) {
+                    throw new CommandError('Formato no válido: use "script" o "json"');
+                }
+                if (!session.recorder || !session.recorder.hasRecording()) {
+                    throw new CommandError('No hay ninguna grabación en esta sesión', 404);
+                }
+
+                return {
+                    status: 200,
+                    body: {
+                        type: 'recording_export',
+                        format,
+                        content: format === 'script' ? session.recorder.toScript() : session.recorder.toJSON()
+                    }
+                };
+
+            case 'configure_session':
+                if (data.profile !== undefined) {
+                    const profile = data.profile === null ? null : profiles.validateName(data.profile);
+                    if (profile !== session.profile) {
+                        await session.setProfile(profile);
+                        // El estado guardado pertenece al perfil anterior
+                        session.lastState = profile ? profiles.loadState(profile) : null;
+                        log.info(`Sesión ${session.id} usando ${profile ? `el perfil ${profile}` : 'un contexto incógnito'}`);
+                        reopenSessions();
+                    }
+                }
+                for (const option of ['autoRestore', 'followPopups']) {
+                    if (data[option] !== undefined) {
+                        if (typeof data[option] !== 'boolean') {
+                            throw new CommandError(`"${option}" debe ser true o false`);
+                        }
+                        session[option] = data[option];
+                    }
+                }
+
+                return {
+                    status: 200,
+                    body: {
+                        type: 'session_configured',
+                        message: `Sesión configurada (perfil: ${session.profile || 'ninguno'}, restauración automática: ${session.autoRestore ? 'sí' : 'no'}, seguir popups: ${session.followPopups ? 'sí' : 'no'})`,
+                        profile: session.profile,
+                        autoRestore: session.autoRestore,
+                        followPopups: session.followPopups
+                    }
+                };
+
+            case 'list_tabs':
+                await getSessionPage(session);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'tabs',
+                        sessionId: session.id,
+                        activeTabId: session.activeTabId,
+                        tabs: await session.listTabs()
+                    }
+                };
+
+            case 'open_tab':
+                await getSessionPage(session);
+                const openedTab = await session.openTab();
+                if (data.url) {
+                    await navigateToUrl(session, data.url);
+                }
+                log.info(`Pestaña ${openedTab.id} abierta en la sesión ${session.id}`);
+
+                return {
+                    status: 200,
+                    body: {
+                        type: 'tab_opened',
+                        message: `Pestaña ${openedTab.id} abierta`,
+                        tabId: openedTab.id,
+                        url: openedTab.page.url()
+                    }
+                };
+
+            case 'switch_tab':
+                await getSessionPage(session);
+                await session.switchTab(requireTabId(data.tabId));
+                return {
+                    status: 200,
+                    body: {
+                        type: 'tab_switched',
+                        message: `Pestaña activa: ${session.activeTabId}`,
+                        tabId: session.activeTabId,
+                        url: session.page.url()
+                    }
+                };
+
+            case 'close_tab':
+                await getSessionPage(session);
+                const closedTabId = data.tabId === undefined ? session.activeTabId : requireTabId(data.tabId);
+                await session.closeTab(closedTabId);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'tab_closed',
+                        message: `Pestaña ${closedTabId} cerrada`,
+                        tabId: closedTabId,
+                        activeTabId: session.activeTabId
+                    }
+                };
+
+            case 'create_job':
+                validateJobTask(data.job || {});
+                const createdJob = scheduler.create(data.job);
+                return {
+                    status: 201,
+                    body: {
+                        type: 'job_created',
+                        message: `Tarea ${createdJob.id} creada`,
+                        job: scheduler.describe(createdJob)
+                    }
+                };
+
+            case 'list_jobs':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'jobs',
+                        jobs: scheduler.list().map((job) => scheduler.describe(job))
+                    }
+                };
+
+            case 'get_job':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'job',
+                        job: scheduler.describe(scheduler.get(data.jobId), { history: true })
+                    }
+                };
+
+            case 'pause_job':
+            case 'resume_job':
+                const updatedJob = type === 'pause_job' ? scheduler.pause(data.jobId) : scheduler.resume(data.jobId);
+                log.info(`Tarea ${updatedJob.id} ${updatedJob.paused ? 'pausada' : 'reanudada'}`);
+                return {
+                    status: 200,
+                    body: {
+                        type: type === 'pause_job' ? 'job_paused' : 'job_resumed',
+                        message: `Tarea ${updatedJob.id} ${updatedJob.paused ? 'pausada' : 'reanudada'}`,
+                        job: scheduler.describe(updatedJob)
+                    }
+                };
+
+            case 'delete_job':
+                const deletedJob = scheduler.remove(data.jobId);
+
+                // La sesión propia de la tarea (y su script, si sigue en marcha) ya no se necesita
+                const jobSession = sessions.list().find((candidate) => candidate.owner === `job:${deletedJob.id}`);
+                if (jobSession) {
+                    await sessions.close(jobSession.id);
+                }
+                return {
+                    status: 200,
+                    body: {
+                        type: 'job_deleted',
+                        message: `Tarea ${deletedJob.id} eliminada`,
+                        jobId: deletedJob.id
+                    }
+                };
+
+            case 'run_job':
+                const run = await scheduler.runNow(data.jobId);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'job_run',
+                        message: `Tarea ${data.jobId}: ${run.status}`,
+                        run
+                    }
+                };
+
+            case 'list_webhooks':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'webhooks',
+                        webhooks: webhooks.list().map((webhook) => webhooks.describe(webhook))
+                    }
+                };
+
+            case 'create_webhook':
+                // El secreto solo se devuelve aquí: es el que el receptor usa para verificar la firma
+                const createdWebhook = webhooks.create(data.webhook);
+                return {
+                    status: 201,
+                    body: {
+                        type: 'webhook_created',
+                        message: `Webhook ${createdWebhook.id} creado`,
+                        webhook: createdWebhook
+                    }
+                };
+
+            case 'delete_webhook':
+                const deletedWebhook = webhooks.remove(data.webhookId);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'webhook_deleted',
+                        message: `Webhook ${deletedWebhook.id} eliminado`,
+                        webhookId: deletedWebhook.id
+                    }
+                };
+
+            case 'test_webhook':
+                const testDelivery = await webhooks.test(data.webhookId);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'webhook_tested',
+                        message: testDelivery.status === 'delivered'
+                            ? `Webhook ${data.webhookId}: prueba entregada (HTTP ${testDelivery.responseStatus})`
+                            : `Webhook ${data.webhookId}: prueba fallida (${testDelivery.error})`,
+                        delivery: testDelivery
+                    }
+                };
+
+            case 'list_webhook_deliveries':
+                const deliveryLimit = data.limit === undefined ? undefined : Number(data.limit);
+                if (deliveryLimit !== undefined && !(Number.isInteger(deliveryLimit) && deliveryLimit > 0)) {
+                    throw new CommandError('"limit" debe ser un entero positivo');
+                }
+                return {
+                    status: 200,
+                    body: {
+                        type: 'webhook_deliveries',
+                        deliveries: webhooks.listDeliveries({ webhookId: data.webhookId, limit: deliveryLimit })
+                    }
+                };
+
+            case 'list_downloads':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'downloads',
+                        sessionId: session.id,
+                        ...(await session.files.list())
+                    }
+                };
+
+            case 'delete_download':
+                const deletedFile = await session.files.remove(data.name);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'download_deleted',
+                        message: `Descarga eliminada: ${deletedFile.name}`,
+                        name: deletedFile.name
+                    }
+                };
+
+            case 'upload_file':
+                return uploadFile(session, data);
+
+            case 'capture_screenshot':
+                return captureScreenshot(session, data);
+
+            case 'compare_screenshot':
+                return compareScreenshot(session, data);
+
+            case 'list_baselines':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'baselines',
+                        baselines: baselines.list()
+                    }
+                };
+
+            case 'delete_baseline':
+                baselines.remove(data.name);
+                log.info(`Referencia visual eliminada: ${data.name}`, { category: 'visual' });
+                return {
+                    status: 200,
+                    body: {
+                        type: 'baseline_deleted',
+                        message: `Referencia eliminada: ${data.name}`,
+                        name: data.name
+                    }
+                };
+
+            case 'list_network_rules':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'network_rules',
+                        sessionId: session.id,
+                        rules: session.network.listRules()
+                    }
+                };
+
+            case 'set_network_rules':
+                const networkRules = await session.network.setRules(data.rules);
+                log.info(`Reglas de red de la sesión ${session.id}: ${networkRules.length}`, { category: 'network', sessionId: session.id });
+                return {
+                    status: 200,
+                    body: {
+                        type: 'network_rules',
+                        message: `${networkRules.length} reglas de red activas`,
+                        sessionId: session.id,
+                        rules: networkRules
+                    }
+                };
+
+            case 'add_network_rule':
+                const addedRule = await session.network.addRule(data.rule);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'network_rule_added',
+                        message: `Regla de red ${addedRule.id} añadida (${addedRule.action})`,
+                        rule: addedRule
+                    }
+                };
+
+            case 'remove_network_rule':
+                const removedRule = await session.network.removeRule(data.ruleId);
+                return {
+                    status: 200,
+                    body: {
+                        type: 'network_rule_removed',
+                        message: `Regla de red ${removedRule.id} eliminada`,
+                        rule: removedRule
+                    }
+                };
+
+            case 'start_har':
+                session.network.startHar({ includeContent: data.includeContent });
+                log.info(`Grabación de tráfico iniciada en la sesión ${session.id}`, { category: 'network', sessionId: session.id });
+                return {
+                    status: 200,
+                    body: {
+                        type: 'har_started',
+                        message: 'Grabando el tráfico de la sesión'
+                    }
+                };
+
+            case 'stop_har':
+                const harSummary = session.network.stopHar();
+                log.info(`Grabación de tráfico detenida en la sesión ${session.id} (${harSummary.entries} peticiones)`, { category: 'network', sessionId: session.id });
+                return {
+                    status: 200,
+                    body: {
+                        type: 'har_stopped',
+                        message: `Grabación de tráfico detenida (${harSummary.entries} peticiones)`,
+                        ...harSummary
+                    }
+                };
+
+            case 'export_har':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'har',
+                        har: session.network.exportHar()
+                    }
+                };
+
+            case 'get_queue':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'queue',
+                        sessionId: session.id,
+                        depth: session.queue.depth,
+                        commands: session.queue.list()
+                    }
+                };
+
+            case 'cancel_command':
+                if (data.commandId === undefined || data.commandId === null) {
+                    throw new CommandError('commandId requerido');
+                }
+                return {
+                    status: 200,
+                    body: {
+                        type: 'command_cancelled',
+                        message: `Comando ${data.commandId} cancelado`,
+                        command: session.queue.cancel(data.commandId)
+                    }
+                };
+
+            case 'get_logs':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'logs',
+                        ...eventLog.query(parseLogQuery(data))
+                    }
+                };
+
+            case 'get_config':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'config',
+                        config: describeConfig(config)
+                    }
+                };
+
+            case 'list_profiles':
+                return {
+                    status: 200,
+                    body: {
+                        type: 'profiles',
+                        profiles: profiles.list().map((profile) => {
+                            const owner = sessions.findByProfile(profile.name);
+                            return { ...profile, sessionId: owner ? owner.id : null };
+                        })
+                    }
+                };
+
+            case 'export_state':
+                const exportPage = await getSessionPage(session);
+                const state = await storageState.exportState(exportPage, data.origin || null, { openPage: () => session.openHelperPage() });
+                if (session.profile) {
+                    profiles.saveState(session.profile, state);
+                }
+
+                return {
+                    status: 200,
+                    body: {
+                        type: 'state_export',
+                        message: `Estado exportado: ${state.cookies.length} cookies, ${Object.keys(state.localStorage).length} claves de localStorage (${state.origin})`,
+                        state
+                    }
+                };
+
+            case 'import_state':
+                const importPage = await getSessionPage(session);
+                const counts = await storageState.importState(importPage, data.state, { openPage: () => session.openHelperPage() });
+                log.info(`Estado importado en la sesión ${session.id} (${counts.cookies} cookies, ${counts.localStorage} claves)`);
+
+                return {
+                    status: 200,
+                    body: {
+                        type: 'state_imported',
+                        message: `Estado importado: ${counts.cookies} cookies, ${counts.localStorage} claves de localStorage`,
+                        ...counts
+                    }
+                };
+
+            default:
+                throw new CommandError(`Comando no reconocido: ${type}`);
+        }
+    }
+
+    /**
+     * Código HTTP para una acción fallida: 503 si el navegador no está disponible
+     */
+    function failureStatus() {
+        return isBrowserReady() ? 500 : 503;
+    }
+
+    /**
+     * Identificador de pestaña obligatorio en los comandos de pestañas
+     */
+    function requireTabId(tabId) {
+        if (!Number.isInteger(tabId)) {
+            throw new CommandError('Falta el identificador numérico de la pestaña (tabId)');
+        }
+        return tabId;
+    }
+
+    /**
+     * Guardar un archivo enviado por el cliente y asignarlo a un <input type="file">.
+     * El contenido llega en base64 (WebSocket, JSON) o como Buffer (cuerpo binario de la API REST).
+     */
+    async function uploadFile(session, data) {
+        validateSelector(data);
+        if (typeof data.name !== 'string' || !data.name) {
+            throw new CommandError('Nombre de archivo requerido');
+        }
+        let content = data.content;
+        if (typeof content === 'string') {
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(content.replace(/\s/g, ''))) {
+                throw new CommandError('El contenido del archivo debe ir en base64');
+            }
+            content = Buffer.from(content, 'base64');
+        }
+        if (!Buffer.isBuffer(content)) {
+            throw new CommandError('Contenido del archivo requerido');
+        }
+
+        const filePath = await session.files.saveUpload(data.name, content);
+        const fileName = path.basename(filePath);
+        const message = `Archivo ${fileName} asignado a ${data.selector}`;
+        const fields = { selector: data.selector, fileName, size: content.length };
+
+        try {
+            await runPageAction(session, message, (page) => elements.uploadFiles(page, data.selector, [filePath], data));
+            return {
+                status: 200,
+                body: { type: 'upload_file_success', message, ...fields }
+            };
+        } catch (error) {
+            return {
+                status: error.statusCode || failureStatus(),
+                body: { type: 'upload_file_error', message: error.message, ...fields }
+            };
+        }
+    }
+
+    /**
+     * Capturar la página, un elemento o una región. La imagen va en base64 en la respuesta.
+     */
+    async function captureScreenshot(session, data) {
+        const options = screenshots.parseScreenshotOptions(data);
+        const image = await runPageAction(session, `Captura ${options.format} realizada`,
+            (page) => screenshotDuration.time({}, () => screenshots.captureScreenshot(page, options)), { quiet: true });
+
+        return {
+            status: 200,
+            body: {
+                type: 'screenshot_captured',
+                format: options.format,
+                mimeType: screenshots.FORMATS[options.format],
+                size: image.length,
+                data: Buffer.from(image).toString('base64')
+            }
+        };
+    }
+
+    /**
+     * Comparar una captura PNG con su referencia. Una comparación fallida no es un error
+     * del comando: responde 200 con passed: false y el porcentaje de diferencia.
+     */
+    async function compareScreenshot(session, data) {
+        const options = screenshots.parseScreenshotOptions({ ...data, format: 'png' });
+        // Nombre válido antes de capturar
+        baselines.filePath(data.name);
+        const image = await runPageAction(session, `Captura ${data.name} realizada`,
+            (page) => screenshotDuration.time({}, () => screenshots.captureScreenshot(page, options)), { quiet: true });
+
+        const result = baselines.compare(data.name, Buffer.from(image), {
+            threshold: data.threshold,
+            pixelThreshold: data.pixelThreshold,
+            update: data.update === true
+        });
+
+        let message;
+        if (result.baselineCreated) {
+            message = `Referencia ${result.name} guardada (${result.width}x${result.height})`;
+        } else {
+            message = `Captura ${result.name}: ${result.mismatch}% de diferencia (máximo ${result.threshold}%)`;
+        }
+        const logData = { category: 'visual', sessionId: session.id, data: { name: result.name, mismatch: result.mismatch } };
+        if (result.passed) {
+            log.info(message, logData);
+        } else {
+            log.warning(message, logData);
+        }
+
+        return {
+            status: 200,
+            body: {
+                type: 'screenshot_compared',
+                message,
+                ...result
+            }
+        };
+    }
+
+    /**
+     * Un cliente solo puede usar las sesiones creadas con su mismo token; admin, todas
+     */
+    function canUseSession(identity, session) {
+        return identity.role === 'admin' || session.identity === identity.name;
+    }
+
+    /**
+     * Sesión que un cliente indica por su id. Lanza 403 si es de otro cliente.
+     */
+    function getClientSession(identity, sessionId) {
+        const session = sessions.get(sessionId);
+        if (!canUseSession(identity, session)) {
+            throw new CommandError(`La sesión ${sessionId} pertenece a otro cliente`, 403);
+        }
+        return session;
+    }
+
+    /**
+     * Sesión destino de una petición REST: sessionId explícito, la sesión
+     * asociada a la API key o la sesión por defecto
+     */
+    function resolveApiSession(req) {
+        const sessionId = req.get('X-Session-Id') || req.query.sessionId || (req.body && req.body.sessionId);
+        if (sessionId) {
+            return getClientSession(req.identity, sessionId);
+        }
+
+        const identity = req.identity.name;
+        const apiKey = req.get('X-Api-Key');
+        if (apiKey) {
+            // No exponer la clave en /health: el propietario se identifica por su hash (y su token)
+            const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 8);
+            return sessions.getOrCreate(`apikey:${keyHash}:${identity}`, { identity });
+        }
+
+        // Con autenticación activa, cada token tiene su propia sesión
+        if (auth.isEnabled()) {
+            return sessions.getOrCreate(`token:${identity}`, { identity });
+        }
+
+        return sessions.getOrCreate('default', { id: 'default', identity });
+    }
+
+    /**
+     * Manejar mensajes WebSocket
+     */
+    async function handleWebSocketMessage(ws, data) {
+        const { type } = data;
+
+        auth.authorize(ws.identity, type, `WebSocket ${ws.remoteAddress}`);
+
+        // Los comandos pueden apuntar a otra sesión del mismo cliente con sessionId
+        const session = data.sessionId ? getClientSession(ws.identity, data.sessionId) : sessions.get(ws.sessionId);
+        const reply = (body) => sendMessage(ws, withRequestId(data, body));
+
+        switch (type) {
+            case 'run_script':
+                const { script } = data;
+                if (!script) {
+                    throw new Error('Script requerido');
+                }
+
+                startScript(ws, session, script, { variables: scriptVariables(data.variables) });
+                break;
+
+            case 'pause_script':
+                if (!session.script || !session.script.pause()) {
+                    throw new Error('No hay un script en ejecución');
+                }
+                break;
+
+            case 'resume_script':
+                if (!session.script || !session.script.resume()) {
+                    throw new Error('No hay un script en pausa');
+                }
+                break;
+
+            case 'stop_script':
+                if (!session.script || !session.script.stop()) {
+                    throw new Error('No hay un script en ejecución');
+                }
+                break;
+
+            case 'replay_recording':
+                // Sin grabación en el mensaje se reproduce la última grabación de la sesión
+                let recording = data.recording;
+                if (!recording) {
+                    if (!session.recorder || !session.recorder.hasRecording()) {
+                        throw new CommandError('No hay ninguna grabación para reproducir', 404);
+                    }
+                    if (session.recorder.isRecording()) {
+                        throw new CommandError('Detenga la grabación antes de reproducirla', 409);
+                    }
+                    recording = session.recorder.toJSON();
+                }
+
+                const speed = data.speed === undefined ? 1 : data.speed;
+                if (typeof speed !== 'number' || speed <= 0 || speed > 100) {
+                    throw new CommandError('La velocidad debe ser un número entre 0 y 100');
+                }
+
+                startScript(ws, session, recordingToScript(recording), { speed });
+                break;
+
+            case 'subscribe_frames':
+                // Un cliente recibe los frames de una sola sesión a la vez
+                if (ws.screencast) {
+                    await ws.screencast.unsubscribe(ws);
+                    ws.screencast = null;
+                }
+
+                if (!session.screencast) {
+                    session.screencast = new Screencast(session.id, () => getSessionPage(session), log);
+                }
+
+                const frameOptions = await session.screencast.subscribe(ws, {
+                    format: data.format,
+                    quality: data.quality,
+                    maxFps: data.maxFps,
+                    scale: data.scale
+                });
+                ws.screencast = session.screencast;
+
+                reply({
+                    type: 'screencast_started',
+                    message: `Transmitiendo frames de la sesión ${session.id}`,
+                    sessionId: session.id,
+                    ...frameOptions
+                });
+                break;
+
+            case 'subscribe_logs':
+                // Filtros opcionales: level, category y session (como en GET /api/logs)
+                const { levels, categories, sessionId: logSessionId } = parseLogQuery(data);
+                ws.logFilter = { levels, categories, sessionId: logSessionId };
+                reply({
+                    type: 'logs_subscribed',
+                    message: 'Suscrito al registro de eventos',
+                    filter: ws.logFilter
+                });
+                break;
+
+            case 'unsubscribe_logs':
+                ws.logFilter = null;
+                reply({
+                    type: 'logs_unsubscribed',
+                    message: 'Suscripción al registro de eventos cancelada'
+                });
+                break;
+
+            case 'unsubscribe_frames':
+                if (!ws.screencast) {
+                    throw new Error('No hay una transmisión de frames activa');
+                }
+
+                await ws.screencast.unsubscribe(ws);
+                ws.screencast = null;
+                reply({
+                    type: 'screencast_stopped',
+                    message: 'Transmisión de frames detenida'
+                });
+                break;
+
+            default:
+                const result = await executeCommand(data, session, {
+                    requestId: data.requestId,
+                    identity: ws.identity,
+                    // Aviso inmediato si el comando tiene que esperar a otros de la sesión
+                    onQueued: (entry) => reply({
+                        type: 'command_queued',
+                        message: `Comando ${data.type} en cola (${entry.position} por delante)`,
+                        commandId: entry.id,
+                        position: entry.position,
+                        queueDepth: session.queue.depth
+                    })
+                });
+
+                // ack: false omite la respuesta de éxito (eventos reenviados en tiempo real)
+                if (data.ack === false && result.status === 200) {
+                    break;
+                }
+                reply({ ...result.body, ...(result.commandId ? { commandId: result.commandId } : {}) });
+        }
+    }
+
+    /**
+     * Arrancar el navegador, las tareas de fondo y el servidor HTTP.
+     * Devuelve el puerto en el que escucha (con port 0, el que asignó el sistema).
+     */
+    async function start() {
+        if (!auth.isEnabled()) {
+            log.warning('Autenticación desactivada: configure AUTH_TOKENS o AUTH_TOKENS_FILE para exigir tokens');
+        }
+
+        // Webhooks antes que el navegador, para avisar también si no llega a arrancar
+        webhooks.load();
+
+        // Inicializar navegador y vigilar su salud
+        await lifecycle.start();
+        startBrowserHealthMonitoring();
+
+        // Cerrar sesiones abandonadas y borrar sus archivos antiguos
+        sessions.startIdleSweep();
+        startFilesCleanup();
+
+        // Reanudar las tareas programadas guardadas
+        scheduler.load();
+        scheduler.start();
+
         // Iniciar servidor HTTP
-        server.listen(PORT, () => {
-            log.success(`Servidor PyRock ejecutándose en http://localhost:${PORT}`);
-            log.info(`Preview disponible en: http://localhost:${PORT}`);
-            log.success('PyRock listo para usar');
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(PORT, () => {
+                server.off('error', reject);
+                resolve();
+            });
         });
-        
-    } catch (error) {
-        log.error(`Error iniciando servidor: ${error.message}`);
-        process.exit(1);
+
+        const listeningPort = server.address().port;
+        log.success(`Servidor PyRock ejecutándose en http://localhost:${listeningPort}`);
+        log.info(`Preview disponible en: http://localhost:${listeningPort}`);
+        log.success('PyRock listo para usar');
+        return listeningPort;
     }
-}
 
-// Manejo de cierre
-process.on('SIGINT', async () => {
-    log.info('Cerrando PyRock...');
-    if (browser) {
-        await browser.close().catch(() => {});
+    /**
+     * Detener el servidor: tareas de fondo, sesiones, navegador y conexiones abiertas
+     */
+    async function stop() {
+        log.info('Cerrando PyRock...');
+        scheduler.stop();
+        webhooks.stop();
+        // Cerrar las sesiones para que los navegadores de perfil escriban su userDataDir
+        stopBrowserHealthMonitoring();
+        stopFilesCleanup();
+        sessions.stopIdleSweep();
+        await sessions.closeAll().catch(() => {});
+        await lifecycle.stop();
+
+        for (const ws of wss.clients) {
+            ws.terminate();
+        }
+        await new Promise((resolve) => server.close(() => resolve()));
+        await eventLog.close();
     }
-    process.exit(0);
-});
 
-process.on('SIGTERM', async () => {
-    log.info('Cerrando PyRock...');
-    if (browser) {
-        await browser.close().catch(() => {});
+    return {
+        app,
+        server,
+        wss,
+        config,
+        lifecycle,
+        sessions,
+        eventLog,
+        start,
+        stop,
+        handleClientMessage,
+        handleWebSocketMessage,
+        executeCommand,
+        navigateToUrl
+    };
+}
+
+// Iniciar aplicación al ejecutar el archivo directamente (node server.js)
+if (require.main === module) {
+    sharedLog.info('🚀 Iniciando PyRock simplificado...');
+
+    let instance;
+    try {
+        instance = createServer();
+    } catch (error) {
+        sharedLog.error(error.message);
+        process.exit(1);
     }
-    process.exit(0);
-});
 
-// Iniciar aplicación
-log.info('🚀 Iniciando PyRock simplificado...');
-startServer();
\ No newline at end of file
+    instance.start().catch((error) => {
+        sharedLog.error(`Error iniciando servidor: ${error.message}`);
+        process.exit(1);
+    });
+
+    // Manejo de cierre
+    const shutdown = async () => {
+        await instance.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,32 @@
+/**
+ * Tokens de acceso: lectura de AUTH_TOKENS y autenticación de peticiones
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenAuth } = require('../lib/auth');
+
+const withToken = (token) => ({ headers: { authorization: `Bearer ${token}` }, url: '/' });
+
+describe('TokenAuth.fromEnvironment', () => {
+    it('lee token:rol y token:rol:nombre', () => {
+        const auth = TokenAuth.fromEnvironment({ AUTH_TOKENS: 'uno:viewer, dos:admin:luis' });
+        assert.deepEqual(auth.authenticate(withToken('uno')), { name: 'viewer-1', role: 'viewer' });
+        assert.deepEqual(auth.authenticate(withToken('dos')), { name: 'luis', role: 'admin' });
+        assert.equal(auth.authenticate(withToken('tres')), null);
+    });
+
+    it('admite tokens que contienen ":"', () => {
+        const auth = TokenAuth.fromEnvironment({ AUTH_TOKENS: 'a:b:c:operator,x:y:admin:ci' });
+        assert.deepEqual(auth.authenticate(withToken('a:b:c')), { name: 'operator-1', role: 'operator' });
+        assert.deepEqual(auth.authenticate(withToken('x:y')), { name: 'ci', role: 'admin' });
+        assert.equal(auth.authenticate(withToken('a')), null);
+    });
+
+    it('rechaza las entradas sin un rol válido', () => {
+        assert.throws(() => TokenAuth.fromEnvironment({ AUTH_TOKENS: 'uno:viewer,abc:superuser' }),
+            /^Error: Token 2: se esperaba token:rol\[:nombre\] con un rol válido \(viewer, operator, admin\)$/);
+        assert.throws(() => TokenAuth.fromEnvironment({ AUTH_TOKENS: 'solo-token' }), /Token 1/);
+        assert.throws(() => TokenAuth.fromEnvironment({ AUTH_TOKENS: ':admin' }), /Token 1: falta el valor del token/);
+    });
+});
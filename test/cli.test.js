@@ -0,0 +1,271 @@
+/**
+ * Cliente de línea de comandos (bin/pyrock.js) contra un servidor real en un puerto libre
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { main } = require('../bin/pyrock');
+const { createTestServer, startFixtureSite, browserUnavailable } = require('./helpers');
+
+const BIN = path.join(__dirname, '..', 'bin', 'pyrock.js');
+
+/**
+ * Ejecutar la CLI en el mismo proceso y recoger su salida
+ */
+async function runCli(argv, { stdin = '', env = {} } = {}) {
+    const output = { stdout: '', stderr: '', chunks: [] };
+    const io = {
+        stdout: {
+            write: (chunk) => {
+                output.chunks.push(Buffer.from(chunk));
+                output.stdout += chunk;
+            }
+        },
+        stderr: {
+            write: (chunk) => {
+                output.stderr += chunk;
+            }
+        },
+        stdin: Readable.from([stdin]),
+        env
+    };
+    output.code = await main(argv, io);
+    return output;
+}
+
+describe('pyrock sin servidor', () => {
+    it('muestra la ayuda con --help', async () => {
+        const { code, stdout } = await runCli(['--help']);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Uso: pyrock/);
+    });
+
+    it('sale con 2 si los argumentos no son válidos', async () => {
+        assert.equal((await runCli([])).code, 2);
+        assert.equal((await runCli(['volar'])).code, 2);
+        assert.equal((await runCli(['--desconocida', 'status'])).code, 2);
+        assert.equal((await runCli(['send', '{no es json'])).code, 2);
+        assert.equal((await runCli(['run', 'script.txt', '--var', 'sin-valor'])).code, 2);
+
+        const { code, stderr } = await runCli(['click', '10']);
+        assert.equal(code, 2);
+        assert.match(stderr, /^y debe ser un número/);
+    });
+
+    it('sale con 1 si no puede conectar', async () => {
+        const { code, stderr } = await runCli(['status'], { env: { PYROCK_URL: 'ws://127.0.0.1:1' } });
+        assert.equal(code, 1);
+        assert.match(stderr, /No se pudo conectar a ws:\/\/127\.0\.0\.1:1/);
+    });
+});
+
+describe('pyrock con el navegador caído', () => {
+    let instance;
+    let url;
+
+    before(async () => {
+        instance = createTestServer({
+            launchBrowser: async () => {
+                throw new Error('Chromium no instalado');
+            },
+            env: { BROWSER_RECOVERY_MAX_ATTEMPTS: '1', AUTH_TOKENS: 'secreto:operator', MAX_SESSIONS: '2' }
+        });
+        url = `ws://127.0.0.1:${await instance.start()}`;
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    it('exige el token si el servidor tiene autenticación', async () => {
+        const { code, stderr } = await runCli(['--url', url, 'status']);
+        assert.equal(code, 1);
+        assert.match(stderr, /HTTP 401/);
+    });
+
+    it('status responde aunque el navegador no esté disponible', async () => {
+        const { code, stdout } = await runCli(['status'], { env: { PYROCK_URL: url, PYROCK_TOKEN: 'secreto' } });
+        assert.equal(code, 0);
+        assert.equal(stdout, 'Estado: No disponible\n');
+    });
+
+    it('--json imprime la respuesta completa', async () => {
+        const { code, stdout } = await runCli(['--url', url, '--token', 'secreto', '--json', 'status']);
+        assert.equal(code, 0);
+        const reply = JSON.parse(stdout);
+        assert.equal(reply.type, 'status');
+        assert.equal(reply.browser.state, 'failed');
+    });
+
+    it('las invocaciones seguidas no agotan el límite de sesiones', async () => {
+        const env = { PYROCK_URL: url, PYROCK_TOKEN: 'secreto' };
+        for (let i = 0; i < 4; i++) {
+            const { code, stderr } = await runCli(['status'], { env });
+            assert.equal(code, 0, stderr);
+        }
+    });
+
+    it('--session se une a la sesión en lugar de abrir otra', async () => {
+        const env = { PYROCK_URL: url, PYROCK_TOKEN: 'secreto' };
+        const { sessionId } = JSON.parse((await runCli(['--json', 'status'], { env })).stdout);
+        const count = instance.sessions.list().length;
+
+        for (let i = 0; i < 3; i++) {
+            const { stdout } = await runCli(['--json', '--session', sessionId, 'status'], { env });
+            assert.equal(JSON.parse(stdout).sessionId, sessionId);
+        }
+        assert.equal(instance.sessions.list().length, count);
+
+        const missing = await runCli(['--session', 'nada', 'status'], { env });
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /Sesión no encontrada: nada/);
+    });
+
+    it('sale con 1 si el comando falla', async () => {
+        const { code, stdout, stderr } = await runCli(['--url', url, '--token', 'secreto', 'navigate', 'example.com']);
+        assert.equal(code, 1);
+        assert.equal(stdout, '');
+        assert.match(stderr, /^Error: .*Navegador no disponible/);
+    });
+
+    it('sale con 1 si el rol no permite el comando', async () => {
+        const { code, stderr } = await runCli(['--url', url, '--token', 'secreto', 'send', '{"type":"restart"}']);
+        assert.equal(code, 1);
+        assert.match(stderr, /restart/);
+    });
+
+    it('run muestra los errores de sintaxis del script', async () => {
+        const { code, stderr } = await runCli(['--url', url, '--token', 'secreto', 'run', '-'], { stdin: 'Volar(1)\n' });
+        assert.equal(code, 1);
+        assert.match(stderr, /Error de sintaxis en el script/);
+    });
+
+    it('el ejecutable termina con el código del comando', async () => {
+        const code = await new Promise((resolve) => {
+            execFile(process.execPath, [BIN, '--url', url, '--token', 'secreto', 'navigate', 'example.com'], (error) => {
+                resolve(error ? error.code : 0);
+            });
+        });
+        assert.equal(code, 1);
+    });
+});
+
+describe('pyrock', { skip: browserUnavailable() }, () => {
+    let site;
+    let instance;
+    let url;
+    let tmpDir;
+
+    before(async () => {
+        site = await startFixtureSite();
+        instance = createTestServer({ env: { START_URL: site.url } });
+        url = `ws://127.0.0.1:${await instance.start()}`;
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pyrock-cli-'));
+    });
+
+    after(async () => {
+        await instance.stop();
+        await site.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('navigate, click, type, key, screenshot e init', async () => {
+        const navigate = await runCli(['--url', url, 'navigate', site.url]);
+        assert.equal(navigate.code, 0, navigate.stderr);
+        assert.match(navigate.stdout, /^Navegación exitosa a: /);
+
+        assert.equal((await runCli(['--url', url, 'click', '20', '600', '--button', 'right'])).code, 0);
+        assert.equal((await runCli(['--url', url, 'type', 'hola', 'mundo'])).code, 0);
+        assert.equal((await runCli(['--url', url, 'key', 'a', '--modifiers', 'Shift'])).code, 0);
+
+        const screenshot = await runCli(['--url', url, 'screenshot']);
+        assert.equal(screenshot.code, 0, screenshot.stderr);
+        const file = screenshot.stdout.match(/\/screenshots\/(\S+\.png)/)[1];
+        assert.ok(fs.existsSync(path.join(instance.dataDir, 'screenshots', file)));
+
+        const init = await runCli(['--url', url, 'init']);
+        assert.equal(init.code, 0, init.stderr);
+        assert.equal(init.stdout, 'Navegador inicializado\n');
+    });
+
+    it('--session dirige los comandos a una sesión existente', async () => {
+        const session = instance.sessions.create('cli');
+        const env = { PYROCK_URL: url, PYROCK_SESSION: session.id };
+
+        assert.equal((await runCli(['navigate', `${site.url}page2.html`], { env })).code, 0);
+        const title = await runCli(['--json', 'send', '{"type":"get_title"}'], { env });
+        assert.equal(JSON.parse(title.stdout).value, 'Segunda página');
+    });
+
+    it('navigate y después status sobre la sesión de una invocación anterior', async () => {
+        const { sessionId } = JSON.parse((await runCli(['--url', url, '--json', 'status'])).stdout);
+        const env = { PYROCK_URL: url, PYROCK_SESSION: sessionId };
+
+        assert.equal((await runCli(['navigate', `${site.url}page2.html`], { env })).code, 0);
+        const status = await runCli(['--json', 'status'], { env });
+        assert.equal(JSON.parse(status.stdout).sessionId, sessionId);
+        const current = await runCli(['--json', 'send', '{"type":"get_url"}'], { env });
+        assert.match(JSON.parse(current.stdout).value, /page2\.html$/);
+    });
+
+    it('send - ejecuta los comandos de la entrada estándar hasta el primer error', async () => {
+        const stdin = [
+            JSON.stringify({ type: 'navigate', url: site.url }),
+            JSON.stringify({ type: 'get_title' }),
+            JSON.stringify({ type: 'click_element', selector: '#nunca', timeout: 100 }),
+            JSON.stringify({ type: 'get_url' })
+        ].join('\n');
+
+        const { code, stdout, stderr } = await runCli(['--url', url, '--json', 'send', '-'], { stdin });
+        assert.equal(code, 1);
+        assert.deepEqual(stdout.trim().split('\n').map((line) => JSON.parse(line).type), ['navigation_success', 'get_title_result']);
+        assert.match(JSON.parse(stderr).type, /error$/);
+    });
+
+    it('run sube un script y muestra su progreso', async () => {
+        const file = path.join(tmpDir, 'formulario.txt');
+        fs.writeFileSync(file, [
+            `Navigate("${site.url}")`,
+            'Set("nombre", "${persona}")',
+            'TypeInto("#name", "${nombre}")',
+            'ClickOn("#submit")',
+            'WaitUntil("text", "#output", "Enviado: Eva", 2000)'
+        ].join('\n'));
+
+        const { code, stdout, stderr } = await runCli(['--url', url, 'run', file, '--var', 'persona=Eva']);
+        assert.equal(code, 0, stderr);
+        const lines = stdout.trim().split('\n');
+        assert.equal(lines[0], 'Script iniciado');
+        assert.equal(lines[1], `[1] línea 1: Navigate(${JSON.stringify(site.url)})`);
+        assert.ok(lines.includes('  nombre = "Eva"'));
+        assert.equal(lines[lines.length - 1], 'Script completado (5 pasos)');
+    });
+
+    it('run sale con 1 si el script falla', async () => {
+        const { code, stderr } = await runCli(['--url', url, 'run', '-'], {
+            stdin: `Navigate("${site.url}")\nAssert("text", "h1", "Otra", "Título inesperado")\n`
+        });
+        assert.equal(code, 1);
+        assert.equal(stderr, 'Error: Línea 2: Título inesperado\n');
+    });
+
+    it('frame guarda el frame actual', async () => {
+        const file = path.join(tmpDir, 'frame.jpg');
+        const saved = await runCli(['--url', url, 'frame', file, '--quality', '50']);
+        assert.equal(saved.code, 0, saved.stderr);
+        assert.match(saved.stdout, /^Frame guardado en .*frame\.jpg \(\d+ bytes\)/);
+        // Cabecera JPEG
+        assert.deepEqual([...fs.readFileSync(file).subarray(0, 2)], [0xff, 0xd8]);
+
+        const piped = await runCli(['--url', url, 'frame', '-']);
+        assert.equal(piped.code, 0, piped.stderr);
+        assert.deepEqual([...Buffer.concat(piped.chunks).subarray(0, 2)], [0xff, 0xd8]);
+
+        assert.equal((await runCli(['--url', url, 'frame', path.join(tmpDir, 'frame.png')])).code, 2);
+    });
+});
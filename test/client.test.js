@@ -0,0 +1,63 @@
+/**
+ * Cliente WebSocket (lib/client.js) contra un servidor ws mínimo que envía lo que cada prueba quiera
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const { PyRockClient, isErrorReply } = require('../lib/client');
+
+describe('isErrorReply', () => {
+    it('reconoce error y *_error, y no falla sin tipo', () => {
+        assert.equal(isErrorReply({ type: 'error' }), true);
+        assert.equal(isErrorReply({ type: 'navigation_error' }), true);
+        assert.equal(isErrorReply({ type: 'navigation_success' }), false);
+        assert.equal(isErrorReply({}), false);
+        assert.equal(isErrorReply({ type: 42 }), false);
+    });
+});
+
+describe('PyRockClient', () => {
+    let server;
+    let url;
+    // Lo que el servidor envía al conectarse cada cliente
+    let greeting;
+
+    before(async () => {
+        server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+        server.on('connection', (socket) => {
+            for (const message of greeting) {
+                socket.send(message);
+            }
+        });
+        await once(server, 'listening');
+        url = `ws://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('rechaza la conexión si el primer mensaje no es JSON', async () => {
+        greeting = ['<html>'];
+        const client = new PyRockClient({ url });
+        await assert.rejects(client.connect(), /Mensaje no válido del servidor/);
+    });
+
+    it('emite error con un mensaje que no es JSON y sigue recibiendo', async () => {
+        greeting = [JSON.stringify({ type: 'status', sessionId: 's1', role: 'admin' }), '{roto', 'null', JSON.stringify({ type: 'aviso' })];
+        const client = new PyRockClient({ url });
+        const errors = [];
+        client.on('error', (error) => errors.push(error));
+        // once() se rechazaría con el primer 'error'
+        const received = new Promise((resolve) => client.on('message', resolve));
+
+        await client.connect();
+        const message = await received;
+        assert.equal(message.type, 'aviso');
+        assert.equal(errors.length, 2);
+        assert.match(errors[0].message, /^Mensaje no válido del servidor/);
+        client.close();
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Cola de comandos: orden, cancelación y tiempo máximo
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandQueue } = require('../lib/commandQueue');
+
+/**
+ * Comando que no termina hasta que la prueba llama a finish()
+ */
+function controlledCommand() {
+    const command = { started: false };
+    command.done = new Promise((resolve) => {
+        command.finish = resolve;
+    });
+    command.fn = () => {
+        command.started = true;
+        return command.done;
+    };
+    return command;
+}
+
+describe('CommandQueue', () => {
+    it('ejecuta los comandos de uno en uno y en orden', async () => {
+        const queue = new CommandQueue();
+        const order = [];
+        const first = queue.enqueue(async () => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            order.push(1);
+            return 'uno';
+        });
+        const second = queue.enqueue(async () => {
+            order.push(2);
+            return 'dos';
+        });
+        assert.equal(second.position, 1);
+        assert.deepEqual(await Promise.all([first.promise, second.promise]), ['uno', 'dos']);
+        assert.deepEqual(order, [1, 2]);
+    });
+
+    it('tras una cancelación el siguiente espera a que el cancelado termine', async () => {
+        const queue = new CommandQueue();
+        const running = controlledCommand();
+        const next = controlledCommand();
+        const first = queue.enqueue(running.fn);
+        const second = queue.enqueue(next.fn);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        queue.cancel(first.id);
+        // Quien lo envió recibe el error en el momento
+        await assert.rejects(first.promise, (error) => error.cancelled === true && error.statusCode === 409);
+        assert.equal(next.started, false);
+        assert.equal(queue.depth, 2);
+
+        running.finish();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(next.started, true);
+        next.finish('hecho');
+        assert.equal(await second.promise, 'hecho');
+    });
+
+    it('tras agotar su tiempo el siguiente espera a que el comando termine', async () => {
+        const queue = new CommandQueue({ timeout: 20 });
+        const running = controlledCommand();
+        const next = controlledCommand();
+        const first = queue.enqueue(running.fn, { type: 'lento' });
+        const second = queue.enqueue(next.fn, { timeout: 1000 });
+
+        await assert.rejects(first.promise, /Tiempo agotado: lento superó 20 ms/);
+        assert.equal(next.started, false);
+
+        running.finish();
+        next.finish('hecho');
+        assert.equal(await second.promise, 'hecho');
+        assert.equal(next.started, true);
+    });
+
+    it('cancelar un comando en cola lo quita sin ejecutarlo', async () => {
+        const queue = new CommandQueue();
+        const running = controlledCommand();
+        const queued = controlledCommand();
+        queue.enqueue(running.fn);
+        const second = queue.enqueue(queued.fn);
+
+        queue.cancel(second.id);
+        await assert.rejects(second.promise, /Comando cancelado/);
+        assert.equal(queue.depth, 1);
+
+        running.finish();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(queued.started, false);
+        assert.equal(queue.depth, 0);
+    });
+
+    it('deja de esperar a un comando abortado que no termina y avisa con onStuck', async () => {
+        const stuck = [];
+        const queue = new CommandQueue({ timeout: 10, stuckTimeout: 20, onStuck: (entry) => stuck.push(entry.type) });
+        const hung = controlledCommand();
+        const next = controlledCommand();
+        const first = queue.enqueue(hung.fn, { type: 'colgado' });
+        const second = queue.enqueue(next.fn, { timeout: 1000 });
+
+        await assert.rejects(first.promise, /Tiempo agotado/);
+        assert.equal(next.started, false);
+
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        assert.deepEqual(stuck, ['colgado']);
+        assert.equal(next.started, true);
+
+        // Si el colgado termina más tarde no libera el turno del siguiente
+        hung.finish();
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.equal(queue.depth, 1);
+        next.finish('hecho');
+        assert.equal(await second.promise, 'hecho');
+    });
+
+    it('no avisa si el comando abortado termina a tiempo', async () => {
+        const stuck = [];
+        const queue = new CommandQueue({ stuckTimeout: 20, onStuck: (entry) => stuck.push(entry) });
+        const running = controlledCommand();
+        const first = queue.enqueue(running.fn);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        queue.cancel(first.id);
+        await assert.rejects(first.promise, /Comando cancelado/);
+        running.finish();
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        assert.deepEqual(stuck, []);
+        assert.equal(queue.depth, 0);
+    });
+});
@@ -0,0 +1,697 @@
+/**
+ * Todos los comandos de handleWebSocketMessage contra el sitio de pruebas local,
+ * con un cliente WebSocket simulado
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createTestServer, startFixtureSite, browserUnavailable, MockClient } = require('./helpers');
+
+/**
+ * Receptor de webhooks: guarda las peticiones y responde 204
+ */
+function startWebhookReceiver() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(204).end();
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            requests,
+            close: () => new Promise((done) => server.close(() => done()))
+        }));
+    });
+}
+
+describe('comandos WebSocket', { skip: browserUnavailable() }, () => {
+    let site;
+    let instance;
+    let client;
+
+    const pageValue = async (expression) => {
+        const reply = await client.request({ type: 'evaluate', expression });
+        assert.equal(reply.type, 'evaluate_result', reply.message);
+        return reply.value;
+    };
+
+    // Último evento registrado por la página; con carga alta puede llegar después de la respuesta
+    const lastEvent = (list) => pageValue(`new Promise((resolve) => {
+        const check = () => (window.events.${list}.length ? resolve(window.events.${list}.pop()) : setTimeout(check, 10));
+        check();
+    })`);
+
+    const openFixture = async (page = '') => {
+        const reply = await client.request({ type: 'navigate', url: `${site.url}${page}` });
+        assert.equal(reply.type, 'navigation_success', reply.message);
+        // navigate responde en DOMContentLoaded y Chromium descarta la entrada hasta el primer frame pintado
+        await pageValue('new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)))');
+    };
+
+    before(async () => {
+        site = await startFixtureSite();
+        instance = createTestServer({ env: { START_URL: site.url } });
+        await instance.start();
+        client = new MockClient(instance);
+    });
+
+    after(async () => {
+        await instance.stop();
+        await site.close();
+    });
+
+    describe('estado y navegación', () => {
+        it('status', async () => {
+            const reply = await client.request({ type: 'status' });
+            assert.equal(reply.type, 'status');
+            assert.equal(reply.browserReady, true);
+            assert.equal(reply.browser.state, 'ready');
+        });
+
+        it('navigate', async () => {
+            const reply = await client.request({ type: 'navigate', url: `${site.url}page2.html` });
+            assert.equal(reply.type, 'navigation_success');
+            assert.equal(reply.url, `${site.url}page2.html`);
+            assert.ok(reply.commandId);
+        });
+
+        it('screenshot', async () => {
+            const reply = await client.request({ type: 'screenshot' });
+            assert.equal(reply.type, 'screenshot_saved');
+            assert.equal(reply.url, `/screenshots/${client.sessionId}.png`);
+
+            const file = path.join(instance.dataDir, 'screenshots', `${client.sessionId}.png`);
+            assert.ok(fs.statSync(file).size > 0);
+
+            // Servido en la URL de la respuesta
+            const status = await new Promise((resolve, reject) => {
+                http.get({ host: '127.0.0.1', port: instance.server.address().port, path: reply.url }, (res) => {
+                    res.resume();
+                    resolve(res.statusCode);
+                }).on('error', reject);
+            });
+            assert.equal(status, 200);
+        });
+
+        it('get_config', async () => {
+            const reply = await client.request({ type: 'get_config' });
+            assert.equal(reply.type, 'config');
+            assert.equal(reply.config.startUrl, site.url);
+        });
+
+        it('get_logs', async () => {
+            const reply = await client.request({ type: 'get_logs', category: 'browser' });
+            assert.equal(reply.type, 'logs');
+            assert.ok(reply.entries.some((entry) => /Navegador inicializado/.test(entry.message)));
+        });
+
+        it('subscribe_logs y unsubscribe_logs', async () => {
+            const subscribed = await client.request({ type: 'subscribe_logs', category: 'command' });
+            assert.equal(subscribed.type, 'logs_subscribed');
+            assert.deepEqual(subscribed.filter.categories, ['command']);
+
+            await client.request({ type: 'click_element', selector: '#nunca', timeout: 100 });
+            const entry = await client.waitFor((message) => message.type === 'log');
+            assert.equal(entry.entry.category, 'command');
+
+            const unsubscribed = await client.request({ type: 'unsubscribe_logs' });
+            assert.equal(unsubscribed.type, 'logs_unsubscribed');
+        });
+    });
+
+    describe('ratón y teclado por coordenadas', () => {
+        before(() => openFixture());
+
+        it('click', async () => {
+            const reply = await client.request({ type: 'click', x: 20, y: 600 });
+            assert.equal(reply.type, 'click_success');
+            assert.deepEqual(reply.coordinates, { x: 20, y: 600 });
+            assert.deepEqual(await lastEvent('clicks'), { x: 20, y: 600, detail: 1 });
+        });
+
+        it('double_click', async () => {
+            const reply = await client.request({ type: 'double_click', x: 30, y: 600 });
+            assert.equal(reply.type, 'double_click_success');
+            assert.equal((await lastEvent('clicks')).detail, 2);
+        });
+
+        it('right_click', async () => {
+            const reply = await client.request({ type: 'right_click', x: 40, y: 600 });
+            assert.equal(reply.type, 'right_click_success');
+            assert.deepEqual(await lastEvent('clicks'), { x: 40, y: 600, button: 'right' });
+        });
+
+        it('type', async () => {
+            await client.request({ type: 'click_element', selector: '#name' });
+            const reply = await client.request({ type: 'type', text: 'hola' });
+            assert.equal(reply.type, 'type_success');
+            assert.equal(await pageValue("document.querySelector('#name').value"), 'hola');
+        });
+
+        it('key', async () => {
+            const reply = await client.request({ type: 'key', key: 'Enter' });
+            assert.equal(reply.type, 'key_success');
+
+            const chord = await client.request({ type: 'key', key: 'a', modifiers: ['Shift'] });
+            assert.equal(chord.type, 'key_success');
+            assert.match(chord.message, /Shift\+a/);
+
+            const keys = await pageValue('window.events.keys');
+            assert.deepEqual(keys.slice(-3), ['Enter', 'Shift', 'a']);
+        });
+
+        it('mouse_move', async () => {
+            const reply = await client.request({ type: 'mouse_move', x: 200, y: 500, steps: 3 });
+            assert.equal(reply.type, 'mouse_move_success');
+            assert.ok(await pageValue('window.events.moves') > 0);
+        });
+
+        it('mouse_down y mouse_up', async () => {
+            assert.equal((await client.request({ type: 'mouse_down', button: 'middle' })).type, 'mouse_down_success');
+            assert.equal((await client.request({ type: 'mouse_up', button: 'middle' })).type, 'mouse_up_success');
+            const buttons = await pageValue('window.events.buttons.slice(-2)');
+            assert.deepEqual(buttons, ['down:1', 'up:1']);
+        });
+
+        it('drag', async () => {
+            const reply = await client.request({ type: 'drag', path: [{ x: 300, y: 600 }, { x: 350, y: 620 }] });
+            assert.equal(reply.type, 'drag_success');
+            assert.deepEqual(await pageValue('window.events.buttons.slice(-2)'), ['down:0', 'up:0']);
+        });
+
+        it('wheel', async () => {
+            const reply = await client.request({ type: 'wheel', deltaY: 120 });
+            assert.equal(reply.type, 'wheel_success');
+            // Chromium entrega la rueda de forma asíncrona
+            assert.equal(await pageValue('new Promise((resolve) => requestAnimationFrame(() => resolve(window.events.wheel)))'), 120);
+        });
+
+        it('key_down y key_up', async () => {
+            assert.equal((await client.request({ type: 'key_down', key: 'Shift' })).type, 'key_down_success');
+            assert.equal((await client.request({ type: 'key_up', key: 'Shift' })).type, 'key_up_success');
+            assert.equal(await pageValue('window.events.keys[window.events.keys.length - 1]'), 'Shift');
+        });
+    });
+
+    describe('elementos y lectura de la página', () => {
+        before(() => openFixture());
+
+        it('type_into y click_element', async () => {
+            const typed = await client.request({ type: 'type_into', selector: '#name', text: 'Ana', clear: true });
+            assert.equal(typed.type, 'type_into_success');
+
+            const clicked = await client.request({ type: 'click_element', selector: 'text=Enviar' });
+            assert.equal(clicked.type, 'click_element_success');
+            assert.equal(await pageValue("document.querySelector('#output').textContent"), 'Enviado: Ana');
+        });
+
+        it('click_element responde 404 si el elemento no aparece', async () => {
+            const reply = await client.request({ type: 'click_element', selector: '#nunca', timeout: 100 });
+            assert.equal(reply.type, 'click_element_error');
+            assert.equal(reply.selector, '#nunca');
+        });
+
+        it('select_option', async () => {
+            const reply = await client.request({ type: 'select_option', selector: '#color', value: 'green' });
+            assert.equal(reply.type, 'select_option_success');
+            assert.equal(await pageValue("document.querySelector('#color').value"), 'green');
+        });
+
+        it('hover', async () => {
+            assert.equal((await client.request({ type: 'hover', selector: '#hover' })).type, 'hover_success');
+            assert.equal(await pageValue("document.querySelector('#hover').textContent"), 'Ratón encima');
+        });
+
+        it('scroll_into_view', async () => {
+            assert.equal((await client.request({ type: 'scroll_into_view', selector: '#bottom' })).type, 'scroll_into_view_success');
+            assert.ok(await pageValue('window.scrollY') > 1000);
+        });
+
+        it('wait_for_selector', async () => {
+            const reply = await client.request({ type: 'wait_for_selector', selector: '//p[@id="bottom"]' });
+            assert.equal(reply.type, 'wait_for_selector_success');
+        });
+
+        it('get_title, get_url, get_html y get_text', async () => {
+            assert.equal((await client.request({ type: 'get_title' })).value, 'Fixture PyRock');
+            assert.equal((await client.request({ type: 'get_url' })).value, site.url);
+
+            const html = await client.request({ type: 'get_html', selector: '#links' });
+            assert.equal(html.type, 'get_html_result');
+            assert.match(html.value, /page2\.html/);
+
+            const text = await client.request({ type: 'get_text', selector: 'h1' });
+            assert.deepEqual([text.type, text.selector, text.value], ['get_text_result', 'h1', 'Página de pruebas']);
+        });
+
+        it('get_links', async () => {
+            const reply = await client.request({ type: 'get_links', selector: '#links' });
+            assert.equal(reply.type, 'get_links_result');
+            assert.deepEqual(reply.value[0], { text: 'Segunda página', href: `${site.url}page2.html` });
+        });
+
+        it('get_table', async () => {
+            const reply = await client.request({ type: 'get_table', selector: '#prices' });
+            assert.deepEqual(reply.value, [
+                { Producto: 'Manzana', Precio: '1.20' },
+                { Producto: 'Pera', Precio: '0.90' }
+            ]);
+        });
+
+        it('evaluate', async () => {
+            const reply = await client.request({ type: 'evaluate', expression: '[1, 2, 3].map((n) => n * 2)' });
+            assert.deepEqual(reply.value, [2, 4, 6]);
+        });
+    });
+
+    describe('imágenes y capturas', () => {
+        let badge;
+
+        before(async () => {
+            await openFixture();
+            const capture = await client.request({ type: 'capture_screenshot', selector: '#badge' });
+            badge = capture.data;
+        });
+
+        it('capture_screenshot', async () => {
+            const reply = await client.request({ type: 'capture_screenshot', format: 'jpeg', quality: 50 });
+            assert.equal(reply.type, 'screenshot_captured');
+            assert.equal(reply.mimeType, 'image/jpeg');
+            assert.equal(Buffer.from(reply.data, 'base64').length, reply.size);
+        });
+
+        it('image_exists', async () => {
+            const reply = await client.request({ type: 'image_exists', image: badge });
+            assert.equal(reply.type, 'image_exists_success');
+            assert.equal(reply.result.found, true);
+        });
+
+        it('wait_for_image', async () => {
+            const reply = await client.request({ type: 'wait_for_image', image: badge, timeout: 2000 });
+            assert.equal(reply.type, 'wait_for_image_success');
+        });
+
+        it('click_image', async () => {
+            const reply = await client.request({ type: 'click_image', image: badge });
+            assert.equal(reply.type, 'click_image_success');
+            const click = await lastEvent('clicks');
+            assert.ok(Math.abs(click.x - 924) <= 2 && Math.abs(click.y - 64) <= 2, JSON.stringify(click));
+        });
+
+        it('compare_screenshot, list_baselines y delete_baseline', async () => {
+            const created = await client.request({ type: 'compare_screenshot', name: 'inicio' });
+            assert.equal(created.type, 'screenshot_compared');
+            assert.equal(created.baselineCreated, true);
+
+            const compared = await client.request({ type: 'compare_screenshot', name: 'inicio' });
+            assert.equal(compared.passed, true);
+            assert.equal(compared.mismatch, 0);
+
+            const list = await client.request({ type: 'list_baselines' });
+            assert.deepEqual(list.baselines.map((baseline) => baseline.name), ['inicio']);
+
+            assert.equal((await client.request({ type: 'delete_baseline', name: 'inicio' })).type, 'baseline_deleted');
+            assert.deepEqual((await client.request({ type: 'list_baselines' })).baselines, []);
+        });
+
+        it('subscribe_frames y unsubscribe_frames', async () => {
+            const started = await client.request({ type: 'subscribe_frames', maxFps: 5 });
+            assert.equal(started.type, 'screencast_started');
+            assert.equal(started.sessionId, client.sessionId);
+
+            await client.request({ type: 'click', x: 20, y: 600 });
+            const deadline = Date.now() + 5000;
+            while (client.frames.length === 0 && Date.now() < deadline) {
+                await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+            assert.ok(client.frames.length > 0, 'no llegó ningún frame');
+
+            const stopped = await client.request({ type: 'unsubscribe_frames' });
+            assert.equal(stopped.type, 'screencast_stopped');
+            assert.equal((await client.request({ type: 'unsubscribe_frames' })).type, 'error');
+        });
+    });
+
+    describe('scripts y grabaciones', () => {
+        before(() => openFixture());
+
+        it('run_script', async () => {
+            client.messages = [];
+            await client.request({
+                type: 'run_script',
+                script: 'TypeInto("#name", "${nombre}")\nClickOn("#submit")\nGetText("#output", "salida")',
+                variables: { nombre: 'Luis' }
+            });
+
+            const finished = await client.waitFor((message) => message.type === 'script_finished' || message.type === 'script_error');
+            assert.equal(finished.type, 'script_finished', finished.message);
+            assert.equal(finished.steps, 3);
+            const variable = client.messages.find((message) => message.type === 'script_variable');
+            assert.deepEqual([variable.name, variable.value], ['salida', 'Enviado: Luis']);
+        });
+
+        it('WaitForSelector espera su propio timeout aunque supere el de la cola', async () => {
+            const queueTimeout = client.session.queue.timeout;
+            client.session.queue.timeout = 300;
+            try {
+                await pageValue("setTimeout(() => document.body.append(Object.assign(document.createElement('p'), { id: 'tarde', textContent: 'Tarde' })), 800)");
+                client.messages = [];
+                await client.request({ type: 'run_script', script: 'WaitForSelector("#tarde", 3000)\nGetText("#tarde", "texto")' });
+                const finished = await client.waitFor((message) => message.type === 'script_finished' || message.type === 'script_error');
+                assert.equal(finished.type, 'script_finished', finished.message);
+            } finally {
+                client.session.queue.timeout = queueTimeout;
+            }
+        });
+
+        it('run_script informa de los errores de sintaxis', async () => {
+            client.messages = [];
+            await client.request({ type: 'run_script', script: 'Volar(1)' });
+            const error = await client.waitFor((message) => message.type === 'script_error');
+            assert.match(error.message, /Error de sintaxis/);
+        });
+
+        it('pause_script, resume_script y stop_script', async () => {
+            client.messages = [];
+            await client.request({ type: 'run_script', script: 'Sleep(5000)\nSleep(5000)' });
+            await client.waitFor((message) => message.type === 'script_started');
+
+            await client.request({ type: 'pause_script' });
+            await client.waitFor((message) => message.type === 'script_paused');
+            await client.request({ type: 'resume_script' });
+            await client.waitFor((message) => message.type === 'script_resumed');
+            await client.request({ type: 'stop_script' });
+            await client.waitFor((message) => message.type === 'script_stopped');
+
+            const reply = await client.request({ type: 'stop_script' });
+            assert.deepEqual([reply.type, reply.message], ['error', 'No hay un script en ejecución']);
+        });
+
+        it('start_recording, stop_recording, export_recording y replay_recording', async () => {
+            await openFixture();
+            const field = await pageValue(`(() => {
+                const rect = document.querySelector('#name').getBoundingClientRect();
+                return { x: Math.round(rect.x + rect.width / 2), y: Math.round(rect.y + rect.height / 2) };
+            })()`);
+
+            assert.equal((await client.request({ type: 'start_recording' })).type, 'recording_started');
+            // Con la espera al primer frame, que la reproducción conserva como Sleep
+            await openFixture();
+            await client.request({ type: 'click', ...field });
+            await client.request({ type: 'type', text: 'Eva' });
+
+            const stopped = await client.request({ type: 'stop_recording' });
+            assert.deepEqual([stopped.type, stopped.actions], ['recording_stopped', 3]);
+
+            const exported = await client.request({ type: 'export_recording' });
+            assert.equal(exported.type, 'recording_export');
+            assert.match(exported.content, /Send\("Eva"\)/);
+
+            // La grabación empieza comprobando la URL en la que se grabó
+            await openFixture();
+            client.messages = [];
+            await client.request({ type: 'replay_recording' });
+            const finished = await client.waitFor((message) => message.type === 'script_finished' || message.type === 'script_error');
+            assert.equal(finished.type, 'script_finished', finished.message);
+            assert.equal(await pageValue("document.querySelector('#name').value"), 'Eva');
+        });
+    });
+
+    describe('cola de comandos', () => {
+        it('get_queue', async () => {
+            const reply = await client.request({ type: 'get_queue' });
+            assert.deepEqual([reply.type, reply.depth, reply.commands], ['queue', 0, []]);
+        });
+
+        it('cancel_command', async () => {
+            client.messages = [];
+            const slow = client.request({ type: 'wait_for_selector', selector: '#nunca', timeout: 1500 });
+            const queued = client.request({ type: 'get_title' });
+            const notice = await client.waitFor((message) => message.type === 'command_queued');
+
+            const cancelled = await client.request({ type: 'cancel_command', commandId: notice.commandId });
+            assert.equal(cancelled.type, 'command_cancelled');
+
+            const reply = await queued;
+            assert.deepEqual([reply.type, reply.cancelled], ['error', true]);
+            assert.equal((await slow).type, 'wait_for_selector_error');
+        });
+    });
+
+    describe('pestañas y sesión', () => {
+        let firstTab;
+        let openedTab;
+
+        before(() => openFixture());
+
+        it('list_tabs', async () => {
+            const reply = await client.request({ type: 'list_tabs' });
+            assert.equal(reply.type, 'tabs');
+            assert.equal(reply.tabs.length, 1);
+            firstTab = reply.activeTabId;
+        });
+
+        it('open_tab', async () => {
+            const reply = await client.request({ type: 'open_tab', url: `${site.url}page2.html` });
+            assert.equal(reply.type, 'tab_opened');
+            assert.equal(reply.url, `${site.url}page2.html`);
+            openedTab = reply.tabId;
+        });
+
+        it('switch_tab', async () => {
+            const reply = await client.request({ type: 'switch_tab', tabId: firstTab });
+            assert.deepEqual([reply.type, reply.tabId, reply.url], ['tab_switched', firstTab, site.url]);
+        });
+
+        it('close_tab', async () => {
+            const reply = await client.request({ type: 'close_tab', tabId: openedTab });
+            assert.deepEqual([reply.type, reply.tabId, reply.activeTabId], ['tab_closed', openedTab, firstTab]);
+            assert.equal((await client.request({ type: 'list_tabs' })).tabs.length, 1);
+        });
+
+        it('configure_session', async () => {
+            const reply = await client.request({ type: 'configure_session', followPopups: true });
+            assert.equal(reply.type, 'session_configured');
+            assert.equal(reply.followPopups, true);
+            assert.equal(reply.profile, null);
+        });
+
+        it('list_profiles', async () => {
+            const reply = await client.request({ type: 'list_profiles' });
+            assert.deepEqual([reply.type, reply.profiles], ['profiles', []]);
+        });
+
+        it('export_state e import_state', async () => {
+            await pageValue("localStorage.setItem('clave', 'valor')");
+            const exported = await client.request({ type: 'export_state' });
+            assert.equal(exported.type, 'state_export');
+            assert.equal(exported.state.localStorage.clave, 'valor');
+
+            await pageValue('localStorage.clear()');
+            const imported = await client.request({ type: 'import_state', state: exported.state });
+            assert.equal(imported.type, 'state_imported');
+            assert.equal(imported.localStorage, 1);
+            assert.equal(await pageValue("localStorage.getItem('clave')"), 'valor');
+        });
+
+        it('la pestaña temporal de otro origen no es una pestaña de la sesión', async () => {
+            const before = client.messages.length;
+            const exported = await client.request({ type: 'export_state', origin: 'https://otro.example' });
+            assert.equal(exported.type, 'state_export', exported.message);
+            assert.deepEqual(exported.state.localStorage, {});
+
+            const imported = await client.request({ type: 'import_state', state: { origin: 'https://otro.example', localStorage: { a: '1' } } });
+            assert.equal(imported.type, 'state_imported', imported.message);
+
+            assert.ok(client.messages.slice(before).every((message) => message.type !== 'tabs'));
+            assert.equal((await client.request({ type: 'list_tabs' })).tabs.length, 1);
+        });
+    });
+
+    describe('descargas y subidas', () => {
+        before(() => openFixture());
+
+        it('upload_file', async () => {
+            const reply = await client.request({
+                type: 'upload_file',
+                selector: '#file',
+                name: 'nota.txt',
+                content: Buffer.from('hola').toString('base64')
+            });
+            assert.equal(reply.type, 'upload_file_success');
+            assert.equal(reply.size, 4);
+            assert.equal(await pageValue("document.querySelector('#file-name').textContent"), 'nota.txt');
+        });
+
+        it('list_downloads y delete_download', async () => {
+            client.messages = [];
+            await client.request({ type: 'click_element', selector: '#download' });
+            const finished = await client.waitFor((message) => message.type === 'download_finished');
+            assert.equal(finished.download.state, 'completed');
+
+            const list = await client.request({ type: 'list_downloads' });
+            assert.equal(list.type, 'downloads');
+            const name = list.files[0].name;
+            assert.match(name, /copia/);
+
+            const deleted = await client.request({ type: 'delete_download', name });
+            assert.deepEqual([deleted.type, deleted.name], ['download_deleted', name]);
+            assert.deepEqual((await client.request({ type: 'list_downloads' })).files, []);
+        });
+    });
+
+    describe('red', () => {
+        let ruleId;
+
+        it('list_network_rules y add_network_rule', async () => {
+            assert.deepEqual((await client.request({ type: 'list_network_rules' })).rules, []);
+
+            const added = await client.request({ type: 'add_network_rule', rule: { action: 'block', url: '*page2*' } });
+            assert.equal(added.type, 'network_rule_added');
+            ruleId = added.rule.id;
+
+            const blocked = await client.request({ type: 'navigate', url: `${site.url}page2.html` });
+            assert.equal(blocked.type, 'navigation_error');
+        });
+
+        it('remove_network_rule', async () => {
+            const removed = await client.request({ type: 'remove_network_rule', ruleId });
+            assert.deepEqual([removed.type, removed.rule.id], ['network_rule_removed', ruleId]);
+        });
+
+        it('set_network_rules', async () => {
+            const reply = await client.request({
+                type: 'set_network_rules',
+                rules: [{ action: 'mock', url: '/datos\\.json$/', response: { body: '{"ok":true}', contentType: 'application/json' } }]
+            });
+            assert.equal(reply.type, 'network_rules');
+            assert.equal(reply.rules.length, 1);
+
+            await openFixture();
+            assert.deepEqual(await pageValue("fetch('/datos.json').then((res) => res.json())"), { ok: true });
+            await client.request({ type: 'set_network_rules', rules: [] });
+        });
+
+        it('start_har, stop_har y export_har', async () => {
+            assert.equal((await client.request({ type: 'start_har' })).type, 'har_started');
+            await openFixture('page2.html');
+
+            const stopped = await client.request({ type: 'stop_har' });
+            assert.equal(stopped.type, 'har_stopped');
+            assert.ok(stopped.entries > 0);
+
+            const exported = await client.request({ type: 'export_har' });
+            assert.equal(exported.type, 'har');
+            assert.ok(exported.har.log.entries.some((entry) => entry.request.url === `${site.url}page2.html`));
+        });
+    });
+
+    describe('tareas programadas', () => {
+        let jobId;
+
+        it('create_job', async () => {
+            const reply = await client.request({
+                type: 'create_job',
+                job: { name: 'título', interval: 60 * 60 * 1000, sessionId: client.sessionId, commands: [{ type: 'get_title' }] }
+            });
+            assert.equal(reply.type, 'job_created');
+            jobId = reply.job.id;
+        });
+
+        it('list_jobs y get_job', async () => {
+            const list = await client.request({ type: 'list_jobs' });
+            assert.deepEqual(list.jobs.map((job) => job.id), [jobId]);
+
+            const job = await client.request({ type: 'get_job', jobId });
+            assert.deepEqual([job.type, job.job.name], ['job', 'título']);
+        });
+
+        it('pause_job y resume_job', async () => {
+            const paused = await client.request({ type: 'pause_job', jobId });
+            assert.deepEqual([paused.type, paused.job.paused], ['job_paused', true]);
+            const resumed = await client.request({ type: 'resume_job', jobId });
+            assert.deepEqual([resumed.type, resumed.job.paused], ['job_resumed', false]);
+        });
+
+        it('run_job', async () => {
+            const reply = await client.request({ type: 'run_job', jobId });
+            assert.equal(reply.type, 'job_run');
+            assert.equal(reply.run.status, 'success', reply.run.error);
+        });
+
+        it('delete_job', async () => {
+            const reply = await client.request({ type: 'delete_job', jobId });
+            assert.deepEqual([reply.type, reply.jobId], ['job_deleted', jobId]);
+            assert.deepEqual((await client.request({ type: 'list_jobs' })).jobs, []);
+        });
+    });
+
+    describe('webhooks', () => {
+        let receiver;
+        let webhook;
+
+        before(async () => {
+            receiver = await startWebhookReceiver();
+        });
+
+        after(() => receiver.close());
+
+        it('create_webhook y list_webhooks', async () => {
+            const created = await client.request({ type: 'create_webhook', webhook: { url: receiver.url, events: ['navigation_error'] } });
+            assert.equal(created.type, 'webhook_created');
+            assert.ok(created.webhook.secret);
+            webhook = created.webhook;
+
+            const list = await client.request({ type: 'list_webhooks' });
+            assert.equal(list.webhooks.length, 1);
+            assert.equal(list.webhooks[0].secret, undefined);
+        });
+
+        it('test_webhook', async () => {
+            const reply = await client.request({ type: 'test_webhook', webhookId: webhook.id });
+            assert.equal(reply.type, 'webhook_tested');
+            assert.equal(reply.delivery.status, 'delivered');
+            assert.equal(receiver.requests[0].body.event, 'test');
+            assert.match(receiver.requests[0].headers['x-pyrock-signature'], /^sha256=[0-9a-f]{64}$/);
+        });
+
+        it('list_webhook_deliveries', async () => {
+            const reply = await client.request({ type: 'list_webhook_deliveries', webhookId: webhook.id });
+            assert.equal(reply.type, 'webhook_deliveries');
+            assert.equal(reply.deliveries.length, 1);
+        });
+
+        it('delete_webhook', async () => {
+            const reply = await client.request({ type: 'delete_webhook', webhookId: webhook.id });
+            assert.deepEqual([reply.type, reply.webhookId], ['webhook_deleted', webhook.id]);
+        });
+    });
+
+    describe('init y restart', () => {
+        it('init vuelve a la página inicial con un contexto limpio', async () => {
+            await openFixture('page2.html');
+            const reply = await client.request({ type: 'init' });
+            assert.deepEqual([reply.type, reply.browserReady], ['init_success', true]);
+            assert.equal((await client.request({ type: 'get_url' })).value, site.url);
+        });
+
+        it('restart relanza el navegador', async () => {
+            const before = instance.lifecycle.browser;
+            const reply = await client.request({ type: 'restart' });
+            assert.deepEqual([reply.type, reply.browserState], ['restart_success', 'ready']);
+            assert.notEqual(instance.lifecycle.browser, before);
+            assert.equal((await client.request({ type: 'get_title' })).value, 'Fixture PyRock');
+        });
+    });
+});
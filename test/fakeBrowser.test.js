@@ -0,0 +1,165 @@
+/**
+ * Comandos y recuperación del navegador sin Chromium: el servidor lanza un navegador falso
+ * (FakeBrowser) cuyas páginas guardan las acciones que reciben
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestServer, MockClient, FakeBrowser, waitForState } = require('./helpers');
+
+/**
+ * Servidor cuyo lanzador devuelve navegadores falsos; failLaunch() hace fallar los siguientes
+ */
+function createFakeServer(env = {}) {
+    const browsers = [];
+    let launchError = null;
+    const instance = createTestServer({
+        launchBrowser: async () => {
+            if (launchError) {
+                throw new Error(launchError);
+            }
+            const browser = new FakeBrowser();
+            browsers.push(browser);
+            return browser;
+        },
+        env: { BROWSER_RECOVERY_BASE_DELAY: '10', ...env }
+    });
+    return {
+        instance,
+        browsers,
+        failLaunch: (message) => {
+            launchError = message;
+        }
+    };
+}
+
+describe('executeCommand con una página falsa', () => {
+    let instance;
+    let client;
+
+    const page = () => instance.sessions.get(client.sessionId).page;
+
+    before(async () => {
+        ({ instance } = createFakeServer());
+        await instance.start();
+        client = new MockClient(instance);
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    it('navigate normaliza la URL y la carga en la página de la sesión', async () => {
+        const reply = await client.request({ type: 'navigate', url: 'example.com' });
+        assert.equal(reply.type, 'navigation_success', reply.message);
+        assert.equal(reply.url, 'https://example.com');
+        assert.deepEqual(page().calls.at(-1), ['goto', 'https://example.com']);
+    });
+
+    it('click, type y key llegan al ratón y al teclado', async () => {
+        page().calls = [];
+        assert.equal((await client.request({ type: 'click', x: 10, y: 20 })).type, 'click_success');
+        assert.equal((await client.request({ type: 'double_click', x: 1, y: 2 })).type, 'double_click_success');
+        assert.equal((await client.request({ type: 'type', text: 'hola' })).type, 'type_success');
+        assert.equal((await client.request({ type: 'key', key: 'a', modifiers: ['Control'] })).type, 'key_success');
+
+        assert.deepEqual(page().calls, [
+            ['click', 10, 20, { button: 'left', clickCount: 1 }],
+            ['click', 1, 2, { button: 'left', clickCount: 2 }],
+            ['type', 'hola'],
+            ['keydown', 'Control'],
+            ['press', 'a'],
+            ['keyup', 'Control']
+        ]);
+    });
+
+    it('get_title lee la página de la sesión', async () => {
+        const reply = await client.request({ type: 'get_title' });
+        assert.deepEqual([reply.type, reply.value], ['get_title_result', 'Título de https://example.com']);
+    });
+
+    it('cada sesión usa su propia página', async () => {
+        const other = new MockClient(instance);
+        await other.request({ type: 'navigate', url: 'https://otra.example/' });
+        assert.notEqual(instance.sessions.get(other.sessionId).page, page());
+        assert.equal(page().url(), 'https://example.com');
+    });
+});
+
+describe('recuperación con un navegador falso', () => {
+    let instance;
+    let browsers;
+    let failLaunch;
+    let client;
+
+    before(async () => {
+        ({ instance, browsers, failLaunch } = createFakeServer({ BROWSER_RECOVERY_MAX_ATTEMPTS: '2' }));
+        await instance.start();
+        client = new MockClient(instance);
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    it('una página perdida se recrea en el siguiente comando sin relanzar el navegador', async () => {
+        await client.request({ type: 'navigate', url: 'example.com' });
+        const lost = instance.sessions.get(client.sessionId).page;
+        lost.failWith = 'Protocol error: Target closed';
+
+        const failed = await client.request({ type: 'click', x: 1, y: 1 });
+        assert.equal(failed.type, 'click_error');
+        assert.equal(instance.sessions.get(client.sessionId).hasPage(), false);
+
+        assert.equal((await client.request({ type: 'click', x: 1, y: 1 })).type, 'click_success');
+        const page = instance.sessions.get(client.sessionId).page;
+        assert.notEqual(page, lost);
+        assert.deepEqual(page.calls.at(-1), ['click', 1, 1, { button: 'left', clickCount: 1 }]);
+        assert.equal(browsers.length, 1);
+    });
+
+    it('si el navegador muere se relanza y las sesiones abren una página nueva', async () => {
+        client.messages = [];
+        browsers[0].crash();
+        await waitForState(instance.lifecycle, 'ready');
+
+        const recovering = await client.waitFor((message) => message.type === 'lifecycle' && message.state === 'recovering');
+        assert.equal(recovering.reason, 'disconnect');
+        assert.equal(browsers.length, 2);
+
+        assert.equal((await client.request({ type: 'type', text: 'de nuevo' })).type, 'type_success');
+        assert.equal(instance.sessions.get(client.sessionId).page.browserContext(), browsers[1].contexts[0]);
+    });
+
+    it('agota los intentos, responde 503 sin esperar y se recupera con init', async () => {
+        failLaunch('Chromium no arranca');
+        browsers[1].crash();
+        await waitForState(instance.lifecycle, 'failed');
+        assert.equal(instance.lifecycle.lastError, 'Chromium no arranca');
+
+        const unavailable = await client.request({ type: 'navigate', url: 'example.com' });
+        assert.equal(unavailable.type, 'navigation_error');
+        assert.match(unavailable.message, /Navegador no disponible: la recuperación falló tras 2 intentos/);
+
+        failLaunch(null);
+        const init = await client.request({ type: 'init' });
+        assert.deepEqual([init.type, init.browserState], ['init_success', 'ready']);
+        assert.equal(browsers.length, 3);
+        assert.equal((await client.request({ type: 'navigate', url: 'example.com' })).type, 'navigation_success');
+    });
+
+    it('un comando que no termina tras agotar su tiempo no bloquea la sesión y su página se recrea', async () => {
+        const session = instance.sessions.get(client.sessionId);
+        await client.request({ type: 'navigate', url: 'example.com' });
+        const blocked = session.page;
+
+        session.queue.stuckTimeout = 20;
+        const hung = session.queue.enqueue(() => new Promise(() => {}), { type: 'colgado', timeout: 10 });
+        await assert.rejects(hung.promise, /Tiempo agotado: colgado/);
+
+        assert.equal((await client.request({ type: 'click', x: 3, y: 4 })).type, 'click_success');
+        assert.notEqual(session.page, blocked);
+        assert.equal(blocked.isClosed(), true);
+        assert.deepEqual(session.page.calls.at(-1), ['click', 3, 4, { button: 'left', clickCount: 1 }]);
+    });
+});
@@ -0,0 +1,345 @@
+/**
+ * Utilidades de las pruebas: sitio de pruebas local, servidor aislado en un
+ * directorio temporal, cliente WebSocket simulado y navegador falso
+ */
+
+const { spawnSync } = require('child_process');
+const { EventEmitter } = require('events');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createServer } = require('../server');
+const { setLogOutput } = require('../lib/logger');
+
+// El registro de eventos sigue guardando los mensajes; solo se deja de imprimirlos
+setLogOutput(null);
+
+const SITE_DIR = path.join(__dirname, 'fixtures', 'site');
+
+/**
+ * Servir test/fixtures/site en un puerto libre de 127.0.0.1
+ */
+function startFixtureSite() {
+    const app = express();
+    app.use(express.static(SITE_DIR));
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}/`;
+            resolve({
+                url,
+                close: () => new Promise((done) => server.close(() => done()))
+            });
+        });
+        server.once('error', reject);
+    });
+}
+
+/**
+ * Crear un servidor con todos sus archivos (tareas, webhooks, descargas, perfiles...)
+ * en un directorio temporal. env se añade a process.env; el resto de opciones va a createServer.
+ */
+function createTestServer({ env = {}, ...options } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pyrock-test-'));
+    fs.writeFileSync(path.join(dataDir, 'pyrock.config.json'), '{}');
+
+    const instance = createServer({
+        port: 0,
+        ...options,
+        env: {
+            ...process.env,
+            AUTH_TOKENS: '',
+            AUTH_TOKENS_FILE: '',
+            CONFIG_FILE: path.join(dataDir, 'pyrock.config.json'),
+            FILES_DIR: path.join(dataDir, 'files'),
+            SCREENSHOTS_DIR: path.join(dataDir, 'screenshots'),
+            BASELINES_DIR: path.join(dataDir, 'baselines'),
+            TEMPLATES_DIR: path.join(dataDir, 'templates'),
+            PROFILES_DIR: path.join(dataDir, 'profiles'),
+            FIXTURES_DIR: path.join(dataDir, 'fixtures'),
+            SCRIPTS_DIR: path.join(dataDir, 'scripts'),
+            JOBS_FILE: path.join(dataDir, 'jobs.json'),
+            WEBHOOKS_FILE: path.join(dataDir, 'webhooks.json'),
+            MAX_SESSIONS: '50',
+            BROWSER_RECOVERY_BASE_DELAY: '100',
+            BROWSER_RECOVERY_MAX_DELAY: '500',
+            ...env
+        }
+    });
+
+    const stop = instance.stop;
+    instance.dataDir = dataDir;
+    instance.stop = async () => {
+        await stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return instance;
+}
+
+/**
+ * Cliente WebSocket simulado: pasa por el mismo tratamiento de mensajes que una
+ * conexión real y guarda todo lo que el servidor le envía
+ */
+class MockClient {
+    constructor(instance, { role = 'admin', name = `test-${role}`, session = null } = {}) {
+        this.instance = instance;
+        this.identity = { name, role };
+        this.remoteAddress = '127.0.0.1';
+        this.readyState = WebSocket.OPEN;
+        this.bufferedAmount = 0;
+        this.messages = [];
+        this.frames = [];
+        this.nextRequestId = 1;
+
+        const clientSession = session || instance.sessions.create('test', { identity: this.identity.name });
+        clientSession.clients++;
+        this.session = clientSession;
+        this.sessionId = clientSession.id;
+
+        // Como un cliente conectado: recibe también los avisos a todos (ciclo de vida, registro, pestañas)
+        instance.wss.clients.add(this);
+    }
+
+    send(raw, options = {}) {
+        if (options.binary) {
+            this.frames.push(raw);
+        } else {
+            this.messages.push(JSON.parse(raw));
+        }
+    }
+
+    terminate() {
+        this.readyState = WebSocket.CLOSED;
+        this.instance.wss.clients.delete(this);
+    }
+
+    /**
+     * Enviar un comando y devolver su respuesta (la del mismo requestId)
+     */
+    async request(data) {
+        const requestId = this.nextRequestId++;
+        await this.instance.handleClientMessage(this, JSON.stringify({ ...data, requestId }));
+        const replies = this.messages.filter((message) => message.requestId === requestId);
+        return replies[replies.length - 1];
+    }
+
+    /**
+     * Esperar al primer mensaje (ya recibido o por llegar) que cumpla la condición
+     */
+    async waitFor(predicate, timeout = 10000) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            const found = this.messages.find(predicate);
+            if (found) {
+                return found;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 25));
+        }
+        throw new Error(`Mensaje no recibido en ${timeout} ms`);
+    }
+}
+
+/**
+ * Página falsa con lo mínimo que usan las sesiones y los comandos de ratón, teclado,
+ * navegación y lectura. Guarda cada acción en calls; con failWith las acciones
+ * lanzan ese error (p. ej. 'Target closed' para simular una página perdida).
+ */
+class FakePage extends EventEmitter {
+    constructor(context) {
+        super();
+        this.context = context;
+        this.currentUrl = 'about:blank';
+        this.closed = false;
+        this.calls = [];
+        this.failWith = null;
+        this.frame = { url: () => this.currentUrl };
+        this.mouse = {
+            click: async (...args) => this._act('click', ...args),
+            move: async (...args) => this._act('move', ...args),
+            down: async (...args) => this._act('mousedown', ...args),
+            up: async (...args) => this._act('mouseup', ...args),
+            wheel: async (...args) => this._act('wheel', ...args)
+        };
+        this.keyboard = {
+            type: async (...args) => this._act('type', ...args),
+            press: async (...args) => this._act('press', ...args),
+            down: async (...args) => this._act('keydown', ...args),
+            up: async (...args) => this._act('keyup', ...args)
+        };
+    }
+
+    _act(name, ...args) {
+        if (this.failWith) {
+            throw new Error(this.failWith);
+        }
+        this.calls.push([name, ...args]);
+    }
+
+    url() {
+        return this.currentUrl;
+    }
+
+    isClosed() {
+        return this.closed;
+    }
+
+    browserContext() {
+        return this.context;
+    }
+
+    mainFrame() {
+        return this.frame;
+    }
+
+    async goto(url) {
+        this._act('goto', url);
+        this.currentUrl = url;
+        this.emit('framenavigated', this.frame);
+        return { status: () => 200, statusText: () => 'OK' };
+    }
+
+    async title() {
+        this._act('title');
+        return `Título de ${this.currentUrl}`;
+    }
+
+    async evaluate() {
+        this._act('evaluate');
+        return null;
+    }
+
+    async createCDPSession() {
+        return { on: () => {}, send: async () => ({}), detach: async () => {} };
+    }
+
+    async setViewport() {}
+    setDefaultNavigationTimeout() {}
+    async setUserAgent() {}
+    async setExtraHTTPHeaders() {}
+    async setRequestInterception() {}
+
+    async close() {
+        if (!this.closed) {
+            this.closed = true;
+            this.emit('close');
+        }
+    }
+}
+
+/**
+ * Navegador falso para las pruebas sin Chromium: crash() simula que el proceso muere
+ */
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.contexts = [];
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    process() {
+        return null;
+    }
+
+    async createIncognitoBrowserContext() {
+        const context = new EventEmitter();
+        context.id = `contexto-${this.contexts.length + 1}`;
+        context.pages = [];
+        context.newPage = async () => {
+            const page = new FakePage(context);
+            context.pages.push(page);
+            return page;
+        };
+        context.close = async () => {
+            await Promise.all(context.pages.map((page) => page.close()));
+        };
+        this.contexts.push(context);
+        return context;
+    }
+
+    crash() {
+        this.connected = false;
+        this.emit('disconnected');
+    }
+
+    async close() {
+        if (this.connected) {
+            this.crash();
+        }
+    }
+}
+
+// Arranque de prueba de Chromium en un proceso aparte (el resultado se necesita al declarar las pruebas)
+const PROBE_SCRIPT = `
+require('puppeteer').launch({ headless: 'new', args: ['--no-sandbox', '--disable-dev-shm-usage'] })
+    .then((browser) => browser.close())
+    .catch((error) => {
+        console.error(error.message.split('\\n')[0]);
+        process.exit(1);
+    });
+`;
+
+let browserProbe;
+
+/**
+ * Motivo para omitir las pruebas con navegador, o false si Chromium puede arrancar aquí.
+ * Con CI definida no se omiten: lanza un error salvo que SKIP_BROWSER_TESTS=1 lo pida.
+ */
+function browserUnavailable() {
+    if (browserProbe === undefined) {
+        const result = spawnSync(process.execPath, ['-e', PROBE_SCRIPT], {
+            cwd: path.join(__dirname, '..'),
+            encoding: 'utf8',
+            timeout: 60000
+        });
+        browserProbe = result.status === 0
+            ? false
+            : `Chromium no disponible: ${(result.stderr || '').trim() || 'no arrancó a tiempo'}`;
+
+        if (browserProbe) {
+            if (process.env.CI && process.env.SKIP_BROWSER_TESTS !== '1') {
+                throw new Error(`${browserProbe}\nEn CI las pruebas con navegador no se omiten (SKIP_BROWSER_TESTS=1 para omitirlas)`);
+            }
+            // El resumen de node --test no cuenta las suites omitidas
+            process.stderr.write(`Pruebas con navegador omitidas: ${browserProbe}\n`);
+        }
+    }
+    return browserProbe;
+}
+
+/**
+ * Esperar a que el ciclo de vida del navegador llegue a un estado
+ */
+function waitForState(lifecycle, state, timeout = 15000) {
+    if (lifecycle.state === state) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            lifecycle.off('state', onState);
+            reject(new Error(`El navegador no llegó a ${state} en ${timeout} ms (estado: ${lifecycle.state})`));
+        }, timeout);
+        const onState = (event) => {
+            if (event.state === state) {
+                clearTimeout(timer);
+                lifecycle.off('state', onState);
+                resolve();
+            }
+        };
+        lifecycle.on('state', onState);
+    });
+}
+
+module.exports = {
+    startFixtureSite,
+    createTestServer,
+    MockClient,
+    FakeBrowser,
+    browserUnavailable,
+    waitForState
+};
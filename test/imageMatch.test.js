@@ -0,0 +1,85 @@
+/**
+ * Búsqueda de imágenes en pantalla (findImage) sin navegador, con imágenes generadas en la prueba
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findImage } = require('../lib/imageMatch');
+
+/**
+ * Pantalla con ruido gris reproducible (generador congruencial con semilla fija)
+ */
+function noise(width, height, seed = 1) {
+    let state = seed;
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        data[i] = data[i + 1] = data[i + 2] = state >> 23;
+        data[i + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+/**
+ * Pintar un rectángulo de un solo color
+ */
+function fill(image, x, y, width, height, [r, g, b]) {
+    for (let row = y; row < y + height; row++) {
+        for (let column = x; column < x + width; column++) {
+            image.data.set([r, g, b, 255], (row * image.width + column) * 4);
+        }
+    }
+    return image;
+}
+
+function crop(image, x, y, width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * image.width + x) * 4;
+        image.data.copy(data, row * width * 4, start, start + width * 4);
+    }
+    return { width, height, data };
+}
+
+describe('findImage', () => {
+    it('encuentra una plantilla con textura fuera de la rejilla reducida', () => {
+        const screen = noise(120, 90);
+        const match = findImage(screen, crop(screen, 37, 21, 32, 24));
+        assert.deepEqual([match.x, match.y, match.width, match.height], [37, 21, 32, 24]);
+        assert.ok(match.confidence > 0.99, `confianza ${match.confidence}`);
+    });
+
+    it('encuentra plantillas pequeñas buscando a tamaño real', () => {
+        const screen = noise(60, 40, 7);
+        const match = findImage(screen, crop(screen, 13, 29, 6, 5));
+        assert.deepEqual([match.x, match.y], [13, 29]);
+        assert.ok(match.confidence > 0.99);
+    });
+
+    it('encuentra una plantilla de un solo color sobre un fondo con textura', () => {
+        const screen = fill(noise(100, 80, 3), 41, 27, 24, 16, [30, 120, 220]);
+        const match = findImage(screen, fill(noise(24, 16), 0, 0, 24, 16, [30, 120, 220]));
+        assert.deepEqual([match.x, match.y], [41, 27]);
+        assert.ok(match.confidence > 0.99, `confianza ${match.confidence}`);
+    });
+
+    it('una plantilla de un solo color de otro tono coincide con menos confianza', () => {
+        const screen = fill(noise(100, 80, 3), 41, 27, 24, 16, [30, 120, 220]);
+        const match = findImage(screen, fill(noise(24, 16), 0, 0, 24, 16, [0, 0, 0]));
+        assert.ok(match.confidence < 0.9, `confianza ${match.confidence}`);
+    });
+
+    it('una plantilla con textura no coincide con una zona lisa', () => {
+        const screen = fill(noise(100, 80, 5), 0, 0, 100, 80, [200, 200, 200]);
+        const match = findImage(screen, noise(20, 20, 9));
+        assert.equal(match.confidence, 0);
+    });
+
+    it('rechaza una plantilla más grande que la pantalla', () => {
+        assert.throws(() => findImage(noise(10, 10), noise(20, 5)), (error) => {
+            assert.equal(error.statusCode, 422);
+            assert.match(error.message, /La imagen \(20x5\) es más grande que la pantalla \(10x10\)/);
+            return true;
+        });
+    });
+});
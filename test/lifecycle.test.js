@@ -0,0 +1,99 @@
+/**
+ * Ciclo de vida del navegador (BrowserLifecycle) con un lanzador falso
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BrowserLifecycle } = require('../lib/lifecycle');
+const { FakeBrowser } = require('./helpers');
+
+/**
+ * Ciclo de vida cuyo lanzador falla mientras failures sea mayor que 0
+ */
+function createLifecycle(options = {}) {
+    const launcher = { launches: 0, failures: 0 };
+    const lifecycle = new BrowserLifecycle({
+        launch: async () => {
+            launcher.launches++;
+            if (launcher.failures > 0) {
+                launcher.failures--;
+                throw new Error('no arranca');
+            }
+            return new FakeBrowser();
+        },
+        baseDelay: 5,
+        maxAttempts: 3,
+        ...options
+    });
+    return { lifecycle, launcher };
+}
+
+describe('BrowserLifecycle', () => {
+    it('reintenta el arranque y queda listo', async () => {
+        const { lifecycle, launcher } = createLifecycle();
+        launcher.failures = 2;
+        assert.equal(await lifecycle.start(), true);
+        assert.equal(launcher.launches, 3);
+        assert.equal(lifecycle.state, 'ready');
+        await lifecycle.stop();
+    });
+
+    it('pasa a failed al agotar los intentos y whenReady se rechaza sin esperar', async () => {
+        const { lifecycle, launcher } = createLifecycle();
+        launcher.failures = 3;
+        assert.equal(await lifecycle.start(), false);
+        assert.equal(lifecycle.state, 'failed');
+        await assert.rejects(lifecycle.whenReady(60000), /la recuperación falló tras 3 intentos \(no arranca\)/);
+
+        assert.equal(await lifecycle.recover('manual'), true);
+        assert.equal(lifecycle.state, 'ready');
+        await lifecycle.stop();
+    });
+
+    it('una recuperación en curso no lanza otra y whenReady espera a que termine', async () => {
+        const { lifecycle, launcher } = createLifecycle();
+        await lifecycle.start();
+
+        const lost = [];
+        lifecycle.on('lost', (browser) => lost.push(browser));
+        const first = lifecycle.browser;
+        first.crash();
+        assert.equal(lifecycle.state, 'recovering');
+
+        const waiting = lifecycle.whenReady(1000);
+        assert.equal(lifecycle.recover('session'), lifecycle.recover('watchdog'));
+        assert.notEqual(await waiting, first);
+        assert.deepEqual(lost, [first]);
+        assert.equal(launcher.launches, 2);
+        await lifecycle.stop();
+    });
+
+    it('las verificaciones de salud fallidas degradan y después relanzan el navegador', async () => {
+        const { lifecycle, launcher } = createLifecycle({ degradedThreshold: 2 });
+        await lifecycle.start();
+
+        lifecycle.reportHealth(false, 'sin respuesta');
+        assert.equal(lifecycle.state, 'degraded');
+        lifecycle.reportHealth(true);
+        assert.equal(lifecycle.state, 'ready');
+
+        lifecycle.reportHealth(false);
+        lifecycle.reportHealth(false);
+        assert.equal(lifecycle.state, 'recovering');
+        await lifecycle.whenReady(1000);
+        assert.equal(launcher.launches, 2);
+        await lifecycle.stop();
+    });
+
+    it('stop cancela los reintentos pendientes', async () => {
+        const { lifecycle, launcher } = createLifecycle({ baseDelay: 60000 });
+        launcher.failures = 5;
+        const starting = lifecycle.start();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        await lifecycle.stop();
+        assert.equal(await starting, false);
+        assert.equal(lifecycle.state, 'stopped');
+        assert.equal(launcher.launches, 1);
+    });
+});
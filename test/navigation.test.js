@@ -0,0 +1,94 @@
+/**
+ * Normalización de URLs y respuestas de navigateToUrl
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandError } = require('../lib/errors');
+const { createTestServer, startFixtureSite, browserUnavailable, MockClient } = require('./helpers');
+
+describe('navigateToUrl sin navegador', () => {
+    let instance;
+
+    before(() => {
+        instance = createTestServer();
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    it('rechaza las URL inválidas antes de usar la página', async () => {
+        const session = instance.sessions.create('test');
+        await assert.rejects(instance.navigateToUrl(session, 'exa mple.com'), (error) => {
+            assert.ok(error instanceof CommandError);
+            assert.equal(error.statusCode, 400);
+            assert.equal(error.message, 'URL inválida: https://exa mple.com');
+            return true;
+        });
+    });
+});
+
+describe('navigateToUrl', { skip: browserUnavailable() }, () => {
+    let site;
+    let instance;
+    let session;
+
+    before(async () => {
+        site = await startFixtureSite();
+        instance = createTestServer({ env: { START_URL: site.url } });
+        await instance.start();
+        session = instance.sessions.create('test');
+        // Respuesta simulada para comprobar el esquema añadido sin salir a la red
+        await session.network.addRule({
+            action: 'mock',
+            url: 'fixture.test',
+            response: { body: '<title>Simulada</title>', contentType: 'text/html' }
+        });
+    });
+
+    after(async () => {
+        await instance.stop();
+        await site.close();
+    });
+
+    it('mantiene las URL http:// y quita los espacios', async () => {
+        const result = await instance.navigateToUrl(session, `  ${site.url}page2.html\n`);
+        assert.deepEqual(result, { success: true, url: `${site.url}page2.html`, status: 200 });
+        assert.equal(await session.page.title(), 'Segunda página');
+    });
+
+    it('añade https:// a las URL sin esquema', async () => {
+        const result = await instance.navigateToUrl(session, 'fixture.test/inicio');
+        assert.equal(result.url, 'https://fixture.test/inicio');
+        assert.equal(await session.page.title(), 'Simulada');
+    });
+
+    it('no cambia las URL https://', async () => {
+        const result = await instance.navigateToUrl(session, 'https://fixture.test/otra?q=1');
+        assert.equal(result.url, 'https://fixture.test/otra?q=1');
+    });
+
+    it('acepta las respuestas 304 al volver a una página en caché', async () => {
+        await instance.navigateToUrl(session, site.url);
+        const result = await instance.navigateToUrl(session, site.url);
+        assert.equal(result.url, site.url);
+    });
+
+    it('convierte las respuestas HTTP de error en un error 502', async () => {
+        await assert.rejects(instance.navigateToUrl(session, `${site.url}no-existe.html`), (error) => {
+            assert.ok(error instanceof CommandError);
+            assert.equal(error.statusCode, 502);
+            assert.match(error.message, /^HTTP 404/);
+            return true;
+        });
+    });
+
+    it('responde navigation_error al cliente con la URL pedida', async () => {
+        const client = new MockClient(instance, { session });
+        const reply = await client.request({ type: 'navigate', url: `${site.url}no-existe.html` });
+        assert.equal(reply.type, 'navigation_error');
+        assert.match(reply.message, /HTTP 404/);
+        assert.equal(reply.url, `${site.url}no-existe.html`);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Lectura y escritura de PNG (lib/png.js) con imágenes construidas en la prueba
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const png = require('../lib/png');
+
+/**
+ * Chunk PNG con un CRC cualquiera: decode no lo comprueba
+ */
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Aplicar a cada fila su filtro (0 None, 1 Sub, 2 Up, 3 Average, 4 Paeth), como haría un codificador
+ */
+function filterRows(rows, filters, bytesPerPixel) {
+    const paeth = (a, b, c) => {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+    };
+
+    return Buffer.concat(rows.map((row, y) => {
+        const previous = y > 0 ? rows[y - 1] : Buffer.alloc(row.length);
+        const out = Buffer.alloc(row.length + 1);
+        out[0] = filters[y];
+        for (let i = 0; i < row.length; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filters[y]];
+            out[i + 1] = (row[i] - predictor) & 0xff;
+        }
+        return out;
+    }));
+}
+
+function buildPng({ width, height, colorType, bitDepth = 8, interlace = 0, raw, extra = [] }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[12] = interlace;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        ...extra,
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+describe('png', () => {
+    it('encode y decode conservan la imagen RGBA', () => {
+        const image = { width: 3, height: 2, data: Buffer.from(Array.from({ length: 24 }, (_, i) => i * 10)) };
+        const encoded = png.encode(image);
+        assert.deepEqual(png.decode(encoded), image);
+    });
+
+    it('deshace los cinco filtros por fila', () => {
+        const rows = [
+            Buffer.from([10, 20, 30, 40, 50, 60, 70, 80, 90]),
+            Buffer.from([200, 190, 180, 5, 250, 3, 100, 100, 100]),
+            Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9]),
+            Buffer.from([255, 0, 255, 0, 255, 0, 255, 0, 255]),
+            Buffer.from([9, 99, 199, 29, 129, 229, 49, 149, 249])
+        ];
+        const image = png.decode(buildPng({
+            width: 3,
+            height: 5,
+            colorType: 2,
+            raw: filterRows(rows, [0, 1, 2, 3, 4], 3)
+        }));
+
+        assert.equal(image.width, 3);
+        assert.equal(image.height, 5);
+        rows.forEach((row, y) => {
+            for (let x = 0; x < 3; x++) {
+                const pixel = [...image.data.subarray((y * 3 + x) * 4, (y * 3 + x + 1) * 4)];
+                assert.deepEqual(pixel, [...row.subarray(x * 3, x * 3 + 3), 255], `fila ${y}, columna ${x}`);
+            }
+        });
+    });
+
+    it('convierte gris, gris con alfa y paleta a RGBA', () => {
+        const gray = png.decode(buildPng({ width: 2, height: 1, colorType: 0, raw: Buffer.from([0, 7, 200]) }));
+        assert.deepEqual([...gray.data], [7, 7, 7, 255, 200, 200, 200, 255]);
+
+        const grayAlpha = png.decode(buildPng({ width: 1, height: 1, colorType: 4, raw: Buffer.from([0, 50, 128]) }));
+        assert.deepEqual([...grayAlpha.data], [50, 50, 50, 128]);
+
+        const palette = png.decode(buildPng({
+            width: 2,
+            height: 1,
+            colorType: 3,
+            raw: Buffer.from([0, 1, 0]),
+            extra: [chunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255])), chunk('tRNS', Buffer.from([0]))]
+        }));
+        // El índice 1 no tiene transparencia en tRNS: opaco
+        assert.deepEqual([...palette.data], [0, 0, 255, 255, 255, 0, 0, 0]);
+    });
+
+    it('rechaza lo que no es PNG o no está soportado', () => {
+        assert.throws(() => png.decode(Buffer.from('no es una imagen')), /No es un archivo PNG/);
+        assert.throws(() => png.decode(buildPng({ width: 1, height: 1, colorType: 0, bitDepth: 16, raw: Buffer.from([0, 0, 0]) })),
+            /PNG no soportado \(profundidad 16/);
+        assert.throws(() => png.decode(buildPng({ width: 1, height: 1, colorType: 0, interlace: 1, raw: Buffer.from([0, 0]) })),
+            /entrelazado 1/);
+        assert.throws(() => png.decode(buildPng({ width: 1, height: 1, colorType: 3, raw: Buffer.from([0, 0]) })),
+            /PNG con paleta sin chunk PLTE/);
+        assert.throws(() => png.decode(buildPng({ width: 4, height: 4, colorType: 2, raw: Buffer.alloc(5) })),
+            /Datos de imagen PNG incompletos/);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Grabaciones: de los comandos grabados al script exportado y de vuelta a las acciones
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Recorder, validateRecording } = require('../lib/recorder');
+const { parseScript, ScriptRunner } = require('../lib/script');
+
+/**
+ * Grabar los comandos, exportar el script, analizarlo y ejecutarlo con acciones simuladas
+ */
+async function roundTrip(commands) {
+    const recorder = new Recorder();
+    recorder.start('https://example.com/');
+    for (const command of commands) {
+        recorder.record(command, null);
+    }
+    recorder.stop();
+
+    const script = recorder.toScript();
+    const calls = [];
+    const record = (name) => async (...args) => {
+        calls.push([name, ...args]);
+    };
+    const runner = new ScriptRunner(parseScript(script), {
+        clickAt: record('clickAt'),
+        doubleClickAt: record('doubleClickAt'),
+        rightClickAt: record('rightClickAt'),
+        mouseMove: record('mouseMove'),
+        mouseDown: record('mouseDown'),
+        mouseUp: record('mouseUp'),
+        typeText: record('typeText'),
+        pressKey: record('pressKey')
+    }, { speed: 1000 });
+    const state = await runner.run();
+    return { script, state, calls };
+}
+
+describe('recordingToScript', () => {
+    it('los textos con ${ se reproducen tal cual', async () => {
+        const { script, state, calls } = await roundTrip([{ type: 'type', text: 'echo ${HOME} "hola"' }]);
+        assert.match(script, /Send\("echo \$\$\{HOME\} ""hola"""\)/);
+        assert.equal(state, 'finished');
+        assert.deepEqual(calls, [['typeText', 'echo ${HOME} "hola"']]);
+    });
+
+    it('mantiene el botón y el número de clicks', async () => {
+        const { script, state, calls } = await roundTrip([
+            { type: 'click', x: 1, y: 2 },
+            { type: 'right_click', x: 3, y: 4 },
+            { type: 'double_click', x: 5, y: 6 },
+            { type: 'click', x: 7, y: 8, button: 'right' },
+            { type: 'click', x: 9, y: 10, clickCount: 2 }
+        ]);
+        assert.match(script, /^ClickAt\(1, 2\)$/m);
+        assert.match(script, /^RightClickAt\(3, 4\)$/m);
+        assert.match(script, /^DoubleClickAt\(5, 6\)$/m);
+        assert.equal(state, 'finished');
+        assert.deepEqual(calls, [
+            ['clickAt', 1, 2],
+            ['rightClickAt', 3, 4],
+            ['doubleClickAt', 5, 6],
+            ['rightClickAt', 7, 8],
+            ['doubleClickAt', 9, 10]
+        ]);
+    });
+
+    it('los clicks sin sentencia propia se reproducen con MouseDown y MouseUp', async () => {
+        const { state, calls } = await roundTrip([{ type: 'click', x: 5, y: 6, button: 'middle' }]);
+        assert.equal(state, 'finished');
+        assert.deepEqual(calls, [['mouseMove', 5, 6], ['mouseDown', 'middle'], ['mouseUp', 'middle']]);
+    });
+
+    it('las teclas con modificadores se reproducen como combinación', async () => {
+        const { script, state, calls } = await roundTrip([
+            { type: 'key', key: 'T', modifiers: ['Control'] },
+            { type: 'key', key: 'Tab', modifiers: ['Control', 'Shift'] },
+            { type: 'key', key: 'Enter' }
+        ]);
+        assert.match(script, /^Key\("Control\+T"\)$/m);
+        assert.equal(state, 'finished');
+        assert.deepEqual(calls, [['pressKey', 'Control+T'], ['pressKey', 'Control+Shift+Tab'], ['pressKey', 'Enter']]);
+    });
+});
+
+describe('Recorder', () => {
+    it('usa el reloj inyectado para las fechas y las esperas', () => {
+        let now = Date.parse('2026-01-02T03:04:05.000Z');
+        const recorder = new Recorder({ now: () => now });
+        recorder.start('https://example.com/');
+        now += 1500;
+        recorder.record({ type: 'click', x: 1, y: 2 }, 'https://example.com/');
+        now += 250;
+        recorder.record({ type: 'type', text: 'hola' }, 'https://example.com/');
+        recorder.stop();
+
+        const recording = recorder.toJSON();
+        assert.equal(recording.startedAt, '2026-01-02T03:04:05.000Z');
+        assert.equal(recording.stoppedAt, '2026-01-02T03:04:06.750Z');
+        assert.deepEqual(recording.actions.map((action) => action.delay), [1500, 250]);
+        assert.match(recorder.toScript(), /^# Grabación de PyRock - 2026-01-02T03:04:05\.000Z\nSleep\(1500\)\n/);
+    });
+});
+
+describe('validateRecording', () => {
+    it('rechaza botones, clicks y modificadores no válidos', () => {
+        const recording = (action) => ({ actions: [{ delay: 0, ...action }] });
+        assert.throws(() => validateRecording(recording({ type: 'click', x: 1, y: 1, button: 'lateral' })), /"button"/);
+        assert.throws(() => validateRecording(recording({ type: 'click', x: 1, y: 1, clickCount: 0 })), /"clickCount"/);
+        assert.throws(() => validateRecording(recording({ type: 'key', key: 'a', modifiers: 'Control' })), /"modifiers"/);
+        // Las grabaciones anteriores, sin estos campos, siguen siendo válidas
+        assert.doesNotThrow(() => validateRecording(recording({ type: 'click', x: 1, y: 1 })));
+    });
+});
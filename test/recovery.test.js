@@ -0,0 +1,95 @@
+/**
+ * Recuperación del navegador: se mata el proceso de Chromium y se comprueba que
+ * el servidor lo relanza, o que queda en 'failed' y se recupera con init
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { createTestServer, startFixtureSite, browserUnavailable, MockClient, waitForState } = require('./helpers');
+
+describe('recuperación del navegador', { skip: browserUnavailable() }, () => {
+    let site;
+    let instance;
+    let client;
+    let launchError = null;
+    let launches = 0;
+
+    const killBrowser = () => instance.lifecycle.browser.process().kill('SIGKILL');
+
+    before(async () => {
+        site = await startFixtureSite();
+        instance = createTestServer({
+            // Lanzador que las pruebas pueden hacer fallar a voluntad
+            launchBrowser: async (options) => {
+                launches++;
+                if (launchError) {
+                    throw new Error(launchError);
+                }
+                return puppeteer.launch(options);
+            },
+            env: {
+                START_URL: site.url,
+                BROWSER_RESTORE_LAST_URL: 'true',
+                BROWSER_RECOVERY_MAX_ATTEMPTS: '2'
+            }
+        });
+        await instance.start();
+        client = new MockClient(instance);
+    });
+
+    after(async () => {
+        await instance.stop();
+        await site.close();
+    });
+
+    it('relanza el navegador y vuelve a la última URL de la sesión', async () => {
+        await client.request({ type: 'navigate', url: `${site.url}page2.html` });
+        client.messages = [];
+
+        killBrowser();
+        await waitForState(instance.lifecycle, 'ready');
+
+        const recovering = await client.waitFor((message) => message.type === 'lifecycle' && message.state === 'recovering');
+        assert.equal(recovering.reason, 'disconnect');
+        await client.waitFor((message) => message.type === 'lifecycle' && message.state === 'ready');
+
+        const reply = await client.request({ type: 'evaluate', expression: 'location.href' });
+        assert.equal(reply.value, `${site.url}page2.html`);
+    });
+
+    it('los comandos enviados durante la recuperación esperan al nuevo navegador', async () => {
+        killBrowser();
+        await waitForState(instance.lifecycle, 'recovering');
+        const reply = await client.request({ type: 'navigate', url: site.url });
+        assert.equal(reply.type, 'navigation_success', reply.message);
+        assert.equal(instance.lifecycle.state, 'ready');
+    });
+
+    it('queda en failed si el navegador no vuelve a arrancar y responde 503', async () => {
+        launchError = 'Chromium no arranca';
+        const previousLaunches = launches;
+
+        killBrowser();
+        await waitForState(instance.lifecycle, 'failed');
+        assert.equal(launches - previousLaunches, 2);
+
+        const reply = await client.request({ type: 'navigate', url: site.url });
+        assert.equal(reply.type, 'navigation_error');
+        assert.match(reply.message, /Navegador no disponible: la recuperación falló tras 2 intentos \(Chromium no arranca\)/);
+
+        const status = await client.request({ type: 'status' });
+        assert.equal(status.browser.state, 'failed');
+    });
+
+    it('init vuelve a arrancar el navegador tras el fallo', async () => {
+        launchError = null;
+
+        const reply = await client.request({ type: 'init' });
+        assert.equal(reply.type, 'init_success');
+        assert.equal(reply.browserState, 'ready');
+
+        const navigation = await client.request({ type: 'navigate', url: `${site.url}page2.html` });
+        assert.equal(navigation.type, 'navigation_success', navigation.message);
+    });
+});
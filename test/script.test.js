@@ -0,0 +1,69 @@
+/**
+ * Lenguaje de scripts sin navegador: análisis y ejecución con acciones simuladas
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseScript, ScriptRunner } = require('../lib/script');
+
+/**
+ * Ejecutar un script y devolver lo que escribió (Send) y su estado final
+ */
+async function runScript(source, variables = {}) {
+    const typed = [];
+    let failure = null;
+    const runner = new ScriptRunner(parseScript(source), {
+        typeText: async (text) => {
+            typed.push(text);
+        }
+    }, { variables });
+    runner.on('fail', (error) => {
+        failure = error;
+    });
+    const state = await runner.run();
+    return { state, typed, failure };
+}
+
+describe('variables en los textos', () => {
+    it('sustituye ${nombre} por su valor', async () => {
+        const { state, typed } = await runScript('Set("nombre", "Eva")\nSend("Hola ${nombre}")');
+        assert.equal(state, 'finished');
+        assert.deepEqual(typed, ['Hola Eva']);
+    });
+
+    it('falla con una variable no definida', async () => {
+        const { state, failure } = await runScript('Send("echo ${HOME}")');
+        assert.equal(state, 'failed');
+        assert.equal(failure.message, 'Línea 1: Variable no definida: HOME');
+    });
+
+    it('$${ escribe ${ literal', async () => {
+        const { state, typed } = await runScript('Set("v", "x")\nSend("echo $${HOME} ${v} $$${v} $${")');
+        assert.equal(state, 'finished');
+        assert.deepEqual(typed, ['echo ${HOME} x $${v} ${']);
+    });
+});
+
+describe('comentarios', () => {
+    it('ignora los comentarios al final de una línea fuera de las cadenas', async () => {
+        const program = parseScript([
+            '# línea entera',
+            'Send("a # b // c")   # comentario',
+            'Send("say ""#hola""") // otro',
+            'Sleep(10)#pegado'
+        ].join('\n'));
+        assert.deepEqual(program.body.map((statement) => statement.args), [['a # b // c'], ['say "#hola"'], [10]]);
+    });
+
+    it('los ejemplos de scripts del README se pueden analizar', () => {
+        const readme = fs.readFileSync(path.join(__dirname, '..', 'README.md'), 'utf8');
+        const section = readme.slice(readme.indexOf('### Scripts de automatización'), readme.indexOf('`CompareScreenshot("inicio")`'));
+        const blocks = [...section.matchAll(/```\n([\s\S]*?)```/g)].map((match) => match[1]);
+        assert.equal(blocks.length, 2);
+        for (const block of blocks) {
+            assert.doesNotThrow(() => parseScript(block, { resolveInclude: () => '' }));
+        }
+    });
+});
@@ -0,0 +1,363 @@
+/**
+ * Fábrica del servidor sin navegador: arranque, /health, permisos y validación de comandos
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { createServer } = require('../server');
+const { createTestServer, MockClient } = require('./helpers');
+
+function getJson(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+function postJson(port, urlPath, payload) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            path: urlPath,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(payload));
+    });
+}
+
+describe('createServer', () => {
+    it('no arranca nada al importarse ni al crearse', () => {
+        let launches = 0;
+        const instance = createTestServer({
+            launchBrowser: async () => {
+                launches++;
+                throw new Error('no debería lanzarse');
+            }
+        });
+
+        assert.equal(launches, 0);
+        assert.equal(instance.server.listening, false);
+        assert.equal(instance.lifecycle.state, 'starting');
+    });
+
+    it('cada instancia guarda solo sus propios eventos', async () => {
+        const first = createTestServer();
+        const second = createTestServer();
+        const session = first.sessions.create('test');
+
+        const mentions = (instance) => instance.eventLog.entries().filter((entry) => entry.message.includes(session.id));
+        assert.equal(mentions(first).length, 1);
+        assert.equal(mentions(second).length, 0);
+
+        second.sessions.create('test');
+        assert.equal(first.eventLog.entries().length, 1);
+        await Promise.all([first.eventLog.close(), second.eventLog.close()]);
+    });
+
+    it('lanza un error con una configuración inválida en vez de terminar el proceso', () => {
+        assert.throws(() => createServer({ env: { ...process.env, CONFIG_FILE: '', VIEWPORT_WIDTH: 'ancho' } }), /Configuración inválida/);
+        assert.throws(() => createServer({ env: { ...process.env, AUTH_TOKENS: 'abc:superuser' } }), /Configuración de autenticación inválida/);
+    });
+});
+
+describe('servidor sin navegador disponible', () => {
+    const NOW = Date.parse('2026-01-02T03:04:05.000Z');
+    let instance;
+    let port;
+    let launches = 0;
+
+    before(async () => {
+        instance = createTestServer({
+            now: () => NOW,
+            launchBrowser: async () => {
+                launches++;
+                throw new Error('Chromium no instalado');
+            },
+            env: { BROWSER_RECOVERY_MAX_ATTEMPTS: '2', BROWSER_RECOVERY_BASE_DELAY: '10' }
+        });
+        port = await instance.start();
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    it('escucha aunque el navegador no arranque y agota los intentos', () => {
+        assert.ok(port > 0);
+        assert.equal(launches, 2);
+        assert.equal(instance.lifecycle.state, 'failed');
+    });
+
+    it('/health usa el reloj inyectado', async () => {
+        const { status, body } = await getJson(port, '/health');
+        assert.equal(status, 200);
+        assert.equal(body.browser, false);
+        assert.equal(body.browserState, 'failed');
+        assert.equal(body.timestamp, '2026-01-02T03:04:05.000Z');
+    });
+
+    it('el registro de eventos usa el reloj inyectado', async () => {
+        const client = new MockClient(instance);
+        const reply = await client.request({ type: 'get_logs', category: 'browser' });
+        assert.equal(reply.type, 'logs');
+        assert.ok(reply.entries.length > 0);
+        assert.ok(reply.entries.every((entry) => entry.timestamp === '2026-01-02T03:04:05.000Z'));
+    });
+
+    it('las sesiones usan el reloj inyectado', () => {
+        const session = instance.sessions.create('test');
+        assert.equal(session.createdAt, NOW);
+        session.touch();
+        assert.equal(session.lastActivity, NOW);
+    });
+
+    it('POST /api/webhooks responde 201 como POST /api/jobs', async () => {
+        const { status, body } = await postJson(port, '/api/webhooks', { url: 'http://127.0.0.1:1/hook' });
+        assert.equal(status, 201, body.message);
+        assert.equal(body.type, 'webhook_created');
+    });
+
+    it('responde status con el estado del navegador', async () => {
+        const client = new MockClient(instance);
+        const reply = await client.request({ type: 'status' });
+        assert.equal(reply.type, 'status');
+        assert.equal(reply.browserReady, false);
+        assert.equal(reply.browser.state, 'failed');
+        assert.equal(reply.sessionId, client.sessionId);
+    });
+
+    it('los comandos de página fallan con 503 sin esperar', async () => {
+        const client = new MockClient(instance);
+        const reply = await client.request({ type: 'navigate', url: 'example.com' });
+        assert.equal(reply.type, 'navigation_error');
+        assert.match(reply.message, /Navegador no disponible/);
+    });
+
+    it('valida los comandos antes de tocar el navegador', async () => {
+        const client = new MockClient(instance);
+        assert.equal((await client.request({ type: 'navigate' })).message, 'URL requerida');
+        assert.equal((await client.request({ type: 'click', x: 1 })).message, 'Coordenadas x, y requeridas');
+        assert.equal((await client.request({ type: 'type' })).message, 'Texto requerido');
+        assert.equal((await client.request({ type: 'key' })).message, 'Tecla requerida');
+        assert.equal((await client.request({ type: 'volar' })).message, 'Comando no reconocido: volar');
+    });
+
+    it('responde error a los mensajes que no son JSON', async () => {
+        const client = new MockClient(instance);
+        await instance.handleClientMessage(client, 'no es json');
+        assert.equal(client.messages[0].type, 'error');
+    });
+
+    it('aplica los permisos del rol del cliente', async () => {
+        const viewer = new MockClient(instance, { role: 'viewer' });
+        assert.equal((await viewer.request({ type: 'status' })).type, 'status');
+        const denied = await viewer.request({ type: 'navigate', url: 'example.com' });
+        assert.equal(denied.type, 'error');
+        assert.match(denied.message, /navigate/);
+
+        const operator = new MockClient(instance, { role: 'operator' });
+        assert.equal((await operator.request({ type: 'restart' })).type, 'error');
+    });
+});
+
+describe('sesiones de cada token', () => {
+    let instance;
+    let port;
+
+    before(async () => {
+        instance = createTestServer({
+            launchBrowser: async () => {
+                throw new Error('Chromium no instalado');
+            },
+            env: { BROWSER_RECOVERY_MAX_ATTEMPTS: '1', AUTH_TOKENS: 'clave-ana:operator:ana,clave-luis:operator:luis,clave-root:admin:root' }
+        });
+        port = await instance.start();
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    const request = (urlPath, token, headers = {}) => new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath, headers: { Authorization: `Bearer ${token}`, ...headers } }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+
+    it('un cliente no puede usar la sesión de otro token por su id', async () => {
+        const ana = new MockClient(instance, { role: 'operator', name: 'ana' });
+        const luis = new MockClient(instance, { role: 'operator', name: 'luis' });
+
+        const denied = await luis.request({ type: 'get_queue', sessionId: ana.sessionId });
+        assert.equal(denied.type, 'error');
+        assert.equal(denied.message, `La sesión ${ana.sessionId} pertenece a otro cliente`);
+
+        const job = await luis.request({
+            type: 'create_job',
+            job: { interval: 60000, commands: [{ type: 'get_title' }], sessionId: ana.sessionId }
+        });
+        assert.equal(job.type, 'error');
+        assert.match(job.message, /pertenece a otro cliente/);
+
+        assert.equal((await ana.request({ type: 'get_queue', sessionId: ana.sessionId })).type, 'queue');
+        const admin = new MockClient(instance, { role: 'admin', name: 'root' });
+        assert.equal((await admin.request({ type: 'get_queue', sessionId: ana.sessionId })).type, 'queue');
+    });
+
+    it('la API REST y /health aplican la misma regla', async () => {
+        const own = await request('/api/queue', 'clave-ana');
+        assert.equal(own.status, 200);
+        const anaSession = instance.sessions.list().find((session) => session.owner === 'token:ana');
+
+        const denied = await request('/api/queue', 'clave-luis', { 'X-Session-Id': anaSession.id });
+        assert.equal(denied.status, 403);
+
+        const health = await request('/health', 'clave-luis');
+        assert.ok(health.body.sessions.every((session) => session.identity === 'luis'));
+        const adminHealth = await request('/health', 'clave-root');
+        assert.ok(adminHealth.body.sessions.some((session) => session.id === anaSession.id));
+    });
+});
+
+describe('conexiones WebSocket y sesiones', () => {
+    let instance;
+    let port;
+
+    before(async () => {
+        instance = createTestServer({
+            launchBrowser: async () => {
+                throw new Error('Chromium no instalado');
+            },
+            env: { BROWSER_RECOVERY_MAX_ATTEMPTS: '1', MAX_SESSIONS: '2', AUTH_TOKENS: 'clave-ana:operator:ana,clave-luis:operator:luis' }
+        });
+        port = await instance.start();
+    });
+
+    after(async () => {
+        await instance.stop();
+    });
+
+    /**
+     * Conectar y esperar el primer mensaje del servidor y, si lo hay, el cierre
+     */
+    function connect(token, { query = '', headers = {} } = {}) {
+        const socket = new WebSocket(`ws://127.0.0.1:${port}/${query}`, { headers: { Authorization: `Bearer ${token}`, ...headers } });
+        const closed = new Promise((resolve) => socket.on('close', (code) => resolve(code)));
+        return new Promise((resolve, reject) => {
+            socket.once('message', (message) => resolve({ socket, first: JSON.parse(message), closed }));
+            socket.once('error', reject);
+        });
+    }
+
+    /**
+     * Enviar un comando por la conexión y esperar su respuesta
+     */
+    function ask(socket, data) {
+        const requestId = Math.random().toString(36).slice(2);
+        return new Promise((resolve) => {
+            socket.on('message', function onMessage(message) {
+                const reply = JSON.parse(message);
+                if (reply.requestId === requestId) {
+                    socket.off('message', onMessage);
+                    resolve(reply);
+                }
+            });
+            socket.send(JSON.stringify({ ...data, requestId }));
+        });
+    }
+
+    async function disconnect(socket) {
+        socket.close();
+        await new Promise((resolve) => socket.once('close', resolve));
+        // El servidor procesa el cierre en su propio evento
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    it('se une a una sesión existente con ?sessionId= o X-Session-Id', async () => {
+        const { socket, first } = await connect('clave-ana');
+        await disconnect(socket);
+
+        const byQuery = await connect('clave-ana', { query: `?sessionId=${first.sessionId}` });
+        assert.equal(byQuery.first.type, 'status');
+        assert.equal(byQuery.first.sessionId, first.sessionId);
+        await disconnect(byQuery.socket);
+
+        const byHeader = await connect('clave-ana', { headers: { 'X-Session-Id': first.sessionId } });
+        assert.equal(byHeader.first.sessionId, first.sessionId);
+        await disconnect(byHeader.socket);
+    });
+
+    it('rechaza unirse a la sesión de otro token o a una que no existe', async () => {
+        const { socket, first } = await connect('clave-ana');
+
+        const foreign = await connect('clave-luis', { query: `?sessionId=${first.sessionId}` });
+        assert.equal(foreign.first.type, 'error');
+        assert.match(foreign.first.message, /pertenece a otro cliente/);
+        assert.equal(await foreign.closed, 1008);
+
+        const missing = await connect('clave-ana', { query: '?sessionId=nada' });
+        assert.equal(missing.first.message, 'Sesión no encontrada: nada');
+        await disconnect(socket);
+    });
+
+    it('las conexiones sucesivas no agotan el límite de sesiones', async () => {
+        for (let i = 0; i < 5; i++) {
+            const { socket, first } = await connect('clave-ana');
+            assert.equal(first.type, 'status', first.message);
+            await disconnect(socket);
+        }
+        assert.ok(instance.sessions.list().length <= 2);
+    });
+
+    it('no cierra las sesiones en uso', async () => {
+        const luis = await connect('clave-luis');
+        const ana = await connect('clave-ana');
+        assert.equal(luis.first.type, 'status', luis.first.message);
+        assert.equal(ana.first.type, 'status', ana.first.message);
+
+        const refused = await connect('clave-ana');
+        assert.equal(refused.first.type, 'error');
+        assert.match(refused.first.message, /Límite de sesiones alcanzado/);
+        assert.equal(await refused.closed, 1013);
+        assert.ok(instance.sessions.list().some((session) => session.id === luis.first.sessionId));
+
+        await disconnect(ana.socket);
+        await disconnect(luis.socket);
+    });
+
+    it('las sesiones de las tareas programadas no cuentan para el límite', async () => {
+        const first = await connect('clave-ana');
+        const second = await connect('clave-ana');
+
+        const created = await ask(first.socket, { type: 'create_job', job: { interval: 60000, commands: [{ type: 'get_title' }] } });
+        assert.equal(created.type, 'job_created', created.message);
+        const { run } = await ask(first.socket, { type: 'run_job', jobId: created.job.id });
+        // Falla por el navegador, no por el límite de sesiones
+        assert.doesNotMatch(run.error, /Límite de sesiones/);
+        assert.ok(instance.sessions.list().some((session) => session.id === `job-${created.job.id}`));
+
+        await ask(first.socket, { type: 'delete_job', jobId: created.job.id });
+        await disconnect(first.socket);
+        await disconnect(second.socket);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Comparación de imágenes de la regresión visual (diffImages) sin navegador
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffImages } = require('../lib/visual');
+
+/**
+ * Imagen RGBA de un solo color
+ */
+function solid(width, height, [r, g, b, a = 255]) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = a;
+    }
+    return { width, height, data };
+}
+
+function pixel(image, x, y) {
+    const offset = (y * image.width + x) * 4;
+    return [...image.data.subarray(offset, offset + 4)];
+}
+
+describe('diffImages', () => {
+    it('dos imágenes iguales no tienen diferencias', () => {
+        const result = diffImages(solid(4, 3, [10, 20, 30]), solid(4, 3, [10, 20, 30]));
+        assert.equal(result.mismatchedPixels, 0);
+        assert.equal(result.totalPixels, 12);
+        assert.equal(result.mismatch, 0);
+        assert.equal(result.sizeMismatch, false);
+        // Referencia en gris muy claro
+        assert.deepEqual(pixel(result.diff, 0, 0), [231, 231, 231, 255]);
+    });
+
+    it('marca en rojo los píxeles distintos y da el porcentaje', () => {
+        const expected = solid(4, 2, [0, 0, 0]);
+        const actual = solid(4, 2, [0, 0, 0]);
+        actual.data.set([255, 255, 255, 255], (1 * 4 + 2) * 4);
+
+        const result = diffImages(expected, actual);
+        assert.equal(result.mismatchedPixels, 1);
+        assert.equal(result.mismatch, 12.5);
+        assert.deepEqual(pixel(result.diff, 2, 1), [255, 0, 0, 255]);
+        assert.notDeepEqual(pixel(result.diff, 0, 0), [255, 0, 0, 255]);
+    });
+
+    it('pixelThreshold tolera diferencias de color pequeñas, también en el canal alfa', () => {
+        const expected = solid(2, 2, [100, 100, 100]);
+        assert.equal(diffImages(expected, solid(2, 2, [120, 100, 100])).mismatchedPixels, 0);
+        assert.equal(diffImages(expected, solid(2, 2, [140, 100, 100])).mismatchedPixels, 4);
+        assert.equal(diffImages(expected, solid(2, 2, [140, 100, 100]), { pixelThreshold: 0.2 }).mismatchedPixels, 0);
+        assert.equal(diffImages(expected, solid(2, 2, [100, 100, 100, 0])).mismatchedPixels, 4);
+    });
+
+    it('con tamaños distintos lo que solo está en una de las imágenes cuenta como distinto', () => {
+        const result = diffImages(solid(2, 2, [50, 50, 50]), solid(3, 1, [50, 50, 50]));
+        assert.equal(result.sizeMismatch, true);
+        assert.deepEqual([result.width, result.height, result.totalPixels], [3, 2, 6]);
+        // Solo (0,0) y (1,0) existen en las dos
+        assert.equal(result.mismatchedPixels, 4);
+        assert.deepEqual(pixel(result.diff, 2, 0), [255, 0, 0, 255]);
+        assert.deepEqual(pixel(result.diff, 0, 1), [255, 0, 0, 255]);
+    });
+});